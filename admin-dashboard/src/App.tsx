@@ -11,6 +11,10 @@ import UsersPage from './pages/UsersPage';
 import AnalyticsPage from './pages/AnalyticsPage';
 import SettingsPage from './pages/SettingsPage';
 import ProfilePage from './pages/ProfilePage';
+import EnrollmentReviewsPage from './pages/EnrollmentReviewsPage';
+import FaceTemplateHistoryPage from './pages/FaceTemplateHistoryPage';
+import WorkSitesPage from './pages/WorkSitesPage';
+import TimesheetsPage from './pages/TimesheetsPage';
 import LoadingSpinner from './components/LoadingSpinner';
 
 const App: React.FC = () => {
@@ -45,6 +49,10 @@ const App: React.FC = () => {
         <Route path="/dashboard" element={<DashboardPage />} />
         <Route path="/attendance" element={<AttendancePage />} />
         <Route path="/users" element={<UsersPage />} />
+        <Route path="/users/:userId/face-templates" element={<FaceTemplateHistoryPage />} />
+        <Route path="/enrollment-reviews" element={<EnrollmentReviewsPage />} />
+        <Route path="/work-sites" element={<WorkSitesPage />} />
+        <Route path="/timesheets" element={<TimesheetsPage />} />
         <Route path="/analytics" element={<AnalyticsPage />} />
         <Route path="/settings" element={<SettingsPage />} />
         <Route path="/profile" element={<ProfilePage />} />
@@ -8,6 +8,9 @@ const menu = [
 	{ label: 'Dashboard', path: '/dashboard' },
 	{ label: 'Attendance', path: '/attendance' },
 	{ label: 'Users', path: '/users' },
+	{ label: 'Enrollment Reviews', path: '/enrollment-reviews' },
+	{ label: 'Work Sites', path: '/work-sites' },
+	{ label: 'Timesheets', path: '/timesheets' },
 	{ label: 'Analytics', path: '/analytics' },
 	{ label: 'Settings', path: '/settings' },
 	{ label: 'Profile', path: '/profile' },
@@ -0,0 +1,223 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Grid,
+  Card,
+  CardContent,
+  CardActions,
+  Typography,
+  Chip,
+  Button,
+  TextField,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import { CheckCircle, Cancel, Warning } from '@mui/icons-material';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+
+import { adminAPI } from '../services/api';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+interface EnrollmentReview {
+  id: string;
+  submittedAt: string;
+  acceptedCount: number;
+  hasReviewImage: boolean;
+  result: { duplicateMatches?: { userId: string; similarity: number }[] } | null;
+  user: {
+    id: string;
+    employeeId: string;
+    name: string;
+    department: string | null;
+    hrPhotoUrl: string | null;
+  };
+}
+
+// Fetched with the auth header, so it cannot be a plain <img src>
+const CapturedImage: React.FC<{ sessionId: string }> = ({ sessionId }) => {
+  const [imageUrl, setImageUrl] = useState<string | null>(null);
+
+  useEffect(() => {
+    let objectUrl: string | null = null;
+
+    adminAPI.getEnrollmentReviewImage(sessionId)
+      .then((blob) => {
+        objectUrl = URL.createObjectURL(blob);
+        setImageUrl(objectUrl);
+      })
+      .catch(() => setImageUrl(null));
+
+    return () => {
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [sessionId]);
+
+  if (!imageUrl) {
+    return <Typography color="text.secondary">Image unavailable</Typography>;
+  }
+
+  return <Box component="img" src={imageUrl} alt="Enrollment capture" sx={{ width: '100%', borderRadius: 1 }} />;
+};
+
+const EnrollmentReviewsPage: React.FC = () => {
+  const queryClient = useQueryClient();
+  const [rejecting, setRejecting] = useState<EnrollmentReview | null>(null);
+  const [rejectReason, setRejectReason] = useState('');
+
+  const { data, isLoading, error } = useQuery(
+    ['enrollment-reviews'],
+    () => adminAPI.getEnrollmentReviews(),
+    {
+      refetchInterval: 30000, // Refetch every 30 seconds
+    }
+  );
+
+  const approveMutation = useMutation(
+    (sessionId: string) => adminAPI.approveEnrollment(sessionId),
+    {
+      onSuccess: () => {
+        toast.success('Enrollment approved');
+        queryClient.invalidateQueries(['enrollment-reviews']);
+      },
+      onError: (err: any) => {
+        toast.error(err.response?.data?.message || 'Failed to approve enrollment');
+      },
+    }
+  );
+
+  const rejectMutation = useMutation(
+    ({ sessionId, reason }: { sessionId: string; reason: string }) =>
+      adminAPI.rejectEnrollment(sessionId, reason),
+    {
+      onSuccess: () => {
+        toast.success('Enrollment rejected');
+        setRejecting(null);
+        setRejectReason('');
+        queryClient.invalidateQueries(['enrollment-reviews']);
+      },
+      onError: (err: any) => {
+        toast.error(err.response?.data?.message || 'Failed to reject enrollment');
+      },
+    }
+  );
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return <Alert severity="error">Failed to load enrollment reviews</Alert>;
+  }
+
+  const reviews: EnrollmentReview[] = data?.data?.reviews || [];
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Enrollment Reviews
+      </Typography>
+      <Typography color="text.secondary" sx={{ mb: 3 }}>
+        Compare each self-enrollment with the employee's HR photo before activating it for attendance.
+      </Typography>
+
+      {reviews.length === 0 && (
+        <Alert severity="info">No enrollments are waiting for review</Alert>
+      )}
+
+      <Grid container spacing={3}>
+        {reviews.map((review) => {
+          const duplicateMatches = review.result?.duplicateMatches || [];
+
+          return (
+            <Grid item xs={12} md={6} key={review.id}>
+              <Card>
+                <CardContent>
+                  <Typography variant="h6">{review.user.name}</Typography>
+                  <Typography color="text.secondary" gutterBottom>
+                    {review.user.employeeId}
+                    {review.user.department ? ` • ${review.user.department}` : ''}
+                    {' • '}submitted {format(new Date(review.submittedAt), 'MMM d, yyyy HH:mm')}
+                  </Typography>
+
+                  {duplicateMatches.length > 0 && (
+                    <Chip
+                      icon={<Warning />}
+                      color="warning"
+                      label={`Resembles ${duplicateMatches.length} other employee${duplicateMatches.length > 1 ? 's' : ''}`}
+                      sx={{ mb: 2 }}
+                    />
+                  )}
+
+                  <Grid container spacing={2}>
+                    <Grid item xs={6}>
+                      <Typography variant="subtitle2" gutterBottom>Enrollment capture</Typography>
+                      {review.hasReviewImage
+                        ? <CapturedImage sessionId={review.id} />
+                        : <Typography color="text.secondary">Image unavailable</Typography>}
+                    </Grid>
+                    <Grid item xs={6}>
+                      <Typography variant="subtitle2" gutterBottom>HR photo</Typography>
+                      {review.user.hrPhotoUrl
+                        ? <Box component="img" src={review.user.hrPhotoUrl} alt="HR photo" sx={{ width: '100%', borderRadius: 1 }} />
+                        : <Typography color="text.secondary">No HR photo on file</Typography>}
+                    </Grid>
+                  </Grid>
+                </CardContent>
+                <CardActions>
+                  <Button
+                    color="success"
+                    startIcon={<CheckCircle />}
+                    disabled={approveMutation.isLoading}
+                    onClick={() => approveMutation.mutate(review.id)}
+                  >
+                    Approve
+                  </Button>
+                  <Button
+                    color="error"
+                    startIcon={<Cancel />}
+                    onClick={() => setRejecting(review)}
+                  >
+                    Reject
+                  </Button>
+                </CardActions>
+              </Card>
+            </Grid>
+          );
+        })}
+      </Grid>
+
+      <Dialog open={Boolean(rejecting)} onClose={() => setRejecting(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Reject enrollment for {rejecting?.user.name}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            multiline
+            minRows={2}
+            margin="dense"
+            label="Reason (shown to the employee)"
+            value={rejectReason}
+            onChange={(e) => setRejectReason(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRejecting(null)}>Cancel</Button>
+          <Button
+            color="error"
+            disabled={!rejectReason.trim() || rejectMutation.isLoading}
+            onClick={() => rejecting && rejectMutation.mutate({ sessionId: rejecting.id, reason: rejectReason.trim() })}
+          >
+            Reject
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default EnrollmentReviewsPage;
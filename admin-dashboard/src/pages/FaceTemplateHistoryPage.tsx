@@ -0,0 +1,168 @@
+import React from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  Button,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+} from '@mui/material';
+import { Restore } from '@mui/icons-material';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+
+import { adminAPI } from '../services/api';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+interface TemplateHistoryEntry {
+  id: string;
+  source: 'enrollment' | 'adaptive';
+  isPrimary: boolean;
+  qualityScore: number | null;
+  matchSimilarity?: number;
+  anchorSimilarity?: number;
+  active: boolean;
+  retiredAt: string | null;
+  retiredReason: 'evicted' | 'rolled_back' | 're_enrolled' | null;
+  createdAt: string;
+}
+
+const RETIRED_REASON_LABELS: Record<string, string> = {
+  evicted: 'Evicted',
+  rolled_back: 'Rolled back',
+  re_enrolled: 'Replaced by re-enrollment',
+};
+
+const formatScore = (value?: number) => (value === undefined || value === null ? '—' : value.toFixed(3));
+
+const FaceTemplateHistoryPage: React.FC = () => {
+  const { userId } = useParams<{ userId: string }>();
+  const queryClient = useQueryClient();
+
+  const { data, isLoading, error } = useQuery(
+    ['face-template-history', userId],
+    () => adminAPI.getFaceTemplateHistory(userId as string),
+    { enabled: Boolean(userId) }
+  );
+
+  const rollbackMutation = useMutation(
+    (templateId: string | null) => adminAPI.rollbackFaceTemplates(userId as string, templateId),
+    {
+      onSuccess: (result) => {
+        const { retiredTemplateIds, restoredTemplateIds } = result.data;
+        toast.success(`Rolled back: ${retiredTemplateIds.length} retired, ${restoredTemplateIds.length} restored`);
+        queryClient.invalidateQueries(['face-template-history', userId]);
+      },
+      onError: (err: any) => {
+        toast.error(err.response?.data?.message || 'Failed to roll back face templates');
+      },
+    }
+  );
+
+  const confirmRollback = (templateId: string | null, label: string) => {
+    if (window.confirm(`Roll back learned templates to ${label}?`)) {
+      rollbackMutation.mutate(templateId);
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return <Alert severity="error">Failed to load face template history</Alert>;
+  }
+
+  const templates: TemplateHistoryEntry[] = data?.data?.templates || [];
+  const hasAdaptive = templates.some((template) => template.source === 'adaptive');
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Face Template History
+      </Typography>
+
+      {!data?.data?.adaptiveEnabled && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Adaptive templates are disabled; no new templates are learned from check-ins.
+        </Alert>
+      )}
+
+      <Card>
+        <CardContent>
+          <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+            <Typography color="text.secondary">
+              Rolling back to a learned template restores the set that was active right after it was added.
+            </Typography>
+            <Button
+              color="warning"
+              startIcon={<Restore />}
+              disabled={!hasAdaptive || rollbackMutation.isLoading}
+              onClick={() => confirmRollback(null, 'enrollment only')}
+            >
+              Reset to enrollment
+            </Button>
+          </Box>
+
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Added</TableCell>
+                <TableCell>Source</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Quality</TableCell>
+                <TableCell>Match</TableCell>
+                <TableCell>Vs. enrollment</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {templates.map((template) => (
+                <TableRow key={template.id}>
+                  <TableCell>{format(new Date(template.createdAt), 'MMM d, yyyy HH:mm')}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={template.source === 'adaptive' ? 'Learned' : 'Enrolled'}
+                      color={template.source === 'adaptive' ? 'info' : 'default'}
+                    />
+                    {template.isPrimary && <Chip size="small" label="Primary" color="primary" sx={{ ml: 1 }} />}
+                  </TableCell>
+                  <TableCell>
+                    {template.active
+                      ? 'Active'
+                      : `${RETIRED_REASON_LABELS[template.retiredReason as string] || 'Retired'} ${format(new Date(template.retiredAt as string), 'MMM d, yyyy')}`}
+                  </TableCell>
+                  <TableCell>{template.qualityScore ?? '—'}</TableCell>
+                  <TableCell>{formatScore(template.matchSimilarity)}</TableCell>
+                  <TableCell>{formatScore(template.anchorSimilarity)}</TableCell>
+                  <TableCell align="right">
+                    {template.source === 'adaptive' && (
+                      <Button
+                        size="small"
+                        disabled={rollbackMutation.isLoading}
+                        onClick={() => confirmRollback(template.id, format(new Date(template.createdAt), 'MMM d, yyyy HH:mm'))}
+                      >
+                        Roll back to here
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
+
+export default FaceTemplateHistoryPage;
@@ -0,0 +1,333 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  Button,
+  TextField,
+  MenuItem,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import { Download, Lock, LockOpen } from '@mui/icons-material';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+
+import { adminAPI } from '../services/api';
+import { useAuthStore } from '../store/authStore';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+type Frequency = 'weekly' | 'biweekly' | 'monthly';
+
+interface TimesheetPeriod {
+  id: string | null;
+  frequency: Frequency;
+  startDate: string;
+  endDate: string;
+  status: 'open' | 'locked';
+  lockedAt?: string | null;
+  lockNote?: string | null;
+  reopenedAt?: string | null;
+  reopenReason?: string | null;
+}
+
+interface Timesheet {
+  employee: { userId: string; employeeId: string; name: string; department: string };
+  totals: {
+    expectedDays: number;
+    presentDays: number;
+    absentDays: number;
+    paidLeaveDays: number;
+    unpaidLeaveDays: number;
+    incompleteDays: number;
+    workedHours: number;
+    regularHours: number;
+    overtimeHours: number;
+    approvedOvertimeHours: number;
+    weightedOvertimeHours: number;
+    payableHours: number;
+  };
+}
+
+const EXPORTS: { label: string; format: 'csv' | 'xlsx' | 'json'; layout?: 'summary' | 'daily' }[] = [
+  { label: 'CSV', format: 'csv', layout: 'summary' },
+  { label: 'CSV (daily)', format: 'csv', layout: 'daily' },
+  { label: 'XLSX', format: 'xlsx' },
+  { label: 'JSON', format: 'json' },
+];
+
+const TimesheetsPage: React.FC = () => {
+  const queryClient = useQueryClient();
+  const isSuperAdmin = useAuthStore((state) => state.user?.role === 'super_admin');
+  const [frequency, setFrequency] = useState<Frequency>('monthly');
+  const [date, setDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [department, setDepartment] = useState('');
+  const [locking, setLocking] = useState(false);
+  const [lockNote, setLockNote] = useState('');
+  const [reopening, setReopening] = useState(false);
+  const [reopenReason, setReopenReason] = useState('');
+
+  const params = { frequency, date, department: department || undefined };
+  const { data, isLoading, error } = useQuery(['timesheets', params], () => adminAPI.getTimesheets(params));
+
+  const lockMutation = useMutation(
+    (period: TimesheetPeriod) => adminAPI.lockTimesheetPeriod(period.frequency, period.startDate, lockNote || undefined),
+    {
+      onSuccess: (result) => {
+        toast.success(result.message);
+        setLocking(false);
+        setLockNote('');
+        queryClient.invalidateQueries('timesheets');
+      },
+      onError: (err: any) => {
+        toast.error(err.response?.data?.message || 'Failed to lock timesheets');
+      },
+    }
+  );
+
+  const reopenMutation = useMutation(
+    (period: TimesheetPeriod) => adminAPI.reopenTimesheetPeriod(period.id as string, reopenReason),
+    {
+      onSuccess: () => {
+        toast.success('Timesheet period reopened');
+        setReopening(false);
+        setReopenReason('');
+        queryClient.invalidateQueries('timesheets');
+      },
+      onError: (err: any) => {
+        toast.error(err.response?.data?.message || 'Failed to reopen timesheets');
+      },
+    }
+  );
+
+  const download = async (option: typeof EXPORTS[number]) => {
+    try {
+      const { blob, fileName } = await adminAPI.exportTimesheets({ ...params, format: option.format, layout: option.layout });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error('Failed to export timesheets');
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return <Alert severity="error">Failed to load timesheets</Alert>;
+  }
+
+  const period: TimesheetPeriod | undefined = data?.data?.period;
+  const timesheets: Timesheet[] = data?.data?.timesheets || [];
+  const ended = period ? period.endDate < format(new Date(), 'yyyy-MM-dd') : false;
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Timesheets
+      </Typography>
+
+      <Card sx={{ mb: 2 }}>
+        <CardContent>
+          <Box display="flex" gap={2} flexWrap="wrap" alignItems="center">
+            <TextField
+              select
+              label="Period"
+              value={frequency}
+              onChange={(e) => setFrequency(e.target.value as Frequency)}
+              sx={{ minWidth: 160 }}
+            >
+              <MenuItem value="weekly">Weekly</MenuItem>
+              <MenuItem value="biweekly">Bi-weekly</MenuItem>
+              <MenuItem value="monthly">Monthly</MenuItem>
+            </TextField>
+            <TextField
+              type="date"
+              label="Containing"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              label="Department"
+              value={department}
+              onChange={(e) => setDepartment(e.target.value)}
+            />
+          </Box>
+        </CardContent>
+      </Card>
+
+      {period && (
+        <Card sx={{ mb: 2 }}>
+          <CardContent>
+            <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={2}>
+              <Box>
+                <Typography variant="h6">
+                  {format(new Date(`${period.startDate}T00:00:00`), 'MMM d, yyyy')} – {format(new Date(`${period.endDate}T00:00:00`), 'MMM d, yyyy')}
+                  <Chip
+                    size="small"
+                    sx={{ ml: 1 }}
+                    label={period.status === 'locked' ? 'Locked' : 'Open'}
+                    color={period.status === 'locked' ? 'success' : 'default'}
+                  />
+                </Typography>
+                <Typography color="text.secondary">
+                  {period.status === 'locked'
+                    ? `Locked ${format(new Date(period.lockedAt as string), 'MMM d, yyyy HH:mm')}${period.lockNote ? ` — ${period.lockNote}` : ''}`
+                    : period.reopenedAt
+                      ? `Reopened ${format(new Date(period.reopenedAt), 'MMM d, yyyy HH:mm')}: ${period.reopenReason}`
+                      : 'Numbers are computed from attendance and may still change until the period is locked.'}
+                </Typography>
+              </Box>
+              <Box display="flex" gap={1} flexWrap="wrap">
+                {EXPORTS.map((option) => (
+                  <Button key={option.label} startIcon={<Download />} onClick={() => download(option)}>
+                    {option.label}
+                  </Button>
+                ))}
+                {period.status === 'open' && (
+                  <Button
+                    variant="contained"
+                    startIcon={<Lock />}
+                    disabled={!ended || lockMutation.isLoading}
+                    onClick={() => setLocking(true)}
+                  >
+                    Approve and lock
+                  </Button>
+                )}
+                {period.status === 'locked' && isSuperAdmin && (
+                  <Button color="warning" startIcon={<LockOpen />} onClick={() => setReopening(true)}>
+                    Reopen
+                  </Button>
+                )}
+              </Box>
+            </Box>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardContent>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Employee</TableCell>
+                <TableCell>Department</TableCell>
+                <TableCell align="right">Present / expected</TableCell>
+                <TableCell align="right">Absent</TableCell>
+                <TableCell align="right">Leave (paid / unpaid)</TableCell>
+                <TableCell align="right">Worked</TableCell>
+                <TableCell align="right">Regular</TableCell>
+                <TableCell align="right">Overtime (approved)</TableCell>
+                <TableCell align="right">Weighted OT</TableCell>
+                <TableCell align="right">Payable</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {timesheets.map((timesheet) => (
+                <TableRow key={timesheet.employee.userId}>
+                  <TableCell>
+                    {timesheet.employee.name}
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      {timesheet.employee.employeeId}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>{timesheet.employee.department}</TableCell>
+                  <TableCell align="right">
+                    {timesheet.totals.presentDays} / {timesheet.totals.expectedDays}
+                    {timesheet.totals.incompleteDays > 0 && (
+                      <Chip size="small" color="warning" label={`${timesheet.totals.incompleteDays} incomplete`} sx={{ ml: 1 }} />
+                    )}
+                  </TableCell>
+                  <TableCell align="right">{timesheet.totals.absentDays}</TableCell>
+                  <TableCell align="right">{timesheet.totals.paidLeaveDays} / {timesheet.totals.unpaidLeaveDays}</TableCell>
+                  <TableCell align="right">{timesheet.totals.workedHours}</TableCell>
+                  <TableCell align="right">{timesheet.totals.regularHours}</TableCell>
+                  <TableCell align="right">{timesheet.totals.overtimeHours} ({timesheet.totals.approvedOvertimeHours})</TableCell>
+                  <TableCell align="right">{timesheet.totals.weightedOvertimeHours}</TableCell>
+                  <TableCell align="right">{timesheet.totals.payableHours}</TableCell>
+                </TableRow>
+              ))}
+              {timesheets.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={10}>
+                    <Typography color="text.secondary">No employees in this period</Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Dialog open={locking} onClose={() => setLocking(false)} fullWidth maxWidth="sm">
+        <DialogTitle>Approve and lock timesheets</DialogTitle>
+        <DialogContent>
+          <Typography color="text.secondary" gutterBottom>
+            Timesheets are stored as they are now. Punches, corrections, leave and overtime in this period can no longer be approved until a super admin reopens it.
+          </Typography>
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Note"
+            placeholder="e.g. September payroll"
+            value={lockNote}
+            onChange={(e) => setLockNote(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setLocking(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            disabled={!period || lockMutation.isLoading}
+            onClick={() => period && lockMutation.mutate(period)}
+          >
+            Lock
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={reopening} onClose={() => setReopening(false)} fullWidth maxWidth="sm">
+        <DialogTitle>Reopen timesheets</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Reason"
+            value={reopenReason}
+            onChange={(e) => setReopenReason(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReopening(false)}>Cancel</Button>
+          <Button
+            color="warning"
+            variant="contained"
+            disabled={!period || !reopenReason.trim() || reopenMutation.isLoading}
+            onClick={() => period && reopenMutation.mutate(period)}
+          >
+            Reopen
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default TimesheetsPage;
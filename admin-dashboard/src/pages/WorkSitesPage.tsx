@@ -0,0 +1,368 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  Button,
+  TextField,
+  MenuItem,
+  Alert,
+  Switch,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import { Add, GroupAdd } from '@mui/icons-material';
+import toast from 'react-hot-toast';
+
+import { adminAPI } from '../services/api';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+interface WorkSiteAssignment {
+  id: string;
+  userId: string | null;
+  employeeName?: string;
+  employeeId?: string;
+  department: string | null;
+}
+
+interface WorkSite {
+  id: string;
+  name: string;
+  address: string | null;
+  geofenceType: 'circle' | 'polygon';
+  latitude: number | null;
+  longitude: number | null;
+  radius: number | null;
+  polygon: { latitude: number; longitude: number }[] | null;
+  timezone: string | null;
+  isActive: boolean;
+  assignments: WorkSiteAssignment[];
+}
+
+const emptySite = {
+  name: '',
+  address: '',
+  timezone: '',
+  geofenceType: 'circle' as 'circle' | 'polygon',
+  latitude: '',
+  longitude: '',
+  radius: '100',
+  polygon: '',
+};
+
+// One "latitude, longitude" pair per line, in boundary order
+const parsePolygon = (text: string) =>
+  text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [latitude, longitude] = line.split(',').map((value) => parseFloat(value));
+      return { latitude, longitude };
+    });
+
+const splitList = (text: string) =>
+  text
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+const describeGeofence = (site: WorkSite) =>
+  site.geofenceType === 'circle'
+    ? `Circle, ${site.radius}m around ${site.latitude?.toFixed(5)}, ${site.longitude?.toFixed(5)}`
+    : `Polygon, ${site.polygon?.length || 0} vertices`;
+
+const WorkSitesPage: React.FC = () => {
+  const queryClient = useQueryClient();
+  const [creating, setCreating] = useState(false);
+  const [form, setForm] = useState(emptySite);
+  const [assigning, setAssigning] = useState<WorkSite | null>(null);
+  const [assignDepartments, setAssignDepartments] = useState('');
+  const [assignUserIds, setAssignUserIds] = useState('');
+
+  const { data, isLoading, error } = useQuery(['work-sites'], () => adminAPI.getWorkSites());
+
+  const onError = (fallback: string) => (err: any) => {
+    toast.error(err.response?.data?.message || fallback);
+  };
+
+  const createMutation = useMutation(
+    () =>
+      adminAPI.createWorkSite(
+        form.geofenceType === 'circle'
+          ? {
+              name: form.name,
+              address: form.address || null,
+              timezone: form.timezone || null,
+              geofenceType: 'circle',
+              latitude: parseFloat(form.latitude),
+              longitude: parseFloat(form.longitude),
+              radius: parseInt(form.radius, 10),
+            }
+          : {
+              name: form.name,
+              address: form.address || null,
+              timezone: form.timezone || null,
+              geofenceType: 'polygon',
+              polygon: parsePolygon(form.polygon),
+            }
+      ),
+    {
+      onSuccess: () => {
+        toast.success('Work site created');
+        setCreating(false);
+        setForm(emptySite);
+        queryClient.invalidateQueries(['work-sites']);
+      },
+      onError: onError('Failed to create work site'),
+    }
+  );
+
+  const toggleMutation = useMutation(
+    (site: WorkSite) => adminAPI.updateWorkSite(site.id, { isActive: !site.isActive }),
+    {
+      onSuccess: () => queryClient.invalidateQueries(['work-sites']),
+      onError: onError('Failed to update work site'),
+    }
+  );
+
+  const assignMutation = useMutation(
+    () =>
+      adminAPI.assignWorkSite((assigning as WorkSite).id, {
+        departments: splitList(assignDepartments),
+        userIds: splitList(assignUserIds),
+      }),
+    {
+      onSuccess: (result) => {
+        toast.success(result.message);
+        setAssigning(null);
+        setAssignDepartments('');
+        setAssignUserIds('');
+        queryClient.invalidateQueries(['work-sites']);
+      },
+      onError: onError('Failed to assign work site'),
+    }
+  );
+
+  const unassignMutation = useMutation(
+    ({ siteId, assignmentId }: { siteId: string; assignmentId: string }) =>
+      adminAPI.removeWorkSiteAssignment(siteId, assignmentId),
+    {
+      onSuccess: () => queryClient.invalidateQueries(['work-sites']),
+      onError: onError('Failed to remove assignment'),
+    }
+  );
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return <Alert severity="error">Failed to load work sites</Alert>;
+  }
+
+  const sites: WorkSite[] = data?.data?.sites || [];
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h4">Work Sites</Typography>
+        <Button variant="contained" startIcon={<Add />} onClick={() => setCreating(true)}>
+          Add site
+        </Button>
+      </Box>
+
+      <Card>
+        <CardContent>
+          <Typography color="text.secondary" mb={2}>
+            Punches are checked against every active site assigned to the employee or their department.
+            Employees without an assigned site fall back to the location on their work schedule.
+          </Typography>
+
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Geofence</TableCell>
+                <TableCell>Assigned to</TableCell>
+                <TableCell>Active</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {sites.map((site) => (
+                <TableRow key={site.id}>
+                  <TableCell>
+                    <Typography>{site.name}</Typography>
+                    {site.address && (
+                      <Typography variant="body2" color="text.secondary">
+                        {site.address}
+                      </Typography>
+                    )}
+                    {site.timezone && (
+                      <Typography variant="body2" color="text.secondary">
+                        {site.timezone}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{describeGeofence(site)}</TableCell>
+                  <TableCell>
+                    {site.assignments.length === 0 && <Typography color="text.secondary">Nobody</Typography>}
+                    {site.assignments.map((assignment) => (
+                      <Chip
+                        key={assignment.id}
+                        size="small"
+                        sx={{ mr: 0.5, mb: 0.5 }}
+                        label={assignment.department ? `Dept: ${assignment.department}` : assignment.employeeName || assignment.userId}
+                        onDelete={() => unassignMutation.mutate({ siteId: site.id, assignmentId: assignment.id })}
+                      />
+                    ))}
+                  </TableCell>
+                  <TableCell>
+                    <Switch
+                      checked={site.isActive}
+                      disabled={toggleMutation.isLoading}
+                      onChange={() => toggleMutation.mutate(site)}
+                    />
+                  </TableCell>
+                  <TableCell align="right">
+                    <Button size="small" startIcon={<GroupAdd />} onClick={() => setAssigning(site)}>
+                      Assign
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Dialog open={creating} onClose={() => setCreating(false)} fullWidth maxWidth="sm">
+        <DialogTitle>Add work site</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+          />
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Address"
+            value={form.address}
+            onChange={(e) => setForm({ ...form, address: e.target.value })}
+          />
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Timezone"
+            placeholder="e.g. Asia/Kolkata"
+            helperText="Used for employees at this site who have no timezone of their own"
+            value={form.timezone}
+            onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+          />
+          <TextField
+            select
+            fullWidth
+            margin="dense"
+            label="Geofence"
+            value={form.geofenceType}
+            onChange={(e) => setForm({ ...form, geofenceType: e.target.value as 'circle' | 'polygon' })}
+          >
+            <MenuItem value="circle">Circle</MenuItem>
+            <MenuItem value="polygon">Polygon</MenuItem>
+          </TextField>
+          {form.geofenceType === 'circle' ? (
+            <Box display="flex" gap={1}>
+              <TextField
+                margin="dense"
+                label="Latitude"
+                value={form.latitude}
+                onChange={(e) => setForm({ ...form, latitude: e.target.value })}
+              />
+              <TextField
+                margin="dense"
+                label="Longitude"
+                value={form.longitude}
+                onChange={(e) => setForm({ ...form, longitude: e.target.value })}
+              />
+              <TextField
+                margin="dense"
+                label="Radius (m)"
+                value={form.radius}
+                onChange={(e) => setForm({ ...form, radius: e.target.value })}
+              />
+            </Box>
+          ) : (
+            <TextField
+              fullWidth
+              multiline
+              minRows={4}
+              margin="dense"
+              label="Boundary"
+              helperText='One "latitude, longitude" per line, in order around the site'
+              value={form.polygon}
+              onChange={(e) => setForm({ ...form, polygon: e.target.value })}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCreating(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            disabled={!form.name.trim() || createMutation.isLoading}
+            onClick={() => createMutation.mutate()}
+          >
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(assigning)} onClose={() => setAssigning(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Assign {assigning?.name}</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Departments"
+            helperText="Comma-separated department names"
+            value={assignDepartments}
+            onChange={(e) => setAssignDepartments(e.target.value)}
+          />
+          <TextField
+            fullWidth
+            margin="dense"
+            label="User IDs"
+            helperText="Comma-separated user IDs"
+            value={assignUserIds}
+            onChange={(e) => setAssignUserIds(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAssigning(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            disabled={(!assignDepartments.trim() && !assignUserIds.trim()) || assignMutation.isLoading}
+            onClick={() => assignMutation.mutate()}
+          >
+            Assign
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default WorkSitesPage;
@@ -25,6 +25,212 @@ export const adminAPI = {
 	getUsers(params?: any) {
 		return api.get('/users', { params }).then((r) => r.data);
 	},
+	getEnrollmentReviews(params?: any) {
+		return api.get('/face-recognition/enrollment-reviews', { params }).then((r) => r.data);
+	},
+	getEnrollmentReviewImage(sessionId: string) {
+		return api.get(`/face-recognition/enrollment-reviews/${sessionId}/image`, { responseType: 'blob' }).then((r) => r.data as Blob);
+	},
+	approveEnrollment(sessionId: string, notes?: string) {
+		return api.put(`/face-recognition/enrollment-reviews/${sessionId}/approve`, { notes }).then((r) => r.data);
+	},
+	rejectEnrollment(sessionId: string, reason: string) {
+		return api.put(`/face-recognition/enrollment-reviews/${sessionId}/reject`, { reason }).then((r) => r.data);
+	},
+	getFaceTemplateHistory(userId: string) {
+		return api.get(`/face-recognition/templates/${userId}/history`).then((r) => r.data);
+	},
+	rollbackFaceTemplates(userId: string, templateId?: string | null) {
+		return api.post(`/face-recognition/templates/${userId}/rollback`, { templateId }).then((r) => r.data);
+	},
+	getWorkSites() {
+		return api.get('/admin/work-sites').then((r) => r.data);
+	},
+	createWorkSite(site: any) {
+		return api.post('/admin/work-sites', site).then((r) => r.data);
+	},
+	updateWorkSite(id: string, changes: any) {
+		return api.put(`/admin/work-sites/${id}`, changes).then((r) => r.data);
+	},
+	assignWorkSite(id: string, targets: { userIds?: string[]; departments?: string[] }) {
+		return api.post(`/admin/work-sites/${id}/assignments`, targets).then((r) => r.data);
+	},
+	removeWorkSiteAssignment(id: string, assignmentId: string) {
+		return api.delete(`/admin/work-sites/${id}/assignments/${assignmentId}`).then((r) => r.data);
+	},
+	getWorkSchedules(params?: { userId?: string; department?: string; status?: string }) {
+		return api.get('/admin/work-schedules', { params }).then((r) => r.data);
+	},
+	getWorkSchedule(id: string) {
+		return api.get(`/admin/work-schedules/${id}`).then((r) => r.data);
+	},
+	createWorkSchedule(schedule: any) {
+		return api.post('/admin/work-schedules', schedule).then((r) => r.data);
+	},
+	updateWorkSchedule(id: string, changes: any) {
+		return api.put(`/admin/work-schedules/${id}`, changes).then((r) => r.data);
+	},
+	deactivateWorkSchedule(id: string, effectiveTo?: string) {
+		return api.post(`/admin/work-schedules/${id}/deactivate`, { effectiveTo }).then((r) => r.data);
+	},
+	deleteWorkSchedule(id: string) {
+		return api.delete(`/admin/work-schedules/${id}`).then((r) => r.data);
+	},
+	getHolidayCalendars() {
+		return api.get('/admin/holiday-calendars').then((r) => r.data);
+	},
+	createHolidayCalendar(calendar: { name: string; description?: string; isDefault?: boolean; optionalHolidayAllowance?: number }) {
+		return api.post('/admin/holiday-calendars', calendar).then((r) => r.data);
+	},
+	updateHolidayCalendar(id: string, changes: any) {
+		return api.put(`/admin/holiday-calendars/${id}`, changes).then((r) => r.data);
+	},
+	getHolidays(calendarId: string, year?: number) {
+		return api.get(`/admin/holiday-calendars/${calendarId}/holidays`, { params: { year } }).then((r) => r.data);
+	},
+	createHoliday(calendarId: string, holiday: { date: string; name: string; type?: 'public' | 'company' | 'optional' }) {
+		return api.post(`/admin/holiday-calendars/${calendarId}/holidays`, holiday).then((r) => r.data);
+	},
+	updateHoliday(calendarId: string, holidayId: string, changes: any) {
+		return api.put(`/admin/holiday-calendars/${calendarId}/holidays/${holidayId}`, changes).then((r) => r.data);
+	},
+	deleteHoliday(calendarId: string, holidayId: string) {
+		return api.delete(`/admin/holiday-calendars/${calendarId}/holidays/${holidayId}`).then((r) => r.data);
+	},
+	importHolidays(calendarId: string, file: File, type?: 'public' | 'company' | 'optional') {
+		const form = new FormData();
+		form.append('file', file);
+		if (type) form.append('type', type);
+		return api.post(`/admin/holiday-calendars/${calendarId}/import`, form).then((r) => r.data);
+	},
+	assignHolidayCalendar(id: string, targets: { workSiteIds?: string[]; departments?: string[] }) {
+		return api.post(`/admin/holiday-calendars/${id}/assignments`, targets).then((r) => r.data);
+	},
+	removeHolidayCalendarAssignment(id: string, assignmentId: string) {
+		return api.delete(`/admin/holiday-calendars/${id}/assignments/${assignmentId}`).then((r) => r.data);
+	},
+	getLeaveTypes() {
+		return api.get('/admin/leave-types').then((r) => r.data);
+	},
+	createLeaveType(leaveType: any) {
+		return api.post('/admin/leave-types', leaveType).then((r) => r.data);
+	},
+	updateLeaveType(id: string, changes: any) {
+		return api.put(`/admin/leave-types/${id}`, changes).then((r) => r.data);
+	},
+	adjustLeaveBalance(adjustment: { userId: string; leaveTypeId: string; days: number; note: string }) {
+		return api.post('/admin/leave-balances/adjustments', adjustment).then((r) => r.data);
+	},
+	getLeaveBalances(userId: string) {
+		return api.get('/leave/balances', { params: { userId } }).then((r) => r.data);
+	},
+	getLeaveRequests(params?: { scope?: 'mine' | 'team' | 'all'; status?: string; userId?: string; startDate?: string; endDate?: string }) {
+		return api.get('/leave/requests', { params }).then((r) => r.data);
+	},
+	approveLeaveRequest(id: string, note?: string) {
+		return api.post(`/leave/requests/${id}/approve`, { note }).then((r) => r.data);
+	},
+	rejectLeaveRequest(id: string, note?: string) {
+		return api.post(`/leave/requests/${id}/reject`, { note }).then((r) => r.data);
+	},
+	cancelLeaveRequest(id: string, note?: string) {
+		return api.post(`/leave/requests/${id}/cancel`, { note }).then((r) => r.data);
+	},
+	getRegularizations(params?: { scope?: 'mine' | 'team' | 'all'; status?: string; userId?: string; startDate?: string; endDate?: string }) {
+		return api.get('/regularizations', { params }).then((r) => r.data);
+	},
+	getRegularization(id: string) {
+		return api.get(`/regularizations/${id}`).then((r) => r.data);
+	},
+	approveRegularization(id: string, note?: string) {
+		return api.post(`/regularizations/${id}/approve`, { note }).then((r) => r.data);
+	},
+	rejectRegularization(id: string, note?: string) {
+		return api.post(`/regularizations/${id}/reject`, { note }).then((r) => r.data);
+	},
+	getOpenSessionPolicies() {
+		return api.get('/admin/open-session-policies').then((r) => r.data);
+	},
+	updateOpenSessionPolicy(department: string | null, policy: { action?: 'auto_check_out' | 'flag_incomplete' | 'notify' | null; graceMinutes?: number | null }) {
+		const path = department ? `/admin/open-session-policies/departments/${encodeURIComponent(department)}` : '/admin/open-session-policies/global';
+		return api.put(path, policy).then((r) => r.data);
+	},
+	removeOpenSessionPolicy(department: string) {
+		return api.delete(`/admin/open-session-policies/departments/${encodeURIComponent(department)}`).then((r) => r.data);
+	},
+	getOpenSessions(params?: { startDate?: string; endDate?: string; department?: string; action?: string; unresolved?: boolean; page?: number; limit?: number }) {
+		return api.get('/admin/open-sessions', { params }).then((r) => r.data);
+	},
+	getOvertimeRules() {
+		return api.get('/admin/overtime-rules').then((r) => r.data);
+	},
+	updateOvertimeRule(department: string | null, rule: any) {
+		const path = department ? `/admin/overtime-rules/departments/${encodeURIComponent(department)}` : '/admin/overtime-rules/global';
+		return api.put(path, rule).then((r) => r.data);
+	},
+	removeOvertimeRule(department: string) {
+		return api.delete(`/admin/overtime-rules/departments/${encodeURIComponent(department)}`).then((r) => r.data);
+	},
+	getOvertimeAnalytics(params?: { startDate?: string; endDate?: string; department?: string; userId?: string }) {
+		return api.get('/analytics/overtime', { params }).then((r) => r.data);
+	},
+	getOvertimeSummary(params?: { userId?: string; startDate?: string; endDate?: string }) {
+		return api.get('/overtime/summary', { params }).then((r) => r.data);
+	},
+	getOvertimeRequests(params?: { scope?: 'mine' | 'team' | 'all'; status?: string; userId?: string; startDate?: string; endDate?: string }) {
+		return api.get('/overtime/requests', { params }).then((r) => r.data);
+	},
+	approveOvertimeRequest(id: string, hours?: number, note?: string) {
+		return api.post(`/overtime/requests/${id}/approve`, { hours, note }).then((r) => r.data);
+	},
+	rejectOvertimeRequest(id: string, note?: string) {
+		return api.post(`/overtime/requests/${id}/reject`, { note }).then((r) => r.data);
+	},
+	getTimesheets(params: { frequency: 'weekly' | 'biweekly' | 'monthly'; date?: string; department?: string; userId?: string }) {
+		return api.get('/timesheets', { params }).then((r) => r.data);
+	},
+	exportTimesheets(params: { frequency: 'weekly' | 'biweekly' | 'monthly'; date?: string; department?: string; format: 'csv' | 'xlsx' | 'json'; layout?: 'summary' | 'daily' }) {
+		return api.get('/timesheets/export', { params, responseType: 'blob' }).then((r) => {
+			const match = /filename="([^"]+)"/.exec(r.headers['content-disposition'] || '');
+			return { blob: r.data as Blob, fileName: match ? match[1] : `timesheets.${params.format}` };
+		});
+	},
+	getTimesheetPeriods(params?: { frequency?: string; status?: 'open' | 'locked' }) {
+		return api.get('/timesheets/periods', { params }).then((r) => r.data);
+	},
+	lockTimesheetPeriod(frequency: 'weekly' | 'biweekly' | 'monthly', startDate: string, note?: string) {
+		return api.post('/timesheets/periods/lock', { frequency, startDate, note }).then((r) => r.data);
+	},
+	reopenTimesheetPeriod(id: string, reason: string) {
+		return api.post(`/timesheets/periods/${id}/reopen`, { reason }).then((r) => r.data);
+	},
+	getShiftTemplates() {
+		return api.get('/admin/shift-templates').then((r) => r.data);
+	},
+	createShiftTemplate(template: any) {
+		return api.post('/admin/shift-templates', template).then((r) => r.data);
+	},
+	updateShiftTemplate(id: string, changes: any) {
+		return api.put(`/admin/shift-templates/${id}`, changes).then((r) => r.data);
+	},
+	getRosters() {
+		return api.get('/admin/rosters').then((r) => r.data);
+	},
+	createRoster(roster: { name: string; pattern: (string | null)[]; anchorDate: string }) {
+		return api.post('/admin/rosters', roster).then((r) => r.data);
+	},
+	updateRoster(id: string, changes: any) {
+		return api.put(`/admin/rosters/${id}`, changes).then((r) => r.data);
+	},
+	assignRoster(id: string, assignment: { userIds?: string[]; departments?: string[]; effectiveFrom: string; effectiveTo?: string | null; offsetDays?: number }) {
+		return api.post(`/admin/rosters/${id}/assignments`, assignment).then((r) => r.data);
+	},
+	removeRosterAssignment(id: string, assignmentId: string) {
+		return api.delete(`/admin/rosters/${id}/assignments/${assignmentId}`).then((r) => r.data);
+	},
+	getRosterCalendar(params: { startDate: string; endDate: string; department?: string; userId?: string }) {
+		return api.get('/admin/roster-calendar', { params }).then((r) => r.data);
+	},
 };
 
 export const userAPI = {
@@ -0,0 +1,113 @@
+/**
+ * Generates the deterministic face model set in models/test.
+ *
+ * The detector always reports one centred face with reference landmarks and the
+ * embedder projects a pooled 7x7 thumbnail through fixed pseudo-random weights, so
+ * identical images always produce identical embeddings. These models are only meant
+ * for running the check-in flow offline; they do not recognise real faces.
+ *
+ * Usage: node scripts/generate-test-models.js [outputDir]
+ */
+const fs = require('fs');
+const path = require('path');
+const tf = require('@tensorflow/tfjs-node');
+
+const OUTPUT_DIR = path.resolve(process.argv[2] || path.join(__dirname, '../models/test'));
+
+const DETECTOR_INPUT_SIZE = 64;
+const EMBEDDER_INPUT_SIZE = 112;
+const EMBEDDING_SIZE = 128;
+const POOL_SIZE = 16; // 112px input pooled down to a 7x7 grid
+
+// Centred face box, full confidence and the reference landmarks of a 112x112 crop
+const DETECTOR_OUTPUT = [
+  0.25, 0.2, 0.75, 0.8, 0.99,
+  0.4, 0.42, 0.6, 0.42, 0.5, 0.54, 0.42, 0.66, 0.58, 0.66
+];
+
+// Park-Miller generator so regenerated weights are byte-identical
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+function buildDetector() {
+  const model = tf.sequential({ name: 'test_face_detector' });
+  model.add(tf.layers.globalAveragePooling2d({ inputShape: [DETECTOR_INPUT_SIZE, DETECTOR_INPUT_SIZE, 3] }));
+  model.add(tf.layers.dense({ units: DETECTOR_OUTPUT.length }));
+  model.add(tf.layers.reshape({ targetShape: [1, DETECTOR_OUTPUT.length] }));
+
+  // Zero kernel: the output is the bias regardless of the image
+  model.layers[1].setWeights([
+    tf.zeros([3, DETECTOR_OUTPUT.length]),
+    tf.tensor1d(DETECTOR_OUTPUT)
+  ]);
+
+  return model;
+}
+
+function buildEmbedder() {
+  const model = tf.sequential({ name: 'test_face_embedder' });
+  model.add(tf.layers.averagePooling2d({
+    inputShape: [EMBEDDER_INPUT_SIZE, EMBEDDER_INPUT_SIZE, 3],
+    poolSize: POOL_SIZE,
+    strides: POOL_SIZE
+  }));
+  model.add(tf.layers.flatten());
+  model.add(tf.layers.dense({ units: EMBEDDING_SIZE, useBias: false }));
+
+  const inputUnits = model.layers[2].getWeights()[0].shape[0];
+  const random = seededRandom(42);
+  const kernel = new Float32Array(inputUnits * EMBEDDING_SIZE).map(() => random() * 2 - 1);
+  model.layers[2].setWeights([tf.tensor2d(kernel, [inputUnits, EMBEDDING_SIZE])]);
+
+  return model;
+}
+
+async function saveModel(model, directory) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  await model.save(tf.io.withSaveHandler(async (artifacts) => {
+    fs.writeFileSync(path.join(directory, 'weights.bin'), Buffer.from(artifacts.weightData));
+    fs.writeFileSync(path.join(directory, 'model.json'), JSON.stringify({
+      format: 'layers-model',
+      generatedBy: artifacts.generatedBy,
+      convertedBy: null,
+      modelTopology: artifacts.modelTopology,
+      weightsManifest: [{ paths: ['weights.bin'], weights: artifacts.weightSpecs }]
+    }, null, 2));
+
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+  }));
+}
+
+async function main() {
+  await saveModel(buildDetector(), path.join(OUTPUT_DIR, 'detector'));
+  await saveModel(buildEmbedder(), path.join(OUTPUT_DIR, 'embedder'));
+
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'models.json'), JSON.stringify({
+    version: 'test-1',
+    detector: {
+      path: 'detector/model.json',
+      inputSize: DETECTOR_INPUT_SIZE,
+      scoreThreshold: 0.5,
+      iouThreshold: 0.3,
+      maxFaces: 1
+    },
+    embedder: {
+      path: 'embedder/model.json',
+      inputSize: EMBEDDER_INPUT_SIZE,
+      embeddingSize: EMBEDDING_SIZE
+    }
+  }, null, 2));
+
+  console.log(`Test face models written to ${OUTPUT_DIR}`);
+}
+
+main().catch((error) => {
+  console.error('Failed to generate test models:', error);
+  process.exit(1);
+});
@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const db = require('../config/database');
 const logger = require('../utils/logger');
 
 const authenticateToken = async (req, res, next) => {
@@ -48,6 +50,58 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Shared kiosk tablets authenticate as a device, not as an employee.
+// Header format: X-Kiosk-Key: <kioskId>.<secret>
+const authenticateKiosk = async (req, res, next) => {
+  try {
+    const kioskKey = req.headers['x-kiosk-key'];
+    const separatorIndex = kioskKey ? kioskKey.indexOf('.') : -1;
+
+    if (separatorIndex === -1) {
+      return res.status(401).json({
+        success: false,
+        message: 'Kiosk credential required'
+      });
+    }
+
+    const kioskId = kioskKey.slice(0, separatorIndex);
+    const secretHash = hashKioskSecret(kioskKey.slice(separatorIndex + 1));
+
+    const kiosk = /^[0-9a-f-]{36}$/i.test(kioskId)
+      ? await db('kiosk_devices').where('id', kioskId).where('is_active', true).first()
+      : null;
+
+    if (!kiosk || !crypto.timingSafeEqual(Buffer.from(kiosk.secret_hash, 'hex'), Buffer.from(secretHash, 'hex'))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid kiosk credential'
+      });
+    }
+
+    await db('kiosk_devices').where('id', kiosk.id).update({ last_seen_at: new Date() });
+
+    req.kiosk = {
+      id: kiosk.id,
+      name: kiosk.name,
+      locationName: kiosk.location_name,
+      latitude: kiosk.latitude != null ? parseFloat(kiosk.latitude) : null,
+      longitude: kiosk.longitude != null ? parseFloat(kiosk.longitude) : null
+    };
+
+    next();
+  } catch (error) {
+    logger.error('Kiosk authentication failed:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Kiosk authentication failed'
+    });
+  }
+};
+
+const hashKioskSecret = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
 const requireRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -76,6 +130,8 @@ const requireSuperAdmin = requireRole('super_admin');
 
 module.exports = {
   authenticateToken,
+  authenticateKiosk,
+  hashKioskSecret,
   requireRole,
   requireAdmin,
   requireSuperAdmin
@@ -0,0 +1,14 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('attendance_records', function(table) {
+    table.string('idempotency_key', 128).nullable(); // Client-generated key for offline sync retries
+    
+    table.unique(['user_id', 'idempotency_key']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('attendance_records', function(table) {
+    table.dropUnique(['user_id', 'idempotency_key']);
+    table.dropColumn('idempotency_key');
+  });
+};
@@ -0,0 +1,19 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('liveness_challenges', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').references('id').inTable('users').onDelete('CASCADE');
+    table.string('nonce', 64).unique().notNullable(); // Single-use value sent back with the frames
+    table.json('steps').notNullable(); // Ordered actions, e.g. ["blink", "turn_left", "smile"]
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('consumed_at').nullable();
+    table.json('result').nullable(); // Verification outcome for auditing
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    
+    table.index(['user_id']);
+    table.index(['expires_at']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('liveness_challenges');
+};
@@ -0,0 +1,25 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('template_reencryption_jobs', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.enum('status', ['running', 'completed', 'failed']).defaultTo('running');
+    table.string('target_key_id', 32).notNullable(); // Key every template is re-encrypted with
+    table.integer('total_templates').defaultTo(0); // Templates not on the target key when the job started
+    table.integer('processed_count').defaultTo(0);
+    table.integer('failed_count').defaultTo(0);
+    table.json('failures').nullable(); // Template ids that could not be decrypted, with the error
+    table.text('error').nullable();
+    table.uuid('started_by').references('id').inTable('users');
+    table.timestamp('started_at').defaultTo(knex.fn.now());
+    table.timestamp('completed_at').nullable();
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+    
+    table.index(['status']);
+  }).then(() => knex.raw(
+    // Only one job may run at a time, across every server instance
+    "CREATE UNIQUE INDEX template_reencryption_jobs_single_running ON template_reencryption_jobs (status) WHERE status = 'running'"
+  ));
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('template_reencryption_jobs');
+};
@@ -0,0 +1,22 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('kiosk_devices', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('name').notNullable();
+    table.string('secret_hash', 64).notNullable(); // SHA-256 of the device secret, shown once at registration
+    table.string('location_name').nullable();
+    table.decimal('latitude', 10, 8).nullable(); // Fixed position recorded on every punch
+    table.decimal('longitude', 11, 8).nullable();
+    table.boolean('is_active').defaultTo(true);
+    table.uuid('created_by').references('id').inTable('users');
+    table.timestamp('last_seen_at').nullable();
+    table.timestamp('deactivated_at').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+    
+    table.index(['is_active']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('kiosk_devices');
+};
@@ -0,0 +1,22 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('enrollment_sessions', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').references('id').inTable('users').onDelete('CASCADE'); // Person being enrolled
+    table.uuid('created_by').references('id').inTable('users');
+    table.enum('status', ['open', 'completed', 'cancelled']).defaultTo('open');
+    table.json('required_poses').notNullable(); // e.g. ["frontal", "left", "right"]
+    table.json('captures').notNullable(); // Scored captures; accepted ones carry encrypted features
+    table.json('result').nullable(); // Templates created on completion
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('completed_at').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+    
+    table.index(['user_id']);
+    table.index(['status']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('enrollment_sessions');
+};
@@ -0,0 +1,36 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('enrollment_sessions', function(table) {
+    table.boolean('requires_review').defaultTo(false); // Self-enrollments wait for an admin
+    table.binary('review_image').nullable(); // Best frontal capture, cleared once reviewed
+    table.string('review_image_type', 32).nullable();
+    table.uuid('reviewed_by').nullable().references('id').inTable('users');
+    table.timestamp('reviewed_at').nullable();
+    table.text('review_notes').nullable();
+    table.timestamp('submitted_at').nullable();
+  }).then(() => knex.raw(`
+    ALTER TABLE enrollment_sessions DROP CONSTRAINT IF EXISTS enrollment_sessions_status_check;
+    ALTER TABLE enrollment_sessions ADD CONSTRAINT enrollment_sessions_status_check
+      CHECK (status IN ('open', 'pending_review', 'completed', 'rejected', 'cancelled'));
+  `)).then(() => knex.schema.alterTable('users', function(table) {
+    table.string('hr_photo_url').nullable(); // Reference photo from HR records, shown during review
+  }));
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('users', function(table) {
+    table.dropColumn('hr_photo_url');
+  }).then(() => knex.raw(`
+    UPDATE enrollment_sessions SET status = 'cancelled' WHERE status IN ('pending_review', 'rejected');
+    ALTER TABLE enrollment_sessions DROP CONSTRAINT IF EXISTS enrollment_sessions_status_check;
+    ALTER TABLE enrollment_sessions ADD CONSTRAINT enrollment_sessions_status_check
+      CHECK (status IN ('open', 'completed', 'cancelled'));
+  `)).then(() => knex.schema.alterTable('enrollment_sessions', function(table) {
+    table.dropColumn('requires_review');
+    table.dropColumn('review_image');
+    table.dropColumn('review_image_type');
+    table.dropColumn('reviewed_by');
+    table.dropColumn('reviewed_at');
+    table.dropColumn('review_notes');
+    table.dropColumn('submitted_at');
+  }));
+};
@@ -0,0 +1,23 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('face_templates', function(table) {
+    table.enum('source', ['enrollment', 'adaptive']).notNullable().defaultTo('enrollment');
+    // Check-in an adaptive template was learned from
+    table.uuid('attendance_record_id').nullable().references('id').inTable('attendance_records').onDelete('SET NULL');
+    // Retired templates are kept for history and rollback but no longer matched against
+    table.timestamp('retired_at').nullable();
+    table.enum('retired_reason', ['evicted', 'rolled_back']).nullable();
+
+    table.index(['user_id', 'source', 'retired_at']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex('face_templates').whereNotNull('retired_at').del()
+    .then(() => knex.schema.alterTable('face_templates', function(table) {
+      table.dropIndex(['user_id', 'source', 'retired_at']);
+      table.dropColumn('source');
+      table.dropColumn('attendance_record_id');
+      table.dropColumn('retired_at');
+      table.dropColumn('retired_reason');
+    }));
+};
@@ -0,0 +1,28 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('recognition_settings', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.enum('scope', ['global', 'department', 'user']).notNullable();
+    table.string('department').nullable(); // Set for department scope
+    table.uuid('user_id').nullable().references('id').inTable('users').onDelete('CASCADE'); // Set for user scope
+    // Null inherits the value from the broader scope (user > department > global > built-in default)
+    table.decimal('match_threshold', 4, 3).nullable(); // Minimum cosine similarity to a template
+    table.decimal('liveness_threshold', 4, 3).nullable(); // Minimum passive liveness score
+    table.integer('quality_threshold').nullable(); // Minimum face quality score (0-100) for templates
+    table.uuid('updated_by').nullable().references('id').inTable('users');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+  }).then(() => knex.raw(`
+    ALTER TABLE recognition_settings ADD CONSTRAINT recognition_settings_scope_target_check CHECK (
+      (scope = 'global' AND department IS NULL AND user_id IS NULL) OR
+      (scope = 'department' AND department IS NOT NULL AND user_id IS NULL) OR
+      (scope = 'user' AND user_id IS NOT NULL AND department IS NULL)
+    );
+    CREATE UNIQUE INDEX recognition_settings_global_unique ON recognition_settings (scope) WHERE scope = 'global';
+    CREATE UNIQUE INDEX recognition_settings_department_unique ON recognition_settings (department) WHERE scope = 'department';
+    CREATE UNIQUE INDEX recognition_settings_user_unique ON recognition_settings (user_id) WHERE scope = 'user';
+  `));
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('recognition_settings');
+};
@@ -0,0 +1,54 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('work_sites', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('name').notNullable();
+    table.string('address').nullable();
+    table.enum('geofence_type', ['circle', 'polygon']).notNullable();
+    table.decimal('latitude', 10, 8).nullable(); // Circle centre
+    table.decimal('longitude', 11, 8).nullable();
+    table.integer('radius').nullable(); // Circle radius in meters
+    table.json('polygon').nullable(); // Boundary vertices [{ latitude, longitude }, ...] in order
+    table.boolean('is_active').defaultTo(true);
+    table.uuid('created_by').references('id').inTable('users');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.index(['is_active']);
+  }).then(() => knex.raw(`
+    ALTER TABLE work_sites ADD CONSTRAINT work_sites_geofence_check CHECK (
+      (geofence_type = 'circle' AND latitude IS NOT NULL AND longitude IS NOT NULL AND radius > 0) OR
+      (geofence_type = 'polygon' AND polygon IS NOT NULL)
+    );
+  `)).then(() => knex.schema.createTable('work_site_assignments', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('work_site_id').notNullable().references('id').inTable('work_sites').onDelete('CASCADE');
+    table.uuid('user_id').nullable().references('id').inTable('users').onDelete('CASCADE'); // Set for a single employee
+    table.string('department').nullable(); // Set for everyone in a department
+    table.uuid('created_by').references('id').inTable('users');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['user_id']);
+    table.index(['department']);
+  })).then(() => knex.raw(`
+    ALTER TABLE work_site_assignments ADD CONSTRAINT work_site_assignments_target_check CHECK (
+      (user_id IS NOT NULL AND department IS NULL) OR (user_id IS NULL AND department IS NOT NULL)
+    );
+    CREATE UNIQUE INDEX work_site_assignments_user_unique ON work_site_assignments (work_site_id, user_id) WHERE user_id IS NOT NULL;
+    CREATE UNIQUE INDEX work_site_assignments_department_unique ON work_site_assignments (work_site_id, department) WHERE department IS NOT NULL;
+  `)).then(() => knex.schema.alterTable('attendance_records', function(table) {
+    // Site the punch position was matched to; null when outside every site or none is assigned
+    table.uuid('work_site_id').nullable().references('id').inTable('work_sites').onDelete('SET NULL');
+    table.json('location_check').nullable(); // Geofence decision: distance, accuracy and the site considered
+
+    table.index(['work_site_id']);
+  }));
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('attendance_records', function(table) {
+    table.dropIndex(['work_site_id']);
+    table.dropColumn('work_site_id');
+    table.dropColumn('location_check');
+  }).then(() => knex.schema.dropTable('work_site_assignments'))
+    .then(() => knex.schema.dropTable('work_sites'));
+};
@@ -0,0 +1,15 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('attendance_records', function(table) {
+    // Why a punch was flagged: [{ code, message }], e.g. outside_geofence, mock_location, impossible_travel
+    table.json('flag_reasons').nullable();
+    // Spoofing signals reported by the device and evaluated by the server
+    table.json('location_integrity').nullable();
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('attendance_records', function(table) {
+    table.dropColumn('flag_reasons');
+    table.dropColumn('location_integrity');
+  });
+};
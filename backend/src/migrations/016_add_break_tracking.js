@@ -0,0 +1,27 @@
+exports.up = function(knex) {
+  return knex.raw(`
+    ALTER TABLE attendance_records DROP CONSTRAINT IF EXISTS attendance_records_type_check;
+    ALTER TABLE attendance_records ADD CONSTRAINT attendance_records_type_check
+      CHECK (type IN ('check_in', 'check_out', 'break_start', 'break_end'));
+  `).then(() => knex.schema.alterTable('attendance_records', function(table) {
+    table.string('break_type', 50).nullable(); // e.g. lunch, rest; set on both ends of a break
+  })).then(() => knex.schema.alterTable('work_schedules', function(table) {
+    // [{ type, paid, maxMinutes }]; breaks without a matching policy are unpaid with no limit
+    table.json('break_policies').nullable();
+  }));
+};
+
+exports.down = function(knex) {
+  return knex('attendance_records').whereIn('type', ['break_start', 'break_end']).del()
+    .then(() => knex.raw(`
+      ALTER TABLE attendance_records DROP CONSTRAINT IF EXISTS attendance_records_type_check;
+      ALTER TABLE attendance_records ADD CONSTRAINT attendance_records_type_check
+        CHECK (type IN ('check_in', 'check_out'));
+    `))
+    .then(() => knex.schema.alterTable('attendance_records', function(table) {
+      table.dropColumn('break_type');
+    }))
+    .then(() => knex.schema.alterTable('work_schedules', function(table) {
+      table.dropColumn('break_policies');
+    }));
+};
@@ -0,0 +1,25 @@
+exports.up = function(knex) {
+  // IANA zone names such as Asia/Kolkata; null falls back to the next level up
+  return knex.schema.alterTable('users', function(table) {
+    table.string('timezone', 64).nullable();
+  }).then(() => knex.schema.alterTable('work_sites', function(table) {
+    table.string('timezone', 64).nullable();
+  })).then(() => knex.schema.alterTable('work_schedules', function(table) {
+    table.string('timezone', 64).nullable(); // Zone the shift times are written in
+  })).then(() => knex.schema.alterTable('attendance_records', function(table) {
+    // Employee's zone when the punch was made, so history keeps its local time after a move
+    table.string('timezone', 64).nullable();
+  }));
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('attendance_records', function(table) {
+    table.dropColumn('timezone');
+  }).then(() => knex.schema.alterTable('work_schedules', function(table) {
+    table.dropColumn('timezone');
+  })).then(() => knex.schema.alterTable('work_sites', function(table) {
+    table.dropColumn('timezone');
+  })).then(() => knex.schema.alterTable('users', function(table) {
+    table.dropColumn('timezone');
+  }));
+};
@@ -0,0 +1,55 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('shift_templates', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('name').notNullable().unique(); // e.g. Morning, Night, Weekend
+    table.time('start_time').notNullable();
+    table.time('end_time').notNullable(); // At or before start_time for shifts that run overnight
+    table.string('timezone', 64).nullable(); // Zone the times are written in; null uses the employee's
+    table.json('break_policies').nullable(); // Same shape as work_schedules.break_policies
+    table.uuid('work_site_id').nullable().references('id').inTable('work_sites').onDelete('SET NULL'); // Where the shift is worked
+    table.boolean('is_active').defaultTo(true);
+    table.uuid('created_by').references('id').inTable('users');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.index(['is_active']);
+  }).then(() => knex.schema.createTable('rosters', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('name').notNullable();
+    // One entry per day of the cycle: a shift template id, or null for a day off.
+    // 4-on/4-off is eight entries; a weekly morning/night rotation is fourteen.
+    table.json('pattern').notNullable();
+    table.date('anchor_date').notNullable(); // Date the first pattern entry falls on
+    table.boolean('is_active').defaultTo(true);
+    table.uuid('created_by').references('id').inTable('users');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.index(['is_active']);
+  })).then(() => knex.schema.createTable('roster_assignments', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('roster_id').notNullable().references('id').inTable('rosters').onDelete('CASCADE');
+    table.uuid('user_id').nullable().references('id').inTable('users').onDelete('CASCADE'); // Set for a single employee
+    table.string('department').nullable(); // Set for everyone in a department
+    table.integer('offset_days').notNullable().defaultTo(0); // Staggers teams sharing one pattern
+    table.date('effective_from').notNullable();
+    table.date('effective_to').nullable();
+    table.uuid('created_by').references('id').inTable('users');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['roster_id']);
+    table.index(['user_id']);
+    table.index(['department']);
+    table.index(['effective_from', 'effective_to']);
+  })).then(() => knex.raw(`
+    ALTER TABLE roster_assignments ADD CONSTRAINT roster_assignments_target_check CHECK (
+      (user_id IS NOT NULL AND department IS NULL) OR (user_id IS NULL AND department IS NOT NULL)
+    );
+  `));
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('roster_assignments')
+    .then(() => knex.schema.dropTable('rosters'))
+    .then(() => knex.schema.dropTable('shift_templates'));
+};
@@ -0,0 +1,20 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('work_schedules', function(table) {
+    // Versions of one schedule share a series; a change ends the current version and starts the next,
+    // so punches keep being read against the version that was in force when they were made
+    table.uuid('series_id').nullable();
+    table.integer('version').notNullable().defaultTo(1);
+    table.uuid('created_by').nullable().references('id').inTable('users');
+
+    table.index(['series_id']);
+  }).then(() => knex.raw('UPDATE work_schedules SET series_id = id WHERE series_id IS NULL'));
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('work_schedules', function(table) {
+    table.dropIndex(['series_id']);
+    table.dropColumn('series_id');
+    table.dropColumn('version');
+    table.dropColumn('created_by');
+  });
+};
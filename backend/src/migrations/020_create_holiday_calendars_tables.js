@@ -0,0 +1,61 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('holiday_calendars', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('name').notNullable().unique(); // e.g. India 2026, Head office
+    table.text('description').nullable();
+    table.boolean('is_default').defaultTo(false); // Applies to employees no calendar is assigned to
+    table.integer('optional_holiday_allowance').notNullable().defaultTo(0); // Optional holidays an employee may take per year
+    table.boolean('is_active').defaultTo(true);
+    table.uuid('created_by').references('id').inTable('users');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.index(['is_active']);
+  }).then(() => knex.schema.createTable('holidays', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('calendar_id').notNullable().references('id').inTable('holiday_calendars').onDelete('CASCADE');
+    table.date('date').notNullable();
+    table.string('name').notNullable();
+    // public and company holidays are days off for everyone on the calendar;
+    // optional (floating) ones only for employees who choose them
+    table.enum('type', ['public', 'company', 'optional']).notNullable().defaultTo('public');
+    table.string('source_uid').nullable(); // UID of the iCalendar event it was imported from
+    table.uuid('created_by').references('id').inTable('users');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['calendar_id', 'date', 'name']);
+    table.index(['date']);
+  })).then(() => knex.schema.createTable('holiday_calendar_assignments', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('calendar_id').notNullable().references('id').inTable('holiday_calendars').onDelete('CASCADE');
+    table.uuid('work_site_id').nullable().references('id').inTable('work_sites').onDelete('CASCADE'); // Set for everyone at a site
+    table.string('department').nullable(); // Set for everyone in a department
+    table.uuid('created_by').references('id').inTable('users');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['work_site_id']);
+    table.index(['department']);
+  })).then(() => knex.raw(`
+    ALTER TABLE holiday_calendar_assignments ADD CONSTRAINT holiday_calendar_assignments_target_check CHECK (
+      (work_site_id IS NOT NULL AND department IS NULL) OR (work_site_id IS NULL AND department IS NOT NULL)
+    );
+    CREATE UNIQUE INDEX holiday_calendar_assignments_site_unique ON holiday_calendar_assignments (calendar_id, work_site_id) WHERE work_site_id IS NOT NULL;
+    CREATE UNIQUE INDEX holiday_calendar_assignments_department_unique ON holiday_calendar_assignments (calendar_id, department) WHERE department IS NOT NULL;
+  `)).then(() => knex.schema.createTable('optional_holiday_selections', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('holiday_id').notNullable().references('id').inTable('holidays').onDelete('CASCADE');
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.unique(['holiday_id', 'user_id']);
+    table.index(['user_id']);
+  }));
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('optional_holiday_selections')
+    .then(() => knex.schema.dropTable('holiday_calendar_assignments'))
+    .then(() => knex.schema.dropTable('holidays'))
+    .then(() => knex.schema.dropTable('holiday_calendars'));
+};
@@ -0,0 +1,73 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('users', function(table) {
+    // Approves the employee's leave alongside admins
+    table.uuid('manager_id').nullable().references('id').inTable('users').onDelete('SET NULL');
+
+    table.index(['manager_id']);
+  }).then(() => knex.schema.createTable('leave_types', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('code', 50).notNullable().unique(); // e.g. annual, sick, unpaid, comp_off
+    table.string('name').notNullable();
+    table.boolean('is_paid').defaultTo(true);
+    // none: no balance is kept; annual/monthly: accrual_days credited each year/month;
+    // earned: credited by hand, e.g. comp-off for extra days worked
+    table.enum('accrual_method', ['none', 'annual', 'monthly', 'earned']).notNullable().defaultTo('none');
+    table.decimal('accrual_days', 5, 2).notNullable().defaultTo(0);
+    table.decimal('max_balance', 6, 2).nullable(); // Accrual stops at this balance
+    table.decimal('carry_over_days', 6, 2).nullable(); // Balance kept into a new year; null keeps all
+    table.boolean('allow_half_day').defaultTo(true);
+    table.boolean('is_active').defaultTo(true);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+  })).then(() => knex('leave_types').insert([
+    { code: 'annual', name: 'Annual leave', is_paid: true, accrual_method: 'monthly', accrual_days: 1.5, max_balance: 45, carry_over_days: 15 },
+    { code: 'sick', name: 'Sick leave', is_paid: true, accrual_method: 'annual', accrual_days: 12, carry_over_days: 0 },
+    { code: 'unpaid', name: 'Unpaid leave', is_paid: false, accrual_method: 'none' },
+    { code: 'comp_off', name: 'Compensatory off', is_paid: true, accrual_method: 'earned' }
+  ])).then(() => knex.schema.createTable('leave_requests', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('leave_type_id').notNullable().references('id').inTable('leave_types');
+    table.date('start_date').notNullable();
+    table.date('end_date').notNullable();
+    table.enum('half_day', ['first_half', 'second_half']).nullable(); // Single-day requests only
+    table.decimal('days', 5, 2).notNullable(); // Working days covered, less holidays and days off
+    table.text('reason').nullable();
+    table.enum('status', ['pending', 'approved', 'rejected', 'cancelled']).notNullable().defaultTo('pending');
+    table.uuid('requested_by').references('id').inTable('users');
+    table.uuid('decided_by').nullable().references('id').inTable('users');
+    table.timestamp('decided_at').nullable();
+    table.text('decision_note').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.index(['user_id', 'start_date', 'end_date']);
+    table.index(['status']);
+  })).then(() => knex.schema.createTable('leave_ledger', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('leave_type_id').notNullable().references('id').inTable('leave_types').onDelete('CASCADE');
+    table.decimal('days', 6, 2).notNullable(); // Positive credits the balance, negative debits it
+    table.enum('entry_type', ['accrual', 'carry_over_expiry', 'adjustment', 'leave_taken', 'leave_cancelled']).notNullable();
+    table.date('effective_date').notNullable();
+    table.string('period', 7).nullable(); // 2026 or 2026-10 for accruals and expiries, so each is made once
+    table.uuid('leave_request_id').nullable().references('id').inTable('leave_requests').onDelete('SET NULL');
+    table.text('note').nullable();
+    table.uuid('created_by').nullable().references('id').inTable('users');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['user_id', 'leave_type_id']);
+  })).then(() => knex.raw(`
+    CREATE UNIQUE INDEX leave_ledger_period_unique ON leave_ledger (user_id, leave_type_id, entry_type, period) WHERE period IS NOT NULL;
+  `));
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('leave_ledger')
+    .then(() => knex.schema.dropTable('leave_requests'))
+    .then(() => knex.schema.dropTable('leave_types'))
+    .then(() => knex.schema.alterTable('users', function(table) {
+      table.dropIndex(['manager_id']);
+      table.dropColumn('manager_id');
+    }));
+};
@@ -0,0 +1,48 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('attendance_regularizations', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.date('work_date').notNullable(); // Work day being corrected, in the employee's zone
+    table.enum('reason', ['missing_punch', 'wrong_time', 'forgot_phone', 'other']).notNullable();
+    table.text('justification').notNullable();
+    // Punches to record: [{ type, timestamp, breakType, replacesRecordId }]. replacesRecordId
+    // names an existing punch the correction stands in for, e.g. one made at the wrong time.
+    table.json('corrections').notNullable();
+    table.enum('status', ['pending', 'approved', 'rejected', 'cancelled']).notNullable().defaultTo('pending');
+    table.uuid('requested_by').references('id').inTable('users');
+    table.uuid('decided_by').nullable().references('id').inTable('users');
+    table.timestamp('decided_at').nullable();
+    table.text('decision_note').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.index(['user_id', 'work_date']);
+    table.index(['status']);
+  }).then(() => knex.schema.alterTable('attendance_records', function(table) {
+    // Set on punches created by an approved regularization
+    table.uuid('regularization_id').nullable().references('id').inTable('attendance_regularizations').onDelete('SET NULL');
+    // Set on a punch a correction replaced; its own data is left as it was recorded
+    table.uuid('superseded_by').nullable().references('id').inTable('attendance_records').onDelete('SET NULL');
+
+    table.index(['regularization_id']);
+  })).then(() => knex.raw(`
+    ALTER TABLE attendance_records DROP CONSTRAINT IF EXISTS attendance_records_status_check;
+    ALTER TABLE attendance_records ADD CONSTRAINT attendance_records_status_check
+      CHECK (status IN ('pending', 'approved', 'rejected', 'flagged', 'superseded'));
+  `));
+};
+
+exports.down = function(knex) {
+  return knex('attendance_records').where('status', 'superseded').update({ status: 'rejected' })
+    .then(() => knex.raw(`
+      ALTER TABLE attendance_records DROP CONSTRAINT IF EXISTS attendance_records_status_check;
+      ALTER TABLE attendance_records ADD CONSTRAINT attendance_records_status_check
+        CHECK (status IN ('pending', 'approved', 'rejected', 'flagged'));
+    `))
+    .then(() => knex.schema.alterTable('attendance_records', function(table) {
+      table.dropIndex(['regularization_id']);
+      table.dropColumn('regularization_id');
+      table.dropColumn('superseded_by');
+    }))
+    .then(() => knex.schema.dropTable('attendance_regularizations'));
+};
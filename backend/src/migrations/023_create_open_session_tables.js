@@ -0,0 +1,44 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('open_session_policies', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.enum('scope', ['global', 'department']).notNullable();
+    table.string('department').nullable(); // Set for department scope
+    // What happens to a check-in still open once its shift has ended and the grace period passed.
+    // Null inherits from the global policy, then the built-in default.
+    table.enum('action', ['auto_check_out', 'flag_incomplete', 'notify']).nullable();
+    table.integer('grace_minutes').nullable();
+    table.uuid('updated_by').nullable().references('id').inTable('users');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+  }).then(() => knex.raw(`
+    ALTER TABLE open_session_policies ADD CONSTRAINT open_session_policies_scope_target_check CHECK (
+      (scope = 'global' AND department IS NULL) OR (scope = 'department' AND department IS NOT NULL)
+    );
+    CREATE UNIQUE INDEX open_session_policies_global_unique ON open_session_policies (scope) WHERE scope = 'global';
+    CREATE UNIQUE INDEX open_session_policies_department_unique ON open_session_policies (department) WHERE scope = 'department';
+  `)).then(() => knex.schema.createTable('open_session_resolutions', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    // One resolution per check-in, so overlapping job runs handle a session once
+    table.uuid('check_in_record_id').notNullable().unique().references('id').inTable('attendance_records').onDelete('CASCADE');
+    table.date('work_date').notNullable();
+    table.enum('action', ['auto_check_out', 'flag_incomplete', 'notify']).notNullable();
+    table.timestamp('shift_end').nullable(); // Null when the check-in fell on a day off
+    // The system check-out made for auto_check_out
+    table.uuid('check_out_record_id').nullable().references('id').inTable('attendance_records').onDelete('SET NULL');
+    table.string('note').nullable(); // Why a different action was taken than the policy's, if it was
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['user_id', 'work_date']);
+  })).then(() => knex.schema.alterTable('attendance_records', function(table) {
+    // Punches made by the server rather than the employee, e.g. an automatic check-out
+    table.boolean('is_system_generated').notNullable().defaultTo(false);
+  }));
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('attendance_records', function(table) {
+    table.dropColumn('is_system_generated');
+  }).then(() => knex.schema.dropTable('open_session_resolutions'))
+    .then(() => knex.schema.dropTable('open_session_policies'));
+};
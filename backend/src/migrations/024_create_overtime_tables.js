@@ -0,0 +1,47 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('overtime_rules', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.enum('scope', ['global', 'department']).notNullable();
+    table.string('department').nullable(); // Set for department scope; replaces the global rule whole
+    table.decimal('daily_threshold_hours', 4, 2).nullable(); // Hours a work day before overtime; null for no daily limit
+    table.decimal('weekly_threshold_hours', 5, 2).nullable(); // Regular hours a week before overtime; null for no weekly limit
+    table.integer('week_start').notNullable().defaultTo(1); // Day weeks start on, 0 for Sunday
+    table.decimal('overtime_multiplier', 4, 2).notNullable().defaultTo(1.5);
+    // Every hour worked on a day off (usually the weekend) or a holiday is overtime at these rates
+    table.decimal('weekend_multiplier', 4, 2).notNullable().defaultTo(2);
+    table.decimal('holiday_multiplier', 4, 2).notNullable().defaultTo(2);
+    table.boolean('requires_approval').notNullable().defaultTo(false); // Only approved overtime is payable
+    table.integer('min_overtime_minutes').notNullable().defaultTo(0); // Smaller daily overtime is ignored
+    table.uuid('updated_by').nullable().references('id').inTable('users');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+  }).then(() => knex.raw(`
+    ALTER TABLE overtime_rules ADD CONSTRAINT overtime_rules_scope_target_check CHECK (
+      (scope = 'global' AND department IS NULL) OR (scope = 'department' AND department IS NOT NULL)
+    );
+    CREATE UNIQUE INDEX overtime_rules_global_unique ON overtime_rules (scope) WHERE scope = 'global';
+    CREATE UNIQUE INDEX overtime_rules_department_unique ON overtime_rules (department) WHERE scope = 'department';
+  `)).then(() => knex.schema.createTable('overtime_requests', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.date('work_date').notNullable();
+    table.decimal('hours', 4, 2).notNullable(); // Overtime asked for
+    table.decimal('approved_hours', 4, 2).nullable(); // May be less than asked for
+    table.text('reason').notNullable();
+    table.enum('status', ['pending', 'approved', 'rejected', 'cancelled']).notNullable().defaultTo('pending');
+    table.uuid('requested_by').references('id').inTable('users');
+    table.uuid('decided_by').nullable().references('id').inTable('users');
+    table.timestamp('decided_at').nullable();
+    table.text('decision_note').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.index(['user_id', 'work_date']);
+    table.index(['status']);
+  }));
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('overtime_requests')
+    .then(() => knex.schema.dropTable('overtime_rules'));
+};
@@ -0,0 +1,35 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('timesheet_periods', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.enum('frequency', ['weekly', 'biweekly', 'monthly']).notNullable();
+    table.date('start_date').notNullable();
+    table.date('end_date').notNullable();
+    // Locked periods are exported from timesheet_entries, so later punches or settings changes cannot alter them
+    table.enum('status', ['open', 'locked']).notNullable().defaultTo('open');
+    table.uuid('locked_by').nullable().references('id').inTable('users');
+    table.timestamp('locked_at').nullable();
+    table.text('lock_note').nullable();
+    table.uuid('reopened_by').nullable().references('id').inTable('users');
+    table.timestamp('reopened_at').nullable();
+    table.text('reopen_reason').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['frequency', 'start_date']);
+    table.index(['status', 'start_date', 'end_date']);
+  }).then(() => knex.schema.createTable('timesheet_entries', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('period_id').notNullable().references('id').inTable('timesheet_periods').onDelete('CASCADE');
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    // The whole timesheet as computed when the period was locked, employee details included
+    table.json('timesheet').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.unique(['period_id', 'user_id']);
+  }));
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('timesheet_entries')
+    .then(() => knex.schema.dropTable('timesheet_periods'));
+};
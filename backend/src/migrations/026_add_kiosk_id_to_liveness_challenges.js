@@ -0,0 +1,12 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('liveness_challenges', function(table) {
+    // Kiosk challenges are issued before anyone is identified; user_id is filled in when one is consumed
+    table.uuid('kiosk_id').nullable().references('id').inTable('kiosk_devices').onDelete('CASCADE');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('liveness_challenges', function(table) {
+    table.dropColumn('kiosk_id');
+  });
+};
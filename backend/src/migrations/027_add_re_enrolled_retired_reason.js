@@ -0,0 +1,17 @@
+exports.up = function(knex) {
+  // Re-enrolling retires the adaptive templates learned from the old enrollment
+  return knex.raw(`
+    ALTER TABLE face_templates DROP CONSTRAINT IF EXISTS face_templates_retired_reason_check;
+    ALTER TABLE face_templates ADD CONSTRAINT face_templates_retired_reason_check
+      CHECK (retired_reason IN ('evicted', 'rolled_back', 're_enrolled'));
+  `);
+};
+
+exports.down = function(knex) {
+  return knex.raw(`
+    UPDATE face_templates SET retired_reason = 'rolled_back' WHERE retired_reason = 're_enrolled';
+    ALTER TABLE face_templates DROP CONSTRAINT IF EXISTS face_templates_retired_reason_check;
+    ALTER TABLE face_templates ADD CONSTRAINT face_templates_retired_reason_check
+      CHECK (retired_reason IN ('evicted', 'rolled_back'));
+  `);
+};
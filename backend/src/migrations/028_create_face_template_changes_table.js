@@ -0,0 +1,35 @@
+exports.up = function(knex) {
+  // Every server instance keeps its own embedding index; this log tells each of them which
+  // users' templates another instance enrolled, retired, deleted or made primary
+  return knex.schema.createTable('face_template_changes', function(table) {
+    table.bigIncrements('id');
+    table.uuid('user_id').notNullable(); // No foreign key, so deletions of the user are logged too
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['created_at']);
+  }).then(() => knex.raw(`
+    CREATE OR REPLACE FUNCTION record_face_template_change() RETURNS trigger AS $$
+    BEGIN
+      IF TG_OP <> 'INSERT' THEN
+        INSERT INTO face_template_changes (user_id) VALUES (OLD.user_id);
+      END IF;
+      IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.user_id IS DISTINCT FROM OLD.user_id) THEN
+        INSERT INTO face_template_changes (user_id) VALUES (NEW.user_id);
+      END IF;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    -- Re-encryption rewrites face_encoding without changing the embedding, so it is not logged
+    CREATE TRIGGER face_templates_changed
+      AFTER INSERT OR DELETE OR UPDATE OF user_id, is_primary, retired_at ON face_templates
+      FOR EACH ROW EXECUTE FUNCTION record_face_template_change();
+  `));
+};
+
+exports.down = function(knex) {
+  return knex.raw(`
+    DROP TRIGGER IF EXISTS face_templates_changed ON face_templates;
+    DROP FUNCTION IF EXISTS record_face_template_change();
+  `).then(() => knex.schema.dropTable('face_template_changes'));
+};
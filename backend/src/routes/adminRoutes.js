@@ -1,11 +1,26 @@
+const crypto = require('crypto');
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const logger = require('../utils/logger');
-const { authenticateToken, requireAdmin, requireSuperAdmin } = require('../middleware/authMiddleware');
+const timezone = require('../utils/timezone');
+const { parseJsonColumn } = require('../utils/jsonColumn');
+const { authenticateToken, requireAdmin, requireSuperAdmin, hashKioskSecret } = require('../middleware/authMiddleware');
+const templateKeyring = require('../services/templateKeyring');
+const faceEmbeddingIndex = require('../services/faceEmbeddingIndex');
+const templateReencryptionJob = require('../services/templateReencryptionJob');
+const recognitionSettings = require('../services/recognitionSettings');
+const workTimeService = require('../services/workTimeService');
+const leaveService = require('../services/leaveService');
+const openSessionPolicies = require('../services/openSessionPolicies');
+const overtimeService = require('../services/overtimeService');
+const timesheetService = require('../services/timesheetService');
 
 const router = express.Router();
 
+const DUPLICATE_ENROLLMENT_THRESHOLD = parseFloat(process.env.DUPLICATE_ENROLLMENT_THRESHOLD) || 0.85;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard data
 // @access  Private (Admin only)
@@ -27,23 +42,29 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
       .count('* as count')
       .first();
 
-    // Get today's attendance
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-    const todayEnd = new Date();
-    todayEnd.setHours(23, 59, 59, 999);
+    // Get today's attendance, where "today" is each employee's own local date.
+    // Two days back covers every zone's today whatever the server's zone is.
+    // Break punches are excluded so the counts stay comparable with days before breaks were tracked
+    const recentPunches = await db('attendance_records')
+      .join('users', 'attendance_records.user_id', 'users.id')
+      .where('attendance_records.timestamp', '>=', new Date(now.getTime() - 2 * 24 * 60 * 60 * 1000))
+      .where('attendance_records.status', 'approved')
+      .whereIn('attendance_records.type', ['check_in', 'check_out'])
+      .select('attendance_records.timestamp', 'attendance_records.timezone', 'users.timezone as user_timezone');
 
-    const todayAttendance = await db('attendance_records')
-      .whereBetween('timestamp', [todayStart, todayEnd])
-      .where('status', 'approved')
-      .count('* as count')
-      .first();
+    const todayAttendance = {
+      count: recentPunches.filter(record => {
+        const zone = recordTimezone(record);
+        return timezone.formatDate(record.timestamp, zone) === timezone.formatDate(now, zone);
+      }).length
+    };
 
     // Get attendance by department
     const attendanceByDepartment = await db('attendance_records')
       .join('users', 'attendance_records.user_id', 'users.id')
       .whereBetween('attendance_records.timestamp', [startOfMonth, endOfMonth])
       .where('attendance_records.status', 'approved')
+      .whereIn('attendance_records.type', ['check_in', 'check_out'])
       .select('users.department')
       .count('attendance_records.id as count')
       .groupBy('users.department');
@@ -56,7 +77,8 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
         'users.first_name',
         'users.last_name',
         'users.employee_id',
-        'users.department'
+        'users.department',
+        'users.timezone as user_timezone'
       )
       .orderBy('attendance_records.timestamp', 'desc')
       .limit(10);
@@ -70,7 +92,8 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
         'users.first_name',
         'users.last_name',
         'users.employee_id',
-        'users.department'
+        'users.department',
+        'users.timezone as user_timezone'
       )
       .orderBy('attendance_records.timestamp', 'desc')
       .limit(5);
@@ -96,6 +119,8 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
           id: record.id,
           type: record.type,
           timestamp: record.timestamp,
+          localTimestamp: timezone.toLocalISOString(record.timestamp, recordTimezone(record)),
+          timezone: recordTimezone(record),
           employeeName: `${record.first_name} ${record.last_name}`,
           employeeId: record.employee_id,
           department: record.department,
@@ -110,10 +135,13 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
           id: record.id,
           type: record.type,
           timestamp: record.timestamp,
+          localTimestamp: timezone.toLocalISOString(record.timestamp, recordTimezone(record)),
+          timezone: recordTimezone(record),
           employeeName: `${record.first_name} ${record.last_name}`,
           employeeId: record.employee_id,
           department: record.department,
           rejectionReason: record.rejection_reason,
+          flagReasons: parseJsonColumn(record.flag_reasons),
           location: {
             latitude: record.latitude,
             longitude: record.longitude,
@@ -144,24 +172,31 @@ router.get('/attendance', authenticateToken, requireAdmin, async (req, res) => {
       userId, 
       department, 
       status,
-      type 
+      type,
+      workSiteId
     } = req.query;
     
     const offset = (page - 1) * limit;
 
     let query = db('attendance_records')
       .join('users', 'attendance_records.user_id', 'users.id')
+      .leftJoin('work_sites', 'attendance_records.work_site_id', 'work_sites.id')
       .select(
         'attendance_records.*',
         'users.first_name',
         'users.last_name',
         'users.employee_id',
-        'users.department'
+        'users.department',
+        'users.timezone as user_timezone',
+        'work_sites.name as work_site_name',
+        'work_sites.timezone as work_site_timezone'
       );
 
     // Apply filters
+    // Plain dates are whole days in the selected employee's zone, or the default zone for everyone
     if (startDate && endDate) {
-      query = query.whereBetween('attendance_records.timestamp', [startDate, endDate]);
+      const zone = userId ? await workTimeService.getTimezone(userId) : timezone.DEFAULT_TIMEZONE;
+      query = query.whereBetween('attendance_records.timestamp', timezone.localDayRange(startDate, endDate, zone));
     }
 
     if (userId) {
@@ -180,6 +215,10 @@ router.get('/attendance', authenticateToken, requireAdmin, async (req, res) => {
       query = query.where('attendance_records.type', type);
     }
 
+    if (workSiteId) {
+      query = query.where('attendance_records.work_site_id', workSiteId);
+    }
+
     const records = await query
       .orderBy('attendance_records.timestamp', 'desc')
       .limit(limit)
@@ -197,21 +236,32 @@ router.get('/attendance', authenticateToken, requireAdmin, async (req, res) => {
           id: record.id,
           type: record.type,
           timestamp: record.timestamp,
+          localTimestamp: timezone.toLocalISOString(record.timestamp, recordTimezone(record)),
+          timezone: recordTimezone(record),
           employeeName: `${record.first_name} ${record.last_name}`,
           employeeId: record.employee_id,
           department: record.department,
           status: record.status,
           confidenceScore: record.confidence_score,
           livenessPassed: record.liveness_passed,
+          livenessData: record.liveness_data,
           location: {
             latitude: record.latitude,
             longitude: record.longitude,
             address: record.location_address,
             accuracy: record.accuracy
           },
+          breakType: record.break_type,
+          workSite: record.work_site_id ? { id: record.work_site_id, name: record.work_site_name } : null,
+          locationCheck: record.location_check,
+          locationIntegrity: record.location_integrity,
           rejectionReason: record.rejection_reason,
+          flagReasons: parseJsonColumn(record.flag_reasons),
           isOffline: record.is_offline,
           syncedAt: record.synced_at,
+          regularizationId: record.regularization_id,
+          supersededBy: record.superseded_by,
+          systemGenerated: record.is_system_generated,
           createdAt: record.created_at
         })),
         pagination: {
@@ -250,6 +300,24 @@ router.put('/attendance/:id/approve', authenticateToken, requireAdmin, async (re
       });
     }
 
+    // A replaced punch stays as evidence; counting it again would double the corrected time
+    if (record.status === 'superseded') {
+      return res.status(400).json({
+        success: false,
+        message: 'Attendance record has been superseded by a correction'
+      });
+    }
+
+    const lockedPeriod = await timesheetService.getLockedPeriod(
+      timezone.formatDate(record.timestamp, record.timezone || await workTimeService.getTimezone(record.user_id))
+    );
+    if (lockedPeriod) {
+      return res.status(409).json({
+        success: false,
+        message: timesheetService.lockedMessage(lockedPeriod)
+      });
+    }
+
     await db('attendance_records')
       .where('id', id)
       .update({
@@ -317,6 +385,23 @@ router.put('/attendance/:id/reject', authenticateToken, requireAdmin, [
       });
     }
 
+    if (record.status === 'superseded') {
+      return res.status(400).json({
+        success: false,
+        message: 'Attendance record has been superseded by a correction'
+      });
+    }
+
+    const lockedPeriod = await timesheetService.getLockedPeriod(
+      timezone.formatDate(record.timestamp, record.timezone || await workTimeService.getTimezone(record.user_id))
+    );
+    if (lockedPeriod) {
+      return res.status(409).json({
+        success: false,
+        message: timesheetService.lockedMessage(lockedPeriod)
+      });
+    }
+
     await db('attendance_records')
       .where('id', id)
       .update({
@@ -430,15 +515,313 @@ router.get('/audit-logs', authenticateToken, requireSuperAdmin, async (req, res)
   }
 });
 
-// @route   POST /api/admin/work-schedules
-// @desc    Create work schedule
+// @route   GET /api/admin/kiosks
+// @desc    List registered kiosk devices
+// @access  Private (Admin only)
+router.get('/kiosks', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const kiosks = await db('kiosk_devices')
+      .select('id', 'name', 'location_name', 'latitude', 'longitude', 'is_active', 'last_seen_at', 'deactivated_at', 'created_at')
+      .orderBy('created_at', 'desc');
+
+    res.json({
+      success: true,
+      data: { kiosks }
+    });
+  } catch (error) {
+    logger.error('Get kiosks failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get kiosks'
+    });
+  }
+});
+
+// @route   POST /api/admin/kiosks
+// @desc    Register a kiosk device and issue its credential
+// @access  Private (Admin only)
+router.post('/kiosks', authenticateToken, requireAdmin, [
+  body('name').notEmpty().withMessage('Kiosk name is required'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, locationName, latitude, longitude } = req.body;
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    const [kiosk] = await db('kiosk_devices')
+      .insert({
+        name,
+        secret_hash: hashKioskSecret(secret),
+        location_name: locationName,
+        latitude: latitude != null ? parseFloat(latitude) : null,
+        longitude: longitude != null ? parseFloat(longitude) : null,
+        created_by: req.user.id
+      })
+      .returning(['id', 'name', 'location_name', 'latitude', 'longitude', 'is_active', 'created_at']);
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'kiosk_registered',
+      resource_type: 'kiosk_device',
+      resource_id: kiosk.id,
+      new_values: { name, location_name: locationName, latitude, longitude },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Kiosk ${kiosk.id} registered by admin ${req.user.id}`);
+
+    // The secret is only stored hashed, so this is the one chance to copy the credential
+    res.status(201).json({
+      success: true,
+      message: 'Kiosk registered successfully',
+      data: {
+        kiosk,
+        credential: `${kiosk.id}.${secret}`
+      }
+    });
+  } catch (error) {
+    logger.error('Register kiosk failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register kiosk'
+    });
+  }
+});
+
+// @route   PUT /api/admin/kiosks/:id/deactivate
+// @desc    Revoke a kiosk device credential
+// @access  Private (Admin only)
+router.put('/kiosks/:id/deactivate', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const kiosk = await db('kiosk_devices').where('id', id).first();
+    if (!kiosk) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kiosk not found'
+      });
+    }
+
+    await db('kiosk_devices')
+      .where('id', id)
+      .update({
+        is_active: false,
+        deactivated_at: new Date(),
+        updated_at: new Date()
+      });
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'kiosk_deactivated',
+      resource_type: 'kiosk_device',
+      resource_id: id,
+      old_values: { is_active: kiosk.is_active },
+      new_values: { is_active: false },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Kiosk ${id} deactivated by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Kiosk deactivated successfully'
+    });
+  } catch (error) {
+    logger.error('Deactivate kiosk failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate kiosk'
+    });
+  }
+});
+
+const leaveTypeValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Leave type name cannot be empty'),
+  body('isPaid').optional().isBoolean().withMessage('isPaid must be a boolean'),
+  body('accrualMethod').optional().isIn(leaveService.getAccrualMethods()).withMessage(`Accrual method must be one of ${leaveService.getAccrualMethods().join(', ')}`),
+  body('accrualDays').optional().isFloat({ min: 0, max: 366 }).withMessage('Accrual days must be between 0 and 366'),
+  body('maxBalance').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Maximum balance must be a positive number'),
+  body('carryOverDays').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Carry-over days must be a positive number'),
+  body('allowHalfDay').optional().isBoolean().withMessage('allowHalfDay must be a boolean'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// @route   GET /api/admin/leave-types
+// @desc    List leave types, including inactive ones
+// @access  Private (Admin only)
+router.get('/leave-types', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const types = await db('leave_types').select('*').orderBy('name', 'asc');
+
+    res.json({
+      success: true,
+      data: { types: types.map(formatLeaveType) }
+    });
+  } catch (error) {
+    logger.error('Get leave types failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get leave types'
+    });
+  }
+});
+
+// @route   POST /api/admin/leave-types
+// @desc    Create a leave type with its accrual rule
+// @access  Private (Admin only)
+router.post('/leave-types', authenticateToken, requireAdmin, [
+  body('code').matches(/^[a-z][a-z0-9_]{0,49}$/).withMessage('Code must be lowercase letters, digits and underscores'),
+  body('name').trim().notEmpty().withMessage('Leave type name is required'),
+  ...leaveTypeValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await db('leave_types').where('code', req.body.code).first();
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A leave type with this code already exists'
+      });
+    }
+
+    const columns = {
+      code: req.body.code,
+      accrual_method: 'none',
+      ...toLeaveTypeColumns(req.body)
+    };
+
+    const [leaveType] = await db('leave_types').insert(columns).returning('*');
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'leave_type_created',
+      resource_type: 'leave_type',
+      resource_id: leaveType.id,
+      new_values: columns,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Leave type ${leaveType.code} created by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave type created successfully',
+      data: { type: formatLeaveType(leaveType) }
+    });
+  } catch (error) {
+    logger.error('Create leave type failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create leave type'
+    });
+  }
+});
+
+// @route   PUT /api/admin/leave-types/:id
+// @desc    Update a leave type; accrual changes apply to periods not yet credited
+// @access  Private (Admin only)
+router.put('/leave-types/:id', authenticateToken, requireAdmin, leaveTypeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const leaveType = await db('leave_types').where('id', id).first();
+    if (!leaveType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave type not found'
+      });
+    }
+
+    const updates = { ...toLeaveTypeColumns(req.body), updated_at: new Date() };
+
+    const [updatedType] = await db('leave_types')
+      .where('id', id)
+      .update(updates)
+      .returning('*');
+
+    const oldValues = {};
+    const newValues = {};
+    for (const column of Object.keys(updates)) {
+      if (column !== 'updated_at') {
+        oldValues[column] = leaveType[column];
+        newValues[column] = updatedType[column];
+      }
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'leave_type_updated',
+      resource_type: 'leave_type',
+      resource_id: id,
+      old_values: oldValues,
+      new_values: newValues,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Leave type ${leaveType.code} updated by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Leave type updated successfully',
+      data: { type: formatLeaveType(updatedType) }
+    });
+  } catch (error) {
+    logger.error('Update leave type failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update leave type'
+    });
+  }
+});
+
+// @route   POST /api/admin/leave-balances/adjustments
+// @desc    Credit or debit an employee's leave balance, e.g. comp-off earned for a worked holiday
 // @access  Private (Admin only)
-router.post('/work-schedules', authenticateToken, requireAdmin, [
+router.post('/leave-balances/adjustments', authenticateToken, requireAdmin, [
   body('userId').isUUID().withMessage('Valid user ID is required'),
-  body('scheduleName').notEmpty().withMessage('Schedule name is required'),
-  body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid start time is required'),
-  body('endTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid end time is required'),
-  body('workingDays').isArray().withMessage('Working days must be an array')
+  body('leaveTypeId').isUUID().withMessage('Valid leave type ID is required'),
+  body('days').isFloat({ min: -366, max: 366 }).custom(value => parseFloat(value) !== 0 && Number.isInteger(parseFloat(value) * 2))
+    .withMessage('Days must be a non-zero multiple of half a day'),
+  body('note').trim().notEmpty().isLength({ max: 1000 }).withMessage('A note explaining the adjustment is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -450,22 +833,10 @@ router.post('/work-schedules', authenticateToken, requireAdmin, [
       });
     }
 
-    const {
-      userId,
-      scheduleName,
-      startTime,
-      endTime,
-      workingDays,
-      latitude,
-      longitude,
-      locationRadius = 100,
-      locationName,
-      effectiveFrom,
-      effectiveTo
-    } = req.body;
-
-    // Verify user exists
-    const user = await db('users').where('id', userId).first();
+    const { userId, leaveTypeId, note } = req.body;
+    const days = parseFloat(req.body.days);
+
+    const user = await db('users').where('id', userId).select('id').first();
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -473,53 +844,804 @@ router.post('/work-schedules', authenticateToken, requireAdmin, [
       });
     }
 
-    const [schedule] = await db('work_schedules')
-      .insert({
-        user_id: userId,
-        schedule_name: scheduleName,
-        start_time: startTime,
-        end_time: endTime,
-        working_days: JSON.stringify(workingDays),
-        latitude: latitude ? parseFloat(latitude) : null,
-        longitude: longitude ? parseFloat(longitude) : null,
-        location_radius: locationRadius,
-        location_name: locationName,
-        effective_from: effectiveFrom ? new Date(effectiveFrom) : null,
-        effective_to: effectiveTo ? new Date(effectiveTo) : null
-      })
-      .returning('*');
+    const leaveType = await db('leave_types').where('id', leaveTypeId).first();
+    if (!leaveType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave type not found'
+      });
+    }
+    if (!leaveService.keepsBalance(leaveType)) {
+      return res.status(400).json({
+        success: false,
+        message: `${leaveType.name} does not keep a balance`
+      });
+    }
+
+    const balance = await leaveService.getBalance(userId, leaveTypeId);
+    if (balance + days < 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Adjustment would leave a negative balance: ${balance} days available`
+      });
+    }
+
+    const today = timezone.formatDate(new Date(), await workTimeService.getTimezone(userId));
+    await leaveService.addLedgerEntry({
+      userId,
+      leaveTypeId,
+      days,
+      entryType: 'adjustment',
+      effectiveDate: today,
+      note,
+      createdBy: req.user.id
+    });
 
     // Log the action
     await db('audit_logs').insert({
       user_id: req.user.id,
-      action: 'work_schedule_created',
-      resource_type: 'work_schedule',
-      resource_id: schedule.id,
-      new_values: {
-        user_id: userId,
-        schedule_name: scheduleName,
-        start_time: startTime,
-        end_time: endTime
-      },
+      action: 'leave_balance_adjusted',
+      resource_type: 'user',
+      resource_id: userId,
+      old_values: { leave_type: leaveType.code, balance },
+      new_values: { leave_type: leaveType.code, balance: balance + days, days, note },
       ip_address: req.ip,
       user_agent: req.get('User-Agent'),
-      severity: 'low'
+      severity: 'medium'
     });
 
-    logger.info(`Work schedule created for user ${userId} by admin ${req.user.id}`);
+    logger.info(`Leave balance ${leaveType.code} of user ${userId} adjusted by ${days} by admin ${req.user.id}`);
 
     res.status(201).json({
       success: true,
-      message: 'Work schedule created successfully',
-      data: { schedule }
+      message: 'Leave balance adjusted successfully',
+      data: { balances: await leaveService.getBalances(userId) }
+    });
+  } catch (error) {
+    logger.error('Adjust leave balance failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust leave balance'
+    });
+  }
+});
+
+const openSessionPolicyValidators = [
+  body('action').optional({ nullable: true }).isIn(openSessionPolicies.getActions()).withMessage(`Action must be one of ${openSessionPolicies.getActions().join(', ')}`),
+  body('graceMinutes').optional({ nullable: true }).isInt({ min: 0, max: 24 * 60 }).withMessage('Grace period must be between 0 and 1440 minutes')
+];
+
+// @route   GET /api/admin/open-session-policies
+// @desc    Get the global and department policies for check-ins left open past the shift end
+// @access  Private (Admin only)
+router.get('/open-session-policies', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await openSessionPolicies.list()
     });
   } catch (error) {
-    logger.error('Create work schedule failed:', error);
+    logger.error('Get open session policies failed:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create work schedule'
+      message: 'Failed to get open session policies'
     });
   }
 });
 
+// @route   PUT /api/admin/open-session-policies/global
+// @desc    Set the global open session policy
+// @access  Private (Admin only)
+router.put('/open-session-policies/global', authenticateToken, requireAdmin, openSessionPolicyValidators, async (req, res) => {
+  await saveOpenSessionPolicy(req, res, 'global', null);
+});
+
+// @route   PUT /api/admin/open-session-policies/departments/:department
+// @desc    Set the open session policy for one department
+// @access  Private (Admin only)
+router.put('/open-session-policies/departments/:department', authenticateToken, requireAdmin, openSessionPolicyValidators, async (req, res) => {
+  await saveOpenSessionPolicy(req, res, 'department', req.params.department);
+});
+
+// @route   DELETE /api/admin/open-session-policies/departments/:department
+// @desc    Remove a department's open session policy so the global one applies
+// @access  Private (Admin only)
+router.delete('/open-session-policies/departments/:department', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { department } = req.params;
+    const removed = await openSessionPolicies.remove(department);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Open session policy not found'
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'open_session_policy_removed',
+      resource_type: 'open_session_policy',
+      old_values: { scope: 'department', department, ...removed },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Open session policy for department ${department} removed by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Open session policy removed successfully'
+    });
+  } catch (error) {
+    logger.error('Remove open session policy failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove open session policy'
+    });
+  }
+});
+
+// @route   GET /api/admin/open-sessions
+// @desc    List sessions the end-of-day job closed or flagged; unresolved=true keeps flagged ones still without a check-out
+// @access  Private (Admin only)
+router.get('/open-sessions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { startDate, endDate, department, action, unresolved, page = 1, limit = 50 } = req.query;
+
+    let query = db('open_session_resolutions')
+      .join('users', 'open_session_resolutions.user_id', 'users.id')
+      .join('attendance_records as check_in', 'open_session_resolutions.check_in_record_id', 'check_in.id')
+      .select(
+        'open_session_resolutions.*',
+        'check_in.timestamp as check_in_time',
+        'check_in.timezone as check_in_timezone',
+        'users.first_name',
+        'users.last_name',
+        'users.employee_id',
+        'users.department',
+        'users.timezone as user_timezone'
+      );
+
+    if (startDate && DATE_PATTERN.test(startDate)) {
+      query = query.where('open_session_resolutions.work_date', '>=', startDate);
+    }
+    if (endDate && DATE_PATTERN.test(endDate)) {
+      query = query.where('open_session_resolutions.work_date', '<=', endDate);
+    }
+    if (department) {
+      query = query.where('users.department', department);
+    }
+    if (action) {
+      query = query.where('open_session_resolutions.action', action);
+    }
+    if (unresolved === 'true') {
+      // A check-out since, e.g. from an approved regularization, closes the session
+      query = query
+        .whereNot('open_session_resolutions.action', 'auto_check_out')
+        .whereNotExists(function() {
+          this.select(db.raw(1))
+            .from('attendance_records as later')
+            .whereRaw('later.user_id = open_session_resolutions.user_id')
+            .whereRaw('later.timestamp > check_in.timestamp')
+            .where('later.status', 'approved')
+            .whereIn('later.type', ['check_in', 'check_out']);
+        });
+    }
+
+    const resolutions = await query
+      .orderBy('open_session_resolutions.work_date', 'desc')
+      .limit(limit)
+      .offset((page - 1) * limit);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: resolutions.map(resolution => {
+          const zone = resolution.check_in_timezone || resolution.user_timezone || timezone.DEFAULT_TIMEZONE;
+          return {
+            id: resolution.id,
+            userId: resolution.user_id,
+            employeeName: `${resolution.first_name} ${resolution.last_name}`,
+            employeeId: resolution.employee_id,
+            department: resolution.department,
+            workDate: timezone.fromDateColumn(resolution.work_date),
+            action: resolution.action,
+            checkInId: resolution.check_in_record_id,
+            localCheckIn: timezone.toLocalISOString(resolution.check_in_time, zone),
+            shiftEnd: resolution.shift_end ? timezone.toLocalISOString(resolution.shift_end, zone) : null,
+            checkOutId: resolution.check_out_record_id,
+            note: resolution.note,
+            createdAt: resolution.created_at
+          };
+        }),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get open sessions failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get open sessions'
+    });
+  }
+});
+
+const overtimeRuleValidators = [
+  body('dailyThresholdHours').optional({ nullable: true }).isFloat({ min: 0, max: 24 }).withMessage('Daily threshold must be between 0 and 24 hours'),
+  body('weeklyThresholdHours').optional({ nullable: true }).isFloat({ min: 0, max: 168 }).withMessage('Weekly threshold must be between 0 and 168 hours'),
+  body('weekStart').optional().isInt({ min: 0, max: 6 }).withMessage('Week start must be a weekday from 0 (Sunday) to 6'),
+  body(['overtimeMultiplier', 'weekendMultiplier', 'holidayMultiplier']).optional().isFloat({ min: 1, max: 10 }).withMessage('Multipliers must be between 1 and 10'),
+  body('requiresApproval').optional().isBoolean().withMessage('requiresApproval must be a boolean'),
+  body('minOvertimeMinutes').optional().isInt({ min: 0, max: 240 }).withMessage('Minimum overtime must be between 0 and 240 minutes')
+];
+
+// @route   GET /api/admin/overtime-rules
+// @desc    Get the global and department overtime rules
+// @access  Private (Admin only)
+router.get('/overtime-rules', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await overtimeService.list()
+    });
+  } catch (error) {
+    logger.error('Get overtime rules failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get overtime rules'
+    });
+  }
+});
+
+// @route   PUT /api/admin/overtime-rules/global
+// @desc    Set the global overtime rule
+// @access  Private (Admin only)
+router.put('/overtime-rules/global', authenticateToken, requireAdmin, overtimeRuleValidators, async (req, res) => {
+  await saveOvertimeRule(req, res, 'global', null);
+});
+
+// @route   PUT /api/admin/overtime-rules/departments/:department
+// @desc    Set the overtime rule for one department, replacing the global rule there
+// @access  Private (Admin only)
+router.put('/overtime-rules/departments/:department', authenticateToken, requireAdmin, overtimeRuleValidators, async (req, res) => {
+  await saveOvertimeRule(req, res, 'department', req.params.department);
+});
+
+// @route   DELETE /api/admin/overtime-rules/departments/:department
+// @desc    Remove a department's overtime rule so the global one applies
+// @access  Private (Admin only)
+router.delete('/overtime-rules/departments/:department', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { department } = req.params;
+    const removed = await overtimeService.remove(department);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Overtime rule not found'
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'overtime_rule_removed',
+      resource_type: 'overtime_rule',
+      old_values: { scope: 'department', department, ...removed },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Overtime rule for department ${department} removed by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Overtime rule removed successfully'
+    });
+  } catch (error) {
+    logger.error('Remove overtime rule failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove overtime rule'
+    });
+  }
+});
+
+// @route   GET /api/admin/face-templates/duplicates
+// @desc    Report pairs of templates enrolled under different employees that look like the same person
+// @access  Private (Admin only)
+router.get('/face-templates/duplicates', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const threshold = Math.min(Math.max(parseFloat(req.query.threshold) || DUPLICATE_ENROLLMENT_THRESHOLD, 0.5), 1);
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const pairs = await faceEmbeddingIndex.findSimilarPairs(threshold, limit);
+
+    const userIds = Array.from(new Set(pairs.flatMap(pair => [pair.userId, pair.matchedUserId])));
+    const users = userIds.length === 0 ? [] : await db('users')
+      .whereIn('id', userIds)
+      .select('id', 'employee_id', 'first_name', 'last_name', 'department', 'status');
+    const usersById = new Map(users.map(user => [user.id, user]));
+
+    const describeUser = (id) => {
+      const user = usersById.get(id) || {};
+      return {
+        id,
+        employeeId: user.employee_id,
+        name: user.first_name ? `${user.first_name} ${user.last_name}` : null,
+        department: user.department,
+        status: user.status
+      };
+    };
+
+    // Log access to biometric comparison data
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'duplicate_enrollment_report_viewed',
+      resource_type: 'face_template',
+      new_values: { threshold, pairs: pairs.length },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        threshold,
+        pairs: pairs.map(pair => ({
+          similarity: Math.round(pair.similarity * 10000) / 10000,
+          template: { id: pair.templateId, user: describeUser(pair.userId) },
+          matchedTemplate: { id: pair.matchedTemplateId, user: describeUser(pair.matchedUserId) }
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Get duplicate enrollment report failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get duplicate enrollment report'
+    });
+  }
+});
+
+// @route   GET /api/admin/face-templates/encryption
+// @desc    Get face template key usage and the latest re-encryption job
+// @access  Private (Super Admin only)
+router.get('/face-templates/encryption', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const keyUsage = await db('face_templates')
+      .select(db.raw("CASE WHEN position(':' in face_encoding) = 0 THEN 'legacy' ELSE split_part(face_encoding, ':', 1) END as key_id"))
+      .count('id as count')
+      .groupBy('key_id');
+
+    const activeKeyId = templateKeyring.getActiveKeyId();
+    const latestJob = await templateReencryptionJob.getLatestJob();
+
+    res.json({
+      success: true,
+      data: {
+        activeKeyId,
+        keyUsage: keyUsage.map(row => ({
+          keyId: row.key_id,
+          count: parseInt(row.count),
+          active: row.key_id === activeKeyId
+        })),
+        latestJob: latestJob || null
+      }
+    });
+  } catch (error) {
+    logger.error('Get template encryption status failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get template encryption status'
+    });
+  }
+});
+
+// @route   POST /api/admin/face-templates/reencrypt
+// @desc    Start re-encrypting every face template with the active key
+// @access  Private (Super Admin only)
+router.post('/face-templates/reencrypt', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const job = await templateReencryptionJob.start(req.user.id);
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: 'A re-encryption job is already running',
+        data: { job: await templateReencryptionJob.getLatestJob() }
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'face_template_reencryption_started',
+      resource_type: 'template_reencryption_job',
+      resource_id: job.id,
+      new_values: {
+        target_key_id: job.target_key_id,
+        total_templates: job.total_templates
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'high'
+    });
+
+    logger.info(`Template re-encryption job ${job.id} started by admin ${req.user.id} (key ${job.target_key_id})`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Template re-encryption started',
+      data: { job }
+    });
+  } catch (error) {
+    logger.error('Start template re-encryption failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start template re-encryption'
+    });
+  }
+});
+
+// @route   GET /api/admin/face-templates/reencrypt/:jobId
+// @desc    Get re-encryption job progress
+// @access  Private (Super Admin only)
+router.get('/face-templates/reencrypt/:jobId', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const job = await templateReencryptionJob.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Re-encryption job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job }
+    });
+  } catch (error) {
+    logger.error('Get template re-encryption job failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get re-encryption job'
+    });
+  }
+});
+
+// Null clears a threshold so it is inherited from the broader scope again
+const recognitionSettingsValidators = [
+  body('matchThreshold').optional({ nullable: true }).isFloat({ min: 0, max: 1 }).withMessage('Match threshold must be between 0 and 1'),
+  body('livenessThreshold').optional({ nullable: true }).isFloat({ min: 0, max: 1 }).withMessage('Liveness threshold must be between 0 and 1'),
+  body('qualityThreshold').optional({ nullable: true }).isInt({ min: 0, max: 100 }).withMessage('Quality threshold must be between 0 and 100')
+];
+
+// @route   GET /api/admin/recognition-settings
+// @desc    Get global, department and user recognition thresholds
+// @access  Private (Super Admin only)
+router.get('/recognition-settings', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const settings = await recognitionSettings.list();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Get recognition settings failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get recognition settings'
+    });
+  }
+});
+
+// @route   GET /api/admin/recognition-settings/effective/:userId
+// @desc    Get the thresholds that apply to one user and where each comes from
+// @access  Private (Admin only)
+router.get('/recognition-settings/effective/:userId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const user = await db('users')
+      .where('id', req.params.userId)
+      .select('id', 'department')
+      .first();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        userId: user.id,
+        department: user.department,
+        thresholds: await recognitionSettings.getEffective(user)
+      }
+    });
+  } catch (error) {
+    logger.error('Get effective recognition settings failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get effective recognition settings'
+    });
+  }
+});
+
+// @route   PUT /api/admin/recognition-settings/global
+// @desc    Set the global recognition thresholds
+// @access  Private (Super Admin only)
+router.put('/recognition-settings/global', authenticateToken, requireSuperAdmin, recognitionSettingsValidators, async (req, res) => {
+  await saveRecognitionSettings(req, res, 'global', null);
+});
+
+// @route   PUT /api/admin/recognition-settings/departments/:department
+// @desc    Set recognition thresholds for one department
+// @access  Private (Super Admin only)
+router.put('/recognition-settings/departments/:department', authenticateToken, requireSuperAdmin, recognitionSettingsValidators, async (req, res) => {
+  await saveRecognitionSettings(req, res, 'department', req.params.department);
+});
+
+// @route   PUT /api/admin/recognition-settings/users/:userId
+// @desc    Set recognition thresholds for one user
+// @access  Private (Super Admin only)
+router.put('/recognition-settings/users/:userId', authenticateToken, requireSuperAdmin, recognitionSettingsValidators, async (req, res) => {
+  await saveRecognitionSettings(req, res, 'user', req.params.userId);
+});
+
+// @route   DELETE /api/admin/recognition-settings/departments/:department
+// @desc    Remove a department override
+// @access  Private (Super Admin only)
+router.delete('/recognition-settings/departments/:department', authenticateToken, requireSuperAdmin, async (req, res) => {
+  await removeRecognitionSettings(req, res, 'department', req.params.department);
+});
+
+// @route   DELETE /api/admin/recognition-settings/users/:userId
+// @desc    Remove a user override
+// @access  Private (Super Admin only)
+router.delete('/recognition-settings/users/:userId', authenticateToken, requireSuperAdmin, async (req, res) => {
+  await removeRecognitionSettings(req, res, 'user', req.params.userId);
+});
+
+// Shared handler for the global, department and user update routes
+async function saveRecognitionSettings(req, res, scope, target) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (scope === 'user') {
+      const user = await db('users').where('id', target).first();
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+    }
+
+    const { matchThreshold, livenessThreshold, qualityThreshold } = req.body;
+    const { previous, current } = await recognitionSettings.set(scope, target, {
+      matchThreshold: matchThreshold != null ? parseFloat(matchThreshold) : null,
+      livenessThreshold: livenessThreshold != null ? parseFloat(livenessThreshold) : null,
+      qualityThreshold: qualityThreshold != null ? parseInt(qualityThreshold) : null
+    }, req.user.id);
+
+    // Log the action; loosening a threshold weakens spoofing protection, hence high severity
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'recognition_settings_updated',
+      resource_type: 'recognition_settings',
+      resource_id: scope === 'user' ? target : null,
+      old_values: previous,
+      new_values: { scope, department: scope === 'department' ? target : undefined, ...current },
+      description: `Recognition thresholds updated for ${scope}${target ? ` ${target}` : ''}`,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'high'
+    });
+
+    res.json({
+      success: true,
+      message: 'Recognition settings updated successfully',
+      data: { scope, target, settings: current }
+    });
+  } catch (error) {
+    logger.error('Update recognition settings failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update recognition settings'
+    });
+  }
+}
+
+async function removeRecognitionSettings(req, res, scope, target) {
+  try {
+    const removed = await recognitionSettings.remove(scope, target);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recognition settings not found'
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'recognition_settings_removed',
+      resource_type: 'recognition_settings',
+      resource_id: scope === 'user' ? target : null,
+      old_values: { scope, department: scope === 'department' ? target : undefined, ...removed },
+      description: `Recognition thresholds removed for ${scope} ${target}`,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'high'
+    });
+
+    logger.info(`Recognition settings for ${scope} ${target} removed by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Recognition settings removed successfully'
+    });
+  } catch (error) {
+    logger.error('Remove recognition settings failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove recognition settings'
+    });
+  }
+}
+
+// Shared handler for the global and department open session policy routes
+async function saveOpenSessionPolicy(req, res, scope, department) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, graceMinutes } = req.body;
+    const { previous, current } = await openSessionPolicies.set(scope, department, {
+      action: action || null,
+      graceMinutes: graceMinutes != null ? parseInt(graceMinutes) : null
+    }, req.user.id);
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'open_session_policy_updated',
+      resource_type: 'open_session_policy',
+      old_values: previous,
+      new_values: { scope, department: department || undefined, ...current },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    res.json({
+      success: true,
+      message: 'Open session policy updated successfully',
+      data: { scope, department, policy: current }
+    });
+  } catch (error) {
+    logger.error('Update open session policy failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update open session policy'
+    });
+  }
+}
+
+// Shared handler for the global and department overtime rule routes
+async function saveOvertimeRule(req, res, scope, department) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // A rule is saved whole: omitted values take the defaults, a null threshold switches it off
+    const defaults = overtimeService.getDefaults();
+    const value = (name, parse) => req.body[name] === undefined ? defaults[name] : req.body[name] === null ? null : parse(req.body[name]);
+    const rule = {
+      dailyThresholdHours: value('dailyThresholdHours', parseFloat),
+      weeklyThresholdHours: value('weeklyThresholdHours', parseFloat),
+      weekStart: req.body.weekStart != null ? parseInt(req.body.weekStart) : defaults.weekStart,
+      overtimeMultiplier: req.body.overtimeMultiplier != null ? parseFloat(req.body.overtimeMultiplier) : defaults.overtimeMultiplier,
+      weekendMultiplier: req.body.weekendMultiplier != null ? parseFloat(req.body.weekendMultiplier) : defaults.weekendMultiplier,
+      holidayMultiplier: req.body.holidayMultiplier != null ? parseFloat(req.body.holidayMultiplier) : defaults.holidayMultiplier,
+      requiresApproval: req.body.requiresApproval != null ? req.body.requiresApproval === true || req.body.requiresApproval === 'true' : defaults.requiresApproval,
+      minOvertimeMinutes: req.body.minOvertimeMinutes != null ? parseInt(req.body.minOvertimeMinutes) : defaults.minOvertimeMinutes
+    };
+
+    const { previous, current } = await overtimeService.set(scope, department, rule, req.user.id);
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'overtime_rule_updated',
+      resource_type: 'overtime_rule',
+      old_values: previous,
+      new_values: { scope, department: department || undefined, ...current },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    res.json({
+      success: true,
+      message: 'Overtime rule updated successfully',
+      data: { scope, department, rule: current }
+    });
+  } catch (error) {
+    logger.error('Update overtime rule failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update overtime rule'
+    });
+  }
+}
+
+function toLeaveTypeColumns(body) {
+  const columns = {};
+  if (body.name !== undefined) columns.name = body.name;
+  if (body.isPaid !== undefined) columns.is_paid = body.isPaid;
+  if (body.accrualMethod !== undefined) columns.accrual_method = body.accrualMethod;
+  if (body.accrualDays !== undefined) columns.accrual_days = parseFloat(body.accrualDays);
+  if (body.maxBalance !== undefined) columns.max_balance = body.maxBalance === null ? null : parseFloat(body.maxBalance);
+  if (body.carryOverDays !== undefined) columns.carry_over_days = body.carryOverDays === null ? null : parseFloat(body.carryOverDays);
+  if (body.allowHalfDay !== undefined) columns.allow_half_day = body.allowHalfDay;
+  if (body.isActive !== undefined) columns.is_active = body.isActive;
+  return columns;
+}
+
+function formatLeaveType(type) {
+  return {
+    id: type.id,
+    code: type.code,
+    name: type.name,
+    isPaid: type.is_paid,
+    accrualMethod: type.accrual_method,
+    accrualDays: parseFloat(type.accrual_days),
+    maxBalance: type.max_balance != null ? parseFloat(type.max_balance) : null,
+    carryOverDays: type.carry_over_days != null ? parseFloat(type.carry_over_days) : null,
+    allowHalfDay: type.allow_half_day,
+    isActive: type.is_active,
+    createdAt: type.created_at,
+    updatedAt: type.updated_at
+  };
+}
+
+// Zone a record's local time is shown in: stamped on the punch, else the employee's, else the site's
+function recordTimezone(record) {
+  return record.timezone || record.user_timezone || record.work_site_timezone || timezone.DEFAULT_TIMEZONE;
+}
+
 module.exports = router;
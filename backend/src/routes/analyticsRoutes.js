@@ -2,6 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+const workTimeService = require('../services/workTimeService');
+const overtimeService = require('../services/overtimeService');
 const { authenticateToken, requireAdmin } = require('../middleware/authMiddleware');
 
 const router = express.Router();
@@ -20,7 +23,8 @@ router.get('/attendance-trends', authenticateToken, requireAdmin, async (req, re
     let query = db('attendance_records')
       .join('users', 'attendance_records.user_id', 'users.id')
       .whereBetween('attendance_records.timestamp', [start, end])
-      .where('attendance_records.status', 'approved');
+      .where('attendance_records.status', 'approved')
+      .whereIn('attendance_records.type', ['check_in', 'check_out']);
 
     if (department) {
       query = query.where('users.department', department);
@@ -34,6 +38,8 @@ router.get('/attendance-trends', authenticateToken, requireAdmin, async (req, re
       .select(
         'attendance_records.timestamp',
         'attendance_records.type',
+        'attendance_records.timezone',
+        'users.timezone as user_timezone',
         'users.department',
         'users.id as user_id'
       )
@@ -46,8 +52,10 @@ router.get('/attendance-trends', authenticateToken, requireAdmin, async (req, re
     const userData = {};
 
     records.forEach(record => {
-      const date = record.timestamp.toISOString().split('T')[0];
-      const hour = record.timestamp.getHours();
+      // Dates and hours are the employee's local ones, so offices in different zones line up
+      const zone = record.timezone || record.user_timezone || timezone.DEFAULT_TIMEZONE;
+      const date = timezone.formatDate(record.timestamp, zone);
+      const hour = timezone.localParts(record.timestamp, zone).hour;
       
       // Daily trends
       if (!dailyData[date]) {
@@ -126,91 +134,59 @@ router.get('/employee-performance', authenticateToken, requireAdmin, async (req,
     const end = endDate ? new Date(endDate) : new Date();
     const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
 
+    // One row per employee; their punches are loaded by getPeriod below
     let query = db('users')
-      .leftJoin('attendance_records', function() {
-        this.on('users.id', '=', 'attendance_records.user_id')
-          .andOn('attendance_records.timestamp', 'between', [start, end])
-          .andOn('attendance_records.status', '=', 'approved');
-      })
-      .select(
-        'users.id',
-        'users.employee_id',
-        'users.first_name',
-        'users.last_name',
-        'users.department',
-        'users.position'
-      );
+      .select('id', 'employee_id', 'first_name', 'last_name', 'department', 'position');
 
     if (department) {
-      query = query.where('users.department', department);
+      query = query.where('department', department);
     }
 
     const users = await query;
 
     // Get detailed attendance for each user
     const performanceData = await Promise.all(users.map(async (user) => {
-      const attendanceRecords = await db('attendance_records')
-        .where('user_id', user.id)
-        .whereBetween('timestamp', [start, end])
-        .where('status', 'approved')
-        .orderBy('timestamp', 'asc');
-
-      // Calculate performance metrics
-      const dailyRecords = {};
+      // Work days pair check-ins with check-outs, so overnight and split shifts count once
+      // Query dates are passed through as given so they are read as days in the employee's zone
+      const period = await workTimeService.getPeriod(user.id, startDate || start, endDate || end);
+      const workDays = period.days;
+
+      // Calculate performance metrics; hours are worked time net of unpaid breaks
       let totalHours = 0;
+      let unpaidBreakHours = 0;
       let presentDays = 0;
       let lateArrivals = 0;
       let earlyDepartures = 0;
       let totalDays = 0;
 
-      // Calculate total working days in the period
-      const workingDays = calculateWorkingDays(start, end);
-
-      attendanceRecords.forEach(record => {
-        const date = record.timestamp.toISOString().split('T')[0];
-        
-        if (!dailyRecords[date]) {
-          dailyRecords[date] = { checkIn: null, checkOut: null };
-        }
-        
-        if (record.type === 'check_in') {
-          dailyRecords[date].checkIn = record;
-        } else if (record.type === 'check_out') {
-          dailyRecords[date].checkOut = record;
-        }
-      });
+      // Days the employee's roster or work schedule expected them, less holidays on their
+      // calendars and approved leave, which are excused rather than absent
+      const leaveDays = workTimeService.leaveDayCount(period);
+      const workingDays = period.expected.filter(entry => entry.shift).length - leaveDays;
+      const holidays = period.expected.filter(entry => entry.holiday).length;
 
-      Object.keys(dailyRecords).forEach(date => {
-        const dayRecords = dailyRecords[date];
+      workDays.forEach(dayRecords => {
         totalDays++;
         
-        if (dayRecords.checkIn && dayRecords.checkOut) {
+        if (dayRecords.completedSessions > 0) {
           presentDays++;
           
-          const hours = (dayRecords.checkOut.timestamp - dayRecords.checkIn.timestamp) / (1000 * 60 * 60);
-          totalHours += hours;
-          
-          // Check for late arrival (assuming 9 AM start time)
-          const checkInTime = new Date(dayRecords.checkIn.timestamp);
-          const expectedStartTime = new Date(checkInTime);
-          expectedStartTime.setHours(9, 0, 0, 0);
+          totalHours += dayRecords.workedHours;
+          unpaidBreakHours += dayRecords.unpaidBreakHours;
           
-          if (checkInTime > expectedStartTime) {
+          // Late and early are measured against the rostered or scheduled shift (09:00-17:00 without either)
+          if (dayRecords.lateArrival) {
             lateArrivals++;
           }
           
-          // Check for early departure (assuming 5 PM end time)
-          const checkOutTime = new Date(dayRecords.checkOut.timestamp);
-          const expectedEndTime = new Date(checkOutTime);
-          expectedEndTime.setHours(17, 0, 0, 0);
-          
-          if (checkOutTime < expectedEndTime) {
+          if (dayRecords.earlyDeparture) {
             earlyDepartures++;
           }
         }
       });
 
-      const attendanceRate = workingDays > 0 ? (presentDays / workingDays) * 100 : 0;
+      // Days worked during a half day of leave can lift the rate past 100%
+      const attendanceRate = workingDays > 0 ? Math.min(100, (presentDays / workingDays) * 100) : 0;
       const averageHours = presentDays > 0 ? totalHours / presentDays : 0;
       const punctualityRate = presentDays > 0 ? ((presentDays - lateArrivals) / presentDays) * 100 : 0;
 
@@ -225,8 +201,12 @@ router.get('/employee-performance', authenticateToken, requireAdmin, async (req,
           averageHours: Math.round(averageHours * 100) / 100,
           punctualityRate: Math.round(punctualityRate * 100) / 100,
           totalHours: Math.round(totalHours * 100) / 100,
+          unpaidBreakHours: Math.round(unpaidBreakHours * 100) / 100,
           presentDays,
-          absentDays: workingDays - presentDays,
+          expectedDays: workingDays,
+          holidays,
+          leaveDays,
+          absentDays: workTimeService.absentDates(period).length,
           lateArrivals,
           earlyDepartures
         }
@@ -257,6 +237,91 @@ router.get('/employee-performance', authenticateToken, requireAdmin, async (req,
   }
 });
 
+// @route   GET /api/analytics/overtime
+// @desc    Get regular and overtime hours per employee, split by weekend and holiday work and approval
+// @access  Private (Admin only)
+router.get('/overtime', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { department, userId } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    // Dates are days in each employee's zone; the last 30 days by default
+    const endDate = datePattern.test(req.query.endDate || '') ? req.query.endDate : timezone.formatDate(new Date());
+    const startDate = datePattern.test(req.query.startDate || '') ? req.query.startDate : timezone.addDays(endDate, -29);
+
+    if (endDate < startDate || timezone.daysBetween(startDate, endDate) >= 92) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date range must be ordered and at most 92 days'
+      });
+    }
+
+    let query = db('users')
+      .select('id', 'employee_id', 'first_name', 'last_name', 'department', 'position')
+      .orderBy('last_name');
+
+    if (department) {
+      query = query.where('department', department);
+    }
+    if (userId) {
+      query = query.where('id', userId);
+    }
+
+    const [users, rules] = await Promise.all([query, overtimeService.load()]);
+
+    const pending = new Map((await db('overtime_requests')
+      .whereIn('user_id', users.map(user => user.id))
+      .where('status', 'pending')
+      .whereBetween('work_date', [startDate, endDate])
+      .groupBy('user_id')
+      .select('user_id', db.raw('SUM(hours) as hours')))
+      .map(row => [row.user_id, parseFloat(row.hours)]));
+
+    const overtimeData = await Promise.all(users.map(async (user) => {
+      const { rule, totals } = await overtimeService.calculate(user.id, startDate, endDate, rules);
+
+      return {
+        userId: user.id,
+        employeeId: user.employee_id,
+        name: `${user.first_name} ${user.last_name}`,
+        department: user.department,
+        position: user.position,
+        rule,
+        totals: {
+          ...totals,
+          pendingRequestHours: pending.get(user.id) || 0
+        }
+      };
+    }));
+
+    overtimeData.sort((a, b) => b.totals.overtimeHours - a.totals.overtimeHours);
+
+    const sum = (field) => Math.round(overtimeData.reduce((total, emp) => total + emp.totals[field], 0) * 100) / 100;
+
+    res.json({
+      success: true,
+      data: {
+        overtimeData,
+        summary: {
+          totalEmployees: overtimeData.length,
+          employeesWithOvertime: overtimeData.filter(emp => emp.totals.overtimeHours > 0).length,
+          overtimeHours: sum('overtimeHours'),
+          approvedOvertimeHours: sum('approvedOvertimeHours'),
+          unapprovedOvertimeHours: sum('unapprovedOvertimeHours'),
+          weightedOvertimeHours: sum('weightedOvertimeHours'),
+          dateRange: { startDate, endDate }
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get overtime analytics failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get overtime analytics'
+    });
+  }
+});
+
 // @route   GET /api/analytics/location-insights
 // @desc    Get location-based insights
 // @access  Private (Admin only)
@@ -271,6 +336,7 @@ router.get('/location-insights', authenticateToken, requireAdmin, async (req, re
       .join('users', 'attendance_records.user_id', 'users.id')
       .whereBetween('attendance_records.timestamp', [start, end])
       .where('attendance_records.status', 'approved')
+      .whereIn('attendance_records.type', ['check_in', 'check_out'])
       .whereNotNull('attendance_records.latitude')
       .whereNotNull('attendance_records.longitude');
 
@@ -373,21 +439,4 @@ router.get('/location-insights', authenticateToken, requireAdmin, async (req, re
   }
 });
 
-// Helper function to calculate working days
-function calculateWorkingDays(startDate, endDate) {
-  let count = 0;
-  const current = new Date(startDate);
-  
-  while (current <= endDate) {
-    const dayOfWeek = current.getDay();
-    // Count weekdays (Monday = 1 to Friday = 5)
-    if (dayOfWeek >= 1 && dayOfWeek <= 5) {
-      count++;
-    }
-    current.setDate(current.getDate() + 1);
-  }
-  
-  return count;
-}
-
 module.exports = router;
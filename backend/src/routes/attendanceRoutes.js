@@ -3,11 +3,34 @@ const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+const { parseJsonColumn } = require('../utils/jsonColumn');
 const faceRecognitionService = require('../services/faceRecognitionService');
-const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
+const activeLivenessVerifier = require('../services/activeLivenessVerifier');
+const faceEmbeddingIndex = require('../services/faceEmbeddingIndex');
+const adaptiveTemplateService = require('../services/adaptiveTemplateService');
+const recognitionSettings = require('../services/recognitionSettings');
+const geofenceService = require('../services/geofenceService');
+const locationIntegrityService = require('../services/locationIntegrityService');
+const workTimeService = require('../services/workTimeService');
+const timesheetService = require('../services/timesheetService');
+const { authenticateToken, authenticateKiosk, requireRole } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
+const MAX_OFFLINE_BATCH_SIZE = 20;
+const OFFLINE_MAX_AGE_HOURS = parseInt(process.env.OFFLINE_SYNC_MAX_AGE_HOURS) || 72;
+const OFFLINE_CLOCK_SKEW_MS = 5 * 60 * 1000; // Tolerate device clocks running slightly fast
+const LIVENESS_CHALLENGE_TTL_SECONDS = parseInt(process.env.LIVENESS_CHALLENGE_TTL_SECONDS) || 60;
+const LIVENESS_CHALLENGE_REQUIRED = process.env.LIVENESS_CHALLENGE_REQUIRED !== 'false';
+const MAX_CHALLENGE_FRAMES = 12;
+// Minimum gap between the best and second-best employee for a kiosk identification
+const KIOSK_MIN_MATCH_MARGIN = parseFloat(process.env.KIOSK_MIN_MATCH_MARGIN) || 0.1;
+// Best-matching users fetched from the index before inactive employees are filtered out
+const KIOSK_CANDIDATE_LIMIT = 10;
+// Break punches are face-verified whenever an image is sent; this makes the image mandatory
+const BREAK_FACE_VERIFICATION_REQUIRED = process.env.BREAK_FACE_VERIFICATION_REQUIRED === 'true';
+
 // Configure multer for image uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -24,13 +47,107 @@ const upload = multer({
   }
 });
 
+// Punches carry the face image plus the frame burst of an active liveness challenge
+const attendanceUpload = upload.fields([
+  { name: 'faceImage', maxCount: 1 },
+  { name: 'challengeFrames', maxCount: MAX_CHALLENGE_FRAMES }
+]);
+
+// Rejected up front so malformed JSON is a 400 rather than a failure after face matching
+const deviceInfoValidator = body('deviceInfo')
+  .optional({ checkFalsy: true })
+  .custom(value => {
+    const parsed = parseDeviceInfo(value);
+    return parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+  })
+  .withMessage('Device info must be a JSON object');
+
+// @route   POST /api/attendance/liveness-challenge
+// @desc    Issue a short-lived active liveness challenge for the next punch
+// @access  Private
+router.post('/liveness-challenge', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const steps = activeLivenessVerifier.generateChallengeSteps();
+    const expiresAt = new Date(Date.now() + LIVENESS_CHALLENGE_TTL_SECONDS * 1000);
+
+    const [challenge] = await db('liveness_challenges')
+      .insert({
+        user_id: userId,
+        nonce: activeLivenessVerifier.generateNonce(),
+        steps: JSON.stringify(steps),
+        expires_at: expiresAt
+      })
+      .returning(['id', 'nonce', 'expires_at']);
+
+    logger.info(`Liveness challenge ${challenge.id} issued to user ${userId}: ${steps.join(', ')}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        nonce: challenge.nonce,
+        steps,
+        expiresAt: challenge.expires_at,
+        minFrames: steps.length + 1,
+        maxFrames: MAX_CHALLENGE_FRAMES
+      }
+    });
+  } catch (error) {
+    logger.error('Issue liveness challenge failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue liveness challenge'
+    });
+  }
+});
+
+// @route   POST /api/attendance/kiosk/liveness-challenge
+// @desc    Issue an active liveness challenge to a kiosk for the next person to punch there
+// @access  Kiosk device
+router.post('/kiosk/liveness-challenge', authenticateKiosk, async (req, res) => {
+  try {
+    const kioskId = req.kiosk.id;
+    const steps = activeLivenessVerifier.generateChallengeSteps();
+    const expiresAt = new Date(Date.now() + LIVENESS_CHALLENGE_TTL_SECONDS * 1000);
+
+    const [challenge] = await db('liveness_challenges')
+      .insert({
+        kiosk_id: kioskId,
+        nonce: activeLivenessVerifier.generateNonce(),
+        steps: JSON.stringify(steps),
+        expires_at: expiresAt
+      })
+      .returning(['id', 'nonce', 'expires_at']);
+
+    logger.info(`Liveness challenge ${challenge.id} issued to kiosk ${kioskId}: ${steps.join(', ')}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        nonce: challenge.nonce,
+        steps,
+        expiresAt: challenge.expires_at,
+        minFrames: steps.length + 1,
+        maxFrames: MAX_CHALLENGE_FRAMES
+      }
+    });
+  } catch (error) {
+    logger.error('Issue kiosk liveness challenge failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue liveness challenge'
+    });
+  }
+});
+
 // @route   POST /api/attendance/check-in
 // @desc    Mark check-in with face recognition
 // @access  Private
-router.post('/check-in', authenticateToken, upload.single('faceImage'), [
+router.post('/check-in', authenticateToken, attendanceUpload, [
   body('latitude').isFloat().withMessage('Valid latitude is required'),
   body('longitude').isFloat().withMessage('Valid longitude is required'),
-  body('accuracy').optional().isFloat().withMessage('Valid accuracy is required')
+  body('accuracy').optional().isFloat().withMessage('Valid accuracy is required'),
+  deviceInfoValidator
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -42,7 +159,8 @@ router.post('/check-in', authenticateToken, upload.single('faceImage'), [
       });
     }
 
-    if (!req.file) {
+    const faceImage = req.files && req.files.faceImage && req.files.faceImage[0];
+    if (!faceImage) {
       return res.status(400).json({
         success: false,
         message: 'Face image is required'
@@ -53,28 +171,20 @@ router.post('/check-in', authenticateToken, upload.single('faceImage'), [
     const userId = req.user.id;
     const timestamp = new Date();
 
-    // Check if user already checked in today
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-    const todayEnd = new Date();
-    todayEnd.setHours(23, 59, 59, 999);
-
-    const existingCheckIn = await db('attendance_records')
-      .where('user_id', userId)
-      .where('type', 'check_in')
-      .whereBetween('timestamp', [todayStart, todayEnd])
-      .where('status', 'approved')
-      .first();
-
-    if (existingCheckIn) {
+    // Sessions pair check-ins with check-outs, so another check-in waits for the open one to close
+    const openSession = await workTimeService.getOpenSession(userId, timestamp);
+    if (openSession) {
       return res.status(400).json({
         success: false,
-        message: 'You have already checked in today'
+        message: 'You are already checked in. Please check out first.'
       });
     }
 
+    // Thresholds for this employee from global, department and user settings
+    const thresholds = await recognitionSettings.getEffectiveForUserId(userId);
+
     // Perform face recognition
-    const imageBuffer = req.file.buffer;
+    const imageBuffer = faceImage.buffer;
     
     // Detect faces in the image
     const faces = await faceRecognitionService.detectFaces(imageBuffer);
@@ -88,104 +198,89 @@ router.post('/check-in', authenticateToken, upload.single('faceImage'), [
     const face = faces[0]; // Use the first detected face
 
     // Perform anti-spoofing checks
-    const antiSpoofingResult = await faceRecognitionService.performAntiSpoofingChecks(imageBuffer, face.box);
+    const antiSpoofingResult = await faceRecognitionService.performAntiSpoofingChecks(imageBuffer, face.box, {
+      overall: thresholds.livenessThreshold
+    });
     if (!antiSpoofingResult.passed) {
       return res.status(400).json({
         success: false,
         message: 'Liveness detection failed. Please ensure you are a live person.',
         details: {
           livenessScore: antiSpoofingResult.overallScore,
-          checks: antiSpoofingResult
+          checks: antiSpoofingResult,
+          thresholds
         }
       });
     }
 
     // Extract face features
-    const faceFeatures = await faceRecognitionService.extractFaceFeatures(imageBuffer, face.box);
-    
-    // Get user's face templates
-    const faceTemplates = await db('face_templates')
-      .where('user_id', userId)
-      .where('is_primary', true);
+    const faceFeatures = await faceRecognitionService.extractFaceFeatures(imageBuffer, face.box, face.landmarks);
 
-    if (faceTemplates.length === 0) {
+    // Verify the active liveness challenge performed for this punch
+    const challengeResult = await verifyAttendanceChallenge(req, userId, faceFeatures);
+    if (!challengeResult.passed) {
       return res.status(400).json({
         success: false,
-        message: 'No face template found. Please register your face first.'
+        message: challengeResult.reason,
+        details: {
+          challenge: challengeResult
+        }
       });
     }
+    
+    // Compare with the user's primary and adaptive templates in the embedding index
+    const bestMatch = await faceEmbeddingIndex.matchUser(faceFeatures, userId, { primaryOnly: true, includeAdaptive: true });
 
-    // Compare with stored templates
-    let bestMatch = null;
-    let bestSimilarity = 0;
-
-    for (const template of faceTemplates) {
-      const decryptedTemplate = faceRecognitionService.decryptFaceTemplate(template.face_encoding);
-      const comparison = await faceRecognitionService.compareFaces(faceFeatures, decryptedTemplate);
-      
-      if (comparison.similarity > bestSimilarity) {
-        bestSimilarity = comparison.similarity;
-        bestMatch = comparison;
-      }
+    if (!bestMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'No face template found. Please register your face first.'
+      });
     }
 
-    const confidenceThreshold = 0.8;
-    if (!bestMatch || bestSimilarity < confidenceThreshold) {
+    const bestSimilarity = bestMatch.similarity;
+    if (bestSimilarity < thresholds.matchThreshold) {
       return res.status(400).json({
         success: false,
         message: 'Face recognition failed. Please try again.',
         details: {
           similarity: bestSimilarity,
-          threshold: confidenceThreshold
+          threshold: thresholds.matchThreshold,
+          thresholds
         }
       });
     }
 
-    // Check work schedule and location
-    const workSchedule = await db('work_schedules')
-      .where('user_id', userId)
-      .where('is_active', true)
-      .where(function() {
-        this.whereNull('effective_from').orWhere('effective_from', '<=', new Date());
-      })
-      .where(function() {
-        this.whereNull('effective_to').orWhere('effective_to', '>=', new Date());
-      })
-      .first();
-
-    let locationValid = true;
-    let locationMessage = '';
-
-    if (workSchedule && workSchedule.latitude && workSchedule.longitude) {
-      const distance = calculateDistance(
-        parseFloat(latitude),
-        parseFloat(longitude),
-        parseFloat(workSchedule.latitude),
-        parseFloat(workSchedule.longitude)
-      );
-
-      if (distance > workSchedule.location_radius) {
-        locationValid = false;
-        locationMessage = `You are ${Math.round(distance)}m away from your work location. Allowed radius: ${workSchedule.location_radius}m`;
-      }
-    }
+    // Check the position against the user's work sites and for signs of spoofing
+    const punchLocation = await assessPunchLocation(req, userId, timestamp);
+    const { location } = punchLocation;
+    const locationValid = punchLocation.valid;
+    const locationMessage = punchLocation.message;
 
     // Create attendance record
+    // Stamped with the employee's zone so the punch keeps its local time if they move
+    const userZone = await workTimeService.getTimezone(userId);
+
     const [attendanceRecord] = await db('attendance_records')
       .insert({
         user_id: userId,
         type: 'check_in',
         timestamp,
+        timezone: userZone,
         latitude: parseFloat(latitude),
         longitude: parseFloat(longitude),
         location_address: locationAddress,
         accuracy: accuracy ? parseFloat(accuracy) : null,
         confidence_score: bestSimilarity,
         liveness_passed: antiSpoofingResult.passed,
-        liveness_data: antiSpoofingResult,
+        liveness_data: { ...antiSpoofingResult, challenge: challengeResult },
+        work_site_id: location.workSiteId,
+        location_check: location.check,
+        location_integrity: punchLocation.integrity,
+        flag_reasons: locationValid ? null : JSON.stringify(punchLocation.flagReasons),
         status: locationValid ? 'approved' : 'flagged',
         rejection_reason: locationValid ? null : locationMessage,
-        device_info: deviceInfo ? JSON.parse(deviceInfo) : null,
+        device_info: parseDeviceInfo(deviceInfo),
         is_offline: false
       })
       .returning('*');
@@ -200,12 +295,14 @@ router.post('/check-in', authenticateToken, upload.single('faceImage'), [
         timestamp,
         latitude,
         longitude,
+        work_site_id: location.workSiteId,
         confidence_score: bestSimilarity,
-        liveness_passed: antiSpoofingResult.passed
+        liveness_passed: antiSpoofingResult.passed,
+        flag_reasons: punchLocation.flagReasons
       },
       ip_address: req.ip,
       user_agent: req.get('User-Agent'),
-      severity: 'low'
+      severity: locationValid ? 'low' : 'medium'
     });
 
     // Emit real-time update
@@ -215,11 +312,30 @@ router.post('/check-in', authenticateToken, upload.single('faceImage'), [
       userId,
       timestamp,
       location: { latitude, longitude },
-      status: attendanceRecord.status
+      workSiteId: location.workSiteId,
+      status: attendanceRecord.status,
+      flagReasons: punchLocation.flagReasons.map(reason => reason.code)
     });
 
     logger.info(`Check-in recorded for user ${userId}: ${attendanceRecord.status}`);
 
+    // Learning from the check-in is not awaited so it never slows the punch down
+    if (adaptiveTemplateService.isEnabled()) {
+      adaptiveTemplateService.considerCheckIn({
+        userId,
+        attendanceRecord,
+        imageBuffer,
+        face,
+        features: faceFeatures,
+        match: bestMatch,
+        livenessPassed: antiSpoofingResult.passed,
+        challenge: challengeResult,
+        qualityThreshold: thresholds.qualityThreshold
+      }).catch(error => {
+        logger.error(`Adaptive template update failed for user ${userId}:`, error);
+      });
+    }
+
     res.json({
       success: true,
       message: locationValid ? 'Check-in successful' : 'Check-in recorded but location flagged',
@@ -228,12 +344,18 @@ router.post('/check-in', authenticateToken, upload.single('faceImage'), [
           id: attendanceRecord.id,
           type: attendanceRecord.type,
           timestamp: attendanceRecord.timestamp,
+          localTimestamp: timezone.toLocalISOString(attendanceRecord.timestamp, attendanceRecord.timezone),
+          timezone: attendanceRecord.timezone,
           status: attendanceRecord.status,
           confidenceScore: attendanceRecord.confidence_score,
           livenessPassed: attendanceRecord.liveness_passed,
           locationValid,
-          locationMessage
-        }
+          locationMessage,
+          flagReasons: punchLocation.flagReasons,
+          workSite: formatMatchedSite(location)
+        },
+        // Effective values and where each came from, for troubleshooting rejected punches
+        thresholds
       }
     });
   } catch (error) {
@@ -248,9 +370,10 @@ router.post('/check-in', authenticateToken, upload.single('faceImage'), [
 // @route   POST /api/attendance/check-out
 // @desc    Mark check-out with face recognition
 // @access  Private
-router.post('/check-out', authenticateToken, upload.single('faceImage'), [
+router.post('/check-out', authenticateToken, attendanceUpload, [
   body('latitude').isFloat().withMessage('Valid latitude is required'),
-  body('longitude').isFloat().withMessage('Valid longitude is required')
+  body('longitude').isFloat().withMessage('Valid longitude is required'),
+  deviceInfoValidator
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -262,7 +385,8 @@ router.post('/check-out', authenticateToken, upload.single('faceImage'), [
       });
     }
 
-    if (!req.file) {
+    const faceImage = req.files && req.files.faceImage && req.files.faceImage[0];
+    if (!faceImage) {
       return res.status(400).json({
         success: false,
         message: 'Face image is required'
@@ -273,43 +397,19 @@ router.post('/check-out', authenticateToken, upload.single('faceImage'), [
     const userId = req.user.id;
     const timestamp = new Date();
 
-    // Check if user has checked in today
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-    const todayEnd = new Date();
-    todayEnd.setHours(23, 59, 59, 999);
-
-    const checkInRecord = await db('attendance_records')
-      .where('user_id', userId)
-      .where('type', 'check_in')
-      .whereBetween('timestamp', [todayStart, todayEnd])
-      .where('status', 'approved')
-      .first();
-
-    if (!checkInRecord) {
+    // Check-out closes the open session, which may have started the previous calendar day
+    const openSession = await workTimeService.getOpenSession(userId, timestamp);
+    if (!openSession) {
       return res.status(400).json({
         success: false,
         message: 'You must check in before checking out'
       });
     }
 
-    // Check if already checked out
-    const existingCheckOut = await db('attendance_records')
-      .where('user_id', userId)
-      .where('type', 'check_out')
-      .whereBetween('timestamp', [todayStart, todayEnd])
-      .where('status', 'approved')
-      .first();
-
-    if (existingCheckOut) {
-      return res.status(400).json({
-        success: false,
-        message: 'You have already checked out today'
-      });
-    }
+    const thresholds = await recognitionSettings.getEffectiveForUserId(userId);
 
     // Perform face recognition (similar to check-in)
-    const imageBuffer = req.file.buffer;
+    const imageBuffer = faceImage.buffer;
     const faces = await faceRecognitionService.detectFaces(imageBuffer);
     
     if (faces.length === 0) {
@@ -320,56 +420,76 @@ router.post('/check-out', authenticateToken, upload.single('faceImage'), [
     }
 
     const face = faces[0];
-    const antiSpoofingResult = await faceRecognitionService.performAntiSpoofingChecks(imageBuffer, face.box);
+    const antiSpoofingResult = await faceRecognitionService.performAntiSpoofingChecks(imageBuffer, face.box, {
+      overall: thresholds.livenessThreshold
+    });
     
     if (!antiSpoofingResult.passed) {
       return res.status(400).json({
         success: false,
-        message: 'Liveness detection failed. Please ensure you are a live person.'
+        message: 'Liveness detection failed. Please ensure you are a live person.',
+        details: {
+          livenessScore: antiSpoofingResult.overallScore,
+          thresholds
+        }
       });
     }
 
-    const faceFeatures = await faceRecognitionService.extractFaceFeatures(imageBuffer, face.box);
-    const faceTemplates = await db('face_templates')
-      .where('user_id', userId)
-      .where('is_primary', true);
-
-    let bestMatch = null;
-    let bestSimilarity = 0;
-
-    for (const template of faceTemplates) {
-      const decryptedTemplate = faceRecognitionService.decryptFaceTemplate(template.face_encoding);
-      const comparison = await faceRecognitionService.compareFaces(faceFeatures, decryptedTemplate);
-      
-      if (comparison.similarity > bestSimilarity) {
-        bestSimilarity = comparison.similarity;
-        bestMatch = comparison;
-      }
+    const faceFeatures = await faceRecognitionService.extractFaceFeatures(imageBuffer, face.box, face.landmarks);
+
+    const challengeResult = await verifyAttendanceChallenge(req, userId, faceFeatures);
+    if (!challengeResult.passed) {
+      return res.status(400).json({
+        success: false,
+        message: challengeResult.reason,
+        details: {
+          challenge: challengeResult
+        }
+      });
     }
 
-    const confidenceThreshold = 0.8;
-    if (!bestMatch || bestSimilarity < confidenceThreshold) {
+    const bestMatch = await faceEmbeddingIndex.matchUser(faceFeatures, userId, { primaryOnly: true, includeAdaptive: true });
+    const bestSimilarity = bestMatch ? bestMatch.similarity : 0;
+
+    if (!bestMatch || bestSimilarity < thresholds.matchThreshold) {
       return res.status(400).json({
         success: false,
-        message: 'Face recognition failed. Please try again.'
+        message: 'Face recognition failed. Please try again.',
+        details: {
+          similarity: bestSimilarity,
+          threshold: thresholds.matchThreshold,
+          thresholds
+        }
       });
     }
 
+    // Staff may finish at a different site than they started, so every assigned site counts
+    const punchLocation = await assessPunchLocation(req, userId, timestamp);
+    const { location } = punchLocation;
+
     // Create check-out record
+    const userZone = await workTimeService.getTimezone(userId);
+
     const [attendanceRecord] = await db('attendance_records')
       .insert({
         user_id: userId,
         type: 'check_out',
         timestamp,
+        timezone: userZone,
         latitude: parseFloat(latitude),
         longitude: parseFloat(longitude),
         location_address: locationAddress,
         accuracy: accuracy ? parseFloat(accuracy) : null,
         confidence_score: bestSimilarity,
         liveness_passed: antiSpoofingResult.passed,
-        liveness_data: antiSpoofingResult,
-        status: 'approved',
-        device_info: deviceInfo ? JSON.parse(deviceInfo) : null,
+        liveness_data: { ...antiSpoofingResult, challenge: challengeResult },
+        work_site_id: location.workSiteId,
+        location_check: location.check,
+        location_integrity: punchLocation.integrity,
+        flag_reasons: punchLocation.valid ? null : JSON.stringify(punchLocation.flagReasons),
+        status: punchLocation.valid ? 'approved' : 'flagged',
+        rejection_reason: punchLocation.valid ? null : punchLocation.message,
+        device_info: parseDeviceInfo(deviceInfo),
         is_offline: false
       })
       .returning('*');
@@ -384,11 +504,13 @@ router.post('/check-out', authenticateToken, upload.single('faceImage'), [
         timestamp,
         latitude,
         longitude,
-        confidence_score: bestSimilarity
+        work_site_id: location.workSiteId,
+        confidence_score: bestSimilarity,
+        flag_reasons: punchLocation.flagReasons
       },
       ip_address: req.ip,
       user_agent: req.get('User-Agent'),
-      severity: 'low'
+      severity: punchLocation.valid ? 'low' : 'medium'
     });
 
     // Emit real-time update
@@ -398,23 +520,32 @@ router.post('/check-out', authenticateToken, upload.single('faceImage'), [
       userId,
       timestamp,
       location: { latitude, longitude },
-      status: attendanceRecord.status
+      workSiteId: location.workSiteId,
+      status: attendanceRecord.status,
+      flagReasons: punchLocation.flagReasons.map(reason => reason.code)
     });
 
-    logger.info(`Check-out recorded for user ${userId}`);
+    logger.info(`Check-out recorded for user ${userId}: ${attendanceRecord.status}`);
 
     res.json({
       success: true,
-      message: 'Check-out successful',
+      message: punchLocation.valid ? 'Check-out successful' : 'Check-out recorded but location flagged',
       data: {
         attendanceRecord: {
           id: attendanceRecord.id,
           type: attendanceRecord.type,
           timestamp: attendanceRecord.timestamp,
+          localTimestamp: timezone.toLocalISOString(attendanceRecord.timestamp, attendanceRecord.timezone),
+          timezone: attendanceRecord.timezone,
           status: attendanceRecord.status,
           confidenceScore: attendanceRecord.confidence_score,
-          livenessPassed: attendanceRecord.liveness_passed
-        }
+          livenessPassed: attendanceRecord.liveness_passed,
+          locationValid: punchLocation.valid,
+          locationMessage: punchLocation.message,
+          flagReasons: punchLocation.flagReasons,
+          workSite: formatMatchedSite(location)
+        },
+        thresholds
       }
     });
   } catch (error) {
@@ -426,78 +557,417 @@ router.post('/check-out', authenticateToken, upload.single('faceImage'), [
   }
 });
 
-// @route   GET /api/attendance/history
-// @desc    Get user's attendance history
+const breakValidators = [
+  body('latitude').optional({ checkFalsy: true }).isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('longitude').optional({ checkFalsy: true }).isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+  deviceInfoValidator
+];
+
+// @route   POST /api/attendance/break-start
+// @desc    Start a break, optionally verified with a face image
 // @access  Private
-router.get('/history', authenticateToken, async (req, res) => {
+router.post('/break-start', authenticateToken, attendanceUpload, [
+  ...breakValidators,
+  body('breakType').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('Break type must be up to 50 characters')
+], (req, res) => recordBreakPunch(req, res, 'break_start'));
+
+// @route   POST /api/attendance/break-end
+// @desc    End the current break, optionally verified with a face image
+// @access  Private
+router.post('/break-end', authenticateToken, attendanceUpload, breakValidators, (req, res) => recordBreakPunch(req, res, 'break_end'));
+
+// @route   POST /api/attendance/kiosk/punch
+// @desc    Identify an employee at a shared kiosk and record their check-in or check-out
+// @access  Kiosk device
+router.post('/kiosk/punch', authenticateKiosk, attendanceUpload, [
+  body('type').isIn(['check_in', 'check_out']).withMessage('Type must be check_in or check_out'),
+  deviceInfoValidator
+], async (req, res) => {
   try {
-    const { page = 1, limit = 20, startDate, endDate } = req.query;
-    const userId = req.user.id;
-    const offset = (page - 1) * limit;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    let query = db('attendance_records')
-      .where('user_id', userId)
-      .orderBy('timestamp', 'desc');
+    const faceImage = req.files && req.files.faceImage && req.files.faceImage[0];
+    if (!faceImage) {
+      return res.status(400).json({
+        success: false,
+        message: 'Face image is required'
+      });
+    }
 
-    if (startDate && endDate) {
-      query = query.whereBetween('timestamp', [startDate, endDate]);
+    const { type, deviceInfo } = req.body;
+    const kiosk = req.kiosk;
+    const imageBuffer = faceImage.buffer;
+    const timestamp = new Date();
+
+    const faces = await faceRecognitionService.detectFaces(imageBuffer);
+    if (faces.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No face detected in the image'
+      });
     }
 
-    const records = await query
-      .limit(limit)
-      .offset(offset)
-      .select('*');
+    // With several people in frame there is no way to tell who is punching
+    if (faces.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Multiple faces detected. Please step up to the kiosk one at a time.'
+      });
+    }
 
-    const total = await db('attendance_records')
-      .where('user_id', userId)
-      .count('* as count')
-      .first();
+    const face = faces[0];
+
+    // The employee is not known until after identification, so liveness uses the global settings
+    const globalThresholds = await recognitionSettings.getGlobal();
+    const antiSpoofingResult = await faceRecognitionService.performAntiSpoofingChecks(imageBuffer, face.box, {
+      overall: globalThresholds.livenessThreshold
+    });
+    if (!antiSpoofingResult.passed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Liveness detection failed. Please ensure you are a live person.',
+        details: {
+          livenessScore: antiSpoofingResult.overallScore,
+          checks: antiSpoofingResult,
+          thresholds: globalThresholds
+        }
+      });
+    }
+
+    const faceFeatures = await faceRecognitionService.extractFaceFeatures(imageBuffer, face.box, face.landmarks);
+    const identification = await identifyEmployee(faceFeatures);
+
+    if (!identification.userId) {
+      logger.warn(`Kiosk ${kiosk.id} could not identify employee: ${identification.reason}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Face not recognised. Please try again or contact reception.',
+        details: {
+          reason: identification.reason,
+          similarity: identification.similarity,
+          margin: identification.margin,
+          threshold: identification.threshold,
+          minMargin: KIOSK_MIN_MATCH_MARGIN
+        }
+      });
+    }
+
+    const userId = identification.userId;
+
+    // The challenge was issued to the kiosk, so the frames are checked against whoever was identified
+    const challengeResult = await verifyAttendanceChallenge(req, userId, faceFeatures, { kioskId: kiosk.id });
+    if (!challengeResult.passed) {
+      return res.status(400).json({
+        success: false,
+        message: challengeResult.reason,
+        details: {
+          challenge: challengeResult
+        }
+      });
+    }
+
+    // Same session rules as the employee's own check-in and check-out
+    const openSession = await workTimeService.getOpenSession(userId, timestamp);
+
+    if (type === 'check_in' && openSession) {
+      return res.status(400).json({
+        success: false,
+        message: `${identification.user.first_name}, you are already checked in. Please check out first.`
+      });
+    }
+
+    if (type === 'check_out' && !openSession) {
+      return res.status(400).json({
+        success: false,
+        message: `${identification.user.first_name}, you must check in before checking out`
+      });
+    }
+
+    // The kiosk is fixed, so its registered position stands in for GPS
+    let location = { valid: true, message: '', workSiteId: null, check: null };
+    if (kiosk.latitude != null && kiosk.longitude != null) {
+      location = await geofenceService.checkLocation(userId, kiosk.latitude, kiosk.longitude, null);
+    }
+
+    const userZone = await workTimeService.getTimezone(userId);
+
+    const [attendanceRecord] = await db('attendance_records')
+      .insert({
+        user_id: userId,
+        type,
+        timestamp,
+        timezone: userZone,
+        latitude: kiosk.latitude,
+        longitude: kiosk.longitude,
+        location_address: kiosk.locationName,
+        confidence_score: identification.similarity,
+        liveness_passed: antiSpoofingResult.passed,
+        liveness_data: { ...antiSpoofingResult, challenge: challengeResult },
+        work_site_id: location.workSiteId,
+        location_check: location.check,
+        flag_reasons: location.valid ? null : JSON.stringify(geofenceFlagReasons(location)),
+        status: location.valid ? 'approved' : 'flagged',
+        rejection_reason: location.valid ? null : location.message,
+        device_info: {
+          ...(parseDeviceInfo(deviceInfo) || {}),
+          source: 'kiosk',
+          kioskId: kiosk.id,
+          kioskName: kiosk.name,
+          identification: {
+            similarity: identification.similarity,
+            secondBestSimilarity: identification.secondBestSimilarity,
+            margin: identification.margin
+          }
+        },
+        is_offline: false
+      })
+      .returning('*');
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: userId,
+      action: type === 'check_in' ? 'attendance_check_in' : 'attendance_check_out',
+      resource_type: 'attendance_record',
+      resource_id: attendanceRecord.id,
+      new_values: {
+        timestamp,
+        kiosk_id: kiosk.id,
+        work_site_id: location.workSiteId,
+        confidence_score: identification.similarity,
+        match_margin: identification.margin,
+        liveness_passed: antiSpoofingResult.passed
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    io.to('admin_room').emit('attendance_update', {
+      type,
+      userId,
+      timestamp,
+      kioskId: kiosk.id,
+      location: { latitude: kiosk.latitude, longitude: kiosk.longitude },
+      status: attendanceRecord.status
+    });
+
+    logger.info(`Kiosk ${kiosk.id} recorded ${type} for user ${userId}: ${attendanceRecord.status}`);
 
     res.json({
       success: true,
+      message: `${type === 'check_in' ? 'Check-in' : 'Check-out'} successful. Welcome, ${identification.user.first_name}!`,
       data: {
-        records,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: parseInt(total.count),
-          pages: Math.ceil(total.count / limit)
+        employee: {
+          id: userId,
+          employeeId: identification.user.employee_id,
+          firstName: identification.user.first_name,
+          lastName: identification.user.last_name
+        },
+        attendanceRecord: {
+          id: attendanceRecord.id,
+          type: attendanceRecord.type,
+          timestamp: attendanceRecord.timestamp,
+          localTimestamp: timezone.toLocalISOString(attendanceRecord.timestamp, attendanceRecord.timezone),
+          timezone: attendanceRecord.timezone,
+          status: attendanceRecord.status,
+          confidenceScore: attendanceRecord.confidence_score,
+          livenessPassed: attendanceRecord.liveness_passed,
+          locationValid: location.valid,
+          locationMessage: location.message,
+          workSite: formatMatchedSite(location)
         }
       }
     });
   } catch (error) {
-    logger.error('Get attendance history failed:', error);
+    logger.error('Kiosk punch failed:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get attendance history'
+      message: 'Kiosk punch failed'
     });
   }
 });
 
-// @route   GET /api/attendance/today
-// @desc    Get today's attendance status
+// @route   POST /api/attendance/sync-offline
+// @desc    Ingest a batch of attendance punches captured while offline
 // @access  Private
-router.get('/today', authenticateToken, async (req, res) => {
+router.post('/sync-offline', authenticateToken, [
+  body('records').isArray({ min: 1, max: MAX_OFFLINE_BATCH_SIZE })
+    .withMessage(`Records must be an array of 1 to ${MAX_OFFLINE_BATCH_SIZE} items`)
+], async (req, res) => {
   try {
-    const userId = req.user.id;
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-    const todayEnd = new Date();
-    todayEnd.setHours(23, 59, 59, 999);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const syncedAt = new Date();
+    const results = [];
+
+    // Process in capture order so check-ins land before their check-outs
+    const records = [...req.body.records].sort((a, b) =>
+      new Date(a && a.timestamp) - new Date(b && b.timestamp)
+    );
+
+    for (const record of records) {
+      try {
+        results.push(await processOfflineRecord(req, userId, record, syncedAt));
+      } catch (error) {
+        logger.error(`Offline record ${record && record.idempotencyKey} failed to sync:`, error);
+        results.push({
+          idempotencyKey: record && record.idempotencyKey,
+          clientId: record && record.clientId,
+          status: 'rejected',
+          retryable: true,
+          reason: 'Processing failed, please retry'
+        });
+      }
+    }
+
+    const summary = {
+      accepted: results.filter(r => r.status === 'accepted').length,
+      flagged: results.filter(r => r.status === 'flagged').length,
+      rejected: results.filter(r => r.status === 'rejected').length
+    };
+
+    logger.info(`Offline sync for user ${userId}: ${summary.accepted} accepted, ${summary.flagged} flagged, ${summary.rejected} rejected`);
+
+    res.json({
+      success: true,
+      message: `Processed ${results.length} offline records`,
+      data: {
+        results,
+        summary
+      }
+    });
+  } catch (error) {
+    logger.error('Offline sync failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Offline sync failed'
+    });
+  }
+});
+
+// @route   GET /api/attendance/history
+// @desc    Get user's attendance history
+// @access  Private
+router.get('/history', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, startDate, endDate } = req.query;
+    const userId = req.user.id;
+    const offset = (page - 1) * limit;
+
+    const userZone = await workTimeService.getTimezone(userId);
 
-    const todayRecords = await db('attendance_records')
+    let query = db('attendance_records')
       .where('user_id', userId)
-      .whereBetween('timestamp', [todayStart, todayEnd])
-      .orderBy('timestamp', 'asc');
+      .orderBy('timestamp', 'desc');
+
+    // Plain dates are whole days in the employee's zone
+    if (startDate && endDate) {
+      query = query.whereBetween('timestamp', timezone.localDayRange(startDate, endDate, userZone));
+    }
+
+    const records = await query
+      .limit(limit)
+      .offset(offset)
+      .select('*');
+
+    const total = await db('attendance_records')
+      .where('user_id', userId)
+      .count('* as count')
+      .first();
+
+    res.json({
+      success: true,
+      data: {
+        // Punches made before zones were recorded are shown in the employee's current zone
+        records: records.map(record => ({
+          ...record,
+          localTimestamp: timezone.toLocalISOString(record.timestamp, record.timezone || userZone),
+          isCorrection: Boolean(record.regularization_id)
+        })),
+        timezone: userZone,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: parseInt(total.count),
+          pages: Math.ceil(total.count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get attendance history failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get attendance history'
+    });
+  }
+});
+
+// @route   GET /api/attendance/today
+// @desc    Get the current work day's sessions and punch status
+// @access  Private
+router.get('/today', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const now = new Date();
 
-    const checkIn = todayRecords.find(record => record.type === 'check_in' && record.status === 'approved');
-    const checkOut = todayRecords.find(record => record.type === 'check_out' && record.status === 'approved');
+    // An open session keeps its own work day, e.g. a night shift viewed after midnight
+    const openSession = await workTimeService.getOpenSession(userId, now);
+    const anchor = openSession ? openSession.checkIn.timestamp : now;
+    const { workDate, shift, timezone: userZone } = await workTimeService.getShiftAt(userId, anchor);
+    const localTime = (value) => timezone.toLocalISOString(value, userZone);
+    const [workDay] = await workTimeService.getWorkDays(userId, workDate, workDate);
+    const shiftBounds = shift ? workTimeService.shiftBounds(workDate, shift, userZone) : null;
+
+    // Work days hold approved punches only; a flagged check-in or check-out still sets the status
+    const lastPunch = openSession ? openSession.checkIn : await workTimeService.getLastPunch(userId, now);
+    const checkedOutUnapproved = !openSession && !workDay && lastPunch && lastPunch.type === 'check_out' &&
+      (await workTimeService.getShiftAt(userId, lastPunch.timestamp)).workDate === workDate;
+
+    // checkOut stays empty while a session is open so clients offer check-out
+    const checkIn = workDay ? workDay.checkIn : openSession ? openSession.checkIn : null;
+    const checkOut = workDay && !openSession ? workDay.checkOut : checkedOutUnapproved ? lastPunch : null;
+
+    let status = 'not_checked_in';
+    if (openSession) {
+      status = openSession.openBreak ? 'on_break' : 'checked_in';
+    } else if (workDay || checkedOutUnapproved) {
+      status = 'checked_out';
+    }
 
     res.json({
       success: true,
       data: {
+        workDate,
+        timezone: userZone,
+        // Expected shift from the roster or work schedule; null on a day off
+        shift: shift ? {
+          name: shift.name,
+          start: shiftBounds.start,
+          end: shiftBounds.end,
+          localStart: localTime(shiftBounds.start),
+          localEnd: localTime(shiftBounds.end),
+          workSiteId: shift.workSiteId || null
+        } : null,
         checkIn: checkIn ? {
           timestamp: checkIn.timestamp,
+          localTimestamp: localTime(checkIn.timestamp),
           location: {
             latitude: checkIn.latitude,
             longitude: checkIn.longitude,
@@ -506,13 +976,28 @@ router.get('/today', authenticateToken, async (req, res) => {
         } : null,
         checkOut: checkOut ? {
           timestamp: checkOut.timestamp,
+          localTimestamp: localTime(checkOut.timestamp),
           location: {
             latitude: checkOut.latitude,
             longitude: checkOut.longitude,
             address: checkOut.location_address
           }
         } : null,
-        status: checkIn && checkOut ? 'completed' : checkIn ? 'checked_in' : 'not_checked_in'
+        sessions: workDay ? workDay.sessions.map(session => ({
+          checkIn: session.checkIn.timestamp,
+          checkOut: session.checkOut ? session.checkOut.timestamp : null,
+          localCheckIn: localTime(session.checkIn.timestamp),
+          localCheckOut: session.checkOut ? localTime(session.checkOut.timestamp) : null,
+          workedHours: session.workedHours
+        })) : [],
+        breaks: (openSession ? openSession.breakRecords : []).map(record => ({
+          type: record.type,
+          breakType: record.break_type,
+          timestamp: record.timestamp,
+          localTimestamp: localTime(record.timestamp)
+        })),
+        workedHours: workDay ? workDay.workedHours : 0,
+        status
       }
     });
   } catch (error) {
@@ -524,20 +1009,634 @@ router.get('/today', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper function to calculate distance between two coordinates
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = lat1 * Math.PI / 180;
-  const φ2 = lat2 * Math.PI / 180;
-  const Δφ = (lat2 - lat1) * Math.PI / 180;
-  const Δλ = (lon2 - lon1) * Math.PI / 180;
+// Consume the punch's challenge nonce and verify the uploaded frames performed its steps
+// Kiosk punches pass kioskId, as their challenge is issued before the employee is identified
+async function verifyAttendanceChallenge(req, userId, referenceFeatures, { kioskId = null } = {}) {
+  const { challengeNonce } = req.body;
+  const frames = (req.files && req.files.challengeFrames) || [];
+
+  if (!challengeNonce) {
+    return LIVENESS_CHALLENGE_REQUIRED
+      ? { passed: false, reason: 'A liveness challenge is required. Please try again.' }
+      : { passed: true, skipped: true };
+  }
+
+  // Consuming before verifying makes every nonce single-use, even for failed attempts
+  const now = new Date();
+  const challengeQuery = db('liveness_challenges')
+    .where('nonce', challengeNonce)
+    .whereNull('consumed_at')
+    .where('expires_at', '>', now);
+  if (kioskId) {
+    challengeQuery.where('kiosk_id', kioskId);
+  } else {
+    challengeQuery.where('user_id', userId);
+  }
+  const [challenge] = await challengeQuery
+    .update({ consumed_at: now, user_id: userId })
+    .returning('*');
+
+  if (!challenge) {
+    return { passed: false, reason: 'Liveness challenge has expired or was already used. Please try again.' };
+  }
+
+  const steps = parseJsonColumn(challenge.steps);
+  const result = await faceRecognitionService.verifyLivenessChallenge(
+    steps,
+    frames.map(frame => frame.buffer),
+    referenceFeatures
+  );
+
+  await db('liveness_challenges')
+    .where('id', challenge.id)
+    .update({ result });
+
+  if (!result.passed) {
+    await db('audit_logs').insert({
+      user_id: userId,
+      action: 'liveness_challenge_failed',
+      resource_type: 'liveness_challenge',
+      resource_id: challenge.id,
+      new_values: {
+        steps,
+        completed_steps: result.completedSteps,
+        frame_count: result.frameCount,
+        reason: result.reason
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'high'
+    });
+  }
+
+  return { ...result, challengeId: challenge.id };
+}
+
+// Map a stored record status onto the result vocabulary used by offline sync
+function toSyncStatus(recordStatus) {
+  if (recordStatus === 'approved') return 'accepted';
+  if (recordStatus === 'rejected') return 'rejected';
+  return 'flagged';
+}
+
+// Validate, verify and store a single offline punch, returning its sync result
+async function processOfflineRecord(req, userId, record, syncedAt) {
+  const result = {
+    idempotencyKey: record && record.idempotencyKey,
+    clientId: record && record.clientId,
+    status: 'rejected',
+    retryable: false
+  };
+
+  const validationError = validateOfflineRecord(record, syncedAt);
+  if (validationError) {
+    return { ...result, reason: validationError };
+  }
+
+  const { idempotencyKey, type, latitude, longitude, accuracy, locationAddress, deviceInfo, locationSignals, faceImage } = record;
+
+  // Retried batches return the outcome of the original insert
+  const existingRecord = await db('attendance_records')
+    .where('user_id', userId)
+    .where('idempotency_key', idempotencyKey)
+    .first();
+
+  if (existingRecord) {
+    return {
+      ...result,
+      status: toSyncStatus(existingRecord.status),
+      recordId: existingRecord.id,
+      reason: existingRecord.rejection_reason,
+      duplicate: true
+    };
+  }
+
+  const imageBuffer = Buffer.from(faceImage, 'base64');
+  const faceMatch = await matchFaceForUser(userId, imageBuffer);
+
+  if (!faceMatch.faceDetected) {
+    return { ...result, reason: 'No face detected in the image' };
+  }
+
+  if (!faceMatch.hasTemplates) {
+    return { ...result, reason: 'No face template found. Please register your face first.' };
+  }
+
+  const flagReasons = [];
+
+  if (!faceMatch.antiSpoofingResult.passed) {
+    flagReasons.push({
+      code: 'liveness_failed',
+      message: `Liveness detection failed: ${faceMatch.antiSpoofingResult.reasons.join(', ')}`
+    });
+  }
+
+  if (faceMatch.similarity < faceMatch.thresholds.matchThreshold) {
+    flagReasons.push({
+      code: 'face_mismatch',
+      message: `Face similarity ${faceMatch.similarity.toFixed(4)} below threshold ${faceMatch.thresholds.matchThreshold}`
+    });
+  }
+
+  // Challenges are issued by the server, so a punch queued offline can never have performed one;
+  // passive liveness alone cannot rule out a replayed photo, so an admin has to review it
+  if (LIVENESS_CHALLENGE_REQUIRED) {
+    flagReasons.push({
+      code: 'no_active_challenge',
+      message: 'Captured offline without a server-issued liveness challenge'
+    });
+  }
+
+  const timestamp = new Date(record.timestamp);
+  const position = {
+    latitude: parseFloat(latitude),
+    longitude: parseFloat(longitude),
+    accuracy: accuracy ? parseFloat(accuracy) : null
+  };
+
+  const location = await geofenceService.checkLocation(userId, position.latitude, position.longitude, position.accuracy);
+  flagReasons.push(...geofenceFlagReasons(location));
+
+  // The batch is uploaded from wherever the phone reconnects, so its IP says nothing about the punch
+  const integrity = await locationIntegrityService.evaluate({ userId, ...position, timestamp, report: locationSignals });
+  flagReasons.push(...integrity.reasons);
+
+  const userZone = await workTimeService.getTimezone(userId);
+
+  // A punch queued before payroll was locked must not change the locked timesheet by itself;
+  // it waits as flagged until the period is reopened and an admin approves it
+  const lockedPeriod = await timesheetService.getLockedPeriod(timezone.formatDate(timestamp, userZone));
+  if (lockedPeriod) {
+    flagReasons.push({
+      code: 'period_locked',
+      message: timesheetService.lockedMessage(lockedPeriod)
+    });
+  }
+
+  const status = flagReasons.length === 0 ? 'approved' : 'flagged';
+
+  let attendanceRecord;
+  try {
+    [attendanceRecord] = await db('attendance_records')
+      .insert({
+        user_id: userId,
+        type,
+        timestamp,
+        timezone: userZone,
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+        location_address: locationAddress,
+        accuracy: accuracy ? parseFloat(accuracy) : null,
+        confidence_score: faceMatch.similarity,
+        liveness_passed: faceMatch.antiSpoofingResult.passed,
+        liveness_data: faceMatch.antiSpoofingResult,
+        work_site_id: location.workSiteId,
+        location_check: location.check,
+        location_integrity: integrity.integrity,
+        flag_reasons: flagReasons.length > 0 ? JSON.stringify(flagReasons) : null,
+        status,
+        rejection_reason: flagReasons.length > 0 ? flagReasons.map(reason => reason.message).join('; ') : null,
+        device_info: parseDeviceInfo(deviceInfo),
+        is_offline: true,
+        synced_at: syncedAt,
+        idempotency_key: idempotencyKey
+      })
+      .returning('*');
+  } catch (error) {
+    // A concurrent retry of the same batch won the insert
+    if (error.code === '23505') {
+      const winner = await db('attendance_records')
+        .where('user_id', userId)
+        .where('idempotency_key', idempotencyKey)
+        .first();
+
+      return {
+        ...result,
+        status: toSyncStatus(winner.status),
+        recordId: winner.id,
+        reason: winner.rejection_reason,
+        duplicate: true
+      };
+    }
+    throw error;
+  }
+
+  await db('audit_logs').insert({
+    user_id: userId,
+    action: 'attendance_offline_sync',
+    resource_type: 'attendance_record',
+    resource_id: attendanceRecord.id,
+    new_values: {
+      type,
+      timestamp,
+      synced_at: syncedAt,
+      latitude,
+      longitude,
+      work_site_id: location.workSiteId,
+      confidence_score: faceMatch.similarity,
+      liveness_passed: faceMatch.antiSpoofingResult.passed,
+      flag_reasons: flagReasons,
+      status
+    },
+    ip_address: req.ip,
+    user_agent: req.get('User-Agent'),
+    severity: status === 'approved' ? 'low' : 'medium'
+  });
+
+  const io = req.app.get('io');
+  io.to('admin_room').emit('attendance_update', {
+    type,
+    userId,
+    timestamp,
+    location: { latitude, longitude },
+    status,
+    isOffline: true
+  });
+
+  return {
+    ...result,
+    status: toSyncStatus(status),
+    recordId: attendanceRecord.id,
+    reason: attendanceRecord.rejection_reason,
+    duplicate: false
+  };
+}
+
+// Returns an error message for a malformed offline record, or null if it is usable
+function validateOfflineRecord(record, now) {
+  if (!record || typeof record !== 'object') {
+    return 'Record must be an object';
+  }
+
+  if (typeof record.idempotencyKey !== 'string' || record.idempotencyKey.length < 8 || record.idempotencyKey.length > 128) {
+    return 'Valid idempotency key is required';
+  }
+
+  if (!['check_in', 'check_out'].includes(record.type)) {
+    return 'Type must be check_in or check_out';
+  }
+
+  const timestamp = new Date(record.timestamp);
+  if (!record.timestamp || isNaN(timestamp.getTime())) {
+    return 'Valid capture timestamp is required';
+  }
+
+  if (timestamp.getTime() > now.getTime() + OFFLINE_CLOCK_SKEW_MS) {
+    return 'Capture timestamp is in the future';
+  }
+
+  if (now.getTime() - timestamp.getTime() > OFFLINE_MAX_AGE_HOURS * 60 * 60 * 1000) {
+    return `Records older than ${OFFLINE_MAX_AGE_HOURS} hours cannot be synced`;
+  }
+
+  if (isNaN(parseFloat(record.latitude)) || isNaN(parseFloat(record.longitude))) {
+    return 'Valid latitude and longitude are required';
+  }
+
+  if (typeof record.faceImage !== 'string' || record.faceImage.length === 0) {
+    return 'Face image is required';
+  }
+
+  return null;
+}
+
+// Device info arrives either as a JSON string (multipart) or an object (JSON body)
+function parseDeviceInfo(deviceInfo) {
+  if (!deviceInfo) return null;
+  if (typeof deviceInfo === 'object') return deviceInfo;
+
+  try {
+    return JSON.parse(deviceInfo);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Run detection, anti-spoofing and template matching for one user
+async function matchFaceForUser(userId, imageBuffer) {
+  const faces = await faceRecognitionService.detectFaces(imageBuffer);
+  if (faces.length === 0) {
+    return { faceDetected: false };
+  }
+
+  const face = faces[0];
+  const thresholds = await recognitionSettings.getEffectiveForUserId(userId);
+  const antiSpoofingResult = await faceRecognitionService.performAntiSpoofingChecks(imageBuffer, face.box, {
+    overall: thresholds.livenessThreshold
+  });
+  const faceFeatures = await faceRecognitionService.extractFaceFeatures(imageBuffer, face.box, face.landmarks);
+
+  const bestMatch = await faceEmbeddingIndex.matchUser(faceFeatures, userId, { primaryOnly: true, includeAdaptive: true });
+
+  return {
+    faceDetected: true,
+    hasTemplates: Boolean(bestMatch),
+    antiSpoofingResult,
+    similarity: bestMatch ? bestMatch.similarity : 0,
+    thresholds
+  };
+}
+
+// 1:N search over every active employee's primary and adaptive templates. A match must clear the
+// best candidate's own match threshold and beat the next-closest employee by KIOSK_MIN_MATCH_MARGIN.
+async function identifyEmployee(faceFeatures) {
+  // The index ranks users by their best template, so two templates of one person never compete
+  const candidates = await faceEmbeddingIndex.search(faceFeatures, {
+    primaryOnly: true,
+    includeAdaptive: true,
+    limit: KIOSK_CANDIDATE_LIMIT
+  });
+
+  // The index holds every user's templates; only active employees may be identified
+  const activeUserIds = new Set(
+    candidates.length === 0 ? [] : (await db('users')
+      .whereIn('id', candidates.map(candidate => candidate.userId))
+      .where('status', 'active')
+      .pluck('id'))
+  );
+  const ranked = candidates.filter(candidate => activeUserIds.has(candidate.userId));
+
+  const bestUserId = ranked[0] ? ranked[0].userId : null;
+  const similarity = ranked[0] ? ranked[0].similarity : 0;
+  const secondBestSimilarity = ranked[1] ? ranked[1].similarity : 0;
+  const margin = similarity - secondBestSimilarity;
+
+  if (!bestUserId) {
+    return { userId: null, reason: 'no_match', similarity, secondBestSimilarity, margin, threshold: null };
+  }
+
+  const user = await db('users')
+    .where('id', bestUserId)
+    .select('id', 'employee_id', 'first_name', 'last_name', 'department')
+    .first();
+
+  const { matchThreshold: threshold } = await recognitionSettings.getEffective(user);
+
+  if (similarity < threshold) {
+    return { userId: null, reason: 'no_match', similarity, secondBestSimilarity, margin, threshold };
+  }
+
+  if (margin < KIOSK_MIN_MATCH_MARGIN) {
+    return { userId: null, reason: 'ambiguous_match', similarity, secondBestSimilarity, margin, threshold };
+  }
+
+  return { userId: bestUserId, user, similarity, secondBestSimilarity, margin, threshold };
+}
+
+// Shared handler for break-start and break-end
+async function recordBreakPunch(req, res, type) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { latitude, longitude, accuracy, locationAddress, deviceInfo } = req.body;
+    const userId = req.user.id;
+    const timestamp = new Date();
+    const faceImage = req.files && req.files.faceImage && req.files.faceImage[0];
+
+    if (!faceImage && BREAK_FACE_VERIFICATION_REQUIRED) {
+      return res.status(400).json({
+        success: false,
+        message: 'Face image is required'
+      });
+    }
+
+    const openSession = await workTimeService.getOpenSession(userId, timestamp);
+    const openBreak = openSession ? openSession.openBreak : null;
+
+    if (!openSession) {
+      return res.status(400).json({
+        success: false,
+        message: 'Breaks can only be taken between check-in and check-out'
+      });
+    }
+
+    if (type === 'break_start' && openBreak) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on a break'
+      });
+    }
+
+    if (type === 'break_end' && !openBreak) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not on a break'
+      });
+    }
+
+    // When the shift defines break policies, only those types may be taken
+    if (type === 'break_start' && req.body.breakType) {
+      const policies = await workTimeService.getBreakPolicies(userId, timestamp);
+      if (policies.length > 0 && !policies.some(policy => policy.type === req.body.breakType)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Break type is not allowed for your shift',
+          details: {
+            allowedTypes: policies.map(policy => policy.type)
+          }
+        });
+      }
+    }
+
+    let faceMatch = null;
+    if (faceImage) {
+      faceMatch = await matchFaceForUser(userId, faceImage.buffer);
+
+      if (!faceMatch.faceDetected) {
+        return res.status(400).json({
+          success: false,
+          message: 'No face detected in the image'
+        });
+      }
+
+      if (!faceMatch.hasTemplates) {
+        return res.status(400).json({
+          success: false,
+          message: 'No face template found. Please register your face first.'
+        });
+      }
+
+      if (!faceMatch.antiSpoofingResult.passed) {
+        return res.status(400).json({
+          success: false,
+          message: 'Liveness detection failed. Please ensure you are a live person.',
+          details: {
+            livenessScore: faceMatch.antiSpoofingResult.overallScore,
+            thresholds: faceMatch.thresholds
+          }
+        });
+      }
+
+      if (faceMatch.similarity < faceMatch.thresholds.matchThreshold) {
+        return res.status(400).json({
+          success: false,
+          message: 'Face recognition failed. Please try again.',
+          details: {
+            similarity: faceMatch.similarity,
+            threshold: faceMatch.thresholds.matchThreshold
+          }
+        });
+      }
+    }
+
+    // Both ends carry the break type so each half of a pair is self-describing
+    const breakType = type === 'break_start'
+      ? (req.body.breakType || workTimeService.getDefaultBreakType())
+      : (openBreak.break_type || workTimeService.getDefaultBreakType());
+
+    const userZone = await workTimeService.getTimezone(userId);
+
+    const [attendanceRecord] = await db('attendance_records')
+      .insert({
+        user_id: userId,
+        type,
+        timestamp,
+        timezone: userZone,
+        break_type: breakType,
+        latitude: latitude ? parseFloat(latitude) : null,
+        longitude: longitude ? parseFloat(longitude) : null,
+        location_address: locationAddress,
+        accuracy: accuracy ? parseFloat(accuracy) : null,
+        confidence_score: faceMatch ? faceMatch.similarity : null,
+        liveness_passed: faceMatch ? faceMatch.antiSpoofingResult.passed : false,
+        liveness_data: faceMatch ? faceMatch.antiSpoofingResult : null,
+        status: 'approved',
+        device_info: parseDeviceInfo(deviceInfo),
+        is_offline: false
+      })
+      .returning('*');
 
-  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-    Math.cos(φ1) * Math.cos(φ2) *
-    Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    let breakSummary = null;
+    if (type === 'break_end') {
+      const policies = await workTimeService.getBreakPolicies(userId);
+      breakSummary = workTimeService.measureBreak(
+        openBreak.timestamp,
+        attendanceRecord.timestamp,
+        workTimeService.resolveBreakPolicy(policies, breakType)
+      );
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: userId,
+      action: type === 'break_start' ? 'attendance_break_start' : 'attendance_break_end',
+      resource_type: 'attendance_record',
+      resource_id: attendanceRecord.id,
+      new_values: {
+        timestamp,
+        break_type: breakType,
+        face_verified: Boolean(faceMatch),
+        minutes: breakSummary ? breakSummary.minutes : undefined,
+        exceeded_minutes: breakSummary ? breakSummary.exceededMinutes : undefined
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: breakSummary && breakSummary.exceededMinutes > 0 ? 'medium' : 'low'
+    });
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    io.to('admin_room').emit('attendance_update', {
+      type,
+      userId,
+      timestamp,
+      breakType,
+      status: attendanceRecord.status
+    });
+
+    logger.info(`${type === 'break_start' ? 'Break start' : 'Break end'} recorded for user ${userId}`);
+
+    let message = type === 'break_start' ? 'Break started' : 'Break ended';
+    if (breakSummary && breakSummary.exceededMinutes > 0) {
+      message += `. Break ran ${Math.round(breakSummary.exceededMinutes)} minutes over the ${breakSummary.maxMinutes} minute limit`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        attendanceRecord: {
+          id: attendanceRecord.id,
+          type: attendanceRecord.type,
+          timestamp: attendanceRecord.timestamp,
+          localTimestamp: timezone.toLocalISOString(attendanceRecord.timestamp, attendanceRecord.timezone),
+          timezone: attendanceRecord.timezone,
+          breakType,
+          status: attendanceRecord.status,
+          faceVerified: Boolean(faceMatch),
+          confidenceScore: attendanceRecord.confidence_score
+        },
+        break: breakSummary
+      }
+    });
+  } catch (error) {
+    logger.error(`${type === 'break_start' ? 'Break start' : 'Break end'} failed:`, error);
+    res.status(500).json({
+      success: false,
+      message: type === 'break_start' ? 'Failed to start break' : 'Failed to end break'
+    });
+  }
+}
+
+// Geofence and spoofing checks shared by the employee's own check-in and check-out
+async function assessPunchLocation(req, userId, timestamp) {
+  const { latitude, longitude, accuracy, locationSignals } = req.body;
+  const position = {
+    latitude: parseFloat(latitude),
+    longitude: parseFloat(longitude),
+    accuracy: accuracy ? parseFloat(accuracy) : null
+  };
+
+  const location = await geofenceService.checkLocation(userId, position.latitude, position.longitude, position.accuracy);
+  const integrity = await locationIntegrityService.evaluate({
+    userId,
+    ...position,
+    timestamp,
+    report: locationSignals,
+    ipAddress: req.ip
+  });
+
+  const flagReasons = [...geofenceFlagReasons(location), ...integrity.reasons];
+
+  return {
+    location,
+    integrity: integrity.integrity,
+    flagReasons,
+    valid: flagReasons.length === 0,
+    message: flagReasons.map(reason => reason.message).join('; ')
+  };
+}
+
+// Structured flag reason for a position that failed the geofence check
+function geofenceFlagReasons(location) {
+  if (location.valid) {
+    return [];
+  }
+
+  return [{
+    code: location.check && location.check.decision === 'inaccurate' ? 'gps_inaccurate' : 'outside_geofence',
+    message: location.message
+  }];
+}
+
+// Matched site for punch responses; null when the position matched no site
+function formatMatchedSite(location) {
+  if (!location.check || !location.valid) {
+    return null;
+  }
 
-  return R * c; // Distance in meters
+  return {
+    id: location.workSiteId,
+    name: location.check.siteName,
+    decision: location.check.decision
+  };
 }
 
 module.exports = router;
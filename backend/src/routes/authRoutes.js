@@ -4,6 +4,7 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const logger = require('../utils/logger');
+const workTimeService = require('../services/workTimeService');
 const { authenticateToken } = require('../middleware/authMiddleware');
 
 const router = express.Router();
@@ -302,6 +303,8 @@ router.get('/me', authenticateToken, async (req, res) => {
           position: user.position,
           role: user.role,
           status: user.status,
+          // Resolved from the user, their work site or the server default
+          timezone: await workTimeService.getTimezone(user.id),
           lastLogin: user.last_login
         }
       }
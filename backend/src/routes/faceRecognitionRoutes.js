@@ -1,13 +1,36 @@
+const crypto = require('crypto');
 const express = require('express');
 const multer = require('multer');
+const sharp = require('sharp');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const logger = require('../utils/logger');
+const { parseJsonColumn } = require('../utils/jsonColumn');
 const faceRecognitionService = require('../services/faceRecognitionService');
+const faceEmbeddingIndex = require('../services/faceEmbeddingIndex');
+const adaptiveTemplateService = require('../services/adaptiveTemplateService');
+const recognitionSettings = require('../services/recognitionSettings');
+const faceQualityAnalyzer = require('../services/faceQualityAnalyzer');
 const { authenticateToken, requireAdmin } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
+// Enrolling a face this close to another employee's template is treated as a duplicate identity
+const DUPLICATE_ENROLLMENT_THRESHOLD = parseFloat(process.env.DUPLICATE_ENROLLMENT_THRESHOLD) || 0.85;
+// "block" rejects the enrollment; "flag" stores it and leaves it for review
+const DUPLICATE_ENROLLMENT_ACTION = process.env.DUPLICATE_ENROLLMENT_ACTION === 'flag' ? 'flag' : 'block';
+
+// Guided enrollment: 3-5 captures covering a frontal and two slightly turned poses
+const ENROLLMENT_REQUIRED_POSES = ['frontal', 'left', 'right'];
+const ENROLLMENT_MIN_CAPTURES = 3;
+const ENROLLMENT_MAX_CAPTURES = 5;
+const ENROLLMENT_MAX_ATTEMPTS = 15; // Accepted and rejected captures per session
+const ENROLLMENT_SESSION_TTL_MINUTES = 15;
+// Minimum similarity between captures of one session, so a session cannot mix two people
+const ENROLLMENT_CONSISTENCY_THRESHOLD = parseFloat(process.env.ENROLLMENT_CONSISTENCY_THRESHOLD) || 0.75;
+// Longest side of the capture kept for admin review of self-enrollments
+const REVIEW_IMAGE_MAX_DIMENSION = 640;
+
 // Configure multer for image uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -32,26 +55,788 @@ router.post('/register', authenticateToken, requireAdmin, upload.single('faceIma
   body('isPrimary').optional().isBoolean().withMessage('isPrimary must be boolean')
 ], async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Face image is required'
+      });
+    }
+
+    const { userId, isPrimary = false } = req.body;
+    const imageBuffer = req.file.buffer;
+
+    // Verify user exists
+    const user = await db('users')
+      .where('id', userId)
+      .andWhere('status', 'active')
+      .first();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Detect faces in the image
+    const faces = await faceRecognitionService.detectFaces(imageBuffer);
+    if (faces.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No face detected in the image'
+      });
+    }
+
+    if (faces.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Multiple faces detected. Please provide an image with only one face.'
+      });
+    }
+
+    const face = faces[0];
+    const thresholds = await recognitionSettings.getEffective(user);
+
+    // Check face quality: blur, illumination, pose and face size
+    const quality = await faceRecognitionService.assessFaceQuality(imageBuffer, face, 'frontal', thresholds.qualityThreshold);
+    if (!quality.passed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Face quality is too low. Please provide a clearer image.',
+        details: {
+          qualityScore: quality.score,
+          reasons: quality.reasons,
+          checks: quality.checks,
+          thresholds
+        }
+      });
+    }
+
+    // Perform liveness detection
+    const livenessResult = await faceRecognitionService.detectLiveness(imageBuffer, face.box, null, {
+      overall: thresholds.livenessThreshold
+    });
+    if (!livenessResult.isLive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Liveness detection failed. Please ensure you are a live person.',
+        details: {
+          livenessScore: livenessResult.confidence,
+          thresholds
+        }
+      });
+    }
+
+    // Extract face features
+    const featuresArray = await faceRecognitionService.extractFaceFeatures(imageBuffer, face.box, face.landmarks);
+    
+    // Encrypt face template
+    const encryptedTemplate = faceRecognitionService.encryptFaceTemplate(featuresArray);
+    const faceHash = faceRecognitionService.generateFaceHash(featuresArray);
+
+    // Compare with the user's existing templates to prevent duplicates
+    const closestExisting = await faceEmbeddingIndex.matchUser(featuresArray, userId);
+
+    if (closestExisting && closestExisting.similarity > 0.9) {
+      return res.status(400).json({
+        success: false,
+        message: 'Similar face template already exists for this user'
+      });
+    }
+
+    // Check every other employee's templates so one person cannot be enrolled twice
+    const duplicateMatches = await findDuplicateEnrollments(featuresArray, userId);
+
+    if (duplicateMatches.length > 0) {
+      await recordDuplicateEnrollment(req, userId, duplicateMatches);
+
+      if (DUPLICATE_ENROLLMENT_ACTION === 'block') {
+        return res.status(409).json({
+          success: false,
+          message: 'This face is already enrolled for another employee',
+          details: {
+            threshold: DUPLICATE_ENROLLMENT_THRESHOLD,
+            matches: duplicateMatches
+          }
+        });
+      }
+    }
+
+    // If this is set as primary, unset other primary templates
+    if (isPrimary) {
+      await db('face_templates')
+        .where('user_id', userId)
+        .update({ is_primary: false });
+    }
+
+    // Create face template record
+    const [faceTemplate] = await db('face_templates')
+      .insert({
+        user_id: userId,
+        face_encoding: encryptedTemplate,
+        face_hash: faceHash,
+        face_metadata: {
+          confidence: face.confidence,
+          box: face.box,
+          liveness: livenessResult,
+          quality,
+          quality_score: quality.score,
+          duplicate_matches: duplicateMatches.length > 0 ? duplicateMatches : undefined
+        },
+        quality_score: quality.score,
+        is_primary: isPrimary || !closestExisting // First template is primary by default
+      })
+      .returning('*');
+
+    faceEmbeddingIndex.addTemplate(faceTemplate, featuresArray);
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'face_template_registered',
+      resource_type: 'face_template',
+      resource_id: faceTemplate.id,
+      new_values: {
+        user_id: userId,
+        quality_score: faceTemplate.quality_score,
+        is_primary: faceTemplate.is_primary
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Face template registered for user ${userId} by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Face template registered successfully',
+      data: {
+        faceTemplate: {
+          id: faceTemplate.id,
+          userId: faceTemplate.user_id,
+          qualityScore: faceTemplate.quality_score,
+          isPrimary: faceTemplate.is_primary,
+          createdAt: faceTemplate.created_at
+        },
+        duplicateMatches
+      }
+    });
+  } catch (error) {
+    logger.error('Face template registration failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Face template registration failed'
+    });
+  }
+});
+
+// @route   POST /api/face-recognition/enrollment-sessions
+// @desc    Start a guided multi-capture enrollment session
+// @access  Private (employees enroll themselves; admins may enroll anyone)
+router.post('/enrollment-sessions', authenticateToken, [
+  body('userId').optional().isUUID().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.body.userId || req.user.id;
+
+    if (userId !== req.user.id && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    const user = await db('users')
+      .where('id', userId)
+      .andWhere('status', 'active')
+      .first();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // A new session supersedes any unfinished or unreviewed one for the same person
+    await db('enrollment_sessions')
+      .where('user_id', userId)
+      .whereIn('status', ['open', 'pending_review'])
+      .update({ status: 'cancelled', review_image: null, updated_at: new Date() });
+
+    const [session] = await db('enrollment_sessions')
+      .insert({
+        user_id: userId,
+        created_by: req.user.id,
+        required_poses: JSON.stringify(ENROLLMENT_REQUIRED_POSES),
+        captures: JSON.stringify([]),
+        // Employees enrolling themselves need an admin to approve the result
+        requires_review: !isAdmin(req.user),
+        expires_at: new Date(Date.now() + ENROLLMENT_SESSION_TTL_MINUTES * 60 * 1000)
+      })
+      .returning('*');
+
+    logger.info(`Enrollment session ${session.id} started for user ${userId} by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Enrollment session started',
+      data: { session: formatEnrollmentSession(session) }
+    });
+  } catch (error) {
+    logger.error('Start enrollment session failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start enrollment session'
+    });
+  }
+});
+
+// @route   GET /api/face-recognition/enrollment-sessions/:sessionId
+// @desc    Get enrollment session progress
+// @access  Private
+router.get('/enrollment-sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await findManageableSession(req);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enrollment session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { session: formatEnrollmentSession(session) }
+    });
+  } catch (error) {
+    logger.error('Get enrollment session failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get enrollment session'
+    });
+  }
+});
+
+// @route   POST /api/face-recognition/enrollment-sessions/:sessionId/captures
+// @desc    Score one capture and keep it if it is good enough
+// @access  Private
+router.post('/enrollment-sessions/:sessionId/captures', authenticateToken, upload.single('faceImage'), [
+  body('pose').optional().isIn(faceQualityAnalyzer.POSES).withMessage(`Pose must be one of: ${faceQualityAnalyzer.POSES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Face image is required'
+      });
+    }
+
+    const session = await findManageableSession(req);
+
+    if (!session || session.status !== 'open') {
+      return res.status(404).json({
+        success: false,
+        message: 'Enrollment session not found or already closed'
+      });
+    }
+
+    if (new Date(session.expires_at) < new Date()) {
+      return res.status(410).json({
+        success: false,
+        message: 'Enrollment session has expired. Please start a new one.'
+      });
+    }
+
+    const captures = parseJsonColumn(session.captures) || [];
+    const accepted = captures.filter(capture => capture.accepted);
+
+    if (accepted.length >= ENROLLMENT_MAX_CAPTURES) {
+      return res.status(400).json({
+        success: false,
+        message: `This session already has ${ENROLLMENT_MAX_CAPTURES} accepted captures`
+      });
+    }
+
+    if (captures.length >= ENROLLMENT_MAX_ATTEMPTS) {
+      return res.status(400).json({
+        success: false,
+        message: 'Too many capture attempts. Please start a new session.'
+      });
+    }
+
+    // Default to the next required pose that has no accepted capture yet
+    const pose = req.body.pose || nextEnrollmentPose(session, accepted);
+    const imageBuffer = req.file.buffer;
+    const reasons = [];
+    let quality = null;
+    let livenessResult = null;
+    let featuresArray = null;
+
+    const faces = await faceRecognitionService.detectFaces(imageBuffer);
+    if (faces.length === 0) {
+      reasons.push('No face detected in the image');
+    } else if (faces.length > 1) {
+      reasons.push('Multiple faces detected; only the person enrolling should be in frame');
+    } else {
+      const face = faces[0];
+      const thresholds = await recognitionSettings.getEffectiveForUserId(session.user_id);
+
+      quality = await faceRecognitionService.assessFaceQuality(imageBuffer, face, pose, thresholds.qualityThreshold);
+      reasons.push(...quality.reasons);
+
+      livenessResult = await faceRecognitionService.detectLiveness(imageBuffer, face.box, null, {
+        overall: thresholds.livenessThreshold
+      });
+      if (!livenessResult.isLive) {
+        reasons.push(...livenessResult.reasons);
+      }
+
+      if (reasons.length === 0) {
+        featuresArray = await faceRecognitionService.extractFaceFeatures(imageBuffer, face.box, face.landmarks);
+
+        // Every capture in a session must show the same person
+        for (const previous of accepted) {
+          const previousFeatures = faceRecognitionService.decryptFaceTemplate(previous.encryptedFeatures);
+          const comparison = await faceRecognitionService.compareFaces(featuresArray, previousFeatures);
+
+          if (comparison.similarity < ENROLLMENT_CONSISTENCY_THRESHOLD) {
+            reasons.push('Capture does not match the earlier captures in this session');
+            break;
+          }
+        }
+      }
+    }
+
+    const capture = {
+      id: crypto.randomUUID(),
+      pose,
+      accepted: reasons.length === 0,
+      reasons,
+      qualityScore: quality ? quality.score : null,
+      quality,
+      liveness: livenessResult ? {
+        isLive: livenessResult.isLive,
+        confidence: livenessResult.confidence,
+        reasons: livenessResult.reasons
+      } : null,
+      encryptedFeatures: reasons.length === 0 ? faceRecognitionService.encryptFaceTemplate(featuresArray) : undefined,
+      capturedAt: new Date()
+    };
+
+    const sessionUpdate = {
+      captures: JSON.stringify([...captures, capture]),
+      updated_at: new Date()
+    };
+
+    // Keep the best frontal capture so the reviewing admin can compare it with the HR photo
+    const bestFrontalScore = Math.max(-1, ...accepted.filter(previous => previous.pose === 'frontal').map(previous => previous.qualityScore));
+    if (session.requires_review && capture.accepted && pose === 'frontal' && capture.qualityScore > bestFrontalScore) {
+      sessionUpdate.review_image = await sharp(imageBuffer)
+        .rotate()
+        .resize(REVIEW_IMAGE_MAX_DIMENSION, REVIEW_IMAGE_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 85 })
+        .toBuffer();
+      sessionUpdate.review_image_type = 'image/jpeg';
+    }
+
+    const [updatedSession] = await db('enrollment_sessions')
+      .where('id', session.id)
+      .update(sessionUpdate)
+      .returning('*');
+
+    const formatted = formatEnrollmentSession(updatedSession);
+
+    if (!capture.accepted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Capture rejected',
+        details: {
+          reasons,
+          quality
+        },
+        data: { session: formatted }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: formatted.readyToComplete ? 'Capture accepted. Enrollment can be completed.' : 'Capture accepted',
+      data: {
+        capture: formatCapture(capture),
+        session: formatted
+      }
+    });
+  } catch (error) {
+    logger.error('Enrollment capture failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Enrollment capture failed'
+    });
+  }
+});
+
+// @route   POST /api/face-recognition/enrollment-sessions/:sessionId/complete
+// @desc    Store the accepted captures as the user's template set
+// @access  Private
+router.post('/enrollment-sessions/:sessionId/complete', authenticateToken, async (req, res) => {
+  try {
+    const session = await findManageableSession(req);
+
+    if (!session || session.status !== 'open') {
+      return res.status(404).json({
+        success: false,
+        message: 'Enrollment session not found or already closed'
+      });
+    }
+
+    if (new Date(session.expires_at) < new Date()) {
+      return res.status(410).json({
+        success: false,
+        message: 'Enrollment session has expired. Please start a new one.'
+      });
+    }
+
+    const formatted = formatEnrollmentSession(session);
+    if (!formatted.readyToComplete) {
+      return res.status(400).json({
+        success: false,
+        message: `At least ${ENROLLMENT_MIN_CAPTURES} accepted captures covering ${ENROLLMENT_REQUIRED_POSES.join(', ')} are required`,
+        data: { session: formatted }
+      });
+    }
+
+    const userId = session.user_id;
+    const samples = loadEnrollmentSamples(session);
+    const duplicateMatches = await findSessionDuplicates(samples, userId);
+
+    if (duplicateMatches.length > 0) {
+      await recordDuplicateEnrollment(req, userId, duplicateMatches);
+
+      if (DUPLICATE_ENROLLMENT_ACTION === 'block') {
+        await db('enrollment_sessions')
+          .where('id', session.id)
+          .update({
+            status: 'cancelled',
+            result: { blocked: true, duplicateMatches },
+            review_image: null,
+            updated_at: new Date()
+          });
+
+        return res.status(409).json({
+          success: false,
+          message: 'This face is already enrolled for another employee',
+          details: {
+            threshold: DUPLICATE_ENROLLMENT_THRESHOLD,
+            matches: duplicateMatches
+          }
+        });
+      }
+    }
+
+    // Self-enrollments wait for an admin; templates are only created on approval
+    if (session.requires_review) {
+      const [submittedSession] = await db('enrollment_sessions')
+        .where('id', session.id)
+        .update({
+          status: 'pending_review',
+          submitted_at: new Date(),
+          result: duplicateMatches.length > 0 ? { duplicateMatches } : null,
+          updated_at: new Date()
+        })
+        .returning('*');
+
+      // Log the action
+      await db('audit_logs').insert({
+        user_id: req.user.id,
+        action: 'face_enrollment_submitted',
+        resource_type: 'enrollment_session',
+        resource_id: session.id,
+        new_values: {
+          user_id: userId,
+          captures: samples.length,
+          duplicate_matches: duplicateMatches.length
+        },
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+        severity: 'medium'
+      });
+
+      const io = req.app.get('io');
+      io.to('admin_room').emit('enrollment_pending', {
+        sessionId: session.id,
+        userId,
+        submittedAt: submittedSession.submitted_at
+      });
+
+      logger.info(`Enrollment session ${session.id} submitted for review by user ${userId}`);
+
+      return res.status(202).json({
+        success: true,
+        message: 'Face enrollment submitted. An administrator will review it shortly.',
+        // Duplicate matches name other employees, so they are only shown to reviewers
+        data: { session: { ...formatEnrollmentSession(submittedSession), result: null } }
+      });
+    }
+
+    const faceTemplates = await storeEnrollmentTemplates(session, samples, duplicateMatches);
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'face_enrollment_completed',
+      resource_type: 'enrollment_session',
+      resource_id: session.id,
+      new_values: {
+        user_id: userId,
+        templates: summarizeStoredTemplates(faceTemplates)
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Enrollment session ${session.id} completed: ${faceTemplates.length} templates stored for user ${userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Face enrollment completed successfully',
+      data: {
+        faceTemplates: faceTemplates.map(formatStoredTemplate),
+        duplicateMatches
+      }
+    });
+  } catch (error) {
+    logger.error('Complete enrollment session failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete enrollment session'
+    });
+  }
+});
+
+// @route   DELETE /api/face-recognition/enrollment-sessions/:sessionId
+// @desc    Cancel an open enrollment session
+// @access  Private
+router.delete('/enrollment-sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await findManageableSession(req);
+
+    if (!session || session.status !== 'open') {
+      return res.status(404).json({
+        success: false,
+        message: 'Enrollment session not found or already closed'
+      });
+    }
+
+    await db('enrollment_sessions')
+      .where('id', session.id)
+      .update({ status: 'cancelled', review_image: null, updated_at: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Enrollment session cancelled'
+    });
+  } catch (error) {
+    logger.error('Cancel enrollment session failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel enrollment session'
+    });
+  }
+});
+
+// @route   GET /api/face-recognition/enrollment-status
+// @desc    Get the current user's enrollment state
+// @access  Private
+router.get('/enrollment-status', authenticateToken, async (req, res) => {
+  try {
+    const [{ count }] = await db('face_templates')
+      .where('user_id', req.user.id)
+      .whereNull('retired_at')
+      .count('id as count');
+
+    const latestSession = await db('enrollment_sessions')
+      .where('user_id', req.user.id)
+      .orderBy('created_at', 'desc')
+      .first();
+
+    res.json({
+      success: true,
+      data: {
+        enrolled: parseInt(count) > 0,
+        templateCount: parseInt(count),
+        latestSession: latestSession ? {
+          ...formatEnrollmentSession(latestSession),
+          result: null,
+          submittedAt: latestSession.submitted_at,
+          reviewedAt: latestSession.reviewed_at,
+          // Tells the employee why a self-enrollment was rejected
+          reviewNotes: latestSession.review_notes
+        } : null
+      }
+    });
+  } catch (error) {
+    logger.error('Get enrollment status failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get enrollment status'
+    });
+  }
+});
+
+// @route   GET /api/face-recognition/enrollment-reviews
+// @desc    List self-enrollments awaiting review
+// @access  Private (Admin only)
+router.get('/enrollment-reviews', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { status = 'pending_review', page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const query = db('enrollment_sessions')
+      .join('users', 'enrollment_sessions.user_id', 'users.id')
+      .where('enrollment_sessions.requires_review', true)
+      .where('enrollment_sessions.status', status);
+
+    const [{ count }] = await query.clone().count('enrollment_sessions.id as count');
+
+    const sessions = await query
+      .select(
+        'enrollment_sessions.*',
+        'users.employee_id',
+        'users.first_name',
+        'users.last_name',
+        'users.department',
+        'users.hr_photo_url'
+      )
+      .orderBy('enrollment_sessions.submitted_at', 'asc')
+      .limit(limit)
+      .offset(offset);
+
+    res.json({
+      success: true,
+      data: {
+        reviews: sessions.map(session => ({
+          ...formatEnrollmentSession(session),
+          submittedAt: session.submitted_at,
+          reviewedAt: session.reviewed_at,
+          reviewNotes: session.review_notes,
+          hasReviewImage: Boolean(session.review_image),
+          user: {
+            id: session.user_id,
+            employeeId: session.employee_id,
+            name: `${session.first_name} ${session.last_name}`,
+            department: session.department,
+            hrPhotoUrl: session.hr_photo_url
+          }
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: parseInt(count),
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get enrollment reviews failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get enrollment reviews'
+    });
+  }
+});
+
+// @route   GET /api/face-recognition/enrollment-reviews/:sessionId/image
+// @desc    Get the captured frontal image of a self-enrollment under review
+// @access  Private (Admin only)
+router.get('/enrollment-reviews/:sessionId/image', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const session = await db('enrollment_sessions')
+      .where('id', req.params.sessionId)
+      .select('id', 'user_id', 'review_image', 'review_image_type')
+      .first();
+
+    if (!session || !session.review_image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review image not found'
+      });
+    }
+
+    // Log access to the biometric image
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'face_enrollment_image_viewed',
+      resource_type: 'enrollment_session',
+      resource_id: session.id,
+      new_values: { user_id: session.user_id },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    res.set('Content-Type', session.review_image_type || 'image/jpeg');
+    res.set('Cache-Control', 'no-store');
+    res.send(session.review_image);
+  } catch (error) {
+    logger.error('Get enrollment review image failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get review image'
+    });
+  }
+});
+
+// @route   PUT /api/face-recognition/enrollment-reviews/:sessionId/approve
+// @desc    Approve a self-enrollment and activate its templates
+// @access  Private (Admin only)
+router.put('/enrollment-reviews/:sessionId/approve', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { notes } = req.body;
 
-    if (!req.file) {
-      return res.status(400).json({
+    const session = await db('enrollment_sessions')
+      .where('id', req.params.sessionId)
+      .where('status', 'pending_review')
+      .first();
+
+    if (!session) {
+      return res.status(404).json({
         success: false,
-        message: 'Face image is required'
+        message: 'Pending enrollment not found'
       });
     }
 
-    const { userId, isPrimary = false } = req.body;
-    const imageBuffer = req.file.buffer;
-
-    // Verify user exists
+    const userId = session.user_id;
     const user = await db('users')
       .where('id', userId)
       .andWhere('status', 'active')
@@ -64,126 +849,134 @@ router.post('/register', authenticateToken, requireAdmin, upload.single('faceIma
       });
     }
 
-    // Detect faces in the image
-    const faces = await faceRecognitionService.detectFaces(imageBuffer);
-    if (faces.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No face detected in the image'
-      });
-    }
+    // Other employees may have enrolled since submission, so check again
+    const samples = loadEnrollmentSamples(session);
+    const duplicateMatches = await findSessionDuplicates(samples, userId);
 
-    if (faces.length > 1) {
-      return res.status(400).json({
-        success: false,
-        message: 'Multiple faces detected. Please provide an image with only one face.'
-      });
+    if (duplicateMatches.length > 0) {
+      await recordDuplicateEnrollment(req, userId, duplicateMatches);
+
+      if (DUPLICATE_ENROLLMENT_ACTION === 'block') {
+        return res.status(409).json({
+          success: false,
+          message: 'This face is already enrolled for another employee. Reject the enrollment instead.',
+          details: {
+            threshold: DUPLICATE_ENROLLMENT_THRESHOLD,
+            matches: duplicateMatches
+          }
+        });
+      }
     }
 
-    const face = faces[0];
+    const faceTemplates = await storeEnrollmentTemplates(session, samples, duplicateMatches, {
+      reviewed_by: req.user.id,
+      reviewed_at: new Date(),
+      review_notes: notes || null,
+      review_image: null
+    });
 
-    // Check face quality
-    if (face.confidence < 0.8) {
-      return res.status(400).json({
-        success: false,
-        message: 'Face quality is too low. Please provide a clearer image.'
-      });
-    }
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'face_enrollment_approved',
+      resource_type: 'enrollment_session',
+      resource_id: session.id,
+      old_values: { status: session.status },
+      new_values: {
+        status: 'completed',
+        user_id: userId,
+        notes,
+        templates: summarizeStoredTemplates(faceTemplates)
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
 
-    // Perform liveness detection
-    const livenessResult = await faceRecognitionService.detectLiveness(imageBuffer, face.box);
-    if (!livenessResult.isLive) {
+    logger.info(`Enrollment session ${session.id} for user ${userId} approved by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Face enrollment approved',
+      data: {
+        faceTemplates: faceTemplates.map(formatStoredTemplate),
+        duplicateMatches
+      }
+    });
+  } catch (error) {
+    logger.error('Approve enrollment failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve enrollment'
+    });
+  }
+});
+
+// @route   PUT /api/face-recognition/enrollment-reviews/:sessionId/reject
+// @desc    Reject a self-enrollment
+// @access  Private (Admin only)
+router.put('/enrollment-reviews/:sessionId/reject', authenticateToken, requireAdmin, [
+  body('reason').notEmpty().withMessage('Rejection reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Liveness detection failed. Please ensure you are a live person.'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Extract face features
-    const faceFeatures = await faceRecognitionService.extractFaceFeatures(imageBuffer, face.box);
-    const featuresArray = await faceFeatures.data();
-    
-    // Encrypt face template
-    const encryptedTemplate = faceRecognitionService.encryptFaceTemplate(featuresArray);
-    const faceHash = faceRecognitionService.generateFaceHash(featuresArray);
+    const { reason } = req.body;
 
-    // Check for duplicate face templates
-    const existingTemplates = await db('face_templates')
-      .where('user_id', userId);
-
-    // Compare with existing templates to prevent duplicates
-    for (const existingTemplate of existingTemplates) {
-      const decryptedExisting = faceRecognitionService.decryptFaceTemplate(existingTemplate.face_encoding);
-      const comparison = await faceRecognitionService.compareFaces(faceFeatures, decryptedExisting);
-      
-      if (comparison.similarity > 0.9) {
-        return res.status(400).json({
-          success: false,
-          message: 'Similar face template already exists for this user'
-        });
-      }
-    }
+    const session = await db('enrollment_sessions')
+      .where('id', req.params.sessionId)
+      .where('status', 'pending_review')
+      .first();
 
-    // If this is set as primary, unset other primary templates
-    if (isPrimary) {
-      await db('face_templates')
-        .where('user_id', userId)
-        .update({ is_primary: false });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending enrollment not found'
+      });
     }
 
-    // Create face template record
-    const [faceTemplate] = await db('face_templates')
-      .insert({
-        user_id: userId,
-        face_encoding: encryptedTemplate,
-        face_hash: faceHash,
-        face_metadata: {
-          confidence: face.confidence,
-          box: face.box,
-          liveness: livenessResult,
-          quality_score: Math.round(face.confidence * 100)
-        },
-        quality_score: Math.round(face.confidence * 100),
-        is_primary: isPrimary || existingTemplates.length === 0 // First template is primary by default
-      })
-      .returning('*');
+    await db('enrollment_sessions')
+      .where('id', session.id)
+      .update({
+        status: 'rejected',
+        reviewed_by: req.user.id,
+        reviewed_at: new Date(),
+        review_notes: reason,
+        review_image: null,
+        updated_at: new Date()
+      });
 
     // Log the action
     await db('audit_logs').insert({
       user_id: req.user.id,
-      action: 'face_template_registered',
-      resource_type: 'face_template',
-      resource_id: faceTemplate.id,
-      new_values: {
-        user_id: userId,
-        quality_score: faceTemplate.quality_score,
-        is_primary: faceTemplate.is_primary
-      },
+      action: 'face_enrollment_rejected',
+      resource_type: 'enrollment_session',
+      resource_id: session.id,
+      old_values: { status: session.status },
+      new_values: { status: 'rejected', user_id: session.user_id, reason },
       ip_address: req.ip,
       user_agent: req.get('User-Agent'),
       severity: 'medium'
     });
 
-    logger.info(`Face template registered for user ${userId} by admin ${req.user.id}`);
+    logger.info(`Enrollment session ${session.id} for user ${session.user_id} rejected by admin ${req.user.id}`);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Face template registered successfully',
-      data: {
-        faceTemplate: {
-          id: faceTemplate.id,
-          userId: faceTemplate.user_id,
-          qualityScore: faceTemplate.quality_score,
-          isPrimary: faceTemplate.is_primary,
-          createdAt: faceTemplate.created_at
-        }
-      }
+      message: 'Face enrollment rejected'
     });
   } catch (error) {
-    logger.error('Face template registration failed:', error);
+    logger.error('Reject enrollment failed:', error);
     res.status(500).json({
       success: false,
-      message: 'Face template registration failed'
+      message: 'Failed to reject enrollment'
     });
   }
 });
@@ -213,49 +1006,39 @@ router.post('/verify', authenticateToken, upload.single('faceImage'), async (req
     }
 
     const face = faces[0];
+    const thresholds = await recognitionSettings.getEffectiveForUserId(userId);
 
     // Perform liveness detection
-    const livenessResult = await faceRecognitionService.detectLiveness(imageBuffer, face.box);
+    const livenessResult = await faceRecognitionService.detectLiveness(imageBuffer, face.box, null, {
+      overall: thresholds.livenessThreshold
+    });
     if (!livenessResult.isLive) {
       return res.status(400).json({
         success: false,
-        message: 'Liveness detection failed'
+        message: 'Liveness detection failed',
+        details: {
+          livenessScore: livenessResult.confidence,
+          thresholds
+        }
       });
     }
 
     // Extract face features
-    const faceFeatures = await faceRecognitionService.extractFaceFeatures(imageBuffer, face.box);
+    const faceFeatures = await faceRecognitionService.extractFaceFeatures(imageBuffer, face.box, face.landmarks);
 
-    // Get user's face templates
-    const faceTemplates = await db('face_templates')
-      .where('user_id', userId);
+    // Compare with all of the user's templates in the embedding index
+    const bestMatch = await faceEmbeddingIndex.matchUser(faceFeatures, userId);
 
-    if (faceTemplates.length === 0) {
+    if (!bestMatch) {
       return res.status(400).json({
         success: false,
         message: 'No face templates found for this user'
       });
     }
 
-    // Compare with stored templates
-    let bestMatch = null;
-    let bestSimilarity = 0;
-
-    for (const template of faceTemplates) {
-      const decryptedTemplate = faceRecognitionService.decryptFaceTemplate(template.face_encoding);
-      const comparison = await faceRecognitionService.compareFaces(faceFeatures, decryptedTemplate);
-      
-      if (comparison.similarity > bestSimilarity) {
-        bestSimilarity = comparison.similarity;
-        bestMatch = {
-          templateId: template.id,
-          similarity: comparison.similarity,
-          isPrimary: template.is_primary
-        };
-      }
-    }
+    const bestSimilarity = bestMatch.similarity;
 
-    const confidenceThreshold = 0.8;
+    const confidenceThreshold = thresholds.matchThreshold;
     const isVerified = bestMatch && bestSimilarity >= confidenceThreshold;
 
     // Log verification attempt
@@ -280,6 +1063,7 @@ router.post('/verify', authenticateToken, upload.single('faceImage'), async (req
         verified: isVerified,
         similarity: bestSimilarity,
         threshold: confidenceThreshold,
+        thresholds,
         livenessPassed: livenessResult.isLive,
         bestMatch: bestMatch ? {
           templateId: bestMatch.templateId,
@@ -305,7 +1089,8 @@ router.get('/templates/:userId', authenticateToken, requireAdmin, async (req, re
 
     const templates = await db('face_templates')
       .where('user_id', userId)
-      .select('id', 'quality_score', 'is_primary', 'created_at', 'updated_at')
+      .whereNull('retired_at')
+      .select('id', 'source', 'quality_score', 'is_primary', 'created_at', 'updated_at')
       .orderBy('created_at', 'desc');
 
     res.json({
@@ -313,6 +1098,7 @@ router.get('/templates/:userId', authenticateToken, requireAdmin, async (req, re
       data: {
         templates: templates.map(template => ({
           id: template.id,
+          source: template.source,
           qualityScore: template.quality_score,
           isPrimary: template.is_primary,
           createdAt: template.created_at,
@@ -329,6 +1115,111 @@ router.get('/templates/:userId', authenticateToken, requireAdmin, async (req, re
   }
 });
 
+// @route   GET /api/face-recognition/templates/:userId/history
+// @desc    Get every template a user has had, including retired adaptive ones
+// @access  Private (Admin only)
+router.get('/templates/:userId/history', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const templates = await adaptiveTemplateService.getHistory(userId);
+
+    res.json({
+      success: true,
+      data: {
+        adaptiveEnabled: adaptiveTemplateService.isEnabled(),
+        templates: templates.map(template => {
+          const metadata = parseJsonColumn(template.face_metadata) || {};
+
+          return {
+            id: template.id,
+            source: template.source,
+            isPrimary: template.is_primary,
+            qualityScore: template.quality_score,
+            attendanceRecordId: template.attendance_record_id,
+            matchSimilarity: metadata.match_similarity,
+            anchorSimilarity: metadata.anchor_similarity,
+            active: !template.retired_at,
+            retiredAt: template.retired_at,
+            retiredReason: template.retired_reason,
+            createdAt: template.created_at
+          };
+        })
+      }
+    });
+  } catch (error) {
+    logger.error('Get face template history failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get face template history'
+    });
+  }
+});
+
+// @route   POST /api/face-recognition/templates/:userId/rollback
+// @desc    Restore a user's adaptive templates to an earlier point in their history
+// @access  Private (Admin only)
+router.post('/templates/:userId/rollback', authenticateToken, requireAdmin, [
+  body('templateId').optional({ nullable: true }).isUUID().withMessage('Valid template ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    // Without a templateId every adaptive template is retired, leaving only enrollment
+    const templateId = req.body.templateId || null;
+
+    const result = await adaptiveTemplateService.rollback(userId, templateId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Adaptive template not found for this user'
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'face_templates_rolled_back',
+      resource_type: 'user',
+      resource_id: userId,
+      new_values: {
+        rolled_back_to: templateId || 'enrollment',
+        retired_template_ids: result.retired,
+        restored_template_ids: result.restored
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Face templates for user ${userId} rolled back by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Face templates rolled back successfully',
+      data: {
+        retiredTemplateIds: result.retired,
+        restoredTemplateIds: result.restored
+      }
+    });
+  } catch (error) {
+    logger.error('Roll back face templates failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to roll back face templates'
+    });
+  }
+});
+
 // @route   DELETE /api/face-recognition/templates/:templateId
 // @desc    Delete a face template
 // @access  Private (Admin only)
@@ -351,6 +1242,8 @@ router.delete('/templates/:templateId', authenticateToken, requireAdmin, async (
       .where('id', templateId)
       .del();
 
+    faceEmbeddingIndex.removeTemplate(templateId);
+
     // Log the action
     await db('audit_logs').insert({
       user_id: req.user.id,
@@ -400,6 +1293,14 @@ router.put('/templates/:templateId/primary', authenticateToken, requireAdmin, as
       });
     }
 
+    // The primary template anchors adaptive learning, so it must come from enrollment
+    if (template.source === 'adaptive' || template.retired_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active enrolled templates can be set as primary'
+      });
+    }
+
     // Unset other primary templates for this user
     await db('face_templates')
       .where('user_id', template.user_id)
@@ -410,6 +1311,8 @@ router.put('/templates/:templateId/primary', authenticateToken, requireAdmin, as
       .where('id', templateId)
       .update({ is_primary: true });
 
+    faceEmbeddingIndex.setPrimary(template.user_id, templateId);
+
     // Log the action
     await db('audit_logs').insert({
       user_id: req.user.id,
@@ -440,4 +1343,250 @@ router.put('/templates/:templateId/primary', authenticateToken, requireAdmin, as
   }
 });
 
+// Other employees whose templates are at least DUPLICATE_ENROLLMENT_THRESHOLD similar
+async function findDuplicateEnrollments(features, userId) {
+  const candidates = (await faceEmbeddingIndex.search(features, { excludeUserIds: [userId] }))
+    .filter(candidate => candidate.similarity >= DUPLICATE_ENROLLMENT_THRESHOLD);
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const users = await db('users')
+    .whereIn('id', candidates.map(candidate => candidate.userId))
+    .select('id', 'employee_id', 'first_name', 'last_name');
+  const usersById = new Map(users.map(user => [user.id, user]));
+
+  return candidates.map(candidate => {
+    const user = usersById.get(candidate.userId) || {};
+    return {
+      userId: candidate.userId,
+      employeeId: user.employee_id,
+      name: user.first_name ? `${user.first_name} ${user.last_name}` : null,
+      templateId: candidate.templateId,
+      similarity: Math.round(candidate.similarity * 10000) / 10000
+    };
+  });
+}
+
+function isAdmin(user) {
+  return ['admin', 'super_admin'].includes(user.role);
+}
+
+// Sessions are visible to the person being enrolled, whoever started them, and admins
+async function findManageableSession(req) {
+  const session = await db('enrollment_sessions')
+    .where('id', req.params.sessionId)
+    .first();
+
+  if (!session) {
+    return null;
+  }
+
+  if (isAdmin(req.user)) {
+    return session;
+  }
+
+  // Sessions an admin opened skip review, so only admins may drive them; employees
+  // are limited to their own self-enrollments, which always wait for approval
+  if (session.user_id !== req.user.id || session.created_by !== req.user.id || !session.requires_review) {
+    return null;
+  }
+
+  return session;
+}
+
+function nextEnrollmentPose(session, accepted) {
+  const requiredPoses = parseJsonColumn(session.required_poses) || ENROLLMENT_REQUIRED_POSES;
+  const acceptedPoses = new Set(accepted.map(capture => capture.pose));
+  return requiredPoses.find(pose => !acceptedPoses.has(pose)) || 'frontal';
+}
+
+// Captures without their encrypted features
+function formatCapture(capture) {
+  return {
+    id: capture.id,
+    pose: capture.pose,
+    accepted: capture.accepted,
+    reasons: capture.reasons,
+    qualityScore: capture.qualityScore,
+    capturedAt: capture.capturedAt
+  };
+}
+
+function formatEnrollmentSession(session) {
+  const requiredPoses = parseJsonColumn(session.required_poses) || ENROLLMENT_REQUIRED_POSES;
+  const captures = parseJsonColumn(session.captures) || [];
+  const accepted = captures.filter(capture => capture.accepted);
+  const acceptedPoses = new Set(accepted.map(capture => capture.pose));
+  const missingPoses = requiredPoses.filter(pose => !acceptedPoses.has(pose));
+
+  return {
+    id: session.id,
+    userId: session.user_id,
+    status: session.status,
+    requiredPoses,
+    missingPoses,
+    nextPose: session.status === 'open' ? nextEnrollmentPose(session, accepted) : null,
+    acceptedCount: accepted.length,
+    minCaptures: ENROLLMENT_MIN_CAPTURES,
+    maxCaptures: ENROLLMENT_MAX_CAPTURES,
+    readyToComplete: session.status === 'open' && accepted.length >= ENROLLMENT_MIN_CAPTURES && missingPoses.length === 0,
+    captures: captures.map(formatCapture),
+    result: parseJsonColumn(session.result),
+    expiresAt: session.expires_at,
+    completedAt: session.completed_at
+  };
+}
+
+// Accepted captures of a session with their decrypted features
+function loadEnrollmentSamples(session) {
+  return (parseJsonColumn(session.captures) || [])
+    .filter(capture => capture.accepted)
+    .map(capture => ({
+      capture,
+      features: faceRecognitionService.decryptFaceTemplate(capture.encryptedFeatures)
+    }));
+}
+
+// Check every capture against other employees, keeping the closest match per employee
+async function findSessionDuplicates(samples, userId) {
+  const matchesByUser = new Map();
+
+  for (const sample of samples) {
+    for (const match of await findDuplicateEnrollments(sample.features, userId)) {
+      const existing = matchesByUser.get(match.userId);
+      if (!existing || match.similarity > existing.similarity) {
+        matchesByUser.set(match.userId, match);
+      }
+    }
+  }
+
+  return Array.from(matchesByUser.values());
+}
+
+// Insert one template per accepted capture and close the session in one transaction
+async function storeEnrollmentTemplates(session, samples, duplicateMatches, sessionUpdate = {}) {
+  const userId = session.user_id;
+
+  // The sharpest, best-lit frontal capture becomes the primary template used at check-in
+  const primarySample = samples
+    .filter(sample => sample.capture.pose === 'frontal')
+    .sort((a, b) => b.capture.qualityScore - a.capture.qualityScore)[0];
+
+  const { inserted: faceTemplates, retiredIds } = await db.transaction(async trx => {
+    await trx('face_templates')
+      .where('user_id', userId)
+      .update({ is_primary: false });
+
+    // Templates learned from the old enrollment would keep matching the old appearance;
+    // they are retired rather than deleted so an admin can still roll back to them
+    const retiredIds = await trx('face_templates')
+      .where('user_id', userId)
+      .where('source', 'adaptive')
+      .whereNull('retired_at')
+      .pluck('id');
+
+    if (retiredIds.length > 0) {
+      await trx('face_templates')
+        .whereIn('id', retiredIds)
+        .update({ retired_at: new Date(), retired_reason: 're_enrolled', updated_at: new Date() });
+    }
+
+    const inserted = [];
+    for (const sample of samples) {
+      const [faceTemplate] = await trx('face_templates')
+        .insert({
+          user_id: userId,
+          face_encoding: faceRecognitionService.encryptFaceTemplate(sample.features),
+          face_hash: faceRecognitionService.generateFaceHash(sample.features),
+          face_metadata: {
+            source: 'enrollment_session',
+            session_id: session.id,
+            pose: sample.capture.pose,
+            quality: sample.capture.quality,
+            liveness: sample.capture.liveness,
+            quality_score: sample.capture.qualityScore,
+            duplicate_matches: duplicateMatches.length > 0 ? duplicateMatches : undefined
+          },
+          quality_score: sample.capture.qualityScore,
+          is_primary: sample === primarySample
+        })
+        .returning('*');
+
+      inserted.push({ faceTemplate, features: sample.features });
+    }
+
+    await trx('enrollment_sessions')
+      .where('id', session.id)
+      .update({
+        ...sessionUpdate,
+        status: 'completed',
+        completed_at: new Date(),
+        result: {
+          templateIds: inserted.map(({ faceTemplate }) => faceTemplate.id),
+          primaryTemplateId: inserted.find(({ faceTemplate }) => faceTemplate.is_primary).faceTemplate.id,
+          retiredTemplateIds: retiredIds.length > 0 ? retiredIds : undefined,
+          duplicateMatches: duplicateMatches.length > 0 ? duplicateMatches : undefined
+        },
+        updated_at: new Date()
+      });
+
+    return { inserted, retiredIds };
+  });
+
+  for (const templateId of retiredIds) {
+    faceEmbeddingIndex.removeTemplate(templateId);
+  }
+  for (const { faceTemplate, features } of faceTemplates) {
+    faceEmbeddingIndex.addTemplate(faceTemplate, features);
+  }
+
+  if (retiredIds.length > 0) {
+    logger.info(`Re-enrollment of user ${userId} retired ${retiredIds.length} adaptive templates`);
+  }
+
+  return faceTemplates.map(({ faceTemplate }) => faceTemplate);
+}
+
+function summarizeStoredTemplates(faceTemplates) {
+  return faceTemplates.map(faceTemplate => ({
+    id: faceTemplate.id,
+    pose: faceTemplate.face_metadata.pose,
+    quality_score: faceTemplate.quality_score,
+    is_primary: faceTemplate.is_primary
+  }));
+}
+
+function formatStoredTemplate(faceTemplate) {
+  return {
+    id: faceTemplate.id,
+    userId: faceTemplate.user_id,
+    pose: faceTemplate.face_metadata.pose,
+    qualityScore: faceTemplate.quality_score,
+    isPrimary: faceTemplate.is_primary,
+    createdAt: faceTemplate.created_at
+  };
+}
+
+// High severity audit trail for an enrollment that looks like another employee
+async function recordDuplicateEnrollment(req, userId, duplicateMatches) {
+  await db('audit_logs').insert({
+    user_id: req.user.id,
+    action: DUPLICATE_ENROLLMENT_ACTION === 'block' ? 'duplicate_enrollment_blocked' : 'duplicate_enrollment_flagged',
+    resource_type: 'user',
+    resource_id: userId,
+    new_values: {
+      user_id: userId,
+      threshold: DUPLICATE_ENROLLMENT_THRESHOLD,
+      matches: duplicateMatches
+    },
+    ip_address: req.ip,
+    user_agent: req.get('User-Agent'),
+    severity: 'high'
+  });
+
+  logger.warn(`Face enrollment for user ${userId} matches ${duplicateMatches.length} other employee(s); ${DUPLICATE_ENROLLMENT_ACTION}ed`);
+}
+
 module.exports = router;
@@ -0,0 +1,731 @@
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+const holidayService = require('../services/holidayService');
+const { authenticateToken, requireAdmin } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// iCalendar holiday feeds are small text files
+const calendarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/calendar' || file.originalname.toLowerCase().endsWith('.ics')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only iCalendar (.ics) files are allowed'), false);
+    }
+  }
+});
+
+const holidayCalendarValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Calendar name cannot be empty'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean'),
+  body('optionalHolidayAllowance').optional().isInt({ min: 0, max: 366 }).withMessage('Optional holiday allowance must be a whole number of days'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+const holidayValidators = [
+  body('date').optional().matches(DATE_PATTERN).withMessage('Date must be a YYYY-MM-DD date'),
+  body('name').optional().trim().notEmpty().withMessage('Holiday name cannot be empty'),
+  body('type').optional().isIn(holidayService.getHolidayTypes()).withMessage(`Type must be one of ${holidayService.getHolidayTypes().join(', ')}`)
+];
+
+// @route   GET /api/admin/holiday-calendars
+// @desc    List holiday calendars with their site and department assignments
+// @access  Private (Admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const calendars = await db('holiday_calendars').select('*').orderBy('name', 'asc');
+
+    const assignments = await db('holiday_calendar_assignments')
+      .leftJoin('work_sites', 'holiday_calendar_assignments.work_site_id', 'work_sites.id')
+      .select('holiday_calendar_assignments.*', 'work_sites.name as work_site_name');
+
+    const counts = await db('holidays')
+      .select('calendar_id')
+      .count('* as count')
+      .groupBy('calendar_id');
+
+    res.json({
+      success: true,
+      data: {
+        calendars: calendars.map(calendar => ({
+          ...formatHolidayCalendar(
+            calendar,
+            assignments.filter(assignment => assignment.calendar_id === calendar.id)
+          ),
+          holidayCount: parseInt((counts.find(count => count.calendar_id === calendar.id) || { count: 0 }).count)
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Get holiday calendars failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get holiday calendars'
+    });
+  }
+});
+
+// @route   POST /api/admin/holiday-calendars
+// @desc    Create a holiday calendar
+// @access  Private (Admin only)
+router.post('/', authenticateToken, requireAdmin, [
+  body('name').trim().notEmpty().withMessage('Calendar name is required'),
+  ...holidayCalendarValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, isDefault = false, optionalHolidayAllowance = 0 } = req.body;
+
+    const existing = await db('holiday_calendars').where('name', name).first();
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A holiday calendar with this name already exists'
+      });
+    }
+
+    const [calendar] = await db('holiday_calendars')
+      .insert({
+        name,
+        description,
+        is_default: isDefault,
+        optional_holiday_allowance: parseInt(optionalHolidayAllowance),
+        created_by: req.user.id
+      })
+      .returning('*');
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'holiday_calendar_created',
+      resource_type: 'holiday_calendar',
+      resource_id: calendar.id,
+      new_values: { name, description, is_default: isDefault, optional_holiday_allowance: calendar.optional_holiday_allowance },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Holiday calendar ${calendar.id} created by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday calendar created successfully',
+      data: { calendar: formatHolidayCalendar(calendar, []) }
+    });
+  } catch (error) {
+    logger.error('Create holiday calendar failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create holiday calendar'
+    });
+  }
+});
+
+// @route   PUT /api/admin/holiday-calendars/:id
+// @desc    Update a holiday calendar's details, default flag or active state
+// @access  Private (Admin only)
+router.put('/:id', authenticateToken, requireAdmin, holidayCalendarValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const calendar = await db('holiday_calendars').where('id', id).first();
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday calendar not found'
+      });
+    }
+
+    const { name, description, isDefault, optionalHolidayAllowance, isActive } = req.body;
+
+    if (name !== undefined && name !== calendar.name) {
+      const existing = await db('holiday_calendars').where('name', name).first();
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'A holiday calendar with this name already exists'
+        });
+      }
+    }
+
+    const updates = { updated_at: new Date() };
+    if (name !== undefined) updates.name = name;
+    if (description !== undefined) updates.description = description;
+    if (isDefault !== undefined) updates.is_default = isDefault;
+    if (optionalHolidayAllowance !== undefined) updates.optional_holiday_allowance = parseInt(optionalHolidayAllowance);
+    if (isActive !== undefined) updates.is_active = isActive;
+
+    const [updatedCalendar] = await db('holiday_calendars')
+      .where('id', id)
+      .update(updates)
+      .returning('*');
+
+    const oldValues = {};
+    const newValues = {};
+    for (const column of Object.keys(updates)) {
+      if (column !== 'updated_at') {
+        oldValues[column] = calendar[column];
+        newValues[column] = updatedCalendar[column];
+      }
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'holiday_calendar_updated',
+      resource_type: 'holiday_calendar',
+      resource_id: id,
+      old_values: oldValues,
+      new_values: newValues,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Holiday calendar ${id} updated by admin ${req.user.id}`);
+
+    const assignments = await db('holiday_calendar_assignments').where('calendar_id', id);
+
+    res.json({
+      success: true,
+      message: 'Holiday calendar updated successfully',
+      data: { calendar: formatHolidayCalendar(updatedCalendar, assignments) }
+    });
+  } catch (error) {
+    logger.error('Update holiday calendar failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update holiday calendar'
+    });
+  }
+});
+
+// @route   GET /api/admin/holiday-calendars/:id/holidays
+// @desc    List a calendar's holidays, optionally for one year
+// @access  Private (Admin only)
+router.get('/:id/holidays', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const year = parseInt(req.query.year);
+
+    const calendar = await db('holiday_calendars').where('id', id).first();
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday calendar not found'
+      });
+    }
+
+    let query = db('holidays').where('calendar_id', id).orderBy('date', 'asc');
+    if (year) {
+      query = query.whereBetween('date', [`${year}-01-01`, `${year}-12-31`]);
+    }
+
+    const holidays = await query;
+
+    res.json({
+      success: true,
+      data: {
+        calendar: formatHolidayCalendar(calendar),
+        holidays: holidays.map(formatHoliday)
+      }
+    });
+  } catch (error) {
+    logger.error('Get holidays failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get holidays'
+    });
+  }
+});
+
+// @route   POST /api/admin/holiday-calendars/:id/holidays
+// @desc    Add a public, company or optional holiday to a calendar
+// @access  Private (Admin only)
+router.post('/:id/holidays', authenticateToken, requireAdmin, [
+  body('date').matches(DATE_PATTERN).withMessage('Date must be a YYYY-MM-DD date'),
+  body('name').trim().notEmpty().withMessage('Holiday name is required'),
+  ...holidayValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { date, name, type = 'public' } = req.body;
+
+    const calendar = await db('holiday_calendars').where('id', id).first();
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday calendar not found'
+      });
+    }
+
+    const existing = await db('holidays').where({ calendar_id: id, date, name }).first();
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'This holiday is already on the calendar'
+      });
+    }
+
+    const [holiday] = await db('holidays')
+      .insert({ calendar_id: id, date, name, type, created_by: req.user.id })
+      .returning('*');
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'holiday_created',
+      resource_type: 'holiday_calendar',
+      resource_id: id,
+      new_values: { holiday_id: holiday.id, date, name, type },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Holiday ${holiday.id} added to calendar ${id} by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday added successfully',
+      data: { holiday: formatHoliday(holiday) }
+    });
+  } catch (error) {
+    logger.error('Create holiday failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add holiday'
+    });
+  }
+});
+
+// @route   PUT /api/admin/holiday-calendars/:id/holidays/:holidayId
+// @desc    Update a holiday's date, name or type
+// @access  Private (Admin only)
+router.put('/:id/holidays/:holidayId', authenticateToken, requireAdmin, holidayValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id, holidayId } = req.params;
+    const holiday = await db('holidays').where('id', holidayId).where('calendar_id', id).first();
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    const { date, name, type } = req.body;
+    const updates = { updated_at: new Date() };
+    if (date !== undefined) updates.date = date;
+    if (name !== undefined) updates.name = name;
+    if (type !== undefined) updates.type = type;
+
+    const [updatedHoliday] = await db('holidays')
+      .where('id', holidayId)
+      .update(updates)
+      .returning('*');
+
+    // Choices only mean something on optional holidays
+    if (updatedHoliday.type !== 'optional') {
+      await db('optional_holiday_selections').where('holiday_id', holidayId).del();
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'holiday_updated',
+      resource_type: 'holiday_calendar',
+      resource_id: id,
+      old_values: formatHoliday(holiday),
+      new_values: formatHoliday(updatedHoliday),
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Holiday ${holidayId} updated by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Holiday updated successfully',
+      data: { holiday: formatHoliday(updatedHoliday) }
+    });
+  } catch (error) {
+    logger.error('Update holiday failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update holiday'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/holiday-calendars/:id/holidays/:holidayId
+// @desc    Remove a holiday from a calendar
+// @access  Private (Admin only)
+router.delete('/:id/holidays/:holidayId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id, holidayId } = req.params;
+
+    const holiday = await db('holidays').where('id', holidayId).where('calendar_id', id).first();
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    await db('holidays').where('id', holidayId).del();
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'holiday_deleted',
+      resource_type: 'holiday_calendar',
+      resource_id: id,
+      old_values: formatHoliday(holiday),
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Holiday ${holidayId} removed by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Holiday removed successfully'
+    });
+  } catch (error) {
+    logger.error('Delete holiday failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove holiday'
+    });
+  }
+});
+
+// @route   POST /api/admin/holiday-calendars/:id/import
+// @desc    Import holidays from an iCalendar (.ics) file upload or an `ics` text field
+// @access  Private (Admin only)
+router.post('/:id/import', authenticateToken, requireAdmin, calendarUpload.single('file'), [
+  body('type').optional().isIn(holidayService.getHolidayTypes()).withMessage(`Type must be one of ${holidayService.getHolidayTypes().join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const type = req.body.type || 'public';
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.ics;
+
+    if (!text || !String(text).includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({
+        success: false,
+        message: 'An iCalendar file is required'
+      });
+    }
+
+    const calendar = await db('holiday_calendars').where('id', id).first();
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday calendar not found'
+      });
+    }
+
+    const { holidays, skipped } = holidayService.parseIcs(text);
+    if (holidays.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file contains no usable events'
+      });
+    }
+
+    // Re-importing the same feed leaves holidays already on the calendar alone
+    const created = await db('holidays')
+      .insert(holidays.map(holiday => ({
+        calendar_id: id,
+        date: holiday.date,
+        name: holiday.name,
+        type,
+        source_uid: holiday.uid,
+        created_by: req.user.id
+      })))
+      .onConflict(['calendar_id', 'date', 'name'])
+      .ignore()
+      .returning('*');
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'holidays_imported',
+      resource_type: 'holiday_calendar',
+      resource_id: id,
+      new_values: {
+        file_name: req.file ? req.file.originalname : null,
+        type,
+        imported: created.length,
+        duplicates: holidays.length - created.length,
+        skipped
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`${created.length} holidays imported into calendar ${id} by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} holidays imported`,
+      data: {
+        holidays: created.map(formatHoliday),
+        duplicates: holidays.length - created.length,
+        skipped
+      }
+    });
+  } catch (error) {
+    logger.error('Import holidays failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import holidays'
+    });
+  }
+});
+
+// @route   POST /api/admin/holiday-calendars/:id/assignments
+// @desc    Apply a holiday calendar to work sites and/or departments
+// @access  Private (Admin only)
+router.post('/:id/assignments', authenticateToken, requireAdmin, [
+  body('workSiteIds').optional().isArray().withMessage('workSiteIds must be an array'),
+  body('workSiteIds.*').isUUID().withMessage('Valid work site IDs are required'),
+  body('departments').optional().isArray().withMessage('departments must be an array'),
+  body('departments.*').isString().trim().notEmpty().withMessage('Department names cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const workSiteIds = [...new Set(req.body.workSiteIds || [])];
+    const departments = [...new Set(req.body.departments || [])];
+
+    if (workSiteIds.length === 0 && departments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one work site or department is required'
+      });
+    }
+
+    const calendar = await db('holiday_calendars').where('id', id).first();
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday calendar not found'
+      });
+    }
+
+    const foundSiteIds = workSiteIds.length === 0 ? [] : await db('work_sites').whereIn('id', workSiteIds).pluck('id');
+    const missingWorkSiteIds = workSiteIds.filter(siteId => !foundSiteIds.includes(siteId));
+    if (missingWorkSiteIds.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some work sites were not found',
+        data: { missingWorkSiteIds }
+      });
+    }
+
+    // Existing assignments are left as they are, so repeating a request is harmless
+    const existing = await db('holiday_calendar_assignments')
+      .where('calendar_id', id)
+      .where(function() {
+        this.whereIn('work_site_id', workSiteIds).orWhereIn('department', departments);
+      });
+    const assignedSiteIds = new Set(existing.map(assignment => assignment.work_site_id));
+    const assignedDepartments = new Set(existing.map(assignment => assignment.department));
+
+    const rows = [
+      ...workSiteIds
+        .filter(siteId => !assignedSiteIds.has(siteId))
+        .map(siteId => ({ calendar_id: id, work_site_id: siteId, created_by: req.user.id })),
+      ...departments
+        .filter(department => !assignedDepartments.has(department))
+        .map(department => ({ calendar_id: id, department, created_by: req.user.id }))
+    ];
+
+    const created = rows.length === 0 ? [] : await db('holiday_calendar_assignments')
+      .insert(rows)
+      .returning('*');
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'holiday_calendar_assigned',
+      resource_type: 'holiday_calendar',
+      resource_id: id,
+      new_values: {
+        work_site_ids: created.filter(assignment => assignment.work_site_id).map(assignment => assignment.work_site_id),
+        departments: created.filter(assignment => assignment.department).map(assignment => assignment.department)
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Holiday calendar ${id} assigned to ${created.length} targets by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} assignments created`,
+      data: {
+        assignments: created.map(formatHolidayCalendarAssignment),
+        skipped: workSiteIds.length + departments.length - created.length
+      }
+    });
+  } catch (error) {
+    logger.error('Assign holiday calendar failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign holiday calendar'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/holiday-calendars/:id/assignments/:assignmentId
+// @desc    Remove a work site or department assignment from a holiday calendar
+// @access  Private (Admin only)
+router.delete('/:id/assignments/:assignmentId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id, assignmentId } = req.params;
+
+    const assignment = await db('holiday_calendar_assignments')
+      .where('id', assignmentId)
+      .where('calendar_id', id)
+      .first();
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    await db('holiday_calendar_assignments').where('id', assignmentId).del();
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'holiday_calendar_unassigned',
+      resource_type: 'holiday_calendar',
+      resource_id: id,
+      old_values: { work_site_id: assignment.work_site_id, department: assignment.department },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Holiday calendar assignment ${assignmentId} removed by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Assignment removed successfully'
+    });
+  } catch (error) {
+    logger.error('Remove holiday calendar assignment failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove holiday calendar assignment'
+    });
+  }
+});
+
+function formatHolidayCalendar(calendar, assignments) {
+  return {
+    id: calendar.id,
+    name: calendar.name,
+    description: calendar.description,
+    isDefault: calendar.is_default,
+    optionalHolidayAllowance: calendar.optional_holiday_allowance,
+    isActive: calendar.is_active,
+    createdAt: calendar.created_at,
+    updatedAt: calendar.updated_at,
+    assignments: assignments ? assignments.map(formatHolidayCalendarAssignment) : undefined
+  };
+}
+
+function formatHolidayCalendarAssignment(assignment) {
+  return {
+    id: assignment.id,
+    workSiteId: assignment.work_site_id,
+    workSiteName: assignment.work_site_name,
+    department: assignment.department,
+    createdAt: assignment.created_at
+  };
+}
+
+function formatHoliday(holiday) {
+  return {
+    id: holiday.id,
+    calendarId: holiday.calendar_id,
+    date: timezone.fromDateColumn(holiday.date),
+    name: holiday.name,
+    type: holiday.type,
+    sourceUid: holiday.source_uid
+  };
+}
+
+module.exports = router;
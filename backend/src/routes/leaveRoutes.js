@@ -0,0 +1,590 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+const leaveService = require('../services/leaveService');
+const workTimeService = require('../services/workTimeService');
+const timesheetService = require('../services/timesheetService');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// @route   GET /api/leave/types
+// @desc    List active leave types
+// @access  Private
+router.get('/types', authenticateToken, async (req, res) => {
+  try {
+    const types = await db('leave_types').where('is_active', true).orderBy('name', 'asc');
+
+    res.json({
+      success: true,
+      data: { types: types.map(formatLeaveType) }
+    });
+  } catch (error) {
+    logger.error('Get leave types failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get leave types'
+    });
+  }
+});
+
+// @route   GET /api/leave/balances
+// @desc    Leave balances of the current user, or of another user for their manager or an admin
+// @access  Private
+router.get('/balances', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.query.userId || req.user.id;
+
+    const user = await db('users').where('id', userId).select('id', 'manager_id').first();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!canManage(req, user) && user.id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        userId,
+        balances: await leaveService.getBalances(userId)
+      }
+    });
+  } catch (error) {
+    logger.error('Get leave balances failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get leave balances'
+    });
+  }
+});
+
+// @route   GET /api/leave/requests
+// @desc    List leave requests: your own, your reports' (scope=team) or everyone's for admins (scope=all)
+// @access  Private
+router.get('/requests', authenticateToken, async (req, res) => {
+  try {
+    const { scope = 'mine', status, userId, startDate, endDate } = req.query;
+
+    let query = db('leave_requests')
+      .join('users', 'leave_requests.user_id', 'users.id')
+      .join('leave_types', 'leave_requests.leave_type_id', 'leave_types.id')
+      .select(
+        'leave_requests.*',
+        'users.first_name',
+        'users.last_name',
+        'users.employee_id',
+        'users.department',
+        'leave_types.code',
+        'leave_types.name as leave_type_name'
+      )
+      .orderBy('leave_requests.start_date', 'desc');
+
+    if (scope === 'all') {
+      if (!isAdmin(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+    } else if (scope === 'team') {
+      // Admins see every request awaiting them; managers see their reports'
+      if (!isAdmin(req)) {
+        query = query.where('users.manager_id', req.user.id);
+      }
+    } else {
+      query = query.where('leave_requests.user_id', req.user.id);
+    }
+
+    if (userId) {
+      query = query.where('leave_requests.user_id', userId);
+    }
+    if (status) {
+      query = query.where('leave_requests.status', status);
+    }
+    if (startDate && DATE_PATTERN.test(startDate)) {
+      query = query.where('leave_requests.end_date', '>=', startDate);
+    }
+    if (endDate && DATE_PATTERN.test(endDate)) {
+      query = query.where('leave_requests.start_date', '<=', endDate);
+    }
+
+    const requests = await query;
+
+    res.json({
+      success: true,
+      data: { requests: requests.map(formatLeaveRequest) }
+    });
+  } catch (error) {
+    logger.error('Get leave requests failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get leave requests'
+    });
+  }
+});
+
+// @route   GET /api/leave/requests/:id
+// @desc    Get a leave request
+// @access  Private
+router.get('/requests/:id', authenticateToken, async (req, res) => {
+  try {
+    const request = await findRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found'
+      });
+    }
+
+    if (request.user_id !== req.user.id && !canManage(req, request)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { request: formatLeaveRequest(request) }
+    });
+  } catch (error) {
+    logger.error('Get leave request failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get leave request'
+    });
+  }
+});
+
+// @route   POST /api/leave/requests
+// @desc    Request leave; managers and admins may request it on an employee's behalf
+// @access  Private
+router.post('/requests', authenticateToken, [
+  body('leaveTypeId').isUUID().withMessage('Valid leave type ID is required'),
+  body('startDate').matches(DATE_PATTERN).withMessage('Start date must be a YYYY-MM-DD date'),
+  body('endDate').matches(DATE_PATTERN).withMessage('End date must be a YYYY-MM-DD date'),
+  body('halfDay').optional({ nullable: true }).isIn(['first_half', 'second_half']).withMessage('Half day must be first_half or second_half'),
+  body('reason').optional().isString().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters'),
+  body('userId').optional().isUUID().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { leaveTypeId, startDate, endDate, reason } = req.body;
+    const halfDay = req.body.halfDay || null;
+    const userId = req.body.userId || req.user.id;
+
+    const user = await db('users').where('id', userId).select('id', 'manager_id').first();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (user.id !== req.user.id && !canManage(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must not be before start date'
+      });
+    }
+    if (timezone.daysBetween(startDate, endDate) + 1 > leaveService.getMaxRequestDays()) {
+      return res.status(400).json({
+        success: false,
+        message: `A request may cover at most ${leaveService.getMaxRequestDays()} days`
+      });
+    }
+
+    const leaveType = await db('leave_types').where('id', leaveTypeId).where('is_active', true).first();
+    if (!leaveType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave type not found'
+      });
+    }
+
+    if (halfDay && (startDate !== endDate || !leaveType.allow_half_day)) {
+      return res.status(400).json({
+        success: false,
+        message: leaveType.allow_half_day
+          ? 'Half days must start and end on the same date'
+          : `${leaveType.name} cannot be taken as a half day`
+      });
+    }
+
+    const overlapping = await leaveService.findOverlappingRequests(userId, startDate, endDate);
+    // Morning and afternoon half days on the same date can both be taken
+    const conflicts = overlapping.filter(other => !(halfDay && other.half_day && other.half_day !== halfDay));
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Leave has already been requested for some of these dates',
+        data: { conflicts: conflicts.map(other => other.id) }
+      });
+    }
+
+    const { days } = await leaveService.countLeaveDays(userId, startDate, endDate, halfDay);
+    if (days === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'These dates are all holidays or days off'
+      });
+    }
+
+    if (leaveService.keepsBalance(leaveType)) {
+      const balance = (await leaveService.getBalances(userId)).find(item => item.leaveTypeId === leaveType.id);
+      if (!balance || balance.available < days) {
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient ${leaveType.name.toLowerCase()} balance: ${balance ? balance.available : 0} days available, ${days} requested`
+        });
+      }
+    }
+
+    const [request] = await db('leave_requests')
+      .insert({
+        user_id: userId,
+        leave_type_id: leaveTypeId,
+        start_date: startDate,
+        end_date: endDate,
+        half_day: halfDay,
+        days,
+        reason,
+        requested_by: req.user.id
+      })
+      .returning('*');
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'leave_requested',
+      resource_type: 'leave_request',
+      resource_id: request.id,
+      new_values: { user_id: userId, leave_type: leaveType.code, start_date: startDate, end_date: endDate, half_day: halfDay, days },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    notifyLeaveUpdate(req, request, user);
+
+    logger.info(`Leave request ${request.id} for user ${userId} created by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave requested successfully',
+      data: { request: formatLeaveRequest({ ...request, code: leaveType.code, leave_type_name: leaveType.name }) }
+    });
+  } catch (error) {
+    logger.error('Create leave request failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request leave'
+    });
+  }
+});
+
+// @route   POST /api/leave/requests/:id/approve
+// @desc    Approve a pending leave request and debit the balance
+// @access  Private (the employee's manager or an admin)
+router.post('/requests/:id/approve', authenticateToken, [
+  body('note').optional().isString().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters')
+], async (req, res) => decideLeaveRequest(req, res, 'approved'));
+
+// @route   POST /api/leave/requests/:id/reject
+// @desc    Reject a pending leave request
+// @access  Private (the employee's manager or an admin)
+router.post('/requests/:id/reject', authenticateToken, [
+  body('note').optional().isString().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters')
+], async (req, res) => decideLeaveRequest(req, res, 'rejected'));
+
+// @route   POST /api/leave/requests/:id/cancel
+// @desc    Cancel a leave request; approved days are returned to the balance
+// @access  Private
+router.post('/requests/:id/cancel', authenticateToken, [
+  body('note').optional().isString().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await findRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found'
+      });
+    }
+
+    const isOwner = request.user_id === req.user.id;
+    if (!isOwner && !canManage(req, request)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Employees can withdraw approved leave only before it starts; managers and admins at any time
+    if (isOwner && !canManage(req, request) && request.status === 'approved') {
+      const today = timezone.formatDate(new Date(), await workTimeService.getTimezone(request.user_id));
+      if (timezone.fromDateColumn(request.start_date) <= today) {
+        return res.status(400).json({
+          success: false,
+          message: 'Leave that has started can only be cancelled by a manager or admin'
+        });
+      }
+    }
+
+    // Cancelling approved leave changes the timesheet and credits the balance back
+    if (request.status === 'approved') {
+      const lockedPeriod = await timesheetService.getLockedPeriod(timezone.fromDateColumn(request.start_date), timezone.fromDateColumn(request.end_date));
+      if (lockedPeriod) {
+        return res.status(409).json({
+          success: false,
+          message: timesheetService.lockedMessage(lockedPeriod)
+        });
+      }
+    }
+
+    const leaveType = await db('leave_types').where('id', request.leave_type_id).first();
+    const { request: cancelled, error } = await leaveService.cancel(request, leaveType, req.user.id, req.body.note);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'leave_cancelled',
+      resource_type: 'leave_request',
+      resource_id: request.id,
+      old_values: { status: request.status },
+      new_values: { status: 'cancelled', note: req.body.note, days_returned: request.status === 'approved' && leaveService.keepsBalance(leaveType) ? parseFloat(request.days) : 0 },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    notifyLeaveUpdate(req, cancelled, request);
+
+    logger.info(`Leave request ${request.id} cancelled by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Leave request cancelled successfully',
+      data: { request: formatLeaveRequest({ ...request, ...cancelled }) }
+    });
+  } catch (error) {
+    logger.error('Cancel leave request failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel leave request'
+    });
+  }
+});
+
+// Approve or reject a pending request; nobody decides their own
+async function decideLeaveRequest(req, res, decision) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await findRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found'
+      });
+    }
+
+    if (request.user_id === req.user.id || !canManage(req, request)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the employee\'s manager or an admin can decide this request'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Leave request has already been decided'
+      });
+    }
+
+    if (decision === 'approved') {
+      const lockedPeriod = await timesheetService.getLockedPeriod(timezone.fromDateColumn(request.start_date), timezone.fromDateColumn(request.end_date));
+      if (lockedPeriod) {
+        return res.status(409).json({
+          success: false,
+          message: timesheetService.lockedMessage(lockedPeriod)
+        });
+      }
+    }
+
+    const { note } = req.body;
+    let result;
+    if (decision === 'approved') {
+      const leaveType = await db('leave_types').where('id', request.leave_type_id).first();
+      result = await leaveService.approve(request, leaveType, req.user.id, note);
+    } else {
+      const [rejected] = await db('leave_requests')
+        .where('id', request.id)
+        .where('status', 'pending')
+        .update({ status: 'rejected', decided_by: req.user.id, decided_at: new Date(), decision_note: note, updated_at: new Date() })
+        .returning('*');
+      result = rejected ? { request: rejected } : { error: 'Leave request has already been decided' };
+    }
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: decision === 'approved' ? 'leave_approved' : 'leave_rejected',
+      resource_type: 'leave_request',
+      resource_id: request.id,
+      old_values: { status: 'pending' },
+      new_values: { status: decision, note, days: parseFloat(request.days) },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    notifyLeaveUpdate(req, result.request, request);
+
+    logger.info(`Leave request ${request.id} ${decision} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `Leave request ${decision}`,
+      data: { request: formatLeaveRequest({ ...request, ...result.request }) }
+    });
+  } catch (error) {
+    logger.error(`Leave request ${decision === 'approved' ? 'approval' : 'rejection'} failed:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${decision === 'approved' ? 'approve' : 'reject'} leave request`
+    });
+  }
+}
+
+function findRequest(id) {
+  return db('leave_requests')
+    .join('users', 'leave_requests.user_id', 'users.id')
+    .join('leave_types', 'leave_requests.leave_type_id', 'leave_types.id')
+    .where('leave_requests.id', id)
+    .select(
+      'leave_requests.*',
+      'users.first_name',
+      'users.last_name',
+      'users.employee_id',
+      'users.department',
+      'users.manager_id',
+      'leave_types.code',
+      'leave_types.name as leave_type_name'
+    )
+    .first();
+}
+
+function isAdmin(req) {
+  return req.user.role === 'admin' || req.user.role === 'super_admin';
+}
+
+// Admins manage everyone's leave; managers their direct reports'. Takes a user or request row with manager_id
+function canManage(req, subject) {
+  return isAdmin(req) || (Boolean(subject.manager_id) && subject.manager_id === req.user.id);
+}
+
+// Tell the employee, their manager and the admin dashboard about a request change
+function notifyLeaveUpdate(req, request, subject) {
+  const io = req.app.get('io');
+  const update = { requestId: request.id, userId: request.user_id, status: request.status };
+
+  io.to('admin_room').emit('leave_update', update);
+  io.to(`user_${request.user_id}`).emit('leave_update', update);
+  if (subject.manager_id) {
+    io.to(`user_${subject.manager_id}`).emit('leave_update', update);
+  }
+}
+
+function formatLeaveRequest(request) {
+  return {
+    id: request.id,
+    userId: request.user_id,
+    employeeName: request.first_name ? `${request.first_name} ${request.last_name}` : undefined,
+    employeeId: request.employee_id,
+    department: request.department,
+    leaveTypeId: request.leave_type_id,
+    leaveType: request.code,
+    leaveTypeName: request.leave_type_name,
+    startDate: timezone.fromDateColumn(request.start_date),
+    endDate: timezone.fromDateColumn(request.end_date),
+    halfDay: request.half_day,
+    days: parseFloat(request.days),
+    reason: request.reason,
+    status: request.status,
+    requestedBy: request.requested_by,
+    decidedBy: request.decided_by,
+    decidedAt: request.decided_at,
+    decisionNote: request.decision_note,
+    createdAt: request.created_at
+  };
+}
+
+function formatLeaveType(type) {
+  return {
+    id: type.id,
+    code: type.code,
+    name: type.name,
+    isPaid: type.is_paid,
+    keepsBalance: leaveService.keepsBalance(type),
+    allowHalfDay: type.allow_half_day
+  };
+}
+
+module.exports = router;
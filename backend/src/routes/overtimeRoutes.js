@@ -0,0 +1,482 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+const overtimeService = require('../services/overtimeService');
+const workTimeService = require('../services/workTimeService');
+const timesheetService = require('../services/timesheetService');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Overtime can be asked for this many days ahead (pre-approval) or after the fact
+const MAX_REQUEST_DISTANCE_DAYS = 31;
+const MAX_SUMMARY_DAYS = 92;
+
+const decisionValidators = [
+  body('note').optional().isString().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters')
+];
+
+// @route   GET /api/overtime/summary
+// @desc    Regular and overtime hours per work day for the current user, or another user for their manager or an admin
+// @access  Private
+router.get('/summary', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.query.userId || req.user.id;
+
+    const user = await db('users').where('id', userId).select('id', 'manager_id').first();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (user.id !== req.user.id && !canManage(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Defaults to the current month in the employee's zone
+    const today = timezone.formatDate(new Date(), await workTimeService.getTimezone(userId));
+    const startDate = DATE_PATTERN.test(req.query.startDate || '') ? req.query.startDate : `${today.slice(0, 7)}-01`;
+    const endDate = DATE_PATTERN.test(req.query.endDate || '') ? req.query.endDate : today;
+
+    if (endDate < startDate || timezone.daysBetween(startDate, endDate) + 1 > MAX_SUMMARY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range must be ordered and at most ${MAX_SUMMARY_DAYS} days`
+      });
+    }
+
+    const { timezone: userZone, rule, days, totals } = await overtimeService.calculate(userId, startDate, endDate);
+
+    res.json({
+      success: true,
+      data: { userId, startDate, endDate, timezone: userZone, rule, days, totals }
+    });
+  } catch (error) {
+    logger.error('Get overtime summary failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get overtime summary'
+    });
+  }
+});
+
+// @route   GET /api/overtime/requests
+// @desc    List overtime requests: your own, your reports' (scope=team) or everyone's for admins (scope=all)
+// @access  Private
+router.get('/requests', authenticateToken, async (req, res) => {
+  try {
+    const { scope = 'mine', status, userId, startDate, endDate } = req.query;
+
+    let query = db('overtime_requests')
+      .join('users', 'overtime_requests.user_id', 'users.id')
+      .select(
+        'overtime_requests.*',
+        'users.first_name',
+        'users.last_name',
+        'users.employee_id',
+        'users.department'
+      )
+      .orderBy('overtime_requests.work_date', 'desc');
+
+    if (scope === 'all') {
+      if (!isAdmin(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+    } else if (scope === 'team') {
+      if (!isAdmin(req)) {
+        query = query.where('users.manager_id', req.user.id);
+      }
+      query = query.whereNot('overtime_requests.user_id', req.user.id);
+    } else {
+      query = query.where('overtime_requests.user_id', req.user.id);
+    }
+
+    if (userId) {
+      query = query.where('overtime_requests.user_id', userId);
+    }
+    if (status) {
+      query = query.where('overtime_requests.status', status);
+    }
+    if (startDate && DATE_PATTERN.test(startDate)) {
+      query = query.where('overtime_requests.work_date', '>=', startDate);
+    }
+    if (endDate && DATE_PATTERN.test(endDate)) {
+      query = query.where('overtime_requests.work_date', '<=', endDate);
+    }
+
+    const requests = await query;
+
+    res.json({
+      success: true,
+      data: { requests: requests.map(formatOvertimeRequest) }
+    });
+  } catch (error) {
+    logger.error('Get overtime requests failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get overtime requests'
+    });
+  }
+});
+
+// @route   POST /api/overtime/requests
+// @desc    Ask for overtime on a work day, ahead of time or after working it
+// @access  Private
+router.post('/requests', authenticateToken, [
+  body('workDate').matches(DATE_PATTERN).withMessage('Work date must be a YYYY-MM-DD date'),
+  body('hours').isFloat({ min: 0.25, max: 16 }).withMessage('Hours must be between 0.25 and 16'),
+  body('reason').trim().notEmpty().isLength({ max: 1000 }).withMessage('A reason of at most 1000 characters is required'),
+  body('userId').optional().isUUID().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { workDate, reason } = req.body;
+    const hours = parseFloat(req.body.hours);
+    const userId = req.body.userId || req.user.id;
+
+    const user = await db('users').where('id', userId).select('id', 'manager_id').first();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (user.id !== req.user.id && !canManage(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const today = timezone.formatDate(new Date(), await workTimeService.getTimezone(userId));
+    if (Math.abs(timezone.daysBetween(today, workDate)) > MAX_REQUEST_DISTANCE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Overtime can only be requested for work days within ${MAX_REQUEST_DISTANCE_DAYS} days of today`
+      });
+    }
+    const lockedPeriod = await timesheetService.getLockedPeriod(workDate);
+    if (lockedPeriod) {
+      return res.status(409).json({
+        success: false,
+        message: timesheetService.lockedMessage(lockedPeriod)
+      });
+    }
+
+    const existing = await db('overtime_requests')
+      .where('user_id', userId)
+      .where('work_date', workDate)
+      .whereIn('status', ['pending', 'approved'])
+      .first();
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Overtime has already been requested for this day',
+        data: { requestId: existing.id }
+      });
+    }
+
+    const [request] = await db('overtime_requests')
+      .insert({
+        user_id: userId,
+        work_date: workDate,
+        hours,
+        reason,
+        requested_by: req.user.id
+      })
+      .returning('*');
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'overtime_requested',
+      resource_type: 'overtime_request',
+      resource_id: request.id,
+      new_values: { user_id: userId, work_date: workDate, hours },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    notifyOvertimeUpdate(req, request, user);
+
+    logger.info(`Overtime request ${request.id} for user ${userId} created by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Overtime requested successfully',
+      data: { request: formatOvertimeRequest(request) }
+    });
+  } catch (error) {
+    logger.error('Create overtime request failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request overtime'
+    });
+  }
+});
+
+// @route   POST /api/overtime/requests/:id/approve
+// @desc    Approve a pending request, optionally for fewer hours than asked
+// @access  Private (the employee's manager or an admin)
+router.post('/requests/:id/approve', authenticateToken, [
+  ...decisionValidators,
+  body('hours').optional().isFloat({ min: 0.25, max: 16 }).withMessage('Hours must be between 0.25 and 16')
+], async (req, res) => decideOvertimeRequest(req, res, 'approved'));
+
+// @route   POST /api/overtime/requests/:id/reject
+// @desc    Reject a pending request
+// @access  Private (the employee's manager or an admin)
+router.post('/requests/:id/reject', authenticateToken, decisionValidators, async (req, res) => decideOvertimeRequest(req, res, 'rejected'));
+
+// @route   POST /api/overtime/requests/:id/cancel
+// @desc    Withdraw a request; employees can withdraw approved overtime only before the day
+// @access  Private
+router.post('/requests/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const request = await findRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Overtime request not found'
+      });
+    }
+
+    const isOwner = request.user_id === req.user.id;
+    if (!isOwner && !canManage(req, request)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (isOwner && !canManage(req, request) && request.status === 'approved') {
+      const today = timezone.formatDate(new Date(), await workTimeService.getTimezone(request.user_id));
+      if (timezone.fromDateColumn(request.work_date) <= today) {
+        return res.status(400).json({
+          success: false,
+          message: 'Approved overtime can only be withdrawn before the day'
+        });
+      }
+    }
+
+    // Approved hours are part of the timesheet, so they stay put while the period is locked
+    if (request.status === 'approved') {
+      const lockedPeriod = await timesheetService.getLockedPeriod(timezone.fromDateColumn(request.work_date));
+      if (lockedPeriod) {
+        return res.status(409).json({
+          success: false,
+          message: timesheetService.lockedMessage(lockedPeriod)
+        });
+      }
+    }
+
+    const [cancelled] = await db('overtime_requests')
+      .where('id', request.id)
+      .whereIn('status', ['pending', 'approved'])
+      .update({ status: 'cancelled', decided_by: req.user.id, decided_at: new Date(), updated_at: new Date() })
+      .returning('*');
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending or approved requests can be cancelled'
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'overtime_cancelled',
+      resource_type: 'overtime_request',
+      resource_id: request.id,
+      old_values: { status: request.status },
+      new_values: { status: 'cancelled' },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    notifyOvertimeUpdate(req, cancelled, request);
+
+    logger.info(`Overtime request ${request.id} cancelled by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Overtime request cancelled successfully',
+      data: { request: formatOvertimeRequest({ ...request, ...cancelled }) }
+    });
+  } catch (error) {
+    logger.error('Cancel overtime request failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel overtime request'
+    });
+  }
+});
+
+// Approve or reject a pending request; nobody decides their own
+async function decideOvertimeRequest(req, res, decision) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await findRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Overtime request not found'
+      });
+    }
+
+    if (request.user_id === req.user.id || !canManage(req, request)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the employee\'s manager or an admin can decide this request'
+      });
+    }
+
+    const { note } = req.body;
+    const updates = { status: decision, decided_by: req.user.id, decided_at: new Date(), decision_note: note, updated_at: new Date() };
+    if (decision === 'approved') {
+      const lockedPeriod = await timesheetService.getLockedPeriod(timezone.fromDateColumn(request.work_date));
+      if (lockedPeriod) {
+        return res.status(409).json({
+          success: false,
+          message: timesheetService.lockedMessage(lockedPeriod)
+        });
+      }
+
+      const requested = parseFloat(request.hours);
+      const hours = req.body.hours != null ? parseFloat(req.body.hours) : requested;
+      if (hours > requested) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot approve more than the ${requested} hours requested`
+        });
+      }
+      updates.approved_hours = hours;
+    }
+
+    const [decided] = await db('overtime_requests')
+      .where('id', request.id)
+      .where('status', 'pending')
+      .update(updates)
+      .returning('*');
+    if (!decided) {
+      return res.status(400).json({
+        success: false,
+        message: 'Overtime request has already been decided'
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: decision === 'approved' ? 'overtime_approved' : 'overtime_rejected',
+      resource_type: 'overtime_request',
+      resource_id: request.id,
+      old_values: { status: 'pending', hours: parseFloat(request.hours) },
+      new_values: { status: decision, approved_hours: updates.approved_hours, note },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    notifyOvertimeUpdate(req, decided, request);
+
+    logger.info(`Overtime request ${request.id} ${decision} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `Overtime request ${decision}`,
+      data: { request: formatOvertimeRequest({ ...request, ...decided }) }
+    });
+  } catch (error) {
+    logger.error(`Overtime ${decision === 'approved' ? 'approval' : 'rejection'} failed:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${decision === 'approved' ? 'approve' : 'reject'} overtime request`
+    });
+  }
+}
+
+function findRequest(id) {
+  return db('overtime_requests')
+    .join('users', 'overtime_requests.user_id', 'users.id')
+    .where('overtime_requests.id', id)
+    .select(
+      'overtime_requests.*',
+      'users.first_name',
+      'users.last_name',
+      'users.employee_id',
+      'users.department',
+      'users.manager_id'
+    )
+    .first();
+}
+
+function isAdmin(req) {
+  return req.user.role === 'admin' || req.user.role === 'super_admin';
+}
+
+// Admins decide everyone's overtime; managers their direct reports'
+function canManage(req, subject) {
+  return isAdmin(req) || (Boolean(subject.manager_id) && subject.manager_id === req.user.id);
+}
+
+function notifyOvertimeUpdate(req, request, subject) {
+  const io = req.app.get('io');
+  const update = { requestId: request.id, userId: request.user_id, status: request.status };
+
+  io.to('admin_room').emit('overtime_update', update);
+  io.to(`user_${request.user_id}`).emit('overtime_update', update);
+  if (subject.manager_id) {
+    io.to(`user_${subject.manager_id}`).emit('overtime_update', update);
+  }
+}
+
+function formatOvertimeRequest(request) {
+  return {
+    id: request.id,
+    userId: request.user_id,
+    employeeName: request.first_name ? `${request.first_name} ${request.last_name}` : undefined,
+    employeeId: request.employee_id,
+    department: request.department,
+    workDate: timezone.fromDateColumn(request.work_date),
+    hours: parseFloat(request.hours),
+    approvedHours: request.approved_hours != null ? parseFloat(request.approved_hours) : null,
+    reason: request.reason,
+    status: request.status,
+    requestedBy: request.requested_by,
+    decidedBy: request.decided_by,
+    decidedAt: request.decided_at,
+    decisionNote: request.decision_note,
+    createdAt: request.created_at
+  };
+}
+
+module.exports = router;
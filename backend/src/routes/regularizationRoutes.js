@@ -0,0 +1,513 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+const regularizationService = require('../services/regularizationService');
+const workTimeService = require('../services/workTimeService');
+const timesheetService = require('../services/timesheetService');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const decisionValidators = [
+  body('note').optional().isString().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters')
+];
+
+// @route   GET /api/regularizations
+// @desc    List regularization requests: your own, your reports' (scope=team) or everyone's for admins (scope=all)
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { scope = 'mine', status, userId, startDate, endDate } = req.query;
+
+    let query = db('attendance_regularizations')
+      .join('users', 'attendance_regularizations.user_id', 'users.id')
+      .select(
+        'attendance_regularizations.*',
+        'users.first_name',
+        'users.last_name',
+        'users.employee_id',
+        'users.department'
+      )
+      .orderBy('attendance_regularizations.created_at', 'desc');
+
+    if (scope === 'all') {
+      if (!isAdmin(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+    } else if (scope === 'team') {
+      if (!isAdmin(req)) {
+        query = query.where('users.manager_id', req.user.id);
+      }
+      // Nobody decides their own requests, so they stay out of the queue
+      query = query.whereNot('attendance_regularizations.user_id', req.user.id);
+    } else {
+      query = query.where('attendance_regularizations.user_id', req.user.id);
+    }
+
+    if (userId) {
+      query = query.where('attendance_regularizations.user_id', userId);
+    }
+    if (status) {
+      query = query.where('attendance_regularizations.status', status);
+    }
+    if (startDate && DATE_PATTERN.test(startDate)) {
+      query = query.where('attendance_regularizations.work_date', '>=', startDate);
+    }
+    if (endDate && DATE_PATTERN.test(endDate)) {
+      query = query.where('attendance_regularizations.work_date', '<=', endDate);
+    }
+
+    const requests = await query;
+
+    res.json({
+      success: true,
+      data: { requests: requests.map(formatRegularization) }
+    });
+  } catch (error) {
+    logger.error('Get regularization requests failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get regularization requests'
+    });
+  }
+});
+
+// @route   GET /api/regularizations/:id
+// @desc    Get a regularization request with the punches it replaces or created and the work day as now counted
+// @access  Private
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const request = await findRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regularization request not found'
+      });
+    }
+
+    if (request.user_id !== req.user.id && !canManage(req, request)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const replacedIds = regularizationService.getCorrections(request)
+      .map(correction => correction.replacesRecordId)
+      .filter(Boolean);
+    const workDate = timezone.fromDateColumn(request.work_date);
+
+    const [replaced, created, [workDay], userZone] = await Promise.all([
+      db('attendance_records').whereIn('id', replacedIds).orderBy('timestamp', 'asc'),
+      db('attendance_records').where('regularization_id', request.id).orderBy('timestamp', 'asc'),
+      workTimeService.getWorkDays(request.user_id, workDate, workDate),
+      workTimeService.getTimezone(request.user_id)
+    ]);
+
+    const formatPunch = (record) => ({
+      id: record.id,
+      type: record.type,
+      timestamp: record.timestamp,
+      localTimestamp: timezone.toLocalISOString(record.timestamp, record.timezone || userZone),
+      breakType: record.break_type,
+      status: record.status,
+      supersededBy: record.superseded_by
+    });
+
+    res.json({
+      success: true,
+      data: {
+        request: formatRegularization(request),
+        replacedPunches: replaced.map(formatPunch),
+        createdPunches: created.map(formatPunch),
+        workDay: workDay ? {
+          date: workDay.date,
+          checkIn: workDay.checkIn ? timezone.toLocalISOString(workDay.checkIn.timestamp, userZone) : null,
+          checkOut: workDay.checkOut ? timezone.toLocalISOString(workDay.checkOut.timestamp, userZone) : null,
+          completedSessions: workDay.completedSessions,
+          workedHours: Math.round(workDay.workedHours * 100) / 100
+        } : null
+      }
+    });
+  } catch (error) {
+    logger.error('Get regularization request failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get regularization request'
+    });
+  }
+});
+
+// @route   POST /api/regularizations
+// @desc    Ask for a work day's punches to be corrected, e.g. a forgotten check-out
+// @access  Private
+router.post('/', authenticateToken, [
+  body('workDate').matches(DATE_PATTERN).withMessage('Work date must be a YYYY-MM-DD date'),
+  body('reason').isIn(regularizationService.getReasons()).withMessage(`Reason must be one of ${regularizationService.getReasons().join(', ')}`),
+  body('justification').trim().notEmpty().isLength({ max: 1000 }).withMessage('A justification of at most 1000 characters is required'),
+  body('corrections').isArray({ min: 1 }).withMessage('At least one punch is required'),
+  body('corrections.*.type').isIn(regularizationService.getPunchTypes()).withMessage(`Punch type must be one of ${regularizationService.getPunchTypes().join(', ')}`),
+  body('corrections.*.timestamp').isISO8601().withMessage('Punch timestamp must be an ISO 8601 date-time'),
+  body('corrections.*.replacesRecordId').optional({ nullable: true }).isUUID().withMessage('Replaced punch must be a valid record ID'),
+  body('userId').optional().isUUID().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { workDate, reason, justification } = req.body;
+    const userId = req.body.userId || req.user.id;
+
+    const user = await db('users').where('id', userId).select('id', 'manager_id').first();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (user.id !== req.user.id && !canManage(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const today = timezone.formatDate(new Date(), await workTimeService.getTimezone(userId));
+    if (workDate > today) {
+      return res.status(400).json({
+        success: false,
+        message: 'Work days can only be corrected once they have started'
+      });
+    }
+    if (timezone.daysBetween(workDate, today) > regularizationService.getMaxAgeDays()) {
+      return res.status(400).json({
+        success: false,
+        message: `Work days older than ${regularizationService.getMaxAgeDays()} days can no longer be corrected`
+      });
+    }
+    const lockedPeriod = await timesheetService.getLockedPeriod(workDate);
+    if (lockedPeriod) {
+      return res.status(409).json({
+        success: false,
+        message: timesheetService.lockedMessage(lockedPeriod)
+      });
+    }
+
+    const corrections = req.body.corrections.map(correction => ({
+      type: correction.type,
+      timestamp: new Date(correction.timestamp).toISOString(),
+      breakType: correction.breakType || null,
+      replacesRecordId: correction.replacesRecordId || null
+    }));
+
+    const invalid = await regularizationService.validateCorrections(userId, workDate, corrections);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const [request] = await db('attendance_regularizations')
+      .insert({
+        user_id: userId,
+        work_date: workDate,
+        reason,
+        justification,
+        corrections: JSON.stringify(corrections),
+        requested_by: req.user.id
+      })
+      .returning('*');
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'regularization_requested',
+      resource_type: 'attendance_regularization',
+      resource_id: request.id,
+      new_values: { user_id: userId, work_date: workDate, reason, corrections },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    notifyRegularizationUpdate(req, request, user);
+
+    logger.info(`Regularization request ${request.id} for user ${userId} created by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Correction requested successfully',
+      data: { request: formatRegularization(request) }
+    });
+  } catch (error) {
+    logger.error('Create regularization request failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request correction'
+    });
+  }
+});
+
+// @route   POST /api/regularizations/:id/approve
+// @desc    Approve a pending request, recording its punches and superseding the ones they replace
+// @access  Private (the employee's manager or an admin)
+router.post('/:id/approve', authenticateToken, decisionValidators, async (req, res) => decideRegularization(req, res, 'approved'));
+
+// @route   POST /api/regularizations/:id/reject
+// @desc    Reject a pending request
+// @access  Private (the employee's manager or an admin)
+router.post('/:id/reject', authenticateToken, decisionValidators, async (req, res) => decideRegularization(req, res, 'rejected'));
+
+// @route   POST /api/regularizations/:id/cancel
+// @desc    Withdraw a pending request
+// @access  Private
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const request = await findRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regularization request not found'
+      });
+    }
+
+    if (request.user_id !== req.user.id && !canManage(req, request)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const [cancelled] = await db('attendance_regularizations')
+      .where('id', request.id)
+      .where('status', 'pending')
+      .update({ status: 'cancelled', decided_by: req.user.id, decided_at: new Date(), updated_at: new Date() })
+      .returning('*');
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending requests can be cancelled'
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'regularization_cancelled',
+      resource_type: 'attendance_regularization',
+      resource_id: request.id,
+      old_values: { status: 'pending' },
+      new_values: { status: 'cancelled' },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    notifyRegularizationUpdate(req, cancelled, request);
+
+    logger.info(`Regularization request ${request.id} cancelled by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Regularization request cancelled successfully',
+      data: { request: formatRegularization({ ...request, ...cancelled }) }
+    });
+  } catch (error) {
+    logger.error('Cancel regularization request failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel regularization request'
+    });
+  }
+});
+
+// Approve or reject a pending request; nobody decides their own
+async function decideRegularization(req, res, decision) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await findRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regularization request not found'
+      });
+    }
+
+    if (request.user_id === req.user.id || !canManage(req, request)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the employee\'s manager or an admin can decide this request'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Regularization request has already been decided'
+      });
+    }
+
+    if (decision === 'approved') {
+      const lockedPeriod = await timesheetService.getLockedPeriod(timezone.fromDateColumn(request.work_date));
+      if (lockedPeriod) {
+        return res.status(409).json({
+          success: false,
+          message: timesheetService.lockedMessage(lockedPeriod)
+        });
+      }
+    }
+
+    const { note } = req.body;
+    let result;
+    if (decision === 'approved') {
+      // Punches may have been added or approved since the request was made
+      const invalid = await regularizationService.validateCorrections(
+        request.user_id,
+        timezone.fromDateColumn(request.work_date),
+        regularizationService.getCorrections(request),
+        request.id
+      );
+      result = invalid ? { error: invalid } : await regularizationService.approve(request, req.user.id, note);
+    } else {
+      const [rejected] = await db('attendance_regularizations')
+        .where('id', request.id)
+        .where('status', 'pending')
+        .update({ status: 'rejected', decided_by: req.user.id, decided_at: new Date(), decision_note: note, updated_at: new Date() })
+        .returning('*');
+      result = rejected ? { request: rejected } : { error: 'Regularization request has already been decided' };
+    }
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: decision === 'approved' ? 'regularization_approved' : 'regularization_rejected',
+      resource_type: 'attendance_regularization',
+      resource_id: request.id,
+      old_values: decision === 'approved'
+        ? { status: 'pending', replaced: result.replaced.map(record => ({ id: record.id, status: record.status, timestamp: record.timestamp })) }
+        : { status: 'pending' },
+      new_values: decision === 'approved'
+        ? { status: decision, note, records: result.records.map(record => record.id) }
+        : { status: decision, note },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    notifyRegularizationUpdate(req, result.request, request);
+
+    if (decision === 'approved') {
+      const io = req.app.get('io');
+      for (const record of result.records) {
+        io.to('admin_room').emit('attendance_update', {
+          type: record.type,
+          userId: record.user_id,
+          timestamp: record.timestamp,
+          workSiteId: record.work_site_id,
+          status: record.status,
+          regularizationId: request.id
+        });
+      }
+    }
+
+    logger.info(`Regularization request ${request.id} ${decision} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `Regularization request ${decision}`,
+      data: { request: formatRegularization({ ...request, ...result.request }) }
+    });
+  } catch (error) {
+    logger.error(`Regularization ${decision === 'approved' ? 'approval' : 'rejection'} failed:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${decision === 'approved' ? 'approve' : 'reject'} regularization request`
+    });
+  }
+}
+
+function findRequest(id) {
+  return db('attendance_regularizations')
+    .join('users', 'attendance_regularizations.user_id', 'users.id')
+    .where('attendance_regularizations.id', id)
+    .select(
+      'attendance_regularizations.*',
+      'users.first_name',
+      'users.last_name',
+      'users.employee_id',
+      'users.department',
+      'users.manager_id'
+    )
+    .first();
+}
+
+function isAdmin(req) {
+  return req.user.role === 'admin' || req.user.role === 'super_admin';
+}
+
+// Admins decide everyone's corrections; managers their direct reports'
+function canManage(req, subject) {
+  return isAdmin(req) || (Boolean(subject.manager_id) && subject.manager_id === req.user.id);
+}
+
+function notifyRegularizationUpdate(req, request, subject) {
+  const io = req.app.get('io');
+  const update = { requestId: request.id, userId: request.user_id, status: request.status };
+
+  io.to('admin_room').emit('regularization_update', update);
+  io.to(`user_${request.user_id}`).emit('regularization_update', update);
+  if (subject.manager_id) {
+    io.to(`user_${subject.manager_id}`).emit('regularization_update', update);
+  }
+}
+
+function formatRegularization(request) {
+  return {
+    id: request.id,
+    userId: request.user_id,
+    employeeName: request.first_name ? `${request.first_name} ${request.last_name}` : undefined,
+    employeeId: request.employee_id,
+    department: request.department,
+    workDate: timezone.fromDateColumn(request.work_date),
+    reason: request.reason,
+    justification: request.justification,
+    corrections: regularizationService.getCorrections(request),
+    status: request.status,
+    requestedBy: request.requested_by,
+    decidedBy: request.decided_by,
+    decidedAt: request.decided_at,
+    decisionNote: request.decision_note,
+    createdAt: request.created_at
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,728 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+const { parseJsonColumn } = require('../utils/jsonColumn');
+const rosterService = require('../services/rosterService');
+const workTimeService = require('../services/workTimeService');
+const { authenticateToken, requireAdmin } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest range the roster calendar returns in one request
+const MAX_ROSTER_CALENDAR_DAYS = 62;
+
+const shiftTemplateValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Template name cannot be empty'),
+  body('startTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid start time is required'),
+  body('endTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid end time is required'),
+  body('timezone').optional({ nullable: true }).custom(value => timezone.isValidTimezone(value)).withMessage('Timezone must be an IANA zone such as Asia/Kolkata'),
+  body('breakPolicies').optional().isArray().withMessage('Break policies must be an array'),
+  body('workSiteId').optional({ nullable: true }).isUUID().withMessage('Valid work site ID is required'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+const rosterValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Roster name cannot be empty'),
+  body('pattern').optional().isArray().withMessage('Pattern must be an array of shift template IDs and nulls'),
+  body('anchorDate').optional().matches(DATE_PATTERN).withMessage('Anchor date must be a YYYY-MM-DD date'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// @route   GET /api/admin/shift-templates
+// @desc    List shift templates
+// @access  Private (Admin only)
+router.get('/shift-templates', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const templates = await db('shift_templates').select('*').orderBy('name', 'asc');
+
+    res.json({
+      success: true,
+      data: { templates: templates.map(formatShiftTemplate) }
+    });
+  } catch (error) {
+    logger.error('Get shift templates failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get shift templates'
+    });
+  }
+});
+
+// @route   POST /api/admin/shift-templates
+// @desc    Create a reusable shift such as Morning, Night or Weekend
+// @access  Private (Admin only)
+router.post('/shift-templates', authenticateToken, requireAdmin, [
+  body('name').trim().notEmpty().withMessage('Template name is required'),
+  body('startTime').notEmpty().withMessage('Start time is required'),
+  body('endTime').notEmpty().withMessage('End time is required'),
+  ...shiftTemplateValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, startTime, endTime, breakPolicies = [] } = req.body;
+    // Start and end times are wall-clock times in this zone; null uses the employee's zone
+    const templateTimezone = req.body.timezone || null;
+    const workSiteId = req.body.workSiteId || null;
+
+    const templateError = await validateShiftTemplate(breakPolicies, workSiteId);
+    if (templateError) {
+      return res.status(400).json({
+        success: false,
+        message: templateError
+      });
+    }
+
+    const existing = await db('shift_templates').where('name', name).first();
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A shift template with this name already exists'
+      });
+    }
+
+    const [template] = await db('shift_templates')
+      .insert({
+        name,
+        start_time: startTime,
+        end_time: endTime,
+        timezone: templateTimezone,
+        break_policies: JSON.stringify(breakPolicies),
+        work_site_id: workSiteId,
+        created_by: req.user.id
+      })
+      .returning('*');
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'shift_template_created',
+      resource_type: 'shift_template',
+      resource_id: template.id,
+      new_values: {
+        name,
+        start_time: startTime,
+        end_time: endTime,
+        timezone: templateTimezone,
+        break_policies: breakPolicies,
+        work_site_id: workSiteId
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Shift template ${template.id} created by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift template created successfully',
+      data: { template: formatShiftTemplate(template) }
+    });
+  } catch (error) {
+    logger.error('Create shift template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create shift template'
+    });
+  }
+});
+
+// @route   PUT /api/admin/shift-templates/:id
+// @desc    Update a shift template; rosters using it pick up the change
+// @access  Private (Admin only)
+router.put('/shift-templates/:id', authenticateToken, requireAdmin, shiftTemplateValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const template = await db('shift_templates').where('id', id).first();
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift template not found'
+      });
+    }
+
+    const { name, startTime, endTime, breakPolicies, workSiteId, isActive } = req.body;
+
+    const templateError = await validateShiftTemplate(breakPolicies, workSiteId);
+    if (templateError) {
+      return res.status(400).json({
+        success: false,
+        message: templateError
+      });
+    }
+
+    if (name !== undefined && name !== template.name) {
+      const existing = await db('shift_templates').where('name', name).first();
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'A shift template with this name already exists'
+        });
+      }
+    }
+
+    const updates = { updated_at: new Date() };
+    if (name !== undefined) updates.name = name;
+    if (startTime !== undefined) updates.start_time = startTime;
+    if (endTime !== undefined) updates.end_time = endTime;
+    if (req.body.timezone !== undefined) updates.timezone = req.body.timezone;
+    if (breakPolicies !== undefined) updates.break_policies = JSON.stringify(breakPolicies);
+    if (workSiteId !== undefined) updates.work_site_id = workSiteId;
+    if (isActive !== undefined) updates.is_active = isActive;
+
+    const [updatedTemplate] = await db('shift_templates')
+      .where('id', id)
+      .update(updates)
+      .returning('*');
+
+    const oldValues = {};
+    const newValues = {};
+    for (const column of Object.keys(updates)) {
+      if (column !== 'updated_at') {
+        oldValues[column] = template[column];
+        newValues[column] = updatedTemplate[column];
+      }
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'shift_template_updated',
+      resource_type: 'shift_template',
+      resource_id: id,
+      old_values: oldValues,
+      new_values: newValues,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Shift template ${id} updated by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Shift template updated successfully',
+      data: { template: formatShiftTemplate(updatedTemplate) }
+    });
+  } catch (error) {
+    logger.error('Update shift template failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update shift template'
+    });
+  }
+});
+
+// @route   GET /api/admin/rosters
+// @desc    List rotating rosters with their user and department assignments
+// @access  Private (Admin only)
+router.get('/rosters', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const rosters = await db('rosters').select('*').orderBy('name', 'asc');
+
+    const assignments = await db('roster_assignments')
+      .leftJoin('users', 'roster_assignments.user_id', 'users.id')
+      .select(
+        'roster_assignments.*',
+        'users.first_name',
+        'users.last_name',
+        'users.employee_id'
+      )
+      .orderBy('roster_assignments.effective_from', 'asc');
+
+    res.json({
+      success: true,
+      data: {
+        rosters: rosters.map(roster => formatRoster(
+          roster,
+          assignments.filter(assignment => assignment.roster_id === roster.id)
+        ))
+      }
+    });
+  } catch (error) {
+    logger.error('Get rosters failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get rosters'
+    });
+  }
+});
+
+// @route   POST /api/admin/rosters
+// @desc    Create a rotating roster, e.g. 4-on/4-off or a weekly morning/night rotation
+// @access  Private (Admin only)
+router.post('/rosters', authenticateToken, requireAdmin, [
+  body('name').trim().notEmpty().withMessage('Roster name is required'),
+  body('pattern').isArray().withMessage('Pattern must be an array of shift template IDs and nulls'),
+  body('anchorDate').matches(DATE_PATTERN).withMessage('Anchor date must be a YYYY-MM-DD date'),
+  ...rosterValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, pattern, anchorDate } = req.body;
+
+    const patternError = await rosterService.validatePattern(pattern);
+    if (patternError) {
+      return res.status(400).json({
+        success: false,
+        message: patternError
+      });
+    }
+
+    const [roster] = await db('rosters')
+      .insert({
+        name,
+        pattern: JSON.stringify(pattern),
+        anchor_date: anchorDate,
+        created_by: req.user.id
+      })
+      .returning('*');
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'roster_created',
+      resource_type: 'roster',
+      resource_id: roster.id,
+      new_values: { name, pattern, anchor_date: anchorDate },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Roster ${roster.id} created by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Roster created successfully',
+      data: { roster: formatRoster(roster, []) }
+    });
+  } catch (error) {
+    logger.error('Create roster failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create roster'
+    });
+  }
+});
+
+// @route   PUT /api/admin/rosters/:id
+// @desc    Update a roster's name, pattern, anchor date or active state
+// @access  Private (Admin only)
+router.put('/rosters/:id', authenticateToken, requireAdmin, rosterValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const roster = await db('rosters').where('id', id).first();
+    if (!roster) {
+      return res.status(404).json({
+        success: false,
+        message: 'Roster not found'
+      });
+    }
+
+    const { name, pattern, anchorDate, isActive } = req.body;
+
+    if (pattern !== undefined) {
+      const patternError = await rosterService.validatePattern(pattern);
+      if (patternError) {
+        return res.status(400).json({
+          success: false,
+          message: patternError
+        });
+      }
+    }
+
+    const updates = { updated_at: new Date() };
+    if (name !== undefined) updates.name = name;
+    if (pattern !== undefined) updates.pattern = JSON.stringify(pattern);
+    if (anchorDate !== undefined) updates.anchor_date = anchorDate;
+    if (isActive !== undefined) updates.is_active = isActive;
+
+    const [updatedRoster] = await db('rosters')
+      .where('id', id)
+      .update(updates)
+      .returning('*');
+
+    const oldValues = {};
+    const newValues = {};
+    for (const column of Object.keys(updates)) {
+      if (column !== 'updated_at') {
+        oldValues[column] = roster[column];
+        newValues[column] = updatedRoster[column];
+      }
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'roster_updated',
+      resource_type: 'roster',
+      resource_id: id,
+      old_values: oldValues,
+      new_values: newValues,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Roster ${id} updated by admin ${req.user.id}`);
+
+    const assignments = await db('roster_assignments').where('roster_id', id);
+
+    res.json({
+      success: true,
+      message: 'Roster updated successfully',
+      data: { roster: formatRoster(updatedRoster, assignments) }
+    });
+  } catch (error) {
+    logger.error('Update roster failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update roster'
+    });
+  }
+});
+
+// @route   POST /api/admin/rosters/:id/assignments
+// @desc    Put users and/or whole departments on a roster from a date
+// @access  Private (Admin only)
+router.post('/rosters/:id/assignments', authenticateToken, requireAdmin, [
+  body('userIds').optional().isArray().withMessage('userIds must be an array'),
+  body('userIds.*').isUUID().withMessage('Valid user IDs are required'),
+  body('departments').optional().isArray().withMessage('departments must be an array'),
+  body('departments.*').isString().trim().notEmpty().withMessage('Department names cannot be empty'),
+  body('effectiveFrom').matches(DATE_PATTERN).withMessage('Effective from must be a YYYY-MM-DD date'),
+  body('effectiveTo').optional({ nullable: true }).matches(DATE_PATTERN).withMessage('Effective to must be a YYYY-MM-DD date'),
+  body('offsetDays').optional().isInt({ min: 0 }).withMessage('Offset days must be a non-negative whole number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const userIds = [...new Set(req.body.userIds || [])];
+    const departments = [...new Set(req.body.departments || [])];
+    const { effectiveFrom } = req.body;
+    const effectiveTo = req.body.effectiveTo || null;
+    const offsetDays = parseInt(req.body.offsetDays) || 0;
+
+    if (userIds.length === 0 && departments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one user or department is required'
+      });
+    }
+
+    if (effectiveTo && effectiveTo < effectiveFrom) {
+      return res.status(400).json({
+        success: false,
+        message: 'Effective to must not be before effective from'
+      });
+    }
+
+    const roster = await db('rosters').where('id', id).first();
+    if (!roster) {
+      return res.status(404).json({
+        success: false,
+        message: 'Roster not found'
+      });
+    }
+
+    const foundUserIds = userIds.length === 0 ? [] : await db('users').whereIn('id', userIds).pluck('id');
+    const missingUserIds = userIds.filter(userId => !foundUserIds.includes(userId));
+    if (missingUserIds.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some users were not found',
+        data: { missingUserIds }
+      });
+    }
+
+    const assignment = {
+      roster_id: id,
+      offset_days: offsetDays,
+      effective_from: effectiveFrom,
+      effective_to: effectiveTo,
+      created_by: req.user.id
+    };
+    const created = await db('roster_assignments')
+      .insert([
+        ...userIds.map(userId => ({ ...assignment, user_id: userId })),
+        ...departments.map(department => ({ ...assignment, department }))
+      ])
+      .returning('*');
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'roster_assigned',
+      resource_type: 'roster',
+      resource_id: id,
+      new_values: {
+        user_ids: userIds,
+        departments,
+        offset_days: offsetDays,
+        effective_from: effectiveFrom,
+        effective_to: effectiveTo
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Roster ${id} assigned to ${created.length} targets by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} assignments created`,
+      data: { assignments: created.map(formatRosterAssignment) }
+    });
+  } catch (error) {
+    logger.error('Assign roster failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign roster'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/rosters/:id/assignments/:assignmentId
+// @desc    Remove a user or department from a roster
+// @access  Private (Admin only)
+router.delete('/rosters/:id/assignments/:assignmentId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id, assignmentId } = req.params;
+
+    const assignment = await db('roster_assignments')
+      .where('id', assignmentId)
+      .where('roster_id', id)
+      .first();
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    await db('roster_assignments').where('id', assignmentId).del();
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'roster_unassigned',
+      resource_type: 'roster',
+      resource_id: id,
+      old_values: formatRosterAssignment(assignment),
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Roster assignment ${assignmentId} removed by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Assignment removed successfully'
+    });
+  } catch (error) {
+    logger.error('Remove roster assignment failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove roster assignment'
+    });
+  }
+});
+
+// @route   GET /api/admin/roster-calendar
+// @desc    Who is expected to work, when and where on each date of a range
+// @access  Private (Admin only)
+router.get('/roster-calendar', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { startDate, endDate, department, userId } = req.query;
+
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be YYYY-MM-DD dates'
+      });
+    }
+
+    const days = timezone.daysBetween(startDate, endDate) + 1;
+    if (days < 1 || days > MAX_ROSTER_CALENDAR_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range must cover between 1 and ${MAX_ROSTER_CALENDAR_DAYS} days`
+      });
+    }
+
+    let query = db('users')
+      .where('status', 'active')
+      .where('role', 'employee')
+      .select('id', 'employee_id', 'first_name', 'last_name', 'department')
+      .orderBy('last_name', 'asc');
+
+    if (department) {
+      query = query.where('department', department);
+    }
+    if (userId) {
+      query = query.where('id', userId);
+    }
+
+    const users = await query;
+    const sites = new Map((await db('work_sites').select('id', 'name')).map(site => [site.id, site.name]));
+
+    const calendar = new Map();
+    for (let date = startDate; date <= endDate; date = timezone.addDays(date, 1)) {
+      calendar.set(date, []);
+    }
+
+    // One user at a time keeps the number of open queries bounded on large departments
+    for (const user of users) {
+      const userZone = await workTimeService.getTimezone(user.id);
+      const expected = await workTimeService.getExpectedShifts(user.id, startDate, endDate);
+
+      for (const [date, { source, shift }] of expected) {
+        if (!shift) continue;
+
+        const bounds = workTimeService.shiftBounds(date, shift, userZone);
+        const shiftZone = shift.timezone || userZone;
+        calendar.get(date).push({
+          userId: user.id,
+          employeeId: user.employee_id,
+          name: `${user.first_name} ${user.last_name}`,
+          department: user.department,
+          source,
+          shiftName: shift.name,
+          templateId: shift.templateId || null,
+          rosterId: shift.rosterId || null,
+          start: bounds.start,
+          end: bounds.end,
+          localStart: timezone.toLocalISOString(bounds.start, shiftZone),
+          localEnd: timezone.toLocalISOString(bounds.end, shiftZone),
+          timezone: shiftZone,
+          workSiteId: shift.workSiteId || null,
+          workSiteName: shift.workSiteId ? sites.get(shift.workSiteId) || null : null
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        startDate,
+        endDate,
+        days: [...calendar.entries()].map(([date, shifts]) => ({ date, shifts }))
+      }
+    });
+  } catch (error) {
+    logger.error('Get roster calendar failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get roster calendar'
+    });
+  }
+});
+
+// Returns an error message for a template's break policies or work site, or null; undefined fields are skipped
+async function validateShiftTemplate(breakPolicies, workSiteId) {
+  if (breakPolicies !== undefined) {
+    const breakPolicyError = workTimeService.validateBreakPolicies(breakPolicies);
+    if (breakPolicyError) return breakPolicyError;
+  }
+
+  if (workSiteId) {
+    const site = await db('work_sites').where('id', workSiteId).first();
+    if (!site) return 'Work site not found';
+  }
+
+  return null;
+}
+
+function formatShiftTemplate(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    startTime: template.start_time,
+    endTime: template.end_time,
+    timezone: template.timezone,
+    breakPolicies: parseJsonColumn(template.break_policies) || [],
+    workSiteId: template.work_site_id,
+    isActive: template.is_active,
+    createdAt: template.created_at,
+    updatedAt: template.updated_at
+  };
+}
+
+function formatRoster(roster, assignments) {
+  return {
+    id: roster.id,
+    name: roster.name,
+    pattern: parseJsonColumn(roster.pattern),
+    anchorDate: timezone.fromDateColumn(roster.anchor_date),
+    isActive: roster.is_active,
+    createdAt: roster.created_at,
+    updatedAt: roster.updated_at,
+    assignments: assignments ? assignments.map(formatRosterAssignment) : undefined
+  };
+}
+
+function formatRosterAssignment(assignment) {
+  return {
+    id: assignment.id,
+    userId: assignment.user_id,
+    employeeName: assignment.first_name ? `${assignment.first_name} ${assignment.last_name}` : undefined,
+    employeeId: assignment.employee_id,
+    department: assignment.department,
+    offsetDays: assignment.offset_days,
+    effectiveFrom: timezone.fromDateColumn(assignment.effective_from),
+    effectiveTo: timezone.fromDateColumn(assignment.effective_to),
+    createdAt: assignment.created_at
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+const timesheetService = require('../services/timesheetService');
+const payrollExport = require('../services/payrollExport');
+const { authenticateToken, requireAdmin, requireSuperAdmin } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// @route   GET /api/timesheets/periods
+// @desc    List timesheet periods that have been locked, including ones since reopened
+// @access  Private (Admin only)
+router.get('/periods', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { frequency, status } = req.query;
+    const periods = await timesheetService.listPeriods({
+      frequency,
+      status,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+
+    res.json({
+      success: true,
+      data: { periods }
+    });
+  } catch (error) {
+    logger.error('Get timesheet periods failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get timesheet periods'
+    });
+  }
+});
+
+// @route   GET /api/timesheets
+// @desc    Timesheets for the weekly, bi-weekly or monthly period containing a date (today by default)
+// @access  Private (Admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { frequency, date, error } = parsePeriodQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { department, userId } = req.query;
+    const { period, timesheets } = await timesheetService.getTimesheets(frequency, date, { department, userId });
+
+    res.json({
+      success: true,
+      data: { period, timesheets }
+    });
+  } catch (error) {
+    logger.error('Get timesheets failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get timesheets'
+    });
+  }
+});
+
+// @route   GET /api/timesheets/export
+// @desc    Download a period's timesheets as CSV (layout=summary|daily), XLSX or the payroll JSON document
+// @access  Private (Admin only)
+router.get('/export', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { frequency, date, error } = parsePeriodQuery(req.query);
+    const { department, userId, format, layout = 'summary' } = req.query;
+    if (error || !payrollExport.getFormats().includes(format) || !['summary', 'daily'].includes(layout)) {
+      return res.status(400).json({
+        success: false,
+        message: error || `Format must be one of ${payrollExport.getFormats().join(', ')} and layout summary or daily`
+      });
+    }
+
+    const { period, timesheets } = await timesheetService.getTimesheets(frequency, date, { department, userId });
+
+    let content;
+    if (format === 'csv') {
+      content = payrollExport.toCsv(timesheets, layout);
+    } else if (format === 'xlsx') {
+      content = await payrollExport.toXlsx(period, timesheets);
+    } else {
+      content = JSON.stringify(payrollExport.toJson(period, timesheets), null, 2);
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'timesheets_exported',
+      resource_type: 'timesheet_period',
+      resource_id: period.id,
+      new_values: { frequency, start_date: period.startDate, end_date: period.endDate, status: period.status, format, layout, department, employees: timesheets.length },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    res.set('Content-Type', payrollExport.contentType(format));
+    res.set('Content-Disposition', `attachment; filename="${payrollExport.fileName(period, format)}"`);
+    res.send(content);
+  } catch (error) {
+    logger.error('Export timesheets failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export timesheets'
+    });
+  }
+});
+
+// @route   POST /api/timesheets/periods/lock
+// @desc    Approve and lock a finished period so its timesheets no longer change
+// @access  Private (Admin only)
+router.post('/periods/lock', authenticateToken, requireAdmin, [
+  body('frequency').isIn(timesheetService.getFrequencies()).withMessage(`Frequency must be one of ${timesheetService.getFrequencies().join(', ')}`),
+  body('startDate').matches(DATE_PATTERN).withMessage('Start date must be a YYYY-MM-DD date'),
+  body('note').optional().isString().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { frequency, startDate, note } = req.body;
+    const bounds = timesheetService.periodFor(frequency, startDate);
+    if (bounds.startDate !== startDate) {
+      return res.status(400).json({
+        success: false,
+        message: `${startDate} is not the start of a ${frequency} period; the period containing it starts on ${bounds.startDate}`
+      });
+    }
+    // Hours are still being worked until the last day is over everywhere
+    if (bounds.endDate >= timezone.formatDate(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only periods that have ended can be locked'
+      });
+    }
+
+    const result = await timesheetService.lock(frequency, startDate, req.user.id, note || null);
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'timesheet_period_locked',
+      resource_type: 'timesheet_period',
+      resource_id: result.period.id,
+      new_values: { frequency, start_date: result.period.startDate, end_date: result.period.endDate, timesheets: result.count, note },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'high'
+    });
+
+    req.app.get('io').to('admin_room').emit('timesheet_period_update', { periodId: result.period.id, status: 'locked' });
+
+    logger.info(`Timesheet period ${result.period.id} locked by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `Timesheets locked for ${result.count} employees`,
+      data: { period: result.period, count: result.count }
+    });
+  } catch (error) {
+    logger.error('Lock timesheet period failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to lock timesheet period'
+    });
+  }
+});
+
+// @route   POST /api/timesheets/periods/:id/reopen
+// @desc    Reopen a locked period so attendance in it can be corrected
+// @access  Private (Super admin only)
+router.post('/periods/:id/reopen', authenticateToken, requireSuperAdmin, [
+  body('reason').trim().notEmpty().isLength({ max: 1000 }).withMessage('A reason of at most 1000 characters is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reason } = req.body;
+    const period = await timesheetService.reopen(req.params.id, req.user.id, reason);
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        message: 'Locked timesheet period not found'
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'timesheet_period_reopened',
+      resource_type: 'timesheet_period',
+      resource_id: period.id,
+      old_values: { status: 'locked', locked_by: period.lockedBy, locked_at: period.lockedAt },
+      new_values: { status: 'open', reason },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'high'
+    });
+
+    req.app.get('io').to('admin_room').emit('timesheet_period_update', { periodId: period.id, status: 'open' });
+
+    logger.info(`Timesheet period ${period.id} reopened by super admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Timesheet period reopened successfully',
+      data: { period }
+    });
+  } catch (error) {
+    logger.error('Reopen timesheet period failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reopen timesheet period'
+    });
+  }
+});
+
+// Frequency and date (today in the server's default zone unless given) naming a timesheet period
+function parsePeriodQuery(params) {
+  const { frequency, date = timezone.formatDate(new Date()) } = params;
+
+  if (!timesheetService.getFrequencies().includes(frequency)) {
+    return { error: `Frequency must be one of ${timesheetService.getFrequencies().join(', ')}` };
+  }
+  if (!DATE_PATTERN.test(date)) {
+    return { error: 'Date must be a YYYY-MM-DD date' };
+  }
+
+  return { frequency, date };
+}
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+const workTimeService = require('../services/workTimeService');
+const holidayService = require('../services/holidayService');
 const { authenticateToken, requireAdmin, requireSuperAdmin } = require('../middleware/authMiddleware');
 
 const router = express.Router();
@@ -15,7 +18,7 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
     const offset = (page - 1) * limit;
 
     let query = db('users')
-      .select('id', 'employee_id', 'email', 'first_name', 'last_name', 'department', 'position', 'role', 'status', 'is_verified', 'last_login', 'created_at');
+      .select('id', 'employee_id', 'email', 'first_name', 'last_name', 'department', 'position', 'role', 'status', 'is_verified', 'hr_photo_url', 'timezone', 'manager_id', 'last_login', 'created_at');
 
     // Apply filters
     if (search) {
@@ -81,7 +84,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     const user = await db('users')
-      .select('id', 'employee_id', 'email', 'first_name', 'last_name', 'department', 'position', 'role', 'status', 'is_verified', 'last_login', 'created_at')
+      .select('id', 'employee_id', 'email', 'first_name', 'last_name', 'department', 'position', 'role', 'status', 'is_verified', 'hr_photo_url', 'timezone', 'manager_id', 'last_login', 'created_at')
       .where('id', id)
       .first();
 
@@ -113,7 +116,10 @@ router.put('/:id', authenticateToken, [
   body('lastName').optional().notEmpty().withMessage('Last name cannot be empty'),
   body('department').optional().notEmpty().withMessage('Department cannot be empty'),
   body('position').optional().notEmpty().withMessage('Position cannot be empty'),
-  body('phone').optional().isMobilePhone().withMessage('Invalid phone number')
+  body('phone').optional().isMobilePhone().withMessage('Invalid phone number'),
+  body('hrPhotoUrl').optional({ nullable: true }).isURL().withMessage('HR photo must be a valid URL'),
+  body('timezone').optional({ nullable: true }).custom(value => timezone.isValidTimezone(value)).withMessage('Timezone must be an IANA zone such as Asia/Kolkata'),
+  body('managerId').optional({ nullable: true }).isUUID().withMessage('Valid manager ID is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -142,8 +148,49 @@ router.put('/:id', authenticateToken, [
       lastName,
       department,
       position,
-      phone
+      phone,
+      hrPhotoUrl
     } = req.body;
+    const userTimezone = req.body.timezone;
+    const { managerId } = req.body;
+
+    // The HR reference photo is used to review self-enrollments, so only admins may set it
+    if (hrPhotoUrl !== undefined && userRole !== 'admin' && userRole !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can change the HR photo'
+      });
+    }
+
+    // The zone decides which day punches count towards and whether they were late
+    if (userTimezone !== undefined && userRole !== 'admin' && userRole !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can change the timezone'
+      });
+    }
+
+    // Managers approve their reports' leave
+    if (managerId !== undefined) {
+      if (userRole !== 'admin' && userRole !== 'super_admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only admins can change the manager'
+        });
+      }
+      if (managerId === id) {
+        return res.status(400).json({
+          success: false,
+          message: 'A user cannot be their own manager'
+        });
+      }
+      if (managerId && !(await db('users').where('id', managerId).first())) {
+        return res.status(404).json({
+          success: false,
+          message: 'Manager not found'
+        });
+      }
+    }
 
     const updateData = {};
     if (firstName) updateData.first_name = firstName;
@@ -151,13 +198,16 @@ router.put('/:id', authenticateToken, [
     if (department) updateData.department = department;
     if (position) updateData.position = position;
     if (phone) updateData.phone = phone;
+    if (hrPhotoUrl !== undefined) updateData.hr_photo_url = hrPhotoUrl;
+    if (userTimezone !== undefined) updateData.timezone = userTimezone;
+    if (managerId !== undefined) updateData.manager_id = managerId;
 
     updateData.updated_at = new Date();
 
     const [updatedUser] = await db('users')
       .where('id', id)
       .update(updateData)
-      .returning(['id', 'employee_id', 'email', 'first_name', 'last_name', 'department', 'position', 'role', 'status']);
+      .returning(['id', 'employee_id', 'email', 'first_name', 'last_name', 'department', 'position', 'role', 'status', 'hr_photo_url', 'timezone', 'manager_id']);
 
     if (!updatedUser) {
       return res.status(404).json({
@@ -279,84 +329,74 @@ router.get('/:id/attendance-summary', authenticateToken, async (req, res) => {
     }
 
     const { startDate, endDate } = req.query;
-    
-    let query = db('attendance_records')
-      .where('user_id', id)
-      .where('status', 'approved');
+    const userZone = await workTimeService.getTimezone(id);
 
+    let period;
     if (startDate && endDate) {
-      query = query.whereBetween('timestamp', [startDate, endDate]);
+      period = await workTimeService.getPeriod(id, startDate, endDate);
     } else {
-      // Default to current month
-      const now = new Date();
-      const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-      const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-      query = query.whereBetween('timestamp', [startOfMonth, endOfMonth]);
+      // Default to the current month in the employee's zone
+      const today = timezone.localParts(new Date(), userZone);
+      const month = `${today.year}-${String(today.month).padStart(2, '0')}`;
+      const daysInMonth = new Date(Date.UTC(today.year, today.month, 0)).getUTCDate();
+      const startOfMonth = `${month}-01`;
+      const endOfMonth = `${month}-${daysInMonth}`;
+      period = await workTimeService.getPeriod(id, startOfMonth, endOfMonth);
     }
-
-    const records = await query.orderBy('timestamp', 'asc');
+    const { days } = period;
+    // Absences are rostered or scheduled days up to today without a completed session
+    const absentDates = workTimeService.absentDates(period);
 
     // Calculate summary statistics
+    // Days are work days from the roster or schedule, so a night shift counts once, on the date it starts.
+    // totalHours is worked time across the day's sessions: check-in to check-out minus unpaid breaks
     const summary = {
       totalDays: 0,
       presentDays: 0,
-      absentDays: 0,
+      expectedDays: period.expected.filter(entry => entry.shift).length,
+      holidays: period.expected.filter(entry => entry.holiday).length,
+      // Approved leave is excused, so it is not counted as absence
+      leaveDays: workTimeService.leaveDayCount(period),
+      absentDays: absentDates.length,
+      // Days with a session the end-of-day job found left open
+      incompleteDays: days.filter(day => day.incomplete).length,
       totalHours: 0,
       averageHours: 0,
+      grossHours: 0,
+      paidBreakHours: 0,
+      unpaidBreakHours: 0,
+      breaks: 0,
+      sessions: 0,
       checkIns: 0,
       checkOuts: 0,
       lateArrivals: 0,
       earlyDepartures: 0
     };
 
-    const dailyRecords = {};
-    
-    records.forEach(record => {
-      const date = record.timestamp.toISOString().split('T')[0];
-      
-      if (!dailyRecords[date]) {
-        dailyRecords[date] = { checkIn: null, checkOut: null };
-      }
-      
-      if (record.type === 'check_in') {
-        dailyRecords[date].checkIn = record;
-        summary.checkIns++;
-      } else if (record.type === 'check_out') {
-        dailyRecords[date].checkOut = record;
-        summary.checkOuts++;
-      }
-    });
-
     // Calculate daily statistics
-    Object.keys(dailyRecords).forEach(date => {
-      const dayRecords = dailyRecords[date];
+    days.forEach(dayRecords => {
       summary.totalDays++;
+      summary.checkIns += dayRecords.sessions.length;
+      summary.checkOuts += dayRecords.completedSessions;
       
-      if (dayRecords.checkIn && dayRecords.checkOut) {
+      if (dayRecords.completedSessions > 0) {
         summary.presentDays++;
         
-        const hours = (dayRecords.checkOut.timestamp - dayRecords.checkIn.timestamp) / (1000 * 60 * 60);
-        summary.totalHours += hours;
-        
-        // Check for late arrival (assuming 9 AM start time)
-        const checkInTime = new Date(dayRecords.checkIn.timestamp);
-        const expectedStartTime = new Date(checkInTime);
-        expectedStartTime.setHours(9, 0, 0, 0);
+        summary.totalHours += dayRecords.workedHours;
+        summary.grossHours += dayRecords.grossHours;
+        summary.paidBreakHours += dayRecords.paidBreakHours;
+        summary.unpaidBreakHours += dayRecords.unpaidBreakHours;
+        summary.breaks += dayRecords.breaks.length;
+        summary.sessions += dayRecords.completedSessions;
         
-        if (checkInTime > expectedStartTime) {
+        // Late and early are measured against the rostered or scheduled shift (09:00-17:00 without either)
+        if (dayRecords.lateArrival) {
           summary.lateArrivals++;
         }
         
-        // Check for early departure (assuming 5 PM end time)
-        const checkOutTime = new Date(dayRecords.checkOut.timestamp);
-        const expectedEndTime = new Date(checkOutTime);
-        expectedEndTime.setHours(17, 0, 0, 0);
-        
-        if (checkOutTime < expectedEndTime) {
+        if (dayRecords.earlyDeparture) {
           summary.earlyDepartures++;
         }
-      } else {
-        summary.absentDays++;
       }
     });
 
@@ -366,13 +406,38 @@ router.get('/:id/attendance-summary', authenticateToken, async (req, res) => {
       success: true,
       data: {
         summary,
-        dailyRecords: Object.keys(dailyRecords).map(date => ({
-          date,
-          checkIn: dailyRecords[date].checkIn,
-          checkOut: dailyRecords[date].checkOut,
-          hours: dailyRecords[date].checkIn && dailyRecords[date].checkOut 
-            ? (dailyRecords[date].checkOut.timestamp - dailyRecords[date].checkIn.timestamp) / (1000 * 60 * 60)
-            : 0
+        timezone: userZone,
+        absentDates,
+        holidays: period.expected
+          .filter(entry => entry.holiday)
+          .map(entry => ({ date: entry.date, name: entry.holiday.name, type: entry.holiday.type })),
+        leave: period.expected
+          .filter(entry => entry.leave)
+          .map(entry => ({ date: entry.date, type: entry.leave.type, name: entry.leave.name, halfDay: entry.leave.halfDay })),
+        dailyRecords: days.map(day => ({
+          date: day.date,
+          timezone: day.timezone,
+          scheduled: day.scheduled,
+          shiftName: day.shiftName,
+          holiday: day.holiday,
+          incomplete: day.incomplete,
+          checkIn: day.checkIn,
+          checkOut: day.checkOut,
+          localCheckIn: timezone.toLocalISOString(day.checkIn.timestamp, userZone),
+          localCheckOut: day.checkOut ? timezone.toLocalISOString(day.checkOut.timestamp, userZone) : null,
+          hours: day.workedHours,
+          grossHours: day.grossHours,
+          paidBreakHours: day.paidBreakHours,
+          unpaidBreakHours: day.unpaidBreakHours,
+          breaks: day.breaks,
+          sessions: day.sessions.map(session => ({
+            checkIn: session.checkIn,
+            checkOut: session.checkOut,
+            localCheckIn: timezone.toLocalISOString(session.checkIn.timestamp, userZone),
+            localCheckOut: session.checkOut ? timezone.toLocalISOString(session.checkOut.timestamp, userZone) : null,
+            autoCheckOut: Boolean(session.checkOut && session.checkOut.is_system_generated),
+            hours: session.workedHours
+          }))
         }))
       }
     });
@@ -385,4 +450,243 @@ router.get('/:id/attendance-summary', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/:id/holidays
+// @desc    Holidays on the user's calendars for a year, with their optional holiday choices
+// @access  Private
+router.get('/:id/holidays', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!canAccessUser(req, id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const userZone = await workTimeService.getTimezone(id);
+    const year = parseInt(req.query.year) || timezone.localParts(new Date(), userZone).year;
+    const calendars = await holidayService.getCalendarsForUser(id);
+
+    const holidays = calendars.length === 0 ? [] : await db('holidays')
+      .leftJoin('optional_holiday_selections', function() {
+        this.on('optional_holiday_selections.holiday_id', '=', 'holidays.id')
+          .andOn('optional_holiday_selections.user_id', '=', db.raw('?', [id]));
+      })
+      .whereIn('holidays.calendar_id', calendars.map(calendar => calendar.id))
+      .whereBetween('holidays.date', [`${year}-01-01`, `${year}-12-31`])
+      .select('holidays.*', 'optional_holiday_selections.id as selection_id')
+      .orderBy('holidays.date', 'asc');
+
+    res.json({
+      success: true,
+      data: {
+        year,
+        calendars: await Promise.all(calendars.map(async calendar => ({
+          id: calendar.id,
+          name: calendar.name,
+          optionalHolidayAllowance: calendar.optional_holiday_allowance,
+          optionalHolidaysChosen: await holidayService.countOptionalSelections(id, calendar.id, year)
+        }))),
+        holidays: holidays.map(holiday => ({
+          id: holiday.id,
+          calendarId: holiday.calendar_id,
+          date: timezone.fromDateColumn(holiday.date),
+          name: holiday.name,
+          type: holiday.type,
+          // Optional holidays are only days off once chosen
+          dayOff: holiday.type !== 'optional' || Boolean(holiday.selection_id),
+          chosen: Boolean(holiday.selection_id)
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Get user holidays failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get holidays'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/optional-holidays
+// @desc    Take an optional (floating) holiday, within the calendar's yearly allowance
+// @access  Private
+router.post('/:id/optional-holidays', authenticateToken, [
+  body('holidayId').isUUID().withMessage('Valid holiday ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { holidayId } = req.body;
+
+    if (!canAccessUser(req, id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const { holiday, calendar, error } = await findOptionalHoliday(req, id, holidayId);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const existing = await db('optional_holiday_selections')
+      .where('holiday_id', holidayId)
+      .where('user_id', id)
+      .first();
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'This optional holiday has already been chosen'
+      });
+    }
+
+    const date = timezone.fromDateColumn(holiday.date);
+    const year = parseInt(date.slice(0, 4));
+    const chosen = await holidayService.countOptionalSelections(id, calendar.id, year);
+    if (chosen >= calendar.optional_holiday_allowance) {
+      return res.status(400).json({
+        success: false,
+        message: `The allowance of ${calendar.optional_holiday_allowance} optional holidays for ${year} has been used`
+      });
+    }
+
+    await db('optional_holiday_selections').insert({ holiday_id: holidayId, user_id: id });
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'optional_holiday_chosen',
+      resource_type: 'holiday',
+      resource_id: holidayId,
+      new_values: { user_id: id, date, name: holiday.name },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    logger.info(`Optional holiday ${holidayId} chosen for user ${id} by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Optional holiday chosen successfully',
+      data: {
+        holidayId,
+        date,
+        remaining: calendar.optional_holiday_allowance - chosen - 1
+      }
+    });
+  } catch (error) {
+    logger.error('Choose optional holiday failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to choose optional holiday'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/optional-holidays/:holidayId
+// @desc    Give back a chosen optional holiday
+// @access  Private
+router.delete('/:id/optional-holidays/:holidayId', authenticateToken, async (req, res) => {
+  try {
+    const { id, holidayId } = req.params;
+
+    if (!canAccessUser(req, id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const { holiday, error } = await findOptionalHoliday(req, id, holidayId);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const removed = await db('optional_holiday_selections')
+      .where('holiday_id', holidayId)
+      .where('user_id', id)
+      .del();
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'This optional holiday has not been chosen'
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'optional_holiday_released',
+      resource_type: 'holiday',
+      resource_id: holidayId,
+      old_values: { user_id: id, date: timezone.fromDateColumn(holiday.date), name: holiday.name },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    logger.info(`Optional holiday ${holidayId} released for user ${id} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Optional holiday released successfully'
+    });
+  } catch (error) {
+    logger.error('Release optional holiday failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release optional holiday'
+    });
+  }
+});
+
+// Users can act on their own records; admins on anyone's
+function canAccessUser(req, userId) {
+  return userId === req.user.id || req.user.role === 'admin' || req.user.role === 'super_admin';
+}
+
+/**
+ * An optional holiday on one of the user's calendars, with that calendar. Employees can
+ * only change choices for dates that have not passed in their zone; admins can correct
+ * past ones. Returns { holiday, calendar } or { error: { status, message } }.
+ */
+async function findOptionalHoliday(req, userId, holidayId) {
+  const holiday = await db('holidays').where('id', holidayId).first();
+  const calendars = await holidayService.getCalendarsForUser(userId);
+  const calendar = holiday && calendars.find(candidate => candidate.id === holiday.calendar_id);
+
+  if (!holiday || !calendar) {
+    return { error: { status: 404, message: 'Holiday not found on this user\'s calendars' } };
+  }
+  if (holiday.type !== 'optional') {
+    return { error: { status: 400, message: 'Only optional holidays can be chosen or released' } };
+  }
+
+  const isAdmin = req.user.role === 'admin' || req.user.role === 'super_admin';
+  const today = timezone.formatDate(new Date(), await workTimeService.getTimezone(userId));
+  if (!isAdmin && timezone.fromDateColumn(holiday.date) < today) {
+    return { error: { status: 400, message: 'Optional holidays that have passed cannot be changed' } };
+  }
+
+  return { holiday, calendar };
+}
+
 module.exports = router;
@@ -0,0 +1,510 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+const { parseJsonColumn } = require('../utils/jsonColumn');
+const workTimeService = require('../services/workTimeService');
+const workScheduleService = require('../services/workScheduleService');
+const { authenticateToken, requireAdmin } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const workScheduleValidators = [
+  body('scheduleName').optional().trim().notEmpty().withMessage('Schedule name cannot be empty'),
+  body('startTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid start time is required'),
+  body('endTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid end time is required'),
+  body('workingDays').optional().isArray({ min: 1 }).withMessage('Working days must be a non-empty array'),
+  body('workingDays.*').isInt({ min: 0, max: 7 }).withMessage('Working days are 1 (Monday) to 7 (Sunday); 0 is also Sunday'),
+  body('latitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('longitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+  body('locationRadius').optional().isInt({ min: 1, max: 100000 }).withMessage('Location radius must be a positive number of meters'),
+  body('breakPolicies').optional().isArray().withMessage('Break policies must be an array'),
+  body('timezone').optional({ nullable: true }).custom(value => timezone.isValidTimezone(value)).withMessage('Timezone must be an IANA zone such as Asia/Kolkata'),
+  body('effectiveFrom').optional({ nullable: true }).matches(DATE_PATTERN).withMessage('Effective from must be a YYYY-MM-DD date'),
+  body('effectiveTo').optional({ nullable: true }).matches(DATE_PATTERN).withMessage('Effective to must be a YYYY-MM-DD date')
+];
+
+// @route   GET /api/admin/work-schedules
+// @desc    List work schedules, optionally for one user or department or by status
+// @access  Private (Admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { userId, department, status } = req.query;
+
+    let query = db('work_schedules')
+      .join('users', 'work_schedules.user_id', 'users.id')
+      .select(
+        'work_schedules.*',
+        'users.first_name',
+        'users.last_name',
+        'users.employee_id',
+        'users.department'
+      )
+      .orderBy([
+        { column: 'users.last_name', order: 'asc' },
+        { column: 'work_schedules.effective_from', order: 'asc' }
+      ]);
+
+    if (userId) {
+      query = query.where('work_schedules.user_id', userId);
+    }
+    if (department) {
+      query = query.where('users.department', department);
+    }
+
+    const schedules = await query;
+
+    // Status is relative to today in each employee's zone
+    const todays = new Map();
+    for (const schedule of schedules) {
+      if (!todays.has(schedule.user_id)) {
+        todays.set(schedule.user_id, await workScheduleService.today(schedule.user_id));
+      }
+    }
+
+    const formatted = schedules
+      .map(schedule => formatWorkSchedule(schedule, todays.get(schedule.user_id)))
+      .filter(schedule => !status || schedule.status === status);
+
+    res.json({
+      success: true,
+      data: { schedules: formatted }
+    });
+  } catch (error) {
+    logger.error('Get work schedules failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get work schedules'
+    });
+  }
+});
+
+// @route   GET /api/admin/work-schedules/:id
+// @desc    Get a work schedule with every version of it
+// @access  Private (Admin only)
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const schedule = await db('work_schedules').where('id', id).first();
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work schedule not found'
+      });
+    }
+
+    const today = await workScheduleService.today(schedule.user_id);
+    const versions = await workScheduleService.getVersions(schedule);
+
+    res.json({
+      success: true,
+      data: {
+        schedule: formatWorkSchedule(schedule, today),
+        versions: versions.map(version => formatWorkSchedule(version, today))
+      }
+    });
+  } catch (error) {
+    logger.error('Get work schedule failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get work schedule'
+    });
+  }
+});
+
+// @route   POST /api/admin/work-schedules
+// @desc    Create work schedule
+// @access  Private (Admin only)
+router.post('/', authenticateToken, requireAdmin, [
+  body('userId').isUUID().withMessage('Valid user ID is required'),
+  body('scheduleName').notEmpty().withMessage('Schedule name is required'),
+  body('startTime').notEmpty().withMessage('Start time is required'),
+  body('endTime').notEmpty().withMessage('End time is required'),
+  body('workingDays').isArray().withMessage('Working days must be an array'),
+  ...workScheduleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId, effectiveFrom, effectiveTo, breakPolicies = [] } = req.body;
+
+    const breakPolicyError = workTimeService.validateBreakPolicies(breakPolicies);
+    if (breakPolicyError) {
+      return res.status(400).json({
+        success: false,
+        message: breakPolicyError
+      });
+    }
+
+    if (effectiveFrom && effectiveTo && effectiveTo < effectiveFrom) {
+      return res.status(400).json({
+        success: false,
+        message: 'Effective to must not be before effective from'
+      });
+    }
+
+    // Verify user exists
+    const user = await db('users').where('id', userId).first();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const columns = {
+      location_radius: 100,
+      ...toWorkScheduleColumns(req.body),
+      user_id: userId,
+      break_policies: JSON.stringify(breakPolicies),
+      effective_from: effectiveFrom || null,
+      effective_to: effectiveTo || null
+    };
+
+    // Only one schedule may apply to a user on any date
+    const { schedule, conflicts } = await workScheduleService.create(columns, req.user.id);
+    if (conflicts) {
+      return res.status(409).json({
+        success: false,
+        message: 'The user already has a schedule for some of these dates',
+        data: { conflicts: conflicts.map(conflict => formatWorkSchedule(conflict)) }
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'work_schedule_created',
+      resource_type: 'work_schedule',
+      resource_id: schedule.id,
+      new_values: scheduleAuditValues(schedule),
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    logger.info(`Work schedule created for user ${userId} by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Work schedule created successfully',
+      data: { schedule: formatWorkSchedule(schedule, await workScheduleService.today(userId)) }
+    });
+  } catch (error) {
+    logger.error('Create work schedule failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create work schedule'
+    });
+  }
+});
+
+// @route   PUT /api/admin/work-schedules/:id
+// @desc    Change a work schedule from a date, starting a new version if it is already in force
+// @access  Private (Admin only)
+router.put('/:id', authenticateToken, requireAdmin, workScheduleValidators, async (req, res) => {
+  return saveWorkScheduleChanges(req, res, (body) => {
+    const changes = toWorkScheduleColumns(body);
+
+    if (body.breakPolicies !== undefined) {
+      const breakPolicyError = workTimeService.validateBreakPolicies(body.breakPolicies);
+      if (breakPolicyError) return { error: breakPolicyError };
+      changes.break_policies = JSON.stringify(body.breakPolicies);
+    }
+    if (body.effectiveTo !== undefined) changes.effective_to = body.effectiveTo || null;
+
+    if (Object.keys(changes).length === 0 && !body.effectiveFrom) {
+      return { error: 'No changes to apply' };
+    }
+    return { changes };
+  }, {
+    action: 'work_schedule_updated',
+    message: 'Work schedule updated successfully',
+    failure: 'Failed to update work schedule'
+  });
+});
+
+// @route   PUT /api/admin/work-schedules/:id/break-policies
+// @desc    Replace a work schedule's break policies
+// @access  Private (Admin only)
+router.put('/:id/break-policies', authenticateToken, requireAdmin, [
+  body('breakPolicies').isArray().withMessage('Break policies must be an array'),
+  body('effectiveFrom').optional({ nullable: true }).matches(DATE_PATTERN).withMessage('Effective from must be a YYYY-MM-DD date')
+], async (req, res) => {
+  return saveWorkScheduleChanges(req, res, (body) => {
+    const breakPolicyError = workTimeService.validateBreakPolicies(body.breakPolicies);
+    if (breakPolicyError) return { error: breakPolicyError };
+    return { changes: { break_policies: JSON.stringify(body.breakPolicies) } };
+  }, {
+    action: 'work_schedule_break_policies_updated',
+    message: 'Break policies updated successfully',
+    failure: 'Failed to update break policies'
+  });
+});
+
+// @route   POST /api/admin/work-schedules/:id/deactivate
+// @desc    End a work schedule after a date; earlier attendance is still read against it
+// @access  Private (Admin only)
+router.post('/:id/deactivate', authenticateToken, requireAdmin, [
+  body('effectiveTo').optional({ nullable: true }).matches(DATE_PATTERN).withMessage('Effective to must be a YYYY-MM-DD date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const schedule = await db('work_schedules').where('id', id).first();
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work schedule not found'
+      });
+    }
+
+    const today = await workScheduleService.today(schedule.user_id);
+    const effectiveTo = req.body.effectiveTo || today;
+
+    const { schedule: updatedSchedule, error } = await workScheduleService.deactivate(schedule, effectiveTo);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'work_schedule_deactivated',
+      resource_type: 'work_schedule',
+      resource_id: id,
+      old_values: { is_active: schedule.is_active, effective_to: timezone.fromDateColumn(schedule.effective_to) },
+      new_values: { is_active: updatedSchedule.is_active, effective_to: timezone.fromDateColumn(updatedSchedule.effective_to) },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Work schedule ${id} deactivated from ${effectiveTo} by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Work schedule deactivated successfully',
+      data: { schedule: formatWorkSchedule(updatedSchedule, today) }
+    });
+  } catch (error) {
+    logger.error('Deactivate work schedule failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate work schedule'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/work-schedules/:id
+// @desc    Delete a work schedule version that no attendance has been read against
+// @access  Private (Admin only)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const schedule = await db('work_schedules').where('id', id).first();
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work schedule not found'
+      });
+    }
+
+    if (schedule.is_active && await workScheduleService.hasAttendance(schedule)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Attendance has been recorded under this schedule; deactivate it instead'
+      });
+    }
+
+    const { restored } = await workScheduleService.remove(schedule);
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'work_schedule_deleted',
+      resource_type: 'work_schedule',
+      resource_id: id,
+      old_values: scheduleAuditValues(schedule),
+      new_values: restored ? { restored_version_id: restored.id, effective_to: timezone.fromDateColumn(restored.effective_to) } : null,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Work schedule ${id} deleted by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Work schedule deleted successfully',
+      data: {
+        restored: restored ? formatWorkSchedule(restored, await workScheduleService.today(schedule.user_id)) : null
+      }
+    });
+  } catch (error) {
+    logger.error('Delete work schedule failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete work schedule'
+    });
+  }
+});
+
+/**
+ * Apply schedule changes from the requested date (today in the employee's zone by default)
+ * and audit them. buildChanges turns the validated body into { changes } or { error }.
+ */
+async function saveWorkScheduleChanges(req, res, buildChanges, { action, message, failure }) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { changes, error } = buildChanges(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { id } = req.params;
+    const schedule = await db('work_schedules').where('id', id).first();
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work schedule not found'
+      });
+    }
+
+    const today = await workScheduleService.today(schedule.user_id);
+    const scheduleFrom = timezone.fromDateColumn(schedule.effective_from);
+    // Schedules that have not started yet are changed from their own start date
+    const applyFrom = req.body.effectiveFrom || (scheduleFrom && scheduleFrom > today ? scheduleFrom : today);
+
+    const result = await workScheduleService.update(schedule, changes, applyFrom, req.user.id);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+    if (result.conflicts) {
+      return res.status(409).json({
+        success: false,
+        message: 'The user already has a schedule for some of these dates',
+        data: { conflicts: result.conflicts.map(conflict => formatWorkSchedule(conflict)) }
+      });
+    }
+
+    const { schedule: updatedSchedule, previous, versioned } = result;
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action,
+      resource_type: 'work_schedule',
+      resource_id: updatedSchedule.id,
+      old_values: scheduleAuditValues(schedule),
+      new_values: {
+        ...scheduleAuditValues(updatedSchedule),
+        previous_version_id: versioned ? previous.id : undefined
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    logger.info(`Work schedule ${id} changed from ${applyFrom}${versioned ? ` as version ${updatedSchedule.version}` : ''} by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        schedule: formatWorkSchedule(updatedSchedule, today),
+        previousVersion: versioned ? formatWorkSchedule(previous, today) : null
+      }
+    });
+  } catch (error) {
+    logger.error(`${failure}:`, error);
+    res.status(500).json({
+      success: false,
+      message: failure
+    });
+  }
+}
+
+// Schedule columns from a request body; fields left out of the body are left out of the result
+function toWorkScheduleColumns(body) {
+  const columns = {};
+
+  if (body.scheduleName !== undefined) columns.schedule_name = body.scheduleName;
+  if (body.startTime !== undefined) columns.start_time = body.startTime;
+  if (body.endTime !== undefined) columns.end_time = body.endTime;
+  if (body.workingDays !== undefined) columns.working_days = JSON.stringify(body.workingDays.map(Number));
+  if (body.latitude !== undefined) columns.latitude = body.latitude != null ? parseFloat(body.latitude) : null;
+  if (body.longitude !== undefined) columns.longitude = body.longitude != null ? parseFloat(body.longitude) : null;
+  if (body.locationRadius !== undefined) columns.location_radius = parseInt(body.locationRadius);
+  if (body.locationName !== undefined) columns.location_name = body.locationName;
+  // Start and end times are wall-clock times in this zone; null uses the employee's zone
+  if (body.timezone !== undefined) columns.timezone = body.timezone || null;
+
+  return columns;
+}
+
+function scheduleAuditValues(schedule) {
+  return {
+    user_id: schedule.user_id,
+    schedule_name: schedule.schedule_name,
+    start_time: schedule.start_time,
+    end_time: schedule.end_time,
+    working_days: parseJsonColumn(schedule.working_days),
+    timezone: schedule.timezone,
+    break_policies: parseJsonColumn(schedule.break_policies),
+    effective_from: timezone.fromDateColumn(schedule.effective_from),
+    effective_to: timezone.fromDateColumn(schedule.effective_to),
+    version: schedule.version
+  };
+}
+
+// Schedule row with dates as YYYY-MM-DD and, given today's date, its status
+function formatWorkSchedule(schedule, today) {
+  return {
+    ...schedule,
+    working_days: parseJsonColumn(schedule.working_days),
+    break_policies: parseJsonColumn(schedule.break_policies),
+    effective_from: timezone.fromDateColumn(schedule.effective_from),
+    effective_to: timezone.fromDateColumn(schedule.effective_to),
+    status: today ? workScheduleService.getStatus(schedule, today) : undefined
+  };
+}
+
+module.exports = router;
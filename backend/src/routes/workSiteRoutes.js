@@ -0,0 +1,474 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+const { parseJsonColumn } = require('../utils/jsonColumn');
+const geofenceService = require('../services/geofenceService');
+const { authenticateToken, requireAdmin } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+const workSiteValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Site name cannot be empty'),
+  body('geofenceType').optional().isIn(['circle', 'polygon']).withMessage('Geofence type must be circle or polygon'),
+  body('latitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('longitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+  body('radius').optional({ nullable: true }).isInt({ min: 1, max: 100000 }).withMessage('Radius must be a positive number of meters'),
+  body('polygon').optional({ nullable: true }).isArray().withMessage('Polygon must be an array of vertices'),
+  body('timezone').optional({ nullable: true }).custom(value => timezone.isValidTimezone(value)).withMessage('Timezone must be an IANA zone such as Europe/London'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// @route   GET /api/admin/work-sites
+// @desc    List work sites with their user and department assignments
+// @access  Private (Admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const sites = await db('work_sites').select('*').orderBy('name', 'asc');
+
+    const assignments = await db('work_site_assignments')
+      .leftJoin('users', 'work_site_assignments.user_id', 'users.id')
+      .select(
+        'work_site_assignments.*',
+        'users.first_name',
+        'users.last_name',
+        'users.employee_id'
+      );
+
+    res.json({
+      success: true,
+      data: {
+        sites: sites.map(site => formatWorkSite(
+          site,
+          assignments.filter(assignment => assignment.work_site_id === site.id)
+        ))
+      }
+    });
+  } catch (error) {
+    logger.error('Get work sites failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get work sites'
+    });
+  }
+});
+
+// @route   POST /api/admin/work-sites
+// @desc    Create a work site with a circle or polygon geofence
+// @access  Private (Admin only)
+router.post('/', authenticateToken, requireAdmin, [
+  body('name').trim().notEmpty().withMessage('Site name is required'),
+  body('geofenceType').isIn(['circle', 'polygon']).withMessage('Geofence type must be circle or polygon'),
+  ...workSiteValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, address } = req.body;
+    const siteTimezone = req.body.timezone || null;
+    const geofence = parseGeofence(req.body);
+
+    const geofenceError = geofenceService.validateGeofence(geofence);
+    if (geofenceError) {
+      return res.status(400).json({
+        success: false,
+        message: geofenceError
+      });
+    }
+
+    const [site] = await db('work_sites')
+      .insert({
+        name,
+        address,
+        timezone: siteTimezone,
+        ...toGeofenceColumns(geofence),
+        created_by: req.user.id
+      })
+      .returning('*');
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'work_site_created',
+      resource_type: 'work_site',
+      resource_id: site.id,
+      new_values: { name, address, timezone: siteTimezone, ...geofence },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Work site ${site.id} created by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Work site created successfully',
+      data: { site: formatWorkSite(site, []) }
+    });
+  } catch (error) {
+    logger.error('Create work site failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create work site'
+    });
+  }
+});
+
+// @route   PUT /api/admin/work-sites/:id
+// @desc    Update a work site's details, geofence or active state
+// @access  Private (Admin only)
+router.put('/:id', authenticateToken, requireAdmin, workSiteValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const site = await db('work_sites').where('id', id).first();
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work site not found'
+      });
+    }
+
+    const { name, address, isActive } = req.body;
+    const updates = { updated_at: new Date() };
+
+    if (name !== undefined) updates.name = name;
+    if (address !== undefined) updates.address = address;
+    if (req.body.timezone !== undefined) updates.timezone = req.body.timezone;
+    if (isActive !== undefined) updates.is_active = isActive;
+
+    // A geofence change replaces the whole shape so circle and polygon fields never mix
+    if (req.body.geofenceType !== undefined) {
+      const geofence = parseGeofence(req.body);
+      const geofenceError = geofenceService.validateGeofence(geofence);
+      if (geofenceError) {
+        return res.status(400).json({
+          success: false,
+          message: geofenceError
+        });
+      }
+      Object.assign(updates, toGeofenceColumns(geofence));
+    }
+
+    const [updatedSite] = await db('work_sites')
+      .where('id', id)
+      .update(updates)
+      .returning('*');
+
+    const oldValues = {};
+    const newValues = {};
+    for (const column of Object.keys(updates)) {
+      if (column !== 'updated_at') {
+        oldValues[column] = site[column];
+        newValues[column] = updatedSite[column];
+      }
+    }
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'work_site_updated',
+      resource_type: 'work_site',
+      resource_id: id,
+      old_values: oldValues,
+      new_values: newValues,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Work site ${id} updated by admin ${req.user.id}`);
+
+    const assignments = await db('work_site_assignments').where('work_site_id', id);
+
+    res.json({
+      success: true,
+      message: 'Work site updated successfully',
+      data: { site: formatWorkSite(updatedSite, assignments) }
+    });
+  } catch (error) {
+    logger.error('Update work site failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update work site'
+    });
+  }
+});
+
+// @route   POST /api/admin/work-sites/:id/assignments
+// @desc    Assign a work site to users and/or departments
+// @access  Private (Admin only)
+router.post('/:id/assignments', authenticateToken, requireAdmin, [
+  body('userIds').optional().isArray().withMessage('userIds must be an array'),
+  body('userIds.*').isUUID().withMessage('Valid user IDs are required'),
+  body('departments').optional().isArray().withMessage('departments must be an array'),
+  body('departments.*').isString().trim().notEmpty().withMessage('Department names cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const userIds = [...new Set(req.body.userIds || [])];
+    const departments = [...new Set(req.body.departments || [])];
+
+    if (userIds.length === 0 && departments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one user or department is required'
+      });
+    }
+
+    const site = await db('work_sites').where('id', id).first();
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work site not found'
+      });
+    }
+
+    const foundUserIds = userIds.length === 0 ? [] : await db('users').whereIn('id', userIds).pluck('id');
+    const missingUserIds = userIds.filter(userId => !foundUserIds.includes(userId));
+    if (missingUserIds.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some users were not found',
+        data: { missingUserIds }
+      });
+    }
+
+    // Existing assignments are left as they are, so repeating a request is harmless
+    const existing = await db('work_site_assignments')
+      .where('work_site_id', id)
+      .where(function() {
+        this.whereIn('user_id', userIds).orWhereIn('department', departments);
+      });
+    const assignedUserIds = new Set(existing.map(assignment => assignment.user_id));
+    const assignedDepartments = new Set(existing.map(assignment => assignment.department));
+
+    const rows = [
+      ...userIds
+        .filter(userId => !assignedUserIds.has(userId))
+        .map(userId => ({ work_site_id: id, user_id: userId, created_by: req.user.id })),
+      ...departments
+        .filter(department => !assignedDepartments.has(department))
+        .map(department => ({ work_site_id: id, department, created_by: req.user.id }))
+    ];
+
+    const created = rows.length === 0 ? [] : await db('work_site_assignments')
+      .insert(rows)
+      .returning('*');
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'work_site_assigned',
+      resource_type: 'work_site',
+      resource_id: id,
+      new_values: {
+        user_ids: created.filter(assignment => assignment.user_id).map(assignment => assignment.user_id),
+        departments: created.filter(assignment => assignment.department).map(assignment => assignment.department)
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Work site ${id} assigned to ${created.length} targets by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} assignments created`,
+      data: {
+        assignments: created.map(formatWorkSiteAssignment),
+        skipped: userIds.length + departments.length - created.length
+      }
+    });
+  } catch (error) {
+    logger.error('Assign work site failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign work site'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/work-sites/:id/assignments/:assignmentId
+// @desc    Remove a user or department assignment from a work site
+// @access  Private (Admin only)
+router.delete('/:id/assignments/:assignmentId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id, assignmentId } = req.params;
+
+    const assignment = await db('work_site_assignments')
+      .where('id', assignmentId)
+      .where('work_site_id', id)
+      .first();
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    await db('work_site_assignments').where('id', assignmentId).del();
+
+    // Log the action
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'work_site_unassigned',
+      resource_type: 'work_site',
+      resource_id: id,
+      old_values: { user_id: assignment.user_id, department: assignment.department },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    logger.info(`Work site assignment ${assignmentId} removed by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Assignment removed successfully'
+    });
+  } catch (error) {
+    logger.error('Remove work site assignment failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove work site assignment'
+    });
+  }
+});
+
+// @route   GET /api/admin/work-sites/users/:userId
+// @desc    Sites a user's punches are checked against, including the work schedule fallback
+// @access  Private (Admin only)
+router.get('/users/:userId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await db('users').where('id', userId).first();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sites = await geofenceService.getSitesForUser(userId);
+
+    res.json({
+      success: true,
+      data: {
+        userId,
+        department: user.department,
+        // A null site id is the location on the user's work schedule, used when no site is assigned
+        sites: sites.map(site => formatWorkSite(site))
+      }
+    });
+  } catch (error) {
+    logger.error('Get user work sites failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user work sites'
+    });
+  }
+});
+
+// Geofence fields from a request body, with coordinates coerced to numbers
+function parseGeofence(body) {
+  const { geofenceType, latitude, longitude, radius, polygon } = body;
+
+  if (geofenceType === 'polygon') {
+    return {
+      geofenceType,
+      polygon: Array.isArray(polygon)
+        ? polygon.map(vertex => ({
+          latitude: vertex ? parseFloat(vertex.latitude) : NaN,
+          longitude: vertex ? parseFloat(vertex.longitude) : NaN
+        }))
+        : polygon
+    };
+  }
+
+  return {
+    geofenceType,
+    latitude: latitude != null ? parseFloat(latitude) : null,
+    longitude: longitude != null ? parseFloat(longitude) : null,
+    radius: radius != null ? parseInt(radius) : null
+  };
+}
+
+function toGeofenceColumns(geofence) {
+  if (geofence.geofenceType === 'polygon') {
+    return {
+      geofence_type: 'polygon',
+      latitude: null,
+      longitude: null,
+      radius: null,
+      polygon: JSON.stringify(geofence.polygon)
+    };
+  }
+
+  return {
+    geofence_type: 'circle',
+    latitude: geofence.latitude,
+    longitude: geofence.longitude,
+    radius: geofence.radius,
+    polygon: null
+  };
+}
+
+function formatWorkSite(site, assignments) {
+  return {
+    id: site.id,
+    name: site.name,
+    address: site.address,
+    geofenceType: site.geofence_type,
+    latitude: site.latitude != null ? parseFloat(site.latitude) : null,
+    longitude: site.longitude != null ? parseFloat(site.longitude) : null,
+    radius: site.radius,
+    polygon: parseJsonColumn(site.polygon),
+    timezone: site.timezone,
+    isActive: site.is_active,
+    createdAt: site.created_at,
+    updatedAt: site.updated_at,
+    assignments: assignments ? assignments.map(formatWorkSiteAssignment) : undefined
+  };
+}
+
+function formatWorkSiteAssignment(assignment) {
+  return {
+    id: assignment.id,
+    userId: assignment.user_id,
+    employeeName: assignment.first_name ? `${assignment.first_name} ${assignment.last_name}` : undefined,
+    employeeId: assignment.employee_id,
+    department: assignment.department,
+    createdAt: assignment.created_at
+  };
+}
+
+module.exports = router;
@@ -6,21 +6,38 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
-const { errorHandler, notFound } = require('./src/middleware/errorMiddleware');
-const { authenticateToken } = require('./src/middleware/authMiddleware');
-const logger = require('./src/utils/logger');
+const { errorHandler, notFound } = require('./middleware/errorMiddleware');
+const { authenticateToken } = require('./middleware/authMiddleware');
+const logger = require('./utils/logger');
+const faceRecognitionService = require('./services/faceRecognitionService');
+const faceEmbeddingIndex = require('./services/faceEmbeddingIndex');
+const openSessionJob = require('./services/openSessionJob');
 
 // Import routes
-const authRoutes = require('./src/routes/authRoutes');
-const userRoutes = require('./src/routes/userRoutes');
-const attendanceRoutes = require('./src/routes/attendanceRoutes');
-const faceRecognitionRoutes = require('./src/routes/faceRecognitionRoutes');
-const adminRoutes = require('./src/routes/adminRoutes');
-const analyticsRoutes = require('./src/routes/analyticsRoutes');
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const attendanceRoutes = require('./routes/attendanceRoutes');
+const faceRecognitionRoutes = require('./routes/faceRecognitionRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const workScheduleRoutes = require('./routes/workScheduleRoutes');
+const workSiteRoutes = require('./routes/workSiteRoutes');
+const rosterRoutes = require('./routes/rosterRoutes');
+const holidayCalendarRoutes = require('./routes/holidayCalendarRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const leaveRoutes = require('./routes/leaveRoutes');
+const regularizationRoutes = require('./routes/regularizationRoutes');
+const overtimeRoutes = require('./routes/overtimeRoutes');
+const timesheetRoutes = require('./routes/timesheetRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind nginx or an ingress req.ip is the proxy's address unless the proxy is trusted,
+// which breaks per-client rate limiting and the GPS/IP location check
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+}
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -53,7 +70,7 @@ app.use(cors({
     : ['http://localhost:3000', 'http://localhost:3001', 'http://localhost:8081'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Kiosk-Key'],
 }));
 
 // Body parsing middleware
@@ -84,10 +101,20 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
-app.use('/api/attendance', authenticateToken, attendanceRoutes);
+// Attendance routes authenticate individually: employees with a JWT, kiosks with a device credential
+app.use('/api/attendance', attendanceRoutes);
 app.use('/api/face-recognition', authenticateToken, faceRecognitionRoutes);
+app.use('/api/admin/work-schedules', authenticateToken, workScheduleRoutes);
+app.use('/api/admin/work-sites', authenticateToken, workSiteRoutes);
+app.use('/api/admin/holiday-calendars', authenticateToken, holidayCalendarRoutes);
 app.use('/api/admin', authenticateToken, adminRoutes);
+// Shift templates, rosters and the roster calendar share the admin prefix
+app.use('/api/admin', authenticateToken, rosterRoutes);
 app.use('/api/analytics', authenticateToken, analyticsRoutes);
+app.use('/api/leave', authenticateToken, leaveRoutes);
+app.use('/api/regularizations', authenticateToken, regularizationRoutes);
+app.use('/api/overtime', authenticateToken, overtimeRoutes);
+app.use('/api/timesheets', authenticateToken, timesheetRoutes);
 
 // WebSocket setup for real-time updates
 const server = require('http').createServer(app);
@@ -145,6 +172,7 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  openSessionJob.stop();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -153,16 +181,35 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  openSessionJob.stop();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
   });
 });
 
-// Start server
-server.listen(PORT, () => {
-  logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
-  logger.info(`Health check available at http://localhost:${PORT}/health`);
-});
+// Start server once the face models have loaded and passed their self-check
+// and every stored template is in the embedding index
+faceRecognitionService.initialize()
+  .then(() => faceEmbeddingIndex.load())
+  .then(() => {
+    faceEmbeddingIndex.startAutoRefresh();
+    openSessionJob.start(io);
+    server.listen(PORT, () => {
+      logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
+      logger.info(`Health check available at http://localhost:${PORT}/health`);
+    });
+  })
+  .catch((error) => {
+    logger.error(`Face recognition startup failed, refusing to start: ${error.message}`);
+    process.exit(1);
+  });
+
+// TRUST_PROXY takes Express's forms: true/false, a hop count, or comma-separated addresses and subnets
+function parseTrustProxy(value) {
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value;
+}
 
 module.exports = app;
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const CHALLENGE_ACTIONS = ['blink', 'turn_left', 'turn_right', 'smile'];
+const CHALLENGE_LENGTH = 3;
+
+// Eye patches are compared at a fixed size so openness is independent of face size
+const EYE_PATCH_SIZE = 16;
+const EYE_PATCH_RATIO = 0.35; // Patch side relative to the inter-eye distance
+
+// Nose offset (relative to eye distance) a head turn must reach from the neutral first frame
+const YAW_DELTA = 0.2;
+// In an unmirrored front-camera frame, turning to the subject's left moves the nose to image right
+const TURN_LEFT_SIGN = 1;
+// Relative increase in mouth width that counts as a smile
+const SMILE_DELTA = 0.12;
+// Eye contrast relative to the open-eye reference that counts as closed / reopened
+const BLINK_CLOSED_RATIO = 0.65;
+const BLINK_OPEN_RATIO = 0.85;
+
+function generateChallengeSteps() {
+  const actions = [...CHALLENGE_ACTIONS];
+
+  // Fisher-Yates with a CSPRNG so the sequence cannot be predicted and pre-recorded
+  for (let i = actions.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [actions[i], actions[j]] = [actions[j], actions[i]];
+  }
+
+  return actions.slice(0, CHALLENGE_LENGTH);
+}
+
+function generateNonce() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+// Standard deviation of a greyscale patch around one eye; open eyes show iris and sclera,
+// closed eyes are mostly uniform skin
+async function measureEyeContrast(imageBuffer, imageSize, eye, eyeDistance) {
+  const side = Math.max(4, Math.round(eyeDistance * EYE_PATCH_RATIO));
+  const left = Math.max(0, Math.min(Math.round(eye[0] - side / 2), imageSize.width - side));
+  const top = Math.max(0, Math.min(Math.round(eye[1] - side / 2), imageSize.height - side));
+
+  const { data } = await sharp(imageBuffer)
+    .rotate()
+    .extract({ left, top, width: side, height: side })
+    .resize(EYE_PATCH_SIZE, EYE_PATCH_SIZE, { fit: 'fill' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < data.length; i++) {
+    sum += data[i];
+    sumSquares += data[i] * data[i];
+  }
+  const mean = sum / data.length;
+
+  return Math.sqrt(Math.max(0, sumSquares / data.length - mean * mean));
+}
+
+/**
+ * Derive pose and expression signals for one challenge frame from the detector's
+ * five landmarks (left eye, right eye, nose, left mouth corner, right mouth corner).
+ */
+async function measureFrame(imageBuffer, imageSize, face) {
+  const [leftEye, rightEye, nose, mouthLeft, mouthRight] = face.landmarks;
+  const eyeDistance = distance(leftEye, rightEye);
+  const eyeMidX = (leftEye[0] + rightEye[0]) / 2;
+
+  const [leftContrast, rightContrast] = await Promise.all([
+    measureEyeContrast(imageBuffer, imageSize, leftEye, eyeDistance),
+    measureEyeContrast(imageBuffer, imageSize, rightEye, eyeDistance)
+  ]);
+
+  return {
+    yaw: (nose[0] - eyeMidX) / eyeDistance,
+    mouthRatio: distance(mouthLeft, mouthRight) / eyeDistance,
+    eyeOpenness: (leftContrast + rightContrast) / 2
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Check that the measured frames perform every step of the challenge, in order.
+ * The first frame is treated as the neutral pose the movements are measured against.
+ */
+function verifySequence(steps, frames) {
+  const neutral = frames[0];
+  const openEyeReference = median(frames.map(frame => frame.eyeOpenness));
+
+  const matchers = {
+    turn_left: frame => (frame.yaw - neutral.yaw) * TURN_LEFT_SIGN >= YAW_DELTA,
+    turn_right: frame => (neutral.yaw - frame.yaw) * TURN_LEFT_SIGN >= YAW_DELTA,
+    smile: frame => frame.mouthRatio >= neutral.mouthRatio * (1 + SMILE_DELTA)
+  };
+
+  let cursor = 1;
+  const completedSteps = [];
+
+  for (const step of steps) {
+    let matchedAt = -1;
+
+    if (step === 'blink') {
+      // A closed-eye frame followed by a reopened one
+      for (let i = cursor; i < frames.length && matchedAt === -1; i++) {
+        if (frames[i].eyeOpenness <= openEyeReference * BLINK_CLOSED_RATIO) {
+          for (let j = i + 1; j < frames.length; j++) {
+            if (frames[j].eyeOpenness >= openEyeReference * BLINK_OPEN_RATIO) {
+              matchedAt = j;
+              break;
+            }
+          }
+        }
+      }
+    } else if (matchers[step]) {
+      for (let i = cursor; i < frames.length; i++) {
+        if (matchers[step](frames[i])) {
+          matchedAt = i;
+          break;
+        }
+      }
+    }
+
+    if (matchedAt === -1) {
+      return {
+        passed: false,
+        completedSteps,
+        failedStep: step,
+        reason: `Challenge step "${step}" was not performed${completedSteps.length ? ` after "${completedSteps[completedSteps.length - 1]}"` : ''}`
+      };
+    }
+
+    completedSteps.push(step);
+    cursor = matchedAt + 1;
+  }
+
+  return { passed: true, completedSteps, failedStep: null, reason: null };
+}
+
+module.exports = {
+  CHALLENGE_ACTIONS,
+  TURN_LEFT_SIGN,
+  generateChallengeSteps,
+  generateNonce,
+  measureFrame,
+  verifySequence
+};
@@ -0,0 +1,224 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const faceRecognitionService = require('./faceRecognitionService');
+const faceEmbeddingIndex = require('./faceEmbeddingIndex');
+
+const ADAPTIVE_TEMPLATES_ENABLED = process.env.ADAPTIVE_TEMPLATES_ENABLED === 'true';
+// Only near-certain check-ins are learned from
+const MIN_MATCH_SIMILARITY = parseFloat(process.env.ADAPTIVE_MIN_MATCH_SIMILARITY) || 0.9;
+// A learned embedding must still match the enrolled templates on its own, so the set
+// cannot walk away from the enrolled face one small step at a time
+const MIN_ANCHOR_SIMILARITY = parseFloat(process.env.ADAPTIVE_MIN_ANCHOR_SIMILARITY) || 0.8;
+// Embeddings this close to an existing template add nothing new
+const MAX_NOVELTY_SIMILARITY = parseFloat(process.env.ADAPTIVE_MAX_NOVELTY_SIMILARITY) || 0.98;
+// Lead the user's own match must have over the most similar other employee
+const MIN_IDENTITY_MARGIN = parseFloat(process.env.ADAPTIVE_MIN_IDENTITY_MARGIN) || 0.15;
+const MAX_ADAPTIVE_TEMPLATES = parseInt(process.env.ADAPTIVE_MAX_TEMPLATES) || 5;
+const MIN_INTERVAL_HOURS = parseInt(process.env.ADAPTIVE_MIN_INTERVAL_HOURS) || 24;
+
+class AdaptiveTemplateService {
+  isEnabled() {
+    return ADAPTIVE_TEMPLATES_ENABLED;
+  }
+
+  /**
+   * Decide whether a successful check-in should become an adaptive template and store it
+   * if so, retiring the oldest adaptive template beyond MAX_ADAPTIVE_TEMPLATES.
+   * Returns { learned, reason, templateId }.
+   */
+  async considerCheckIn({ userId, attendanceRecord, imageBuffer, face, features, match, livenessPassed, challenge, qualityThreshold }) {
+    const skip = (reason) => ({ learned: false, reason, templateId: null });
+
+    if (!ADAPTIVE_TEMPLATES_ENABLED) {
+      return skip('disabled');
+    }
+
+    if (attendanceRecord.status !== 'approved') {
+      return skip('record_not_approved');
+    }
+
+    // Both the passive check and a performed (not skipped) active challenge are required
+    if (!livenessPassed || !challenge || !challenge.passed || challenge.skipped) {
+      return skip('liveness_not_verified');
+    }
+
+    if (match.similarity < MIN_MATCH_SIMILARITY) {
+      return skip('low_confidence');
+    }
+
+    const anchor = await faceEmbeddingIndex.matchUser(features, userId, { enrolledOnly: true });
+    if (!anchor || anchor.similarity < MIN_ANCHOR_SIMILARITY) {
+      return skip('drifted_from_enrollment');
+    }
+
+    const nearestOwn = await faceEmbeddingIndex.matchUser(features, userId);
+    if (nearestOwn && nearestOwn.similarity > MAX_NOVELTY_SIMILARITY) {
+      return skip('not_novel');
+    }
+
+    const [nearestOther] = await faceEmbeddingIndex.search(features, { excludeUserIds: [userId], limit: 1 });
+    if (nearestOther && match.similarity - nearestOther.similarity < MIN_IDENTITY_MARGIN) {
+      return skip('ambiguous_identity');
+    }
+
+    const recent = await db('face_templates')
+      .where('user_id', userId)
+      .where('source', 'adaptive')
+      .where('created_at', '>', new Date(Date.now() - MIN_INTERVAL_HOURS * 60 * 60 * 1000))
+      .first();
+    if (recent) {
+      return skip('too_soon');
+    }
+
+    const quality = await faceRecognitionService.assessFaceQuality(imageBuffer, face, 'frontal', qualityThreshold);
+    if (!quality.passed) {
+      return skip('low_quality');
+    }
+
+    const { faceTemplate, evicted } = await db.transaction(async trx => {
+      const [inserted] = await trx('face_templates')
+        .insert({
+          user_id: userId,
+          face_encoding: faceRecognitionService.encryptFaceTemplate(features),
+          face_hash: faceRecognitionService.generateFaceHash(features),
+          face_metadata: {
+            source: 'adaptive',
+            attendance_record_id: attendanceRecord.id,
+            match_similarity: match.similarity,
+            anchor_similarity: anchor.similarity,
+            nearest_other_similarity: nearestOther ? nearestOther.similarity : null,
+            quality: quality.checks,
+            quality_score: quality.score
+          },
+          quality_score: quality.score,
+          is_primary: false,
+          source: 'adaptive',
+          attendance_record_id: attendanceRecord.id
+        })
+        .returning('*');
+
+      const evictedIds = await trx('face_templates')
+        .where('user_id', userId)
+        .where('source', 'adaptive')
+        .whereNull('retired_at')
+        .orderBy('created_at', 'desc')
+        .offset(MAX_ADAPTIVE_TEMPLATES)
+        .pluck('id');
+
+      if (evictedIds.length > 0) {
+        await trx('face_templates')
+          .whereIn('id', evictedIds)
+          .update({ retired_at: new Date(), retired_reason: 'evicted', updated_at: new Date() });
+      }
+
+      return { faceTemplate: inserted, evicted: evictedIds };
+    });
+
+    faceEmbeddingIndex.addTemplate(faceTemplate, features);
+    for (const templateId of evicted) {
+      faceEmbeddingIndex.removeTemplate(templateId);
+    }
+
+    await db('audit_logs').insert({
+      user_id: userId,
+      action: 'face_template_adapted',
+      resource_type: 'face_template',
+      resource_id: faceTemplate.id,
+      new_values: {
+        attendance_record_id: attendanceRecord.id,
+        match_similarity: match.similarity,
+        anchor_similarity: anchor.similarity,
+        quality_score: quality.score,
+        evicted_template_ids: evicted
+      },
+      severity: 'low'
+    });
+
+    logger.info(`Adaptive face template ${faceTemplate.id} learned for user ${userId}${evicted.length ? ` (${evicted.length} evicted)` : ''}`);
+
+    return { learned: true, reason: null, templateId: faceTemplate.id };
+  }
+
+  // Every template the user has had, newest first, including retired adaptive ones
+  async getHistory(userId) {
+    return db('face_templates')
+      .where('user_id', userId)
+      .select(
+        'id',
+        'source',
+        'is_primary',
+        'quality_score',
+        'face_metadata',
+        'attendance_record_id',
+        'retired_at',
+        'retired_reason',
+        'created_at'
+      )
+      .orderBy('created_at', 'desc');
+  }
+
+  /**
+   * Restore the user's adaptive templates to the set that was active right after
+   * targetTemplateId was learned, or to none (enrollment only) when it is null.
+   * Enrolled templates are never touched. Returns { retired, restored } template ids.
+   */
+  async rollback(userId, targetTemplateId = null) {
+    let pointInTime = null;
+
+    if (targetTemplateId) {
+      const target = await db('face_templates')
+        .where('id', targetTemplateId)
+        .where('user_id', userId)
+        .where('source', 'adaptive')
+        .first();
+
+      if (!target) {
+        return null;
+      }
+
+      pointInTime = new Date(target.created_at);
+    }
+
+    const adaptiveTemplates = await db('face_templates')
+      .where('user_id', userId)
+      .where('source', 'adaptive')
+      .select('id', 'user_id', 'is_primary', 'source', 'face_encoding', 'created_at', 'retired_at');
+
+    const activeAt = (template) => pointInTime !== null &&
+      new Date(template.created_at) <= pointInTime &&
+      (!template.retired_at || new Date(template.retired_at) > pointInTime);
+
+    const toRetire = adaptiveTemplates.filter(template => !template.retired_at && !activeAt(template));
+    const toRestore = adaptiveTemplates.filter(template => template.retired_at && activeAt(template));
+
+    await db.transaction(async trx => {
+      if (toRetire.length > 0) {
+        await trx('face_templates')
+          .whereIn('id', toRetire.map(template => template.id))
+          .update({ retired_at: new Date(), retired_reason: 'rolled_back', updated_at: new Date() });
+      }
+
+      if (toRestore.length > 0) {
+        await trx('face_templates')
+          .whereIn('id', toRestore.map(template => template.id))
+          .update({ retired_at: null, retired_reason: null, updated_at: new Date() });
+      }
+    });
+
+    for (const template of toRetire) {
+      faceEmbeddingIndex.removeTemplate(template.id);
+    }
+    for (const template of toRestore) {
+      faceEmbeddingIndex.addTemplate(template, faceRecognitionService.decryptFaceTemplate(template.face_encoding));
+    }
+
+    logger.info(`Adaptive face templates for user ${userId} rolled back to ${targetTemplateId || 'enrollment'}: ${toRetire.length} retired, ${toRestore.length} restored`);
+
+    return {
+      retired: toRetire.map(template => template.id),
+      restored: toRestore.map(template => template.id)
+    };
+  }
+}
+
+module.exports = new AdaptiveTemplateService();
@@ -0,0 +1,511 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const faceRecognitionService = require('./faceRecognitionService');
+
+const LOAD_BATCH_SIZE = 500;
+const INITIAL_CAPACITY = 1024;
+// Other server instances register and delete templates too, so the index is rebuilt periodically
+const REFRESH_INTERVAL_SECONDS = parseInt(process.env.FACE_INDEX_REFRESH_SECONDS) || 300;
+// Between rebuilds, face_template_changes names the users whose templates changed anywhere;
+// past this many changes at once a full rebuild is cheaper than reloading each user
+const SYNC_MAX_CHANGES = 500;
+// Older change rows are pruned; every instance has rebuilt from the table since
+const CHANGE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Accepts a tfjs tensor, array, typed array or the legacy index-keyed object form
+function toVector(features) {
+  let values;
+
+  if (features && typeof features.dataSync === 'function') {
+    values = features.dataSync();
+  } else if (Array.isArray(features) || ArrayBuffer.isView(features)) {
+    values = features;
+  } else {
+    values = Object.keys(features).sort((a, b) => a - b).map(key => features[key]);
+  }
+
+  const vector = Float32Array.from(values);
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < vector.length; i++) {
+    vector[i] /= norm;
+  }
+
+  return vector;
+}
+
+// Row-major matrix of L2-normalised embeddings; cosine similarity is a single dot product per row
+class EmbeddingMatrix {
+  constructor(dimension) {
+    this.dimension = dimension;
+    this.capacity = INITIAL_CAPACITY;
+    this.size = 0;
+    this.vectors = new Float32Array(this.capacity * dimension);
+    this.templateIds = [];
+    this.userIds = [];
+    this.primary = [];
+    this.adaptive = [];
+    this.rowByTemplate = new Map();
+    this.rowsByUser = new Map();
+  }
+
+  grow() {
+    this.capacity *= 2;
+    const vectors = new Float32Array(this.capacity * this.dimension);
+    vectors.set(this.vectors.subarray(0, this.size * this.dimension));
+    this.vectors = vectors;
+  }
+
+  add(templateId, userId, isPrimary, isAdaptive, vector) {
+    if (vector.length !== this.dimension) {
+      throw new Error(`Embedding size ${vector.length} does not match index size ${this.dimension}`);
+    }
+
+    // Re-adding a template replaces its vector
+    if (this.rowByTemplate.has(templateId)) {
+      this.remove(templateId);
+    }
+
+    if (this.size === this.capacity) {
+      this.grow();
+    }
+
+    const row = this.size++;
+    this.vectors.set(vector, row * this.dimension);
+    this.templateIds[row] = templateId;
+    this.userIds[row] = userId;
+    this.primary[row] = Boolean(isPrimary);
+    this.adaptive[row] = Boolean(isAdaptive);
+    this.rowByTemplate.set(templateId, row);
+
+    if (!this.rowsByUser.has(userId)) {
+      this.rowsByUser.set(userId, new Set());
+    }
+    this.rowsByUser.get(userId).add(row);
+  }
+
+  remove(templateId) {
+    const row = this.rowByTemplate.get(templateId);
+    if (row === undefined) {
+      return false;
+    }
+
+    const userRows = this.rowsByUser.get(this.userIds[row]);
+    userRows.delete(row);
+    if (userRows.size === 0) {
+      this.rowsByUser.delete(this.userIds[row]);
+    }
+    this.rowByTemplate.delete(templateId);
+
+    // Move the last row into the hole so rows stay contiguous
+    const last = --this.size;
+    if (row !== last) {
+      this.vectors.copyWithin(row * this.dimension, last * this.dimension, (last + 1) * this.dimension);
+      this.templateIds[row] = this.templateIds[last];
+      this.userIds[row] = this.userIds[last];
+      this.primary[row] = this.primary[last];
+      this.adaptive[row] = this.adaptive[last];
+      this.rowByTemplate.set(this.templateIds[row], row);
+
+      const movedUserRows = this.rowsByUser.get(this.userIds[row]);
+      movedUserRows.delete(last);
+      movedUserRows.add(row);
+    }
+
+    this.templateIds.length = this.size;
+    this.userIds.length = this.size;
+    this.primary.length = this.size;
+    this.adaptive.length = this.size;
+    return true;
+  }
+
+  setPrimary(userId, templateId) {
+    for (const row of this.rowsByUser.get(userId) || []) {
+      this.primary[row] = this.templateIds[row] === templateId;
+    }
+  }
+
+  similarity(row, query) {
+    const offset = row * this.dimension;
+    let dot = 0;
+    for (let i = 0; i < this.dimension; i++) {
+      dot += this.vectors[offset + i] * query[i];
+    }
+    return dot;
+  }
+}
+
+class FaceEmbeddingIndex {
+  constructor() {
+    this.matrix = null;
+    this.loaded = false;
+    this.loading = null;
+    // Changes made while a rebuild is reading the table, replayed onto the new matrix
+    this.pendingChanges = null;
+    this.refreshTimer = null;
+    // Last face_template_changes row reflected in the matrix
+    this.changeCursor = 0;
+    this.syncing = null;
+  }
+
+  async load() {
+    if (this.loaded) {
+      return;
+    }
+
+    return this.rebuild();
+  }
+
+  // Concurrent callers share a single rebuild
+  async rebuild() {
+    if (!this.loading) {
+      this.loading = this.buildFromDatabase().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    return this.loading;
+  }
+
+  async buildFromDatabase() {
+    const startedAt = Date.now();
+    this.pendingChanges = [];
+
+    try {
+      // Read first: changes logged while the table is loaded are applied again by sync()
+      const changeCursor = await this.latestChangeId();
+      let matrix = null;
+      let lastId = null;
+      let skipped = 0;
+
+      while (true) {
+        const query = db('face_templates')
+          .select('id', 'user_id', 'is_primary', 'source', 'face_encoding')
+          .whereNull('retired_at')
+          .orderBy('id')
+          .limit(LOAD_BATCH_SIZE);
+
+        if (lastId) {
+          query.where('id', '>', lastId);
+        }
+
+        const templates = await query;
+        if (templates.length === 0) {
+          break;
+        }
+
+        for (const template of templates) {
+          try {
+            const vector = toVector(faceRecognitionService.decryptFaceTemplate(template.face_encoding));
+            matrix = matrix || new EmbeddingMatrix(vector.length);
+            matrix.add(template.id, template.user_id, template.is_primary, template.source === 'adaptive', vector);
+          } catch (error) {
+            skipped++;
+            logger.warn(`Face template ${template.id} left out of the embedding index: ${error.message}`);
+          }
+        }
+
+        lastId = templates[templates.length - 1].id;
+      }
+
+      for (const change of this.pendingChanges) {
+        matrix = this.applyChange(matrix, change);
+      }
+
+      this.matrix = matrix;
+      this.changeCursor = changeCursor;
+      this.loaded = true;
+
+      logger.info(`Face embedding index loaded ${matrix ? matrix.size : 0} templates in ${Date.now() - startedAt}ms${skipped ? ` (${skipped} skipped)` : ''}`);
+    } finally {
+      this.pendingChanges = null;
+    }
+  }
+
+  async latestChangeId() {
+    const row = await db('face_template_changes').max('id as id').first();
+    return row && row.id ? Number(row.id) : 0;
+  }
+
+  // Concurrent callers share a single sync
+  async sync() {
+    if (!this.syncing) {
+      this.syncing = this.applyLoggedChanges().finally(() => {
+        this.syncing = null;
+      });
+    }
+
+    return this.syncing;
+  }
+
+  /**
+   * Reload the templates of every user in face_template_changes since the last sync or
+   * rebuild, so a template enrolled, retired or deleted by another instance is matched
+   * (or no longer matched) here straight away. The periodic rebuild remains the backstop.
+   */
+  async applyLoggedChanges() {
+    if (this.loading) {
+      return this.loading;
+    }
+
+    const changes = await db('face_template_changes')
+      .where('id', '>', this.changeCursor)
+      .orderBy('id')
+      .limit(SYNC_MAX_CHANGES)
+      .select('id', 'user_id');
+    if (changes.length === 0) {
+      return;
+    }
+    if (changes.length === SYNC_MAX_CHANGES) {
+      return this.rebuild();
+    }
+
+    const userIds = [...new Set(changes.map(change => change.user_id))];
+    const templates = await db('face_templates')
+      .select('id', 'user_id', 'is_primary', 'source', 'face_encoding')
+      .whereIn('user_id', userIds)
+      .whereNull('retired_at');
+
+    for (const userId of userIds) {
+      const matrix = this.matrix;
+      const templateIds = matrix ? [...(matrix.rowsByUser.get(userId) || [])].map(row => matrix.templateIds[row]) : [];
+      for (const templateId of templateIds) {
+        this.recordChange({ type: 'remove', templateId });
+      }
+    }
+
+    for (const template of templates) {
+      try {
+        this.recordChange({
+          type: 'add',
+          templateId: template.id,
+          userId: template.user_id,
+          isPrimary: template.is_primary,
+          isAdaptive: template.source === 'adaptive',
+          vector: toVector(faceRecognitionService.decryptFaceTemplate(template.face_encoding))
+        });
+      } catch (error) {
+        logger.warn(`Face template ${template.id} left out of the embedding index: ${error.message}`);
+      }
+    }
+
+    this.changeCursor = Math.max(this.changeCursor, Number(changes[changes.length - 1].id));
+  }
+
+  applyChange(matrix, change) {
+    switch (change.type) {
+      case 'add':
+        matrix = matrix || new EmbeddingMatrix(change.vector.length);
+        matrix.add(change.templateId, change.userId, change.isPrimary, change.isAdaptive, change.vector);
+        break;
+      case 'remove':
+        if (matrix) matrix.remove(change.templateId);
+        break;
+      case 'setPrimary':
+        if (matrix) matrix.setPrimary(change.userId, change.templateId);
+        break;
+      default:
+        break;
+    }
+
+    return matrix;
+  }
+
+  recordChange(change) {
+    if (this.pendingChanges) {
+      this.pendingChanges.push(change);
+    }
+    this.matrix = this.applyChange(this.matrix, change);
+  }
+
+  /**
+   * Keep the index in step with a newly stored template. Call after the row is committed;
+   * when isPrimary is set the user's other templates stop being primary, as in the table.
+   */
+  addTemplate(template, features) {
+    const vector = toVector(features);
+    this.recordChange({
+      type: 'add',
+      templateId: template.id,
+      userId: template.user_id,
+      isPrimary: template.is_primary,
+      isAdaptive: template.source === 'adaptive',
+      vector
+    });
+
+    if (template.is_primary) {
+      this.recordChange({ type: 'setPrimary', userId: template.user_id, templateId: template.id });
+    }
+  }
+
+  removeTemplate(templateId) {
+    this.recordChange({ type: 'remove', templateId });
+  }
+
+  setPrimary(userId, templateId) {
+    this.recordChange({ type: 'setPrimary', userId, templateId });
+  }
+
+  /**
+   * Rank users by their best-matching template.
+   * Options: userIds restricts the search, primaryOnly ignores non-primary templates
+   * (adaptive ones are kept when includeAdaptive is set), enrolledOnly ignores adaptive
+   * templates, excludeUserIds skips users, limit caps the number of users returned.
+   */
+  async search(features, options = {}) {
+    await this.load();
+    await this.sync();
+
+    const {
+      userIds = null,
+      primaryOnly = false,
+      includeAdaptive = false,
+      enrolledOnly = false,
+      excludeUserIds = [],
+      limit = 5
+    } = options;
+    const matrix = this.matrix;
+    if (!matrix) {
+      return [];
+    }
+
+    const query = toVector(features);
+    if (query.length !== matrix.dimension) {
+      throw new Error(`Embedding size ${query.length} does not match index size ${matrix.dimension}`);
+    }
+
+    const excluded = new Set(excludeUserIds);
+    const bestByUser = new Map();
+
+    const consider = (row) => {
+      if (enrolledOnly && matrix.adaptive[row]) return;
+      if (primaryOnly && !matrix.primary[row] && !(includeAdaptive && matrix.adaptive[row])) return;
+      const userId = matrix.userIds[row];
+      if (excluded.has(userId)) return;
+
+      const similarity = matrix.similarity(row, query);
+      const best = bestByUser.get(userId);
+      if (!best || similarity > best.similarity) {
+        bestByUser.set(userId, {
+          userId,
+          templateId: matrix.templateIds[row],
+          isPrimary: matrix.primary[row],
+          isAdaptive: matrix.adaptive[row],
+          similarity
+        });
+      }
+    };
+
+    if (userIds) {
+      for (const userId of userIds) {
+        for (const row of matrix.rowsByUser.get(userId) || []) {
+          consider(row);
+        }
+      }
+    } else {
+      for (let row = 0; row < matrix.size; row++) {
+        consider(row);
+      }
+    }
+
+    return Array.from(bestByUser.values())
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  /**
+   * Every pair of templates belonging to different users with similarity at or above
+   * threshold, most similar first. Works on a snapshot and yields to the event loop
+   * between rows, since a full scan is quadratic in the number of templates.
+   */
+  async findSimilarPairs(threshold, limit = 500) {
+    await this.load();
+    await this.sync();
+
+    const matrix = this.matrix;
+    if (!matrix || matrix.size < 2) {
+      return [];
+    }
+
+    const size = matrix.size;
+    const dimension = matrix.dimension;
+    const vectors = matrix.vectors.slice(0, size * dimension);
+    const templateIds = matrix.templateIds.slice(0, size);
+    const userIds = matrix.userIds.slice(0, size);
+    let pairs = [];
+
+    for (let i = 0; i < size; i++) {
+      const offsetI = i * dimension;
+
+      for (let j = i + 1; j < size; j++) {
+        if (userIds[i] === userIds[j]) continue;
+
+        const offsetJ = j * dimension;
+        let dot = 0;
+        for (let k = 0; k < dimension; k++) {
+          dot += vectors[offsetI + k] * vectors[offsetJ + k];
+        }
+
+        if (dot >= threshold) {
+          pairs.push({
+            templateId: templateIds[i],
+            userId: userIds[i],
+            matchedTemplateId: templateIds[j],
+            matchedUserId: userIds[j],
+            similarity: dot
+          });
+        }
+      }
+
+      // Keep memory bounded when a low threshold matches a large share of pairs
+      if (pairs.length > limit * 2) {
+        pairs = pairs.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+      }
+
+      if (i % 100 === 99) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    return pairs.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+  }
+
+  // Best match among one user's templates, or null when they have none (that qualify)
+  async matchUser(features, userId, options = {}) {
+    const [match] = await this.search(features, { ...options, userIds: [userId], limit: 1 });
+    return match || null;
+  }
+
+  startAutoRefresh() {
+    if (this.refreshTimer) {
+      return;
+    }
+
+    this.refreshTimer = setInterval(() => {
+      this.rebuild().catch(error => {
+        logger.error('Face embedding index refresh failed:', error);
+      });
+      db('face_template_changes')
+        .where('created_at', '<', new Date(Date.now() - CHANGE_RETENTION_MS))
+        .del()
+        .catch(error => {
+          logger.error('Pruning face template changes failed:', error);
+        });
+    }, REFRESH_INTERVAL_SECONDS * 1000);
+    this.refreshTimer.unref();
+  }
+
+  getStats() {
+    return {
+      loaded: this.loaded,
+      templates: this.matrix ? this.matrix.size : 0,
+      users: this.matrix ? this.matrix.rowsByUser.size : 0,
+      dimension: this.matrix ? this.matrix.dimension : null
+    };
+  }
+}
+
+module.exports = new FaceEmbeddingIndex();
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const tf = require('@tensorflow/tfjs-node');
+const logger = require('../utils/logger');
+
+const DEFAULT_MODELS_DIR = path.join(__dirname, '../../models/default');
+const SUPPORTED_EMBEDDING_SIZES = [128, 512];
+
+// Output layout expected from detector models: [x1, y1, x2, y2, score] normalised to 0-1,
+// optionally followed by five (x, y) landmarks: left eye, right eye, nose, left mouth, right mouth
+const DETECTOR_BOX_COLUMNS = 5;
+const DETECTOR_LANDMARK_COLUMNS = DETECTOR_BOX_COLUMNS + 10;
+// Active liveness challenges measure blinks, head turns and smiles from the landmarks
+const LIVENESS_CHALLENGE_REQUIRED = process.env.LIVENESS_CHALLENGE_REQUIRED !== 'false';
+
+class FaceModelLoader {
+  constructor() {
+    // Loaders keyed by the "format" field of a TensorFlow.js model.json
+    this.formats = {
+      'graph-model': (modelUrl) => tf.loadGraphModel(modelUrl),
+      'layers-model': (modelUrl) => tf.loadLayersModel(modelUrl)
+    };
+  }
+
+  getModelsDir() {
+    return path.resolve(process.env.FACE_MODELS_DIR || DEFAULT_MODELS_DIR);
+  }
+
+  registerFormat(format, loader) {
+    this.formats[format] = loader;
+  }
+
+  readManifest(modelsDir) {
+    const manifestPath = path.join(modelsDir, 'models.json');
+
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`Face model manifest not found at ${manifestPath}. Set FACE_MODELS_DIR to a directory containing models.json`);
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+    for (const name of ['detector', 'embedder']) {
+      if (!manifest[name] || !manifest[name].path) {
+        throw new Error(`Face model manifest ${manifestPath} is missing the "${name}" entry`);
+      }
+    }
+
+    return manifest;
+  }
+
+  async loadModel(modelsDir, name, entry) {
+    const modelJsonPath = path.join(modelsDir, entry.path);
+
+    if (!fs.existsSync(modelJsonPath)) {
+      throw new Error(`Face ${name} model not found at ${modelJsonPath}`);
+    }
+
+    const modelJson = JSON.parse(fs.readFileSync(modelJsonPath, 'utf8'));
+    const format = entry.format || modelJson.format || 'graph-model';
+    const loader = this.formats[format];
+
+    if (!loader) {
+      throw new Error(`Unsupported model format "${format}" for face ${name} model`);
+    }
+
+    // Every weights shard must be present before tfjs tries to fetch it
+    for (const group of modelJson.weightsManifest || []) {
+      for (const shard of group.paths) {
+        const shardPath = path.join(path.dirname(modelJsonPath), shard);
+        if (!fs.existsSync(shardPath)) {
+          throw new Error(`Weights file ${shardPath} for face ${name} model is missing`);
+        }
+      }
+    }
+
+    const model = await loader(`file://${modelJsonPath}`);
+    logger.info(`Loaded face ${name} model (${format}) from ${modelJsonPath}`);
+
+    return { model, format, ...entry };
+  }
+
+  async loadAll(modelsDir = this.getModelsDir()) {
+    const manifest = this.readManifest(modelsDir);
+
+    const detector = await this.loadModel(modelsDir, 'detector', {
+      inputSize: 320,
+      scoreThreshold: 0.7,
+      iouThreshold: 0.3,
+      maxFaces: 10,
+      ...manifest.detector
+    });
+
+    const embedder = await this.loadModel(modelsDir, 'embedder', {
+      inputSize: 112,
+      embeddingSize: 128,
+      ...manifest.embedder
+    });
+
+    this.selfCheck(detector, embedder);
+
+    return { detector, embedder, modelsDir, version: manifest.version || null };
+  }
+
+  // Runs each model once on a blank input and verifies the output layout, so a
+  // misconfigured model set stops the server at startup instead of at check-in
+  selfCheck(detector, embedder) {
+    if (!SUPPORTED_EMBEDDING_SIZES.includes(embedder.embeddingSize)) {
+      throw new Error(`Embedding size ${embedder.embeddingSize} is not supported; expected one of ${SUPPORTED_EMBEDDING_SIZES.join(', ')}`);
+    }
+
+    tf.tidy(() => {
+      const detectorOutput = detector.model.predict(tf.zeros([1, detector.inputSize, detector.inputSize, 3]));
+      const columns = detectorOutput.shape[detectorOutput.shape.length - 1];
+
+      if (detectorOutput.shape.length !== 3 || ![DETECTOR_BOX_COLUMNS, DETECTOR_LANDMARK_COLUMNS].includes(columns)) {
+        throw new Error(`Face detector output shape [${detectorOutput.shape}] is invalid; expected [1, N, ${DETECTOR_BOX_COLUMNS}] or [1, N, ${DETECTOR_LANDMARK_COLUMNS}]`);
+      }
+
+      if (LIVENESS_CHALLENGE_REQUIRED && columns !== DETECTOR_LANDMARK_COLUMNS) {
+        throw new Error(`Face detector outputs no landmarks ([1, N, ${columns}]), which liveness challenges require; use a detector with [1, N, ${DETECTOR_LANDMARK_COLUMNS}] output or set LIVENESS_CHALLENGE_REQUIRED=false`);
+      }
+
+      const embedderOutput = embedder.model.predict(tf.zeros([1, embedder.inputSize, embedder.inputSize, 3]));
+
+      if (embedderOutput.shape.length !== 2 || embedderOutput.shape[1] !== embedder.embeddingSize) {
+        throw new Error(`Face embedder output shape [${embedderOutput.shape}] does not match embedding size ${embedder.embeddingSize}`);
+      }
+    });
+
+    logger.info(`Face model self-check passed (embedding size ${embedder.embeddingSize})`);
+  }
+}
+
+module.exports = new FaceModelLoader();
@@ -0,0 +1,227 @@
+const sharp = require('sharp');
+const { TURN_LEFT_SIGN } = require('./activeLivenessVerifier');
+const { measureSharpness } = require('./passiveLivenessAnalyzer');
+
+const QUALITY_VERSION = 'quality-v1';
+
+// Face crops are analysed at a fixed size so metrics are comparable between devices
+const CROP_SIZE = 128;
+
+const envFloat = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Enrollment captures become the reference for every later check-in, so these are
+// stricter than the liveness checks applied at punch time
+const QUALITY_THRESHOLDS = {
+  confidence: envFloat('ENROLLMENT_DETECTION_CONFIDENCE_MIN', 0.8),
+  sharpness: envFloat('ENROLLMENT_SHARPNESS_MIN', 80),
+  brightnessMin: envFloat('ENROLLMENT_BRIGHTNESS_MIN', 70),
+  brightnessMax: envFloat('ENROLLMENT_BRIGHTNESS_MAX', 190),
+  lightingImbalance: envFloat('ENROLLMENT_LIGHTING_IMBALANCE_MAX', 0.35),
+  faceWidth: envFloat('ENROLLMENT_FACE_WIDTH_MIN', 120), // Pixels in the oriented image
+  faceSize: envFloat('ENROLLMENT_FACE_SIZE_MIN', 0.08), // Share of the image area
+  roll: envFloat('ENROLLMENT_ROLL_MAX_DEGREES', 15),
+  // Overall score (0-100) required on top of the individual checks; recognition settings can override it
+  minScore: envFloat('ENROLLMENT_QUALITY_SCORE_MIN', 50)
+};
+
+// Nose offset from the eye midpoint, relative to eye distance (see activeLivenessVerifier)
+const POSE_YAW_RANGES = {
+  frontal: { min: -0.12, max: 0.12 },
+  left: { min: 0.08, max: 0.35 },
+  right: { min: 0.08, max: 0.35 }
+};
+
+const POSES = Object.keys(POSE_YAW_RANGES);
+
+async function loadFaceCrop(imageBuffer, faceBox) {
+  const { data } = await sharp(imageBuffer)
+    .rotate()
+    .extract({
+      left: faceBox.x,
+      top: faceBox.y,
+      width: faceBox.width,
+      height: faceBox.height
+    })
+    .resize(CROP_SIZE, CROP_SIZE, { fit: 'fill' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return data;
+}
+
+// Mean luminance of the whole crop and of its left and right halves
+function measureIllumination(pixels, size) {
+  let left = 0;
+  let right = 0;
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (x < size / 2) {
+        left += pixels[y * size + x];
+      } else {
+        right += pixels[y * size + x];
+      }
+    }
+  }
+
+  const halfCount = (size * size) / 2;
+  const leftMean = left / halfCount;
+  const rightMean = right / halfCount;
+  const mean = (leftMean + rightMean) / 2;
+
+  return {
+    mean,
+    imbalance: mean > 0 ? Math.abs(leftMean - rightMean) / mean : 1
+  };
+}
+
+// Yaw as the signed nose offset (positive = turned towards the subject's left) and roll
+// as the tilt of the eye line, from the detector's five landmarks
+function measurePose(landmarks) {
+  const [leftEye, rightEye, nose] = landmarks;
+  const eyeDistance = Math.hypot(rightEye[0] - leftEye[0], rightEye[1] - leftEye[1]);
+  const eyeMidX = (leftEye[0] + rightEye[0]) / 2;
+
+  return {
+    yaw: ((nose[0] - eyeMidX) / eyeDistance) * TURN_LEFT_SIGN,
+    roll: (Math.atan2(rightEye[1] - leftEye[1], rightEye[0] - leftEye[0]) * 180) / Math.PI
+  };
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function check(metric, passed, score, reason) {
+  return {
+    metric: metric == null ? null : round(metric),
+    score: round(Math.min(Math.max(score, 0), 1)),
+    passed,
+    reason: passed ? null : reason
+  };
+}
+
+function checkPose(landmarks, expectedPose) {
+  if (!landmarks) {
+    // Detectors without landmarks cannot estimate pose; the capture is not penalised
+    return { yaw: null, roll: null, check: { ...check(null, true, 1, null), skipped: true } };
+  }
+
+  const { yaw, roll } = measurePose(landmarks);
+  const range = POSE_YAW_RANGES[expectedPose];
+  // The "right" pose mirrors "left"
+  const directedYaw = expectedPose === 'right' ? -yaw : yaw;
+  const target = (range.min + range.max) / 2;
+
+  let reason = null;
+  if (Math.abs(roll) > QUALITY_THRESHOLDS.roll) {
+    reason = 'Head is tilted; keep your head level';
+  } else if (directedYaw < range.min) {
+    reason = expectedPose === 'frontal'
+      ? 'Face is turned to the right; look straight at the camera'
+      : `Turn your head slightly to the ${expectedPose}`;
+  } else if (directedYaw > range.max) {
+    reason = expectedPose === 'frontal'
+      ? 'Face is turned to the left; look straight at the camera'
+      : `Head is turned too far to the ${expectedPose}`;
+  }
+
+  const score = 1 - Math.abs(directedYaw - target) / (range.max - range.min + 0.2);
+
+  return { yaw, roll, check: check(yaw, reason === null, score, reason) };
+}
+
+/**
+ * Score one enrollment capture for blur, illumination, pose and face size.
+ * face is a detectFaces result (box, confidence, landmarks) in oriented image pixels;
+ * expectedPose is "frontal", "left" or "right"; minScore overrides QUALITY_THRESHOLDS.minScore.
+ */
+async function analyze(imageBuffer, face, imageSize, expectedPose = 'frontal', minScore = QUALITY_THRESHOLDS.minScore) {
+  if (!POSE_YAW_RANGES[expectedPose]) {
+    throw new Error(`Unknown enrollment pose "${expectedPose}"`);
+  }
+
+  const pixels = await loadFaceCrop(imageBuffer, face.box);
+  const sharpness = measureSharpness(pixels, CROP_SIZE);
+  const illumination = measureIllumination(pixels, CROP_SIZE);
+  const pose = checkPose(face.landmarks, expectedPose);
+  const sizeRatio = (face.box.width * face.box.height) / (imageSize.width * imageSize.height);
+
+  const brightnessMid = (QUALITY_THRESHOLDS.brightnessMin + QUALITY_THRESHOLDS.brightnessMax) / 2;
+  let brightnessReason = null;
+  if (illumination.mean < QUALITY_THRESHOLDS.brightnessMin) {
+    brightnessReason = 'Face is too dark; move to a brighter place';
+  } else if (illumination.mean > QUALITY_THRESHOLDS.brightnessMax) {
+    brightnessReason = 'Face is overexposed; avoid direct light on the face';
+  }
+
+  const checks = {
+    confidence: check(
+      face.confidence,
+      face.confidence >= QUALITY_THRESHOLDS.confidence,
+      face.confidence,
+      'Face is not clearly visible'
+    ),
+    sharpness: check(
+      sharpness,
+      sharpness >= QUALITY_THRESHOLDS.sharpness,
+      sharpness / (2 * QUALITY_THRESHOLDS.sharpness),
+      'Image is blurry; hold the camera steady'
+    ),
+    brightness: check(
+      illumination.mean,
+      brightnessReason === null,
+      1 - Math.abs(illumination.mean - brightnessMid) / brightnessMid,
+      brightnessReason
+    ),
+    lighting: check(
+      illumination.imbalance,
+      illumination.imbalance <= QUALITY_THRESHOLDS.lightingImbalance,
+      1 - illumination.imbalance / (2 * QUALITY_THRESHOLDS.lightingImbalance),
+      'Lighting is uneven across the face; face the light source'
+    ),
+    pose: pose.check,
+    faceSize: check(
+      face.box.width,
+      face.box.width >= QUALITY_THRESHOLDS.faceWidth && sizeRatio >= QUALITY_THRESHOLDS.faceSize,
+      Math.min(face.box.width / (2 * QUALITY_THRESHOLDS.faceWidth), sizeRatio / (2 * QUALITY_THRESHOLDS.faceSize)),
+      'Face is too small; move closer to the camera'
+    )
+  };
+
+  const names = Object.keys(checks);
+  const failedChecks = names.filter(name => !checks[name].passed);
+  const score = Math.round((names.reduce((sum, name) => sum + checks[name].score, 0) / names.length) * 100);
+  const reasons = failedChecks.map(name => checks[name].reason);
+
+  // Every check can pass narrowly while the image as a whole is still poor
+  if (failedChecks.length === 0 && score < minScore) {
+    failedChecks.push('score');
+    reasons.push('Overall image quality is too low; improve lighting and hold the camera steady');
+  }
+
+  return {
+    version: QUALITY_VERSION,
+    expectedPose,
+    score,
+    minScore,
+    passed: failedChecks.length === 0,
+    failedChecks,
+    reasons,
+    pose: {
+      yaw: pose.yaw == null ? null : round(pose.yaw),
+      roll: pose.roll == null ? null : round(pose.roll)
+    },
+    checks
+  };
+}
+
+module.exports = {
+  POSES,
+  QUALITY_THRESHOLDS,
+  analyze
+};
@@ -1,30 +1,69 @@
 const tf = require('@tensorflow/tfjs-node');
 const sharp = require('sharp');
 const crypto = require('crypto');
-const logger = require('./logger');
+const logger = require('../utils/logger');
+const faceModelLoader = require('./faceModelLoader');
+const passiveLivenessAnalyzer = require('./passiveLivenessAnalyzer');
+const activeLivenessVerifier = require('./activeLivenessVerifier');
+const faceQualityAnalyzer = require('./faceQualityAnalyzer');
+const templateKeyring = require('./templateKeyring');
+const recognitionSettings = require('./recognitionSettings');
+
+// Largest side an uploaded image is decoded at; detection works on normalised coordinates
+const MAX_IMAGE_DIMENSION = 1280;
+
+// Canonical eye positions in a 112x112 aligned face crop (ArcFace reference landmarks)
+const REFERENCE_LEFT_EYE = [38.2946, 51.6963];
+const REFERENCE_RIGHT_EYE = [73.5318, 51.5014];
+const REFERENCE_SIZE = 112;
+
+// Extra context kept around the detector box when no landmarks are available
+const CROP_MARGIN = 0.1;
+
+// Minimum similarity between each challenge frame and the check-in image
+const CHALLENGE_IDENTITY_THRESHOLD = parseFloat(process.env.LIVENESS_CHALLENGE_IDENTITY_THRESHOLD) || 0.7;
 
 class FaceRecognitionService {
   constructor() {
     this.model = null;
     this.faceDetectionModel = null;
-    this.livenessModel = null;
-    this.encryptionKey = process.env.ENCRYPTION_KEY;
+    this.modelInfo = null;
     this.initialized = false;
+    this.initializing = null;
   }
 
   async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    // Concurrent first requests share a single model load
+    if (!this.initializing) {
+      this.initializing = this.loadModels().finally(() => {
+        this.initializing = null;
+      });
+    }
+
+    return this.initializing;
+  }
+
+  async loadModels() {
     try {
       logger.info('Initializing face recognition service...');
       
-      // Load face detection model (MTCNN or similar)
-      // In production, you would load pre-trained models
-      this.faceDetectionModel = await this.loadFaceDetectionModel();
+      // Validate template keys up front so a bad key configuration stops startup
+      templateKeyring.load();
+      logger.info(`Face template encryption key: ${templateKeyring.getActiveKeyId()}`);
       
-      // Load face recognition model (FaceNet or similar)
-      this.model = await this.loadFaceRecognitionModel();
-      
-      // Load liveness detection model
-      this.livenessModel = await this.loadLivenessModel();
+      // Load detector and embedder from FACE_MODELS_DIR; fails if either is missing or malformed
+      const { detector, embedder, modelsDir, version } = await faceModelLoader.loadAll();
+      this.faceDetectionModel = this.loadFaceDetectionModel(detector);
+      this.model = this.loadFaceRecognitionModel(embedder);
+      this.modelInfo = {
+        modelsDir,
+        version,
+        embeddingSize: embedder.embeddingSize
+      };
       
       this.initialized = true;
       logger.info('Face recognition service initialized successfully');
@@ -34,148 +73,242 @@ class FaceRecognitionService {
     }
   }
 
-  async loadFaceDetectionModel() {
-    // Placeholder for face detection model loading
-    // In production, load actual MTCNN or similar model
+  loadFaceDetectionModel(detector) {
     return {
-      detectFaces: async (imageBuffer) => {
-        // Mock face detection - replace with actual model
-        return [{
-          box: { x: 100, y: 100, width: 200, height: 200 },
-          confidence: 0.95
-        }];
-      }
-    };
-  }
+      // Returns candidate faces with coordinates normalised to 0-1
+      detectFaces: async (imageTensor) => {
+        const output = tf.tidy(() => {
+          const input = tf.image
+            .resizeBilinear(imageTensor, [detector.inputSize, detector.inputSize])
+            .div(255.0)
+            .expandDims(0);
+          return detector.model.predict(input).squeeze([0]);
+        });
 
-  async loadFaceRecognitionModel() {
-    // Placeholder for face recognition model loading
-    // In production, load actual FaceNet or similar model
-    return {
-      extractFeatures: async (faceImage) => {
-        // Mock feature extraction - replace with actual model
-        const features = new Array(128).fill(0).map(() => Math.random());
-        return tf.tensor2d([features]);
+        const rows = await output.array();
+        output.dispose();
+
+        const candidates = rows.filter(row => row[4] >= detector.scoreThreshold);
+        if (candidates.length === 0) {
+          return [];
+        }
+
+        const boxes = tf.tensor2d(candidates.map(row => [row[1], row[0], row[3], row[2]]));
+        const scores = tf.tensor1d(candidates.map(row => row[4]));
+        const keep = await tf.image.nonMaxSuppressionAsync(
+          boxes,
+          scores,
+          detector.maxFaces,
+          detector.iouThreshold,
+          detector.scoreThreshold
+        );
+        const keptIndices = await keep.array();
+        tf.dispose([boxes, scores, keep]);
+
+        return keptIndices.map((index) => {
+          const row = candidates[index];
+          const landmarks = [];
+          for (let i = 5; i + 1 < row.length; i += 2) {
+            landmarks.push([row[i], row[i + 1]]);
+          }
+
+          return {
+            box: { x1: row[0], y1: row[1], x2: row[2], y2: row[3] },
+            confidence: row[4],
+            landmarks: landmarks.length === 5 ? landmarks : null
+          };
+        });
       }
     };
   }
 
-  async loadLivenessModel() {
-    // Placeholder for liveness detection model loading
+  loadFaceRecognitionModel(embedder) {
     return {
-      detectLiveness: async (faceImage, eyeBlinkData = null) => {
-        // Mock liveness detection - replace with actual model
-        return {
-          isLive: Math.random() > 0.1, // 90% chance of being live
-          confidence: 0.85,
-          method: 'passive'
-        };
+      inputSize: embedder.inputSize,
+      embeddingSize: embedder.embeddingSize,
+      // Expects an aligned [1, inputSize, inputSize, 3] face normalised to [-1, 1]
+      extractFeatures: async (faceImage) => {
+        return tf.tidy(() => {
+          const embedding = embedder.model.predict(faceImage);
+          return embedding.div(tf.norm(embedding, 'euclidean', 1, true).add(1e-10));
+        });
       }
     };
   }
 
+  // Decode an upload into an RGB float tensor, applying EXIF orientation and capping its size
   async preprocessImage(imageBuffer) {
     try {
-      // Convert to RGB and resize
-      const processedBuffer = await sharp(imageBuffer)
-        .resize(224, 224, { fit: 'cover' })
+      const { data, info } = await sharp(imageBuffer)
+        .rotate()
+        .resize(MAX_IMAGE_DIMENSION, MAX_IMAGE_DIMENSION, { fit: 'inside', withoutEnlargement: true })
         .removeAlpha()
-        .toBuffer();
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
 
-      // Convert to tensor
-      const tensor = tf.node.decodeImage(processedBuffer, 3);
-      const normalized = tensor.div(255.0);
-      
-      return normalized;
+      return tf.tidy(() =>
+        tf.tensor3d(new Uint8Array(data), [info.height, info.width, info.channels], 'int32').cast('float32')
+      );
     } catch (error) {
       logger.error('Image preprocessing failed:', error);
       throw error;
     }
   }
 
+  // Dimensions of the upload after EXIF orientation, the space face boxes are reported in
+  async getImageSize(imageBuffer) {
+    const metadata = await sharp(imageBuffer).metadata();
+    const swapped = metadata.orientation >= 5;
+
+    return {
+      width: swapped ? metadata.height : metadata.width,
+      height: swapped ? metadata.width : metadata.height
+    };
+  }
+
   async detectFaces(imageBuffer) {
     if (!this.initialized) {
       await this.initialize();
     }
 
+    let processedImage = null;
     try {
-      const processedImage = await this.preprocessImage(imageBuffer);
-      const faces = await this.faceDetectionModel.detectFaces(imageBuffer);
-      
-      // Filter faces by confidence threshold
-      const validFaces = faces.filter(face => face.confidence > 0.7);
+      processedImage = await this.preprocessImage(imageBuffer);
+      const { width, height } = await this.getImageSize(imageBuffer);
+      const detections = await this.faceDetectionModel.detectFaces(processedImage);
+
+      const faces = detections.map((detection) => {
+        const x1 = clamp(detection.box.x1, 0, 1) * width;
+        const y1 = clamp(detection.box.y1, 0, 1) * height;
+        const x2 = clamp(detection.box.x2, 0, 1) * width;
+        const y2 = clamp(detection.box.y2, 0, 1) * height;
+
+        return {
+          box: {
+            x: Math.round(x1),
+            y: Math.round(y1),
+            width: Math.max(1, Math.min(Math.round(x2 - x1), width - Math.round(x1))),
+            height: Math.max(1, Math.min(Math.round(y2 - y1), height - Math.round(y1)))
+          },
+          confidence: detection.confidence,
+          landmarks: detection.landmarks
+            ? detection.landmarks.map(([x, y]) => [x * width, y * height])
+            : null
+        };
+      });
       
-      logger.info(`Detected ${validFaces.length} faces`);
-      return validFaces;
+      logger.info(`Detected ${faces.length} faces`);
+      return faces;
     } catch (error) {
       logger.error('Face detection failed:', error);
       throw error;
+    } finally {
+      if (processedImage) {
+        processedImage.dispose();
+      }
     }
   }
 
-  async extractFaceFeatures(imageBuffer, faceBox) {
+  // Resolves to a plain Float32Array so callers never hold on to tensor memory
+  async extractFaceFeatures(imageBuffer, faceBox, landmarks = null) {
     if (!this.initialized) {
       await this.initialize();
     }
 
+    let processedImage = null;
     try {
-      // Crop face from image
-      const faceImage = await sharp(imageBuffer)
-        .extract({
-          left: faceBox.x,
-          top: faceBox.y,
-          width: faceBox.width,
-          height: faceBox.height
-        })
-        .resize(112, 112)
-        .toBuffer();
-
-      const processedFace = await this.preprocessImage(faceImage);
-      const features = await this.model.extractFeatures(processedFace);
-      
-      return features;
+      processedImage = await this.preprocessImage(imageBuffer);
+      const { width } = await this.getImageSize(imageBuffer);
+      const scale = processedImage.shape[1] / width;
+      const inputSize = this.model.inputSize;
+
+      // Crop, align and normalise the face into the embedder's input space
+      const faceImage = tf.tidy(() => {
+        const batch = processedImage.expandDims(0);
+        let aligned;
+
+        if (landmarks) {
+          const transform = computeAlignmentTransform(
+            landmarks.map(([x, y]) => [x * scale, y * scale]),
+            inputSize
+          );
+          aligned = tf.image.transform(batch, tf.tensor2d([transform]), 'bilinear', 'constant', 0, [inputSize, inputSize]);
+        } else {
+          const [imageHeight, imageWidth] = processedImage.shape;
+          const side = Math.max(faceBox.width, faceBox.height) * scale * (1 + CROP_MARGIN * 2);
+          const centerX = (faceBox.x + faceBox.width / 2) * scale;
+          const centerY = (faceBox.y + faceBox.height / 2) * scale;
+          const cropBox = [
+            (centerY - side / 2) / imageHeight,
+            (centerX - side / 2) / imageWidth,
+            (centerY + side / 2) / imageHeight,
+            (centerX + side / 2) / imageWidth
+          ];
+          aligned = tf.image.cropAndResize(batch, [cropBox], [0], [inputSize, inputSize]);
+        }
+
+        return aligned.sub(127.5).div(128.0);
+      });
+
+      const features = await this.model.extractFeatures(faceImage);
+      faceImage.dispose();
+      const values = await features.data();
+      features.dispose();
+
+      return values;
     } catch (error) {
       logger.error('Face feature extraction failed:', error);
       throw error;
+    } finally {
+      if (processedImage) {
+        processedImage.dispose();
+      }
     }
   }
 
-  async detectLiveness(imageBuffer, faceBox, eyeBlinkData = null) {
-    if (!this.initialized) {
-      await this.initialize();
-    }
-
+  // eyeBlinkData, when given, is { steps, frames, referenceFeatures } from a server-issued challenge
+  async detectLiveness(imageBuffer, faceBox, eyeBlinkData = null, thresholds = {}) {
     try {
-      // Crop face for liveness detection
-      const faceImage = await sharp(imageBuffer)
-        .extract({
-          left: faceBox.x,
-          top: faceBox.y,
-          width: faceBox.width,
-          height: faceBox.height
-        })
-        .resize(224, 224)
-        .toBuffer();
-
-      const livenessResult = await this.livenessModel.detectLiveness(faceImage, eyeBlinkData);
+      const analysis = await this.performAntiSpoofingChecks(imageBuffer, faceBox, thresholds);
+      let challenge = null;
+
+      if (eyeBlinkData) {
+        challenge = await this.verifyLivenessChallenge(eyeBlinkData.steps, eyeBlinkData.frames, eyeBlinkData.referenceFeatures);
+      }
+
+      const isLive = analysis.isLive && (!challenge || challenge.passed);
+      const reasons = challenge && !challenge.passed ? [...analysis.reasons, challenge.reason] : analysis.reasons;
       
-      logger.info(`Liveness detection result: ${livenessResult.isLive ? 'LIVE' : 'SPOOF'} (confidence: ${livenessResult.confidence})`);
-      return livenessResult;
+      logger.info(`Liveness detection result: ${isLive ? 'LIVE' : 'SPOOF'} (confidence: ${analysis.overallScore})`);
+      return {
+        isLive,
+        confidence: analysis.overallScore,
+        method: challenge ? 'passive+active' : analysis.method,
+        reasons,
+        checks: analysis.checks,
+        challenge
+      };
     } catch (error) {
       logger.error('Liveness detection failed:', error);
       throw error;
     }
   }
 
-  async compareFaces(features1, features2, threshold = 0.6) {
+  async compareFaces(features1, features2, threshold = recognitionSettings.getDefaults().matchThreshold) {
     try {
       // Calculate cosine similarity
-      const dotProduct = tf.sum(tf.mul(features1, features2));
-      const norm1 = tf.sqrt(tf.sum(tf.square(features1)));
-      const norm2 = tf.sqrt(tf.sum(tf.square(features2)));
-      const similarity = dotProduct.div(norm1.mul(norm2));
+      const similarity = tf.tidy(() => {
+        const a = toFeatureTensor(features1);
+        const b = toFeatureTensor(features2);
+        const dotProduct = tf.sum(tf.mul(a, b));
+        const norm1 = tf.sqrt(tf.sum(tf.square(a)));
+        const norm2 = tf.sqrt(tf.sum(tf.square(b)));
+        return dotProduct.div(norm1.mul(norm2));
+      });
       
       const similarityValue = await similarity.data();
+      similarity.dispose();
       const isMatch = similarityValue[0] > threshold;
       
       logger.info(`Face comparison: similarity=${similarityValue[0].toFixed(4)}, match=${isMatch}`);
@@ -193,10 +326,8 @@ class FaceRecognitionService {
 
   encryptFaceTemplate(template) {
     try {
-      const cipher = crypto.createCipher('aes-256-cbc', this.encryptionKey);
-      let encrypted = cipher.update(JSON.stringify(template), 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      return encrypted;
+      // AES-256-GCM with a fresh IV per template, prefixed with the active key id
+      return templateKeyring.encrypt(JSON.stringify(toPlainArray(template)));
     } catch (error) {
       logger.error('Face template encryption failed:', error);
       throw error;
@@ -205,10 +336,7 @@ class FaceRecognitionService {
 
   decryptFaceTemplate(encryptedTemplate) {
     try {
-      const decipher = crypto.createDecipher('aes-256-cbc', this.encryptionKey);
-      let decrypted = decipher.update(encryptedTemplate, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      return JSON.parse(decrypted);
+      return JSON.parse(templateKeyring.decrypt(encryptedTemplate));
     } catch (error) {
       logger.error('Face template decryption failed:', error);
       throw error;
@@ -217,58 +345,145 @@ class FaceRecognitionService {
 
   generateFaceHash(template) {
     return crypto.createHash('sha256')
-      .update(JSON.stringify(template))
+      .update(JSON.stringify(toPlainArray(template)))
       .digest('hex');
   }
 
-  async performAntiSpoofingChecks(imageBuffer, faceBox) {
-    const checks = {
-      livenessDetection: null,
-      textureAnalysis: null,
-      depthAnalysis: null,
-      overallScore: 0
+  /**
+   * Verify a burst of frames captured while the user performed a liveness challenge.
+   * Every frame must contain exactly one face matching referenceFeatures, and the
+   * frames must show the challenge steps in the order they were issued.
+   */
+  async verifyLivenessChallenge(steps, frames, referenceFeatures) {
+    const fail = (reason, extra = {}) => ({
+      method: 'active',
+      passed: false,
+      steps,
+      frameCount: frames.length,
+      completedSteps: [],
+      reason,
+      ...extra
+    });
+
+    if (frames.length < steps.length + 1) {
+      return fail(`At least ${steps.length + 1} challenge frames are required`);
+    }
+
+    const measurements = [];
+
+    for (const [index, frame] of frames.entries()) {
+      const faces = await this.detectFaces(frame);
+      if (faces.length !== 1) {
+        return fail(`Challenge frame ${index + 1} must contain exactly one face (found ${faces.length})`);
+      }
+
+      const face = faces[0];
+      if (!face.landmarks) {
+        throw new Error('Liveness challenges require a face detector that outputs landmarks');
+      }
+
+      const features = await this.extractFaceFeatures(frame, face.box, face.landmarks);
+      const { similarity } = await this.compareFaces(features, referenceFeatures);
+
+      if (similarity < CHALLENGE_IDENTITY_THRESHOLD) {
+        return fail(`Challenge frame ${index + 1} does not show the same person as the check-in image`);
+      }
+
+      const imageSize = await this.getImageSize(frame);
+      measurements.push(await activeLivenessVerifier.measureFrame(frame, imageSize, face));
+    }
+
+    const sequence = activeLivenessVerifier.verifySequence(steps, measurements);
+
+    logger.info(`Liveness challenge ${sequence.passed ? 'passed' : 'failed'}: ${sequence.completedSteps.length}/${steps.length} steps completed`);
+
+    return {
+      method: 'active',
+      steps,
+      frameCount: frames.length,
+      ...sequence
     };
+  }
 
+  // Passive texture, moiré, glare, sharpness and face-size checks; thresholds default to
+  // the LIVENESS_* environment settings and can be overridden per call
+  async performAntiSpoofingChecks(imageBuffer, faceBox, thresholds = {}) {
     try {
-      // 1. Liveness Detection
-      checks.livenessDetection = await this.detectLiveness(imageBuffer, faceBox);
-      
-      // 2. Texture Analysis (mock implementation)
-      checks.textureAnalysis = {
-        textureScore: Math.random() * 0.3 + 0.7, // 0.7-1.0
-        isRealTexture: Math.random() > 0.1
-      };
+      const imageSize = await this.getImageSize(imageBuffer);
+      const result = await passiveLivenessAnalyzer.analyze(imageBuffer, faceBox, imageSize, thresholds);
+
+      logger.info(`Anti-spoofing checks completed. Overall score: ${result.overallScore.toFixed(3)}, Live: ${result.isLive}${result.failedChecks.length ? ` (failed: ${result.failedChecks.join(', ')})` : ''}`);
       
-      // 3. Depth Analysis (mock implementation)
-      checks.depthAnalysis = {
-        depthScore: Math.random() * 0.2 + 0.8, // 0.8-1.0
-        hasDepth: Math.random() > 0.05
-      };
+      return result;
+    } catch (error) {
+      logger.error('Anti-spoofing checks failed:', error);
+      throw error;
+    }
+  }
 
-      // Calculate overall anti-spoofing score
-      checks.overallScore = (
-        checks.livenessDetection.confidence * 0.4 +
-        checks.textureAnalysis.textureScore * 0.3 +
-        checks.depthAnalysis.depthScore * 0.3
-      );
+  async assessFaceQuality(imageBuffer, face, expectedPose = 'frontal', minScore) {
+    try {
+      const imageSize = await this.getImageSize(imageBuffer);
+      const result = await faceQualityAnalyzer.analyze(imageBuffer, face, imageSize, expectedPose, minScore);
 
-      const isLive = checks.overallScore > 0.75 && 
-                    checks.livenessDetection.isLive &&
-                    checks.textureAnalysis.isRealTexture &&
-                    checks.depthAnalysis.hasDepth;
+      logger.info(`Face quality assessed (${expectedPose}): score ${result.score}${result.failedChecks.length ? ` (failed: ${result.failedChecks.join(', ')})` : ''}`);
 
-      logger.info(`Anti-spoofing checks completed. Overall score: ${checks.overallScore.toFixed(3)}, Live: ${isLive}`);
-      
-      return {
-        ...checks,
-        isLive,
-        passed: isLive
-      };
+      return result;
     } catch (error) {
-      logger.error('Anti-spoofing checks failed:', error);
+      logger.error('Face quality assessment failed:', error);
       throw error;
     }
   }
 }
 
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// Typed arrays serialise to index-keyed objects, so templates are stored as plain arrays
+function toPlainArray(template) {
+  return ArrayBuffer.isView(template) ? Array.from(template) : template;
+}
+
+// Accepts a tensor, an array, a typed array or a legacy index-keyed template object
+function toFeatureTensor(features) {
+  if (features instanceof tf.Tensor) {
+    return features.reshape([1, -1]);
+  }
+
+  const values = Array.isArray(features) || ArrayBuffer.isView(features)
+    ? Array.from(features)
+    : Object.keys(features).sort((a, b) => a - b).map(key => features[key]);
+
+  return tf.tensor2d([values]);
+}
+
+// Build the projective transform (output pixel -> input pixel) that maps the detected
+// eyes onto the reference eye positions of an aligned face crop
+function computeAlignmentTransform(landmarks, outputSize) {
+  const ratio = outputSize / REFERENCE_SIZE;
+  const [leftEye, rightEye] = landmarks;
+  const refLeft = [REFERENCE_LEFT_EYE[0] * ratio, REFERENCE_LEFT_EYE[1] * ratio];
+  const refRight = [REFERENCE_RIGHT_EYE[0] * ratio, REFERENCE_RIGHT_EYE[1] * ratio];
+
+  const srcDx = rightEye[0] - leftEye[0];
+  const srcDy = rightEye[1] - leftEye[1];
+  const refDx = refRight[0] - refLeft[0];
+  const refDy = refRight[1] - refLeft[1];
+
+  const scale = Math.hypot(srcDx, srcDy) / Math.hypot(refDx, refDy);
+  const angle = Math.atan2(srcDy, srcDx) - Math.atan2(refDy, refDx);
+  const a = scale * Math.cos(angle);
+  const b = scale * Math.sin(angle);
+
+  const refCenter = [(refLeft[0] + refRight[0]) / 2, (refLeft[1] + refRight[1]) / 2];
+  const srcCenter = [(leftEye[0] + rightEye[0]) / 2, (leftEye[1] + rightEye[1]) / 2];
+
+  return [
+    a, -b, srcCenter[0] - (a * refCenter[0] - b * refCenter[1]),
+    b, a, srcCenter[1] - (b * refCenter[0] + a * refCenter[1]),
+    0, 0
+  ];
+}
+
 module.exports = new FaceRecognitionService();
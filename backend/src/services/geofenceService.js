@@ -0,0 +1,213 @@
+const db = require('../config/database');
+const timezone = require('../utils/timezone');
+const { parseJsonColumn } = require('../utils/jsonColumn');
+
+const EARTH_RADIUS_METERS = 6371e3;
+// A fix whose accuracy circle straddles a boundary is only trusted up to this accuracy;
+// anything vaguer could be placed inside almost any site
+const MAX_ACCURACY_METERS = parseInt(process.env.GEOFENCE_MAX_ACCURACY_METERS) || 100;
+const MAX_POLYGON_VERTICES = 100;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Shortest distance from the origin to the segment a-b in a local planar frame
+function distanceToSegment(a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+  return Math.hypot(a.x + t * dx, a.y + t * dy);
+}
+
+class GeofenceService {
+  // Great-circle distance in meters
+  distanceMeters(lat1, lon1, lat2, lon2) {
+    const Δφ = toRadians(lat2 - lat1);
+    const Δλ = toRadians(lon2 - lon1);
+
+    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+      Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+
+    return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Signed distance in meters from a position to a site's boundary: negative inside,
+   * positive outside. Polygons are projected onto a plane centred on the position,
+   * which is accurate to well under a meter at building and campus scale.
+   */
+  boundaryDistance(site, latitude, longitude) {
+    if (site.geofence_type === 'circle') {
+      const distance = this.distanceMeters(latitude, longitude, parseFloat(site.latitude), parseFloat(site.longitude));
+      return distance - site.radius;
+    }
+
+    const metersPerDegree = toRadians(EARTH_RADIUS_METERS);
+    const cosLatitude = Math.cos(toRadians(latitude));
+    const points = parseJsonColumn(site.polygon).map(vertex => {
+      // Keep longitude differences in [-180, 180) so sites spanning the antimeridian stay contiguous
+      const Δλ = ((vertex.longitude - longitude + 540) % 360) - 180;
+      return {
+        x: Δλ * cosLatitude * metersPerDegree,
+        y: (vertex.latitude - latitude) * metersPerDegree
+      };
+    });
+
+    let inside = false;
+    let nearest = Infinity;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+
+      // Ray cast from the position along +x
+      if ((a.y > 0) !== (b.y > 0) && a.x + (0 - a.y) * (b.x - a.x) / (b.y - a.y) > 0) {
+        inside = !inside;
+      }
+
+      nearest = Math.min(nearest, distanceToSegment(a, b));
+    }
+
+    return inside ? -nearest : nearest;
+  }
+
+  // Returns an error message for an unusable geofence definition, or null if it is valid
+  validateGeofence({ geofenceType, latitude, longitude, radius, polygon }) {
+    if (geofenceType === 'circle') {
+      if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+          !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        return 'Circle geofences need a valid latitude and longitude';
+      }
+      if (!Number.isInteger(radius) || radius <= 0) {
+        return 'Circle geofences need a positive radius in meters';
+      }
+      return null;
+    }
+
+    if (geofenceType === 'polygon') {
+      if (!Array.isArray(polygon) || polygon.length < 3 || polygon.length > MAX_POLYGON_VERTICES) {
+        return `Polygon geofences need between 3 and ${MAX_POLYGON_VERTICES} vertices`;
+      }
+      const invalidVertex = polygon.some(vertex => !vertex ||
+        !Number.isFinite(vertex.latitude) || vertex.latitude < -90 || vertex.latitude > 90 ||
+        !Number.isFinite(vertex.longitude) || vertex.longitude < -180 || vertex.longitude > 180);
+      if (invalidVertex) {
+        return 'Every polygon vertex needs a valid latitude and longitude';
+      }
+      return null;
+    }
+
+    return 'Geofence type must be circle or polygon';
+  }
+
+  /**
+   * Active sites assigned to the user directly or through their department. Users with
+   * no assigned site fall back to the location on their active work schedule, if any.
+   */
+  async getSitesForUser(userId) {
+    const user = await db('users').where('id', userId).select('id', 'department').first();
+
+    const sites = await db('work_sites')
+      .where('is_active', true)
+      .whereIn('id', function() {
+        this.select('work_site_id')
+          .from('work_site_assignments')
+          .where('user_id', userId);
+        if (user && user.department) {
+          this.orWhere('department', user.department);
+        }
+      })
+      .select('*');
+
+    if (sites.length > 0) {
+      return sites;
+    }
+
+    // Compared as a date so a schedule ending today still applies for the rest of the day
+    const today = timezone.fromDateColumn(new Date());
+    const workSchedule = await db('work_schedules')
+      .where('user_id', userId)
+      .where('is_active', true)
+      .where(function() {
+        this.whereNull('effective_from').orWhere('effective_from', '<=', today);
+      })
+      .where(function() {
+        this.whereNull('effective_to').orWhere('effective_to', '>=', today);
+      })
+      .first();
+
+    if (workSchedule && workSchedule.latitude && workSchedule.longitude) {
+      return [{
+        id: null,
+        name: workSchedule.location_name || workSchedule.schedule_name,
+        geofence_type: 'circle',
+        latitude: workSchedule.latitude,
+        longitude: workSchedule.longitude,
+        radius: workSchedule.location_radius
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Decide whether a position is at one of the user's work sites. accuracy is the GPS
+   * accuracy radius in meters (0 or null for fixed positions such as kiosks).
+   *
+   * The position counts as inside when its whole accuracy circle is inside the nearest
+   * site, or when the circle only straddles the boundary and accuracy is no worse than
+   * MAX_ACCURACY_METERS. Returns { valid, message, workSiteId, check } where workSiteId
+   * is set only for a matched site and check records the decision for the attendance record.
+   */
+  async checkLocation(userId, latitude, longitude, accuracy) {
+    const sites = await this.getSitesForUser(userId);
+
+    if (sites.length === 0) {
+      return { valid: true, message: '', workSiteId: null, check: null };
+    }
+
+    const accuracyMeters = Number.isFinite(accuracy) && accuracy > 0 ? accuracy : 0;
+
+    let nearest = null;
+    for (const site of sites) {
+      const distance = this.boundaryDistance(site, latitude, longitude);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { site, distance };
+      }
+    }
+
+    const { site, distance } = nearest;
+    let decision;
+    if (distance + accuracyMeters <= 0) {
+      decision = 'inside';
+    } else if (distance - accuracyMeters > 0) {
+      decision = 'outside';
+    } else {
+      decision = accuracyMeters <= MAX_ACCURACY_METERS ? 'within_accuracy' : 'inaccurate';
+    }
+
+    const valid = decision === 'inside' || decision === 'within_accuracy';
+    const check = {
+      decision,
+      siteId: site.id,
+      siteName: site.name,
+      geofenceType: site.geofence_type,
+      distance: Math.round(distance * 10) / 10,
+      accuracy: accuracyMeters || null,
+      maxAccuracy: MAX_ACCURACY_METERS,
+      sitesConsidered: sites.length
+    };
+
+    let message = '';
+    if (decision === 'outside') {
+      message = `You are ${Math.round(distance)}m outside your nearest work site (${site.name})` +
+        (accuracyMeters ? `, GPS accuracy ${Math.round(accuracyMeters)}m` : '');
+    } else if (decision === 'inaccurate') {
+      message = `GPS accuracy of ${Math.round(accuracyMeters)}m is too low to confirm you are at ${site.name}. Required: ${MAX_ACCURACY_METERS}m or better`;
+    }
+
+    return { valid, message, workSiteId: valid ? site.id : null, check };
+  }
+}
+
+module.exports = new GeofenceService();
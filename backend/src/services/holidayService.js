@@ -0,0 +1,161 @@
+const db = require('../config/database');
+const geofenceService = require('./geofenceService');
+const timezone = require('../utils/timezone');
+
+const HOLIDAY_TYPES = ['public', 'company', 'optional'];
+// Multi-day events are expanded into one holiday per day, up to this many days
+const MAX_EVENT_DAYS = 31;
+
+// iCalendar folds long lines by starting the continuation with a space or tab (RFC 5545 3.1)
+function unfold(text) {
+  return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+function unescapeText(value) {
+  return value
+    .replace(/\\[nN]/g, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+// DATE (20261225) or DATE-TIME (20261225T000000Z) values, reduced to YYYY-MM-DD
+function parseIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+class HolidayService {
+  getHolidayTypes() {
+    return HOLIDAY_TYPES;
+  }
+
+  /**
+   * Holidays in an iCalendar file, one per day of each VEVENT, as { uid, name, date }.
+   * All-day events end the day before DTEND as the standard says. Cancelled events are
+   * skipped, and RRULE recurrences are not expanded, so import a feed for each year.
+   */
+  parseIcs(text) {
+    const holidays = [];
+    let skipped = 0;
+    let event = null;
+
+    for (const line of unfold(String(text))) {
+      if (line === 'BEGIN:VEVENT') {
+        event = {};
+        continue;
+      }
+      if (line === 'END:VEVENT') {
+        const start = parseIcsDate(event.DTSTART);
+        const name = event.SUMMARY ? unescapeText(event.SUMMARY) : null;
+
+        if (!start || !name || (event.STATUS || '').toUpperCase() === 'CANCELLED') {
+          skipped++;
+        } else {
+          const end = parseIcsDate(event.DTEND);
+          const days = end && end > start ? Math.min(timezone.daysBetween(start, end), MAX_EVENT_DAYS) : 1;
+          for (let day = 0; day < days; day++) {
+            holidays.push({ uid: event.UID || null, name, date: timezone.addDays(start, day) });
+          }
+        }
+        event = null;
+        continue;
+      }
+      if (!event) continue;
+
+      // NAME;PARAM=VALUE:value; parameters such as VALUE=DATE or TZID are not needed here
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+      const property = line.slice(0, separator).split(';')[0].toUpperCase();
+      if (!(property in event)) {
+        event[property] = line.slice(separator + 1);
+      }
+    }
+
+    return { holidays, skipped };
+  }
+
+  /**
+   * Active calendars that apply to a user: those assigned to their department or to one
+   * of their work sites, else the default calendars.
+   */
+  async getCalendarsForUser(userId) {
+    const user = await db('users').where('id', userId).select('id', 'department').first();
+    if (!user) {
+      return [];
+    }
+
+    const siteIds = (await geofenceService.getSitesForUser(userId))
+      .map(site => site.id)
+      .filter(Boolean);
+
+    const assigned = await db('holiday_calendars')
+      .where('is_active', true)
+      .whereIn('id', function() {
+        this.select('calendar_id')
+          .from('holiday_calendar_assignments')
+          .whereIn('work_site_id', siteIds);
+        if (user.department) {
+          this.orWhere('department', user.department);
+        }
+      })
+      .select('*');
+
+    if (assigned.length > 0) {
+      return assigned;
+    }
+
+    return db('holiday_calendars')
+      .where('is_active', true)
+      .where('is_default', true)
+      .select('*');
+  }
+
+  /**
+   * Holidays a user has off from one YYYY-MM-DD date to another inclusive, as a Map of
+   * date to { id, name, type, calendarId }. Optional holidays count only once the user
+   * has chosen them.
+   */
+  async getHolidays(userId, fromDate, toDate) {
+    const calendars = await this.getCalendarsForUser(userId);
+    const holidays = new Map();
+    if (calendars.length === 0) {
+      return holidays;
+    }
+
+    const rows = await db('holidays')
+      .leftJoin('optional_holiday_selections', function() {
+        this.on('optional_holiday_selections.holiday_id', '=', 'holidays.id')
+          .andOn('optional_holiday_selections.user_id', '=', db.raw('?', [userId]));
+      })
+      .whereIn('holidays.calendar_id', calendars.map(calendar => calendar.id))
+      .whereBetween('holidays.date', [fromDate, toDate])
+      .select('holidays.*', 'optional_holiday_selections.id as selection_id')
+      .orderBy('holidays.date', 'asc');
+
+    for (const row of rows) {
+      if (row.type === 'optional' && !row.selection_id) continue;
+
+      const date = timezone.fromDateColumn(row.date);
+      if (!holidays.has(date)) {
+        holidays.set(date, { id: row.id, name: row.name, type: row.type, calendarId: row.calendar_id });
+      }
+    }
+
+    return holidays;
+  }
+
+  // Optional holidays the user has chosen from a calendar in a calendar year
+  async countOptionalSelections(userId, calendarId, year) {
+    const result = await db('optional_holiday_selections')
+      .join('holidays', 'optional_holiday_selections.holiday_id', 'holidays.id')
+      .where('optional_holiday_selections.user_id', userId)
+      .where('holidays.calendar_id', calendarId)
+      .whereBetween('holidays.date', [`${year}-01-01`, `${year}-12-31`])
+      .count('* as count')
+      .first();
+
+    return parseInt(result.count);
+  }
+}
+
+module.exports = new HolidayService();
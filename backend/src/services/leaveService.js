@@ -0,0 +1,252 @@
+const db = require('../config/database');
+const workTimeService = require('./workTimeService');
+const timezone = require('../utils/timezone');
+
+// Longest stretch one request may cover, in calendar days
+const MAX_REQUEST_DAYS = parseInt(process.env.MAX_LEAVE_REQUEST_DAYS) || 90;
+
+const ACCRUAL_METHODS = ['none', 'annual', 'monthly', 'earned'];
+
+const round = (value) => Math.round(value * 100) / 100;
+const sumDays = (rows) => round(rows.reduce((sum, row) => sum + parseFloat(row.days), 0));
+
+class LeaveService {
+  getMaxRequestDays() {
+    return MAX_REQUEST_DAYS;
+  }
+
+  getAccrualMethods() {
+    return ACCRUAL_METHODS;
+  }
+
+  // Types that keep a balance; requests for other types (e.g. unpaid) need none
+  keepsBalance(leaveType) {
+    return leaveType.accrual_method !== 'none';
+  }
+
+  /**
+   * Working days a request would take: dates from start to end with an expected shift,
+   * so holidays, rostered days off and weekends are not charged. Half days count 0.5.
+   */
+  async countLeaveDays(userId, startDate, endDate, halfDay = null) {
+    const expected = await workTimeService.getExpectedShifts(userId, startDate, endDate);
+    const dates = [...expected.entries()]
+      .filter(([, entry]) => entry.shift)
+      .map(([date]) => date);
+
+    return { dates, days: halfDay ? dates.length * 0.5 : dates.length };
+  }
+
+  async getBalance(userId, leaveTypeId, trx = db) {
+    const rows = await trx('leave_ledger')
+      .where('user_id', userId)
+      .where('leave_type_id', leaveTypeId)
+      .select('days');
+    return sumDays(rows);
+  }
+
+  // Days asked for in requests still awaiting a decision, which the balance must also cover
+  async getPendingDays(userId, leaveTypeId, excludeRequestId = null) {
+    let query = db('leave_requests')
+      .where('user_id', userId)
+      .where('leave_type_id', leaveTypeId)
+      .where('status', 'pending');
+    if (excludeRequestId) {
+      query = query.whereNot('id', excludeRequestId);
+    }
+    return sumDays(await query.select('days'));
+  }
+
+  /**
+   * Credit the annual and monthly accruals due to a user up to a YYYY-MM-DD date, from
+   * the later of their joining date and the leave type's creation. At each year end any
+   * balance above carry_over_days expires. Entries carry their period, so running this
+   * again adds nothing.
+   */
+  async accrue(userId, asOfDate) {
+    const [user, types, userZone] = await Promise.all([
+      db('users').where('id', userId).select('id', 'created_at').first(),
+      db('leave_types').where('is_active', true).whereIn('accrual_method', ['annual', 'monthly']),
+      workTimeService.getTimezone(userId)
+    ]);
+    if (!user) return;
+
+    for (const type of types) {
+      const joined = timezone.formatDate(user.created_at, userZone);
+      const created = timezone.formatDate(type.created_at, userZone);
+      const start = joined > created ? joined : created;
+      if (start > asOfDate) continue;
+
+      const existing = new Set(await db('leave_ledger')
+        .where('user_id', userId)
+        .where('leave_type_id', type.id)
+        .whereIn('entry_type', ['accrual', 'carry_over_expiry'])
+        .pluck(db.raw("entry_type || ':' || period")));
+
+      const startYear = parseInt(start.slice(0, 4));
+      const endYear = parseInt(asOfDate.slice(0, 4));
+
+      for (let year = startYear; year <= endYear; year++) {
+        const periods = type.accrual_method === 'annual'
+          ? [String(year)]
+          : Array.from({ length: 12 }, (_, index) => `${year}-${String(index + 1).padStart(2, '0')}`);
+
+        for (const period of periods) {
+          const periodStart = period.length === 4 ? `${period}-01-01` : `${period}-01`;
+          if (periodStart > asOfDate || period < start.slice(0, period.length) || existing.has(`accrual:${period}`)) {
+            continue;
+          }
+
+          const effectiveDate = periodStart > start ? periodStart : start;
+          let days = parseFloat(type.accrual_days);
+          if (type.max_balance != null) {
+            days = Math.min(days, parseFloat(type.max_balance) - await this.getBalance(userId, type.id));
+          }
+          if (days > 0) {
+            await this.addLedgerEntry({ userId, leaveTypeId: type.id, days, entryType: 'accrual', effectiveDate, period });
+          }
+        }
+
+        // Year end: expire what is above the carry-over limit before the next year's accruals
+        if (year < endYear && type.carry_over_days != null && !existing.has(`carry_over_expiry:${year}`)) {
+          const excess = await this.getBalance(userId, type.id) - parseFloat(type.carry_over_days);
+          if (excess > 0) {
+            await this.addLedgerEntry({
+              userId,
+              leaveTypeId: type.id,
+              days: -excess,
+              entryType: 'carry_over_expiry',
+              effectiveDate: `${year + 1}-01-01`,
+              period: String(year)
+            });
+          }
+        }
+      }
+    }
+  }
+
+  async addLedgerEntry({ userId, leaveTypeId, days, entryType, effectiveDate, period = null, leaveRequestId = null, note = null, createdBy = null }, trx = db) {
+    // A concurrent run may have written the same period already; the unique index keeps one
+    await trx('leave_ledger')
+      .insert({
+        user_id: userId,
+        leave_type_id: leaveTypeId,
+        days: round(days),
+        entry_type: entryType,
+        effective_date: effectiveDate,
+        period,
+        leave_request_id: leaveRequestId,
+        note,
+        created_by: createdBy
+      })
+      .onConflict()
+      .ignore();
+  }
+
+  // Balance, pending and available days of every active leave type, after crediting accruals due today
+  async getBalances(userId) {
+    const today = timezone.formatDate(new Date(), await workTimeService.getTimezone(userId));
+    await this.accrue(userId, today);
+
+    const types = await db('leave_types').where('is_active', true).orderBy('name', 'asc');
+
+    return Promise.all(types.map(async type => {
+      const pending = await this.getPendingDays(userId, type.id);
+      if (!this.keepsBalance(type)) {
+        return { leaveTypeId: type.id, code: type.code, name: type.name, isPaid: type.is_paid, balance: null, pending, available: null };
+      }
+
+      const balance = await this.getBalance(userId, type.id);
+      return {
+        leaveTypeId: type.id,
+        code: type.code,
+        name: type.name,
+        isPaid: type.is_paid,
+        balance,
+        pending,
+        available: round(balance - pending)
+      };
+    }));
+  }
+
+  // Other pending or approved requests of the user that share a date with start..end
+  async findOverlappingRequests(userId, startDate, endDate, excludeRequestId = null) {
+    let query = db('leave_requests')
+      .where('user_id', userId)
+      .whereIn('status', ['pending', 'approved'])
+      .where('start_date', '<=', endDate)
+      .where('end_date', '>=', startDate);
+    if (excludeRequestId) {
+      query = query.whereNot('id', excludeRequestId);
+    }
+    return query.select('id', 'start_date', 'end_date', 'status', 'half_day');
+  }
+
+  /**
+   * Approve a pending request and debit its days. Returns { error } when the balance no
+   * longer covers it or someone else decided first, else { request }.
+   */
+  async approve(request, leaveType, approverId, note) {
+    return db.transaction(async trx => {
+      if (this.keepsBalance(leaveType)) {
+        const balance = await this.getBalance(request.user_id, leaveType.id, trx);
+        if (balance < parseFloat(request.days)) {
+          return { error: `Insufficient ${leaveType.name.toLowerCase()} balance: ${balance} days available` };
+        }
+      }
+
+      const [approved] = await trx('leave_requests')
+        .where('id', request.id)
+        .where('status', 'pending')
+        .update({ status: 'approved', decided_by: approverId, decided_at: new Date(), decision_note: note, updated_at: new Date() })
+        .returning('*');
+      if (!approved) {
+        return { error: 'Leave request has already been decided' };
+      }
+
+      if (this.keepsBalance(leaveType)) {
+        await this.addLedgerEntry({
+          userId: request.user_id,
+          leaveTypeId: leaveType.id,
+          days: -parseFloat(request.days),
+          entryType: 'leave_taken',
+          effectiveDate: timezone.fromDateColumn(request.start_date),
+          leaveRequestId: request.id,
+          createdBy: approverId
+        }, trx);
+      }
+
+      return { request: approved };
+    });
+  }
+
+  // Cancel a pending or approved request; approved days go back to the balance
+  async cancel(request, leaveType, userId, note) {
+    return db.transaction(async trx => {
+      const [cancelled] = await trx('leave_requests')
+        .where('id', request.id)
+        .whereIn('status', ['pending', 'approved'])
+        .update({ status: 'cancelled', decided_by: userId, decided_at: new Date(), decision_note: note, updated_at: new Date() })
+        .returning('*');
+      if (!cancelled) {
+        return { error: 'Only pending or approved requests can be cancelled' };
+      }
+
+      if (request.status === 'approved' && this.keepsBalance(leaveType)) {
+        await this.addLedgerEntry({
+          userId: request.user_id,
+          leaveTypeId: leaveType.id,
+          days: parseFloat(request.days),
+          entryType: 'leave_cancelled',
+          effectiveDate: timezone.fromDateColumn(request.start_date),
+          leaveRequestId: request.id,
+          createdBy: userId
+        }, trx);
+      }
+
+      return { request: cancelled };
+    });
+  }
+}
+
+module.exports = new LeaveService();
@@ -0,0 +1,233 @@
+const geoip = require('geoip-lite');
+const db = require('../config/database');
+const geofenceService = require('./geofenceService');
+
+// Faster than any plausible door-to-door journey between two punches, flights included
+const MAX_TRAVEL_SPEED_KMH = parseFloat(process.env.LOCATION_MAX_TRAVEL_SPEED_KMH) || 500;
+// Hops shorter than this are GPS noise, however little time separates them
+const MIN_TRAVEL_DISTANCE_METERS = 1000;
+// Real receivers never get this precise; mock-location apps often report 0 or 1
+const MIN_PLAUSIBLE_ACCURACY_METERS = parseFloat(process.env.LOCATION_MIN_PLAUSIBLE_ACCURACY_METERS) || 1;
+// Distance between GPS and IP geolocation beyond the IP lookup's own uncertainty; 0 disables the check
+const IP_MISMATCH_KM = process.env.LOCATION_IP_MISMATCH_KM !== undefined
+  ? parseFloat(process.env.LOCATION_IP_MISMATCH_KM)
+  : 500;
+// Developer options are on for many legitimate users, so by default they are only recorded
+const FLAG_DEVELOPER_MODE = process.env.LOCATION_FLAG_DEVELOPER_MODE === 'true';
+const MAX_HISTORY_POINTS = 20;
+const MAX_HISTORY_AGE_MS = 60 * 60 * 1000;
+
+// Keep only well-formed fixes from the last hour before the punch, oldest first
+function sanitizeHistory(history, punchTime) {
+  if (!Array.isArray(history)) return [];
+
+  return history
+    .map(point => ({
+      latitude: parseFloat(point && point.latitude),
+      longitude: parseFloat(point && point.longitude),
+      accuracy: point && point.accuracy != null ? parseFloat(point.accuracy) : null,
+      timestamp: new Date(point && point.timestamp),
+      mocked: Boolean(point && point.mocked)
+    }))
+    .filter(point => Number.isFinite(point.latitude) && Number.isFinite(point.longitude) &&
+      !isNaN(point.timestamp.getTime()) &&
+      point.timestamp <= punchTime &&
+      punchTime - point.timestamp <= MAX_HISTORY_AGE_MS)
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-MAX_HISTORY_POINTS);
+}
+
+class LocationIntegrityService {
+  // Device reports arrive either as a JSON string (multipart) or an object (JSON body)
+  parseReport(report) {
+    if (!report) return {};
+    if (typeof report === 'object') return report;
+
+    try {
+      return JSON.parse(report);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Look for signs that a punch position was faked. report is what the device sent:
+   * { mocked, developerMode, emulator, history: [{ latitude, longitude, accuracy, timestamp, mocked }] }.
+   * ipAddress is omitted for offline punches, which are uploaded from wherever the phone
+   * reconnects. Returns { flagged, reasons: [{ code, message }], integrity } where integrity
+   * holds every signal, including those that do not flag, for the attendance record.
+   */
+  async evaluate({ userId, latitude, longitude, accuracy, timestamp, report, ipAddress }) {
+    const reported = this.parseReport(report);
+    const history = sanitizeHistory(reported.history, timestamp);
+    const signals = [];
+
+    if (reported.mocked === true || history.some(point => point.mocked)) {
+      signals.push({
+        code: 'mock_location',
+        flag: true,
+        message: 'Device reported a mock location provider'
+      });
+    }
+
+    if (reported.emulator === true) {
+      signals.push({
+        code: 'emulator',
+        flag: true,
+        message: 'Punch was made from an emulator'
+      });
+    }
+
+    if (reported.developerMode === true) {
+      signals.push({
+        code: 'developer_mode',
+        flag: FLAG_DEVELOPER_MODE,
+        message: 'Developer options are enabled on the device'
+      });
+    }
+
+    if (Number.isFinite(accuracy) && accuracy <= MIN_PLAUSIBLE_ACCURACY_METERS) {
+      signals.push({
+        code: 'perfect_accuracy',
+        flag: true,
+        message: `Reported GPS accuracy of ${accuracy}m is implausibly precise`,
+        details: { accuracy, minPlausible: MIN_PLAUSIBLE_ACCURACY_METERS }
+      });
+    }
+
+    const travel = await this.findImpossibleTravel(userId, { latitude, longitude, accuracy, timestamp }, history);
+    if (travel) {
+      signals.push({
+        code: 'impossible_travel',
+        flag: true,
+        message: `Moved ${travel.distanceKm}km in ${travel.minutes} min (${travel.speedKmh}km/h) since the ${travel.source === 'punch' ? 'previous punch' : 'device location history'}`,
+        details: travel
+      });
+    }
+
+    const ipMismatch = ipAddress ? this.checkIpLocation(ipAddress, latitude, longitude) : null;
+    if (ipMismatch) {
+      signals.push({
+        code: 'ip_mismatch',
+        flag: true,
+        message: `Network location (${ipMismatch.country || 'unknown country'}) is ${ipMismatch.distanceKm}km from the reported GPS position`,
+        details: ipMismatch
+      });
+    }
+
+    const reasons = signals
+      .filter(signal => signal.flag)
+      .map(signal => ({ code: signal.code, message: signal.message }));
+
+    return {
+      flagged: reasons.length > 0,
+      reasons,
+      integrity: {
+        signals,
+        reported: {
+          mocked: reported.mocked === true,
+          emulator: reported.emulator === true,
+          developerMode: reported.developerMode != null ? reported.developerMode === true : null,
+          historyPoints: history.length
+        }
+      }
+    };
+  }
+
+  /**
+   * Walk from the user's previous approved punch through the device's location history to this
+   * punch and return the first hop faster than MAX_TRAVEL_SPEED_KMH, or null. Both ends'
+   * accuracy radii are taken off each hop's distance before computing the speed. Flagged
+   * punches are skipped, so one spoofed position does not also flag the next genuine one.
+   */
+  async findImpossibleTravel(userId, current, history) {
+    const previousPunch = await db('attendance_records')
+      .where('user_id', userId)
+      .where('timestamp', '<', current.timestamp)
+      .whereNotNull('latitude')
+      .whereNotNull('longitude')
+      .where('status', 'approved')
+      .orderBy('timestamp', 'desc')
+      .select('id', 'latitude', 'longitude', 'accuracy', 'timestamp')
+      .first();
+
+    const path = [];
+    if (previousPunch) {
+      path.push({
+        source: 'punch',
+        recordId: previousPunch.id,
+        latitude: parseFloat(previousPunch.latitude),
+        longitude: parseFloat(previousPunch.longitude),
+        accuracy: previousPunch.accuracy != null ? parseFloat(previousPunch.accuracy) : null,
+        timestamp: new Date(previousPunch.timestamp)
+      });
+    }
+    path.push(...history
+      .filter(point => !previousPunch || point.timestamp > path[0].timestamp)
+      .map(point => ({ source: 'history', ...point })));
+    path.push({ source: 'current', ...current });
+
+    for (let i = 1; i < path.length; i++) {
+      const from = path[i - 1];
+      const to = path[i];
+      const distance = geofenceService.distanceMeters(from.latitude, from.longitude, to.latitude, to.longitude) -
+        (from.accuracy || 0) - (to.accuracy || 0);
+
+      if (distance < MIN_TRAVEL_DISTANCE_METERS) {
+        continue;
+      }
+
+      // Simultaneous fixes kilometres apart count as infinitely fast
+      const hours = Math.max(to.timestamp - from.timestamp, 1000) / (60 * 60 * 1000);
+      const speedKmh = (distance / 1000) / hours;
+
+      if (speedKmh > MAX_TRAVEL_SPEED_KMH) {
+        return {
+          source: from.source,
+          previousRecordId: from.recordId,
+          from: { latitude: from.latitude, longitude: from.longitude, timestamp: from.timestamp },
+          to: { latitude: to.latitude, longitude: to.longitude, timestamp: to.timestamp },
+          distanceKm: Math.round(distance / 100) / 10,
+          minutes: Math.round(hours * 600) / 10,
+          speedKmh: Math.round(speedKmh),
+          maxSpeedKmh: MAX_TRAVEL_SPEED_KMH
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Compare GPS with the IP address's geolocation; null when they agree or the IP is unknown
+  checkIpLocation(ipAddress, latitude, longitude) {
+    if (!IP_MISMATCH_KM) {
+      return null;
+    }
+
+    // IPv4 clients behind a dual-stack listener show up as ::ffff:a.b.c.d
+    const lookup = geoip.lookup(ipAddress.replace(/^::ffff:/, ''));
+    if (!lookup || !Array.isArray(lookup.ll) || (lookup.ll[0] === 0 && lookup.ll[1] === 0)) {
+      return null;
+    }
+
+    const distanceKm = geofenceService.distanceMeters(latitude, longitude, lookup.ll[0], lookup.ll[1]) / 1000;
+    // area is the lookup's accuracy radius in km
+    const allowedKm = IP_MISMATCH_KM + (lookup.area || 0);
+
+    if (distanceKm <= allowedKm) {
+      return null;
+    }
+
+    return {
+      ipAddress,
+      country: lookup.country,
+      city: lookup.city || null,
+      ipLatitude: lookup.ll[0],
+      ipLongitude: lookup.ll[1],
+      distanceKm: Math.round(distanceKm),
+      allowedKm
+    };
+  }
+}
+
+module.exports = new LocationIntegrityService();
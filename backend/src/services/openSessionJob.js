@@ -0,0 +1,275 @@
+const cron = require('node-cron');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+const workTimeService = require('./workTimeService');
+const openSessionPolicies = require('./openSessionPolicies');
+const timesheetService = require('./timesheetService');
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const JOB_SCHEDULE = process.env.OPEN_SESSION_JOB_CRON || '*/15 * * * *';
+// Older check-ins are left alone, so the first run after deploying does not rewrite history
+const LOOKBACK_MS = (parseFloat(process.env.OPEN_SESSION_LOOKBACK_HOURS) || 48) * MS_PER_HOUR;
+// Postgres advisory lock key held while a run is in progress, shared by every server instance
+const RUN_LOCK_KEY = 4206230;
+
+class OpenSessionJob {
+  constructor() {
+    this.task = null;
+    this.running = false;
+    this.io = null;
+  }
+
+  // Schedule the job; io is used to tell employees, managers and admins what was done
+  start(io) {
+    if (process.env.OPEN_SESSION_JOB_ENABLED === 'false') {
+      logger.info('Open session job is disabled');
+      return;
+    }
+    if (!cron.validate(JOB_SCHEDULE)) {
+      logger.error(`OPEN_SESSION_JOB_CRON "${JOB_SCHEDULE}" is not a valid cron expression; open sessions will not be closed`);
+      return;
+    }
+
+    this.io = io;
+    this.task = cron.schedule(JOB_SCHEDULE, () => {
+      this.run().catch(error => logger.error('Open session job failed:', error));
+    });
+    logger.info(`Open session job scheduled (${JOB_SCHEDULE})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Check-ins within the lookback window that no check-out closed, each with the user's
+   * next check-in if there is one. Pairing follows workTimeService.buildSessions, so a
+   * check-out too long after its check-in leaves the session open here as well.
+   */
+  async findOpenSessions(now) {
+    // A flagged check-out still ends the session, so it is not closed a second time here
+    const records = await db('attendance_records')
+      .whereIn('status', workTimeService.getSessionStatuses())
+      .whereIn('type', ['check_in', 'check_out'])
+      .whereBetween('timestamp', [new Date(now.getTime() - LOOKBACK_MS), now])
+      .orderBy('user_id')
+      .orderBy('timestamp', 'asc');
+
+    const byUser = new Map();
+    for (const record of records) {
+      if (!byUser.has(record.user_id)) byUser.set(record.user_id, []);
+      byUser.get(record.user_id).push(record);
+    }
+
+    const open = [];
+    for (const userRecords of byUser.values()) {
+      const sessions = workTimeService.buildSessions(userRecords);
+      sessions.forEach((session, index) => {
+        if (!session.checkOut) {
+          open.push({ checkIn: session.checkIn, nextCheckIn: sessions[index + 1] ? sessions[index + 1].checkIn : null });
+        }
+      });
+    }
+
+    if (open.length === 0) {
+      return open;
+    }
+
+    const resolved = new Set((await db('open_session_resolutions')
+      .whereIn('check_in_record_id', open.map(session => session.checkIn.id))
+      .select('check_in_record_id'))
+      .map(row => row.check_in_record_id));
+
+    return open.filter(session => !resolved.has(session.checkIn.id));
+  }
+
+  /**
+   * Resolve every open session whose shift ended more than the grace period ago.
+   * Every replica schedules the job, but a transaction-scoped advisory lock lets only one
+   * of them run at a time; the others, and overlapping runs here, are skipped. Each
+   * session is still resolved at most once. Returns { checked, resolved }.
+   */
+  async run(now = new Date()) {
+    if (this.running) {
+      return { checked: 0, resolved: 0, skipped: true };
+    }
+    this.running = true;
+
+    try {
+      // The lock is released when the transaction ends, even if this instance dies mid-run
+      return await db.transaction(async trx => {
+        const { rows } = await trx.raw('SELECT pg_try_advisory_xact_lock(?) AS acquired', [RUN_LOCK_KEY]);
+        if (!rows[0].acquired) {
+          return { checked: 0, resolved: 0, skipped: true };
+        }
+        return this.resolveOpenSessions(now);
+      });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async resolveOpenSessions(now) {
+    const sessions = await this.findOpenSessions(now);
+    if (sessions.length === 0) {
+      return { checked: 0, resolved: 0 };
+    }
+
+    const users = new Map((await db('users')
+      .whereIn('id', [...new Set(sessions.map(session => session.checkIn.user_id))])
+      .select('id', 'department', 'manager_id'))
+      .map(user => [user.id, user]));
+    const policies = await openSessionPolicies.load();
+
+    let resolved = 0;
+    for (const session of sessions) {
+      const user = users.get(session.checkIn.user_id);
+      if (!user) continue;
+
+      try {
+        const policy = await openSessionPolicies.getEffective(user, policies);
+        if (await this.resolve(session, user, policy, now)) {
+          resolved++;
+        }
+      } catch (error) {
+        logger.error(`Open session for check-in ${session.checkIn.id} could not be resolved:`, error);
+      }
+    }
+
+    if (resolved > 0) {
+      logger.info(`Open session job resolved ${resolved} of ${sessions.length} open sessions`);
+    }
+    return { checked: sessions.length, resolved };
+  }
+
+  /**
+   * Apply the policy to one open session once its deadline has passed: the shift end
+   * plus the grace period, or MAX_SESSION_HOURS after check-in on a day off. An automatic
+   * check-out is only made where it would close the session at the shift end and the
+   * timesheet period is not locked; otherwise the day is flagged instead. Returns whether
+   * the session was resolved.
+   */
+  async resolve(session, user, policy, now) {
+    const { checkIn, nextCheckIn } = session;
+    const checkInTime = new Date(checkIn.timestamp);
+    const { workDate, shift, timezone: userZone } = await workTimeService.getShiftAt(user.id, checkInTime);
+    const shiftEnd = shift ? workTimeService.shiftBounds(workDate, shift, userZone).end : null;
+
+    const deadline = shiftEnd
+      ? new Date(shiftEnd.getTime() + policy.graceMinutes * 60 * 1000)
+      : new Date(checkInTime.getTime() + workTimeService.getMaxSessionHours() * MS_PER_HOUR);
+    if (now < deadline) {
+      return false;
+    }
+
+    let action = policy.action;
+    let note = null;
+    if (action === 'auto_check_out') {
+      if (!shiftEnd) {
+        note = 'No scheduled shift to end the session at';
+      } else if (shiftEnd <= checkInTime) {
+        note = 'Checked in after the shift ended';
+      } else if (nextCheckIn && shiftEnd >= new Date(nextCheckIn.timestamp)) {
+        note = 'Checked in again before the shift ended';
+      } else if (shiftEnd - checkInTime > workTimeService.getMaxSessionHours() * MS_PER_HOUR) {
+        note = 'Shift end is beyond the longest session';
+      } else if (await timesheetService.getLockedPeriod(workDate)) {
+        note = 'Timesheet period is locked';
+      }
+      if (note) {
+        action = 'flag_incomplete';
+      }
+    }
+
+    const resolution = await db.transaction(async trx => {
+      const [created] = await trx('open_session_resolutions')
+        .insert({
+          user_id: user.id,
+          check_in_record_id: checkIn.id,
+          work_date: workDate,
+          action,
+          shift_end: shiftEnd,
+          note
+        })
+        .onConflict('check_in_record_id')
+        .ignore()
+        .returning('*');
+      if (!created) {
+        return null;
+      }
+
+      if (action === 'auto_check_out') {
+        const [checkOut] = await trx('attendance_records')
+          .insert({
+            user_id: user.id,
+            type: 'check_out',
+            timestamp: shiftEnd,
+            work_site_id: checkIn.work_site_id,
+            timezone: checkIn.timezone || userZone,
+            status: 'approved',
+            approved_at: new Date(),
+            is_system_generated: true
+          })
+          .returning('*');
+
+        await trx('open_session_resolutions')
+          .where('id', created.id)
+          .update({ check_out_record_id: checkOut.id });
+        created.check_out_record_id = checkOut.id;
+      }
+
+      await trx('audit_logs').insert({
+        user_id: null,
+        action: action === 'auto_check_out' ? 'attendance_auto_check_out' : 'open_session_flagged',
+        resource_type: 'attendance_record',
+        resource_id: checkIn.id,
+        new_values: {
+          user_id: user.id,
+          work_date: workDate,
+          action,
+          policy_action: policy.action,
+          shift_end: shiftEnd,
+          check_out_record_id: created.check_out_record_id,
+          note
+        },
+        description: `Open session from ${timezone.toLocalISOString(checkInTime, userZone)} resolved by the end-of-day job`,
+        severity: 'low'
+      });
+
+      return created;
+    });
+
+    if (!resolution) {
+      return false;
+    }
+
+    this.notify(resolution, checkIn, user, userZone);
+    return true;
+  }
+
+  notify(resolution, checkIn, user, userZone) {
+    if (!this.io) return;
+
+    const update = {
+      userId: user.id,
+      workDate: timezone.fromDateColumn(resolution.work_date),
+      action: resolution.action,
+      checkInId: checkIn.id,
+      localCheckIn: timezone.toLocalISOString(checkIn.timestamp, checkIn.timezone || userZone),
+      checkOutId: resolution.check_out_record_id
+    };
+
+    this.io.to('admin_room').emit('open_session_resolved', update);
+    this.io.to(`user_${user.id}`).emit('open_session_resolved', update);
+    // Managers are only told when the policy asks for someone to follow up
+    if (resolution.action === 'notify' && user.manager_id) {
+      this.io.to(`user_${user.manager_id}`).emit('open_session_resolved', update);
+    }
+  }
+}
+
+module.exports = new OpenSessionJob();
@@ -0,0 +1,136 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+const ACTIONS = ['auto_check_out', 'flag_incomplete', 'notify'];
+
+// Built-in policy used when neither a department nor the global policy sets a value
+const DEFAULT_POLICY = {
+  action: ACTIONS.includes(process.env.OPEN_SESSION_ACTION) ? process.env.OPEN_SESSION_ACTION : 'flag_incomplete',
+  graceMinutes: Number.isInteger(parseInt(process.env.OPEN_SESSION_GRACE_MINUTES)) ? parseInt(process.env.OPEN_SESSION_GRACE_MINUTES) : 120
+};
+
+const COLUMNS = {
+  action: 'action',
+  graceMinutes: 'grace_minutes'
+};
+
+function toValues(row) {
+  return {
+    action: row && row.action ? row.action : null,
+    graceMinutes: row && row.grace_minutes != null ? parseInt(row.grace_minutes) : null
+  };
+}
+
+class OpenSessionPolicies {
+  getActions() {
+    return ACTIONS;
+  }
+
+  getDefaults() {
+    return DEFAULT_POLICY;
+  }
+
+  async load() {
+    const rows = await db('open_session_policies').select('*');
+    const policies = { global: null, departments: new Map() };
+
+    for (const row of rows) {
+      if (row.scope === 'global') {
+        policies.global = row;
+      } else {
+        policies.departments.set(row.department, row);
+      }
+    }
+
+    return policies;
+  }
+
+  /**
+   * Resolve each setting from the user's department policy, then the global one. Pass
+   * policies from load() to resolve many users against one read. Returns the values
+   * plus, per setting, the scope it came from.
+   */
+  async getEffective(user, policies = null) {
+    const loaded = policies || await this.load();
+    const layers = [
+      ['department', user.department ? loaded.departments.get(user.department) : null],
+      ['global', loaded.global]
+    ];
+
+    const effective = {};
+    const sources = {};
+    for (const [name, column] of Object.entries(COLUMNS)) {
+      const layer = layers.find(([, row]) => row && row[column] != null);
+      effective[name] = layer ? toValues(layer[1])[name] : DEFAULT_POLICY[name];
+      sources[name] = layer ? layer[0] : 'default';
+    }
+
+    return { ...effective, sources };
+  }
+
+  async list() {
+    const policies = await this.load();
+
+    return {
+      defaults: DEFAULT_POLICY,
+      global: toValues(policies.global),
+      departments: Array.from(policies.departments.values()).map(row => ({
+        department: row.department,
+        ...toValues(row),
+        updatedBy: row.updated_by,
+        updatedAt: row.updated_at
+      }))
+    };
+  }
+
+  /**
+   * Create or replace the global or a department policy. values holds action and
+   * graceMinutes; omitted or null ones inherit. Returns { previous, current } for audit logging.
+   */
+  async set(scope, department, values, adminId) {
+    const where = this.scopeWhere(scope, department);
+    const existing = await db('open_session_policies').where(where).first();
+
+    const row = {
+      action: values.action != null ? values.action : null,
+      grace_minutes: values.graceMinutes != null ? values.graceMinutes : null,
+      updated_by: adminId,
+      updated_at: new Date()
+    };
+
+    if (existing) {
+      await db('open_session_policies').where('id', existing.id).update(row);
+    } else {
+      await db('open_session_policies').insert({ ...where, ...row });
+    }
+
+    logger.info(`Open session policy for ${scope}${department ? ` ${department}` : ''} updated by ${adminId}`);
+
+    return { previous: existing ? toValues(existing) : null, current: toValues(row) };
+  }
+
+  // Remove a department policy so it inherits the global one again; returns the removed values
+  async remove(department) {
+    const existing = await db('open_session_policies').where(this.scopeWhere('department', department)).first();
+
+    if (!existing) {
+      return null;
+    }
+
+    await db('open_session_policies').where('id', existing.id).del();
+    return toValues(existing);
+  }
+
+  scopeWhere(scope, department) {
+    switch (scope) {
+      case 'global':
+        return { scope, department: null };
+      case 'department':
+        return { scope, department };
+      default:
+        throw new Error(`Unknown open session policy scope "${scope}"`);
+    }
+  }
+}
+
+module.exports = new OpenSessionPolicies();
@@ -0,0 +1,267 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+const workTimeService = require('./workTimeService');
+
+const envFloat = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Rule used when neither the employee's department nor the global rule is set
+const DEFAULT_RULE = {
+  dailyThresholdHours: envFloat('OVERTIME_DAILY_THRESHOLD_HOURS', 8),
+  weeklyThresholdHours: envFloat('OVERTIME_WEEKLY_THRESHOLD_HOURS', 40),
+  weekStart: 1,
+  overtimeMultiplier: 1.5,
+  weekendMultiplier: 2,
+  holidayMultiplier: 2,
+  requiresApproval: process.env.OVERTIME_REQUIRES_APPROVAL === 'true',
+  minOvertimeMinutes: 0
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function toRule(row) {
+  const number = (value) => value != null ? parseFloat(value) : null;
+  return {
+    dailyThresholdHours: number(row.daily_threshold_hours),
+    weeklyThresholdHours: number(row.weekly_threshold_hours),
+    weekStart: row.week_start,
+    overtimeMultiplier: number(row.overtime_multiplier),
+    weekendMultiplier: number(row.weekend_multiplier),
+    holidayMultiplier: number(row.holiday_multiplier),
+    requiresApproval: row.requires_approval,
+    minOvertimeMinutes: row.min_overtime_minutes
+  };
+}
+
+function toColumns(rule) {
+  return {
+    daily_threshold_hours: rule.dailyThresholdHours,
+    weekly_threshold_hours: rule.weeklyThresholdHours,
+    week_start: rule.weekStart,
+    overtime_multiplier: rule.overtimeMultiplier,
+    weekend_multiplier: rule.weekendMultiplier,
+    holiday_multiplier: rule.holidayMultiplier,
+    requires_approval: rule.requiresApproval,
+    min_overtime_minutes: rule.minOvertimeMinutes
+  };
+}
+
+class OvertimeService {
+  getDefaults() {
+    return DEFAULT_RULE;
+  }
+
+  async load() {
+    const rows = await db('overtime_rules').select('*');
+    const rules = { global: null, departments: new Map() };
+
+    for (const row of rows) {
+      if (row.scope === 'global') {
+        rules.global = row;
+      } else {
+        rules.departments.set(row.department, row);
+      }
+    }
+
+    return rules;
+  }
+
+  /**
+   * The rule for a user: their department's if it has one, else the global rule, else
+   * the built-in default. A department rule replaces the global one whole rather than
+   * inheriting single values, so its thresholds can be switched off with null.
+   */
+  async getRule(user, rules = null) {
+    const loaded = rules || await this.load();
+    const departmentRow = user.department ? loaded.departments.get(user.department) : null;
+
+    if (departmentRow) return { ...toRule(departmentRow), source: 'department' };
+    if (loaded.global) return { ...toRule(loaded.global), source: 'global' };
+    return { ...DEFAULT_RULE, source: 'default' };
+  }
+
+  async list() {
+    const rules = await this.load();
+
+    return {
+      defaults: DEFAULT_RULE,
+      global: rules.global ? toRule(rules.global) : null,
+      departments: Array.from(rules.departments.values()).map(row => ({
+        department: row.department,
+        ...toRule(row),
+        updatedBy: row.updated_by,
+        updatedAt: row.updated_at
+      }))
+    };
+  }
+
+  // Create or replace the global or a department rule; returns { previous, current } for audit logging
+  async set(scope, department, rule, adminId) {
+    const where = this.scopeWhere(scope, department);
+    const existing = await db('overtime_rules').where(where).first();
+    const row = { ...toColumns(rule), updated_by: adminId, updated_at: new Date() };
+
+    if (existing) {
+      await db('overtime_rules').where('id', existing.id).update(row);
+    } else {
+      await db('overtime_rules').insert({ ...where, ...row });
+    }
+
+    logger.info(`Overtime rule for ${scope}${department ? ` ${department}` : ''} updated by ${adminId}`);
+
+    return { previous: existing ? toRule(existing) : null, current: toRule(row) };
+  }
+
+  // Remove a department rule so the global one applies again; returns the removed rule
+  async remove(department) {
+    const existing = await db('overtime_rules').where(this.scopeWhere('department', department)).first();
+
+    if (!existing) {
+      return null;
+    }
+
+    await db('overtime_rules').where('id', existing.id).del();
+    return toRule(existing);
+  }
+
+  scopeWhere(scope, department) {
+    switch (scope) {
+      case 'global':
+        return { scope, department: null };
+      case 'department':
+        return { scope, department };
+      default:
+        throw new Error(`Unknown overtime rule scope "${scope}"`);
+    }
+  }
+
+  // Date the week containing a YYYY-MM-DD date starts on
+  weekOf(date, weekStart) {
+    return timezone.addDays(date, -((timezone.weekday(date) - weekStart + 7) % 7));
+  }
+
+  /**
+   * Split each work day's worked hours into regular and overtime. On scheduled days
+   * hours past the daily threshold are overtime, then regular hours past the weekly
+   * threshold, so no hour is counted twice. Every hour on a holiday or a day off is
+   * overtime at that day's multiplier. approvedHours maps dates to approved overtime;
+   * when the rule requires approval only that much is payable. Days must be in date
+   * order and, for the weekly threshold, start on a week boundary.
+   */
+  splitDays(days, expectedByDate, rule, approvedHours = new Map()) {
+    let week = null;
+    let weekRegular = 0;
+
+    return days.map(day => {
+      const weekStart = this.weekOf(day.date, rule.weekStart);
+      if (weekStart !== week) {
+        week = weekStart;
+        weekRegular = 0;
+      }
+
+      const entry = expectedByDate.get(day.date);
+      const worked = day.workedHours;
+      let category = 'regular';
+      let multiplier = rule.overtimeMultiplier;
+      let overtime;
+
+      if (entry && entry.holiday) {
+        category = 'holiday';
+        multiplier = rule.holidayMultiplier;
+        overtime = worked;
+      } else if (!day.scheduled) {
+        category = 'weekend';
+        multiplier = rule.weekendMultiplier;
+        overtime = worked;
+      } else {
+        const daily = rule.dailyThresholdHours != null ? Math.max(0, worked - rule.dailyThresholdHours) : 0;
+        const weekly = rule.weeklyThresholdHours != null
+          ? Math.max(0, Math.min(worked - daily, weekRegular + worked - daily - rule.weeklyThresholdHours))
+          : 0;
+        overtime = daily + weekly;
+      }
+
+      if (overtime * 60 < rule.minOvertimeMinutes) {
+        overtime = 0;
+      }
+      if (category === 'regular') {
+        weekRegular += worked - overtime;
+      }
+
+      const approved = rule.requiresApproval ? Math.min(overtime, approvedHours.get(day.date) || 0) : overtime;
+
+      return {
+        date: day.date,
+        category,
+        workedHours: round(worked),
+        regularHours: round(worked - overtime),
+        overtimeHours: round(overtime),
+        approvedOvertimeHours: round(approved),
+        unapprovedOvertimeHours: round(overtime - approved),
+        multiplier,
+        weightedOvertimeHours: round(approved * multiplier)
+      };
+    });
+  }
+
+  totals(days) {
+    const sum = (field, filter = () => true) => round(days.filter(filter).reduce((total, day) => total + day[field], 0));
+
+    return {
+      workedHours: sum('workedHours'),
+      regularHours: sum('regularHours'),
+      overtimeHours: sum('overtimeHours'),
+      approvedOvertimeHours: sum('approvedOvertimeHours'),
+      unapprovedOvertimeHours: sum('unapprovedOvertimeHours'),
+      weightedOvertimeHours: sum('weightedOvertimeHours'),
+      weekendOvertimeHours: sum('overtimeHours', day => day.category === 'weekend'),
+      holidayOvertimeHours: sum('overtimeHours', day => day.category === 'holiday')
+    };
+  }
+
+  // Approved overtime hours per YYYY-MM-DD work date as a Map, using the approved rather than requested hours
+  async getApprovedHours(userId, fromDate, toDate) {
+    const approvals = await db('overtime_requests')
+      .where('user_id', userId)
+      .where('status', 'approved')
+      .whereBetween('work_date', [fromDate, toDate])
+      .select('work_date', 'approved_hours', 'hours');
+
+    const approvedHours = new Map();
+    for (const approval of approvals) {
+      const date = timezone.fromDateColumn(approval.work_date);
+      const hours = parseFloat(approval.approved_hours != null ? approval.approved_hours : approval.hours);
+      approvedHours.set(date, (approvedHours.get(date) || 0) + hours);
+    }
+
+    return approvedHours;
+  }
+
+  /**
+   * Overtime for a user from one YYYY-MM-DD date to another inclusive. Work days are read
+   * from the start of the first week so the weekly threshold sees the whole week. Returns
+   * { timezone, rule, days, totals, period } where period is the workTimeService.getPeriod
+   * result it was worked out from, including the days before fromDate.
+   */
+  async calculate(userId, fromDate, toDate, rules = null) {
+    const user = await db('users').where('id', userId).select('id', 'department').first();
+    const rule = await this.getRule(user || { id: userId, department: null }, rules);
+    const periodStart = rule.weeklyThresholdHours != null ? this.weekOf(fromDate, rule.weekStart) : fromDate;
+
+    const [period, approvedHours] = await Promise.all([
+      workTimeService.getPeriod(userId, periodStart, toDate),
+      this.getApprovedHours(userId, periodStart, toDate)
+    ]);
+
+    const expectedByDate = new Map(period.expected.map(entry => [entry.date, entry]));
+    const days = this.splitDays(period.days, expectedByDate, rule, approvedHours)
+      .filter(day => day.date >= fromDate);
+
+    return { timezone: period.timezone, rule, days, totals: this.totals(days), period };
+  }
+}
+
+module.exports = new OvertimeService();
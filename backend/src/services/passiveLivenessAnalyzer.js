@@ -0,0 +1,254 @@
+const sharp = require('sharp');
+
+const ANALYSIS_VERSION = 'passive-v1';
+
+// Face crops are analysed at a fixed size so metrics are comparable between devices
+const CROP_SIZE = 128;
+
+// Luminance at or above which a pixel counts as specular glare
+const GLARE_LUMINANCE = 245;
+
+const envFloat = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Each check passes when its metric is on the right side of "threshold"; "scale" controls
+// how quickly the 0-1 score saturates away from the threshold (score is 0.5 at the threshold)
+const DEFAULT_THRESHOLDS = {
+  overall: envFloat('LIVENESS_OVERALL_THRESHOLD', 0.6),
+  texture: { threshold: envFloat('LIVENESS_TEXTURE_MIN', 0.5), scale: 0.05, higherIsBetter: true, weight: 0.3 },
+  moire: { threshold: envFloat('LIVENESS_MOIRE_MAX', 8), scale: 2, higherIsBetter: false, weight: 0.2 },
+  glare: { threshold: envFloat('LIVENESS_GLARE_MAX', 0.04), scale: 0.01, higherIsBetter: false, weight: 0.15 },
+  sharpness: { threshold: envFloat('LIVENESS_SHARPNESS_MIN', 60), scale: 20, higherIsBetter: true, weight: 0.2 },
+  faceSize: { threshold: envFloat('LIVENESS_FACE_SIZE_MIN', 0.04), scale: 0.01, higherIsBetter: true, weight: 0.15 }
+};
+
+const FAILURE_REASONS = {
+  texture: 'Skin micro-texture is too flat, typical of a printed photo or screen',
+  moire: 'Periodic moiré pattern detected, typical of a recaptured screen',
+  glare: 'Large specular highlight detected, typical of a glossy print or display',
+  sharpness: 'Face is too blurry to verify',
+  faceSize: 'Face is too small in the frame'
+};
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+// Merge per-call overrides (plain numbers or partial check configs) over the defaults
+function resolveThresholds(overrides = {}) {
+  const resolved = { overall: overrides.overall != null ? overrides.overall : DEFAULT_THRESHOLDS.overall };
+
+  for (const name of Object.keys(FAILURE_REASONS)) {
+    const override = overrides[name];
+    resolved[name] = typeof override === 'number'
+      ? { ...DEFAULT_THRESHOLDS[name], threshold: override }
+      : { ...DEFAULT_THRESHOLDS[name], ...(override || {}) };
+  }
+
+  return resolved;
+}
+
+async function loadGreyscaleFace(imageBuffer, faceBox) {
+  const { data } = await sharp(imageBuffer)
+    .rotate()
+    .extract({
+      left: faceBox.x,
+      top: faceBox.y,
+      width: faceBox.width,
+      height: faceBox.height
+    })
+    .resize(CROP_SIZE, CROP_SIZE, { fit: 'fill' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return data;
+}
+
+// Normalised entropy of the uniform local binary pattern histogram (0 = flat, 1 = rich texture)
+function measureTexture(pixels, size) {
+  const offsets = [[-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0]];
+  const histogram = new Array(59).fill(0);
+  const uniformBins = new Map();
+  let total = 0;
+
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const center = pixels[y * size + x];
+      let code = 0;
+      offsets.forEach(([dx, dy], bit) => {
+        if (pixels[(y + dy) * size + (x + dx)] >= center) {
+          code |= 1 << bit;
+        }
+      });
+
+      // Patterns with more than two 0/1 transitions share a single "non-uniform" bin
+      let transitions = 0;
+      for (let bit = 0; bit < 8; bit++) {
+        if (((code >> bit) & 1) !== ((code >> ((bit + 1) % 8)) & 1)) {
+          transitions++;
+        }
+      }
+
+      let bin = 58;
+      if (transitions <= 2) {
+        if (!uniformBins.has(code)) {
+          uniformBins.set(code, uniformBins.size);
+        }
+        bin = uniformBins.get(code);
+      }
+
+      histogram[bin]++;
+      total++;
+    }
+  }
+
+  const entropy = histogram.reduce((sum, count) => {
+    if (count === 0) return sum;
+    const p = count / total;
+    return sum - p * Math.log2(p);
+  }, 0);
+
+  return entropy / Math.log2(histogram.length);
+}
+
+// Peak-to-median ratio of the mid/high frequency spectrum averaged over rows and columns;
+// screens recaptured by a camera produce strong, narrow periodic peaks
+function measureMoire(pixels, size) {
+  const half = size / 2;
+  const spectrum = new Float64Array(half);
+  const window = new Float64Array(size).map((_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1)));
+  const cosTable = new Float64Array(size * half);
+  const sinTable = new Float64Array(size * half);
+
+  for (let k = 0; k < half; k++) {
+    for (let n = 0; n < size; n++) {
+      cosTable[k * size + n] = Math.cos((2 * Math.PI * k * n) / size);
+      sinTable[k * size + n] = Math.sin((2 * Math.PI * k * n) / size);
+    }
+  }
+
+  const accumulate = (getValue) => {
+    for (let line = 0; line < size; line++) {
+      let mean = 0;
+      for (let n = 0; n < size; n++) mean += getValue(line, n);
+      mean /= size;
+
+      for (let k = 1; k < half; k++) {
+        let re = 0;
+        let im = 0;
+        for (let n = 0; n < size; n++) {
+          const value = (getValue(line, n) - mean) * window[n];
+          re += value * cosTable[k * size + n];
+          im -= value * sinTable[k * size + n];
+        }
+        spectrum[k] += Math.sqrt(re * re + im * im);
+      }
+    }
+  };
+
+  accumulate((row, n) => pixels[row * size + n]);
+  accumulate((column, n) => pixels[n * size + column]);
+
+  const band = Array.from(spectrum.slice(Math.floor(size / 8), half)).sort((a, b) => a - b);
+  const median = band[Math.floor(band.length / 2)];
+  const peak = band[band.length - 1];
+
+  return median > 0 ? peak / median : 0;
+}
+
+// Fraction of face pixels that are blown out
+function measureGlare(pixels) {
+  let saturated = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    if (pixels[i] >= GLARE_LUMINANCE) saturated++;
+  }
+  return saturated / pixels.length;
+}
+
+// Variance of the 4-neighbour Laplacian, a standard focus measure
+function measureSharpness(pixels, size) {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const i = y * size + x;
+      const laplacian = pixels[i - size] + pixels[i + size] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+function scoreCheck(name, metric, config) {
+  const distance = (metric - config.threshold) / config.scale;
+  const score = sigmoid(config.higherIsBetter ? distance : -distance);
+  const passed = config.higherIsBetter ? metric >= config.threshold : metric <= config.threshold;
+
+  return {
+    metric: Math.round(metric * 10000) / 10000,
+    score: Math.round(score * 10000) / 10000,
+    threshold: config.threshold,
+    comparison: config.higherIsBetter ? 'min' : 'max',
+    passed,
+    reason: passed ? null : FAILURE_REASONS[name]
+  };
+}
+
+/**
+ * Run every passive anti-spoofing check on the face region of an image.
+ * The same image, box and thresholds always produce the same result.
+ */
+async function analyze(imageBuffer, faceBox, imageSize, thresholdOverrides = {}) {
+  const thresholds = resolveThresholds(thresholdOverrides);
+  const pixels = await loadGreyscaleFace(imageBuffer, faceBox);
+
+  const metrics = {
+    texture: measureTexture(pixels, CROP_SIZE),
+    moire: measureMoire(pixels, CROP_SIZE),
+    glare: measureGlare(pixels),
+    sharpness: measureSharpness(pixels, CROP_SIZE),
+    faceSize: (faceBox.width * faceBox.height) / (imageSize.width * imageSize.height)
+  };
+
+  const checks = {};
+  let weightedScore = 0;
+  let totalWeight = 0;
+
+  for (const name of Object.keys(metrics)) {
+    checks[name] = scoreCheck(name, metrics[name], thresholds[name]);
+    weightedScore += checks[name].score * thresholds[name].weight;
+    totalWeight += thresholds[name].weight;
+  }
+
+  const overallScore = Math.round((weightedScore / totalWeight) * 10000) / 10000;
+  const failedChecks = Object.keys(checks).filter(name => !checks[name].passed);
+  const isLive = overallScore >= thresholds.overall && failedChecks.length === 0;
+
+  return {
+    version: ANALYSIS_VERSION,
+    method: 'passive',
+    checks,
+    overallScore,
+    threshold: thresholds.overall,
+    failedChecks,
+    reasons: failedChecks.map(name => checks[name].reason),
+    isLive,
+    passed: isLive
+  };
+}
+
+module.exports = {
+  analyze,
+  measureSharpness,
+  resolveThresholds,
+  DEFAULT_THRESHOLDS
+};
@@ -0,0 +1,167 @@
+const ExcelJS = require('exceljs');
+
+// Version of the JSON payroll document described in PAYROLL_EXPORT.md; bump it on breaking changes
+const SCHEMA_VERSION = '1.0';
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const yesNo = (value) => value ? 'yes' : 'no';
+
+// One row per employee with the period totals
+const SUMMARY_COLUMNS = [
+  ['employee_id', timesheet => timesheet.employee.employeeId],
+  ['name', timesheet => timesheet.employee.name],
+  ['department', timesheet => timesheet.employee.department],
+  ['position', timesheet => timesheet.employee.position],
+  ['period_start', timesheet => timesheet.startDate],
+  ['period_end', timesheet => timesheet.endDate],
+  ['expected_days', timesheet => timesheet.totals.expectedDays],
+  ['present_days', timesheet => timesheet.totals.presentDays],
+  ['absent_days', timesheet => timesheet.totals.absentDays],
+  ['holidays', timesheet => timesheet.totals.holidays],
+  ['paid_leave_days', timesheet => timesheet.totals.paidLeaveDays],
+  ['unpaid_leave_days', timesheet => timesheet.totals.unpaidLeaveDays],
+  ['late_arrivals', timesheet => timesheet.totals.lateArrivals],
+  ['early_departures', timesheet => timesheet.totals.earlyDepartures],
+  ['incomplete_days', timesheet => timesheet.totals.incompleteDays],
+  ['worked_hours', timesheet => timesheet.totals.workedHours],
+  ['regular_hours', timesheet => timesheet.totals.regularHours],
+  ['overtime_hours', timesheet => timesheet.totals.overtimeHours],
+  ['approved_overtime_hours', timesheet => timesheet.totals.approvedOvertimeHours],
+  ['unapproved_overtime_hours', timesheet => timesheet.totals.unapprovedOvertimeHours],
+  ['weighted_overtime_hours', timesheet => timesheet.totals.weightedOvertimeHours],
+  ['weekend_overtime_hours', timesheet => timesheet.totals.weekendOvertimeHours],
+  ['holiday_overtime_hours', timesheet => timesheet.totals.holidayOvertimeHours],
+  ['paid_break_hours', timesheet => timesheet.totals.paidBreakHours],
+  ['unpaid_break_hours', timesheet => timesheet.totals.unpaidBreakHours],
+  ['payable_hours', timesheet => timesheet.totals.payableHours]
+];
+
+// One row per employee and date
+const DAILY_COLUMNS = [
+  ['employee_id', timesheet => timesheet.employee.employeeId],
+  ['name', timesheet => timesheet.employee.name],
+  ['department', timesheet => timesheet.employee.department],
+  ['date', (timesheet, day) => day.date],
+  ['expected', (timesheet, day) => yesNo(day.expected)],
+  ['shift', (timesheet, day) => day.shiftName],
+  ['holiday', (timesheet, day) => day.holiday],
+  ['leave_type', (timesheet, day) => day.leaveType],
+  ['leave_days', (timesheet, day) => day.leaveDays],
+  ['paid_leave', (timesheet, day) => day.paidLeave == null ? null : yesNo(day.paidLeave)],
+  ['first_check_in', (timesheet, day) => day.firstCheckIn],
+  ['last_check_out', (timesheet, day) => day.lastCheckOut],
+  ['sessions', (timesheet, day) => day.sessions],
+  ['worked_hours', (timesheet, day) => day.workedHours],
+  ['paid_break_hours', (timesheet, day) => day.paidBreakHours],
+  ['unpaid_break_hours', (timesheet, day) => day.unpaidBreakHours],
+  ['regular_hours', (timesheet, day) => day.regularHours],
+  ['overtime_hours', (timesheet, day) => day.overtimeHours],
+  ['approved_overtime_hours', (timesheet, day) => day.approvedOvertimeHours],
+  ['overtime_category', (timesheet, day) => day.overtimeCategory],
+  ['overtime_multiplier', (timesheet, day) => day.overtimeMultiplier],
+  ['weighted_overtime_hours', (timesheet, day) => day.weightedOvertimeHours],
+  ['absent', (timesheet, day) => yesNo(day.absent)],
+  ['late_arrival', (timesheet, day) => yesNo(day.lateArrival)],
+  ['early_departure', (timesheet, day) => yesNo(day.earlyDeparture)],
+  ['incomplete', (timesheet, day) => yesNo(day.incomplete)]
+];
+
+function summaryRows(timesheets) {
+  return timesheets.map(timesheet => SUMMARY_COLUMNS.map(([, value]) => value(timesheet)));
+}
+
+function dailyRows(timesheets) {
+  return timesheets.flatMap(timesheet => timesheet.days.map(day => DAILY_COLUMNS.map(([, value]) => value(timesheet, day))));
+}
+
+// Quote per RFC 4180; text starting like a formula is prefixed so spreadsheets show it as text
+function csvCell(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class PayrollExport {
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  contentType(format) {
+    return FORMATS[format].contentType;
+  }
+
+  fileName(period, format) {
+    return `timesheets-${period.frequency}-${period.startDate}-to-${period.endDate}.${FORMATS[format].extension}`;
+  }
+
+  // layout 'summary' gives one row per employee, 'daily' one per employee and date
+  toCsv(timesheets, layout = 'summary') {
+    const columns = layout === 'daily' ? DAILY_COLUMNS : SUMMARY_COLUMNS;
+    const rows = layout === 'daily' ? dailyRows(timesheets) : summaryRows(timesheets);
+
+    return [columns.map(([header]) => header), ...rows]
+      .map(row => row.map(csvCell).join(','))
+      .join('\r\n') + '\r\n';
+  }
+
+  // A workbook with a Summary and a Daily sheet; resolves to a Buffer
+  async toXlsx(period, timesheets) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const addSheet = (name, columns, rows) => {
+      const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+      sheet.columns = columns.map(([header]) => ({ header, key: header, width: Math.max(12, header.length + 2) }));
+      sheet.getRow(1).font = { bold: true };
+      rows.forEach(row => sheet.addRow(row));
+    };
+
+    addSheet('Summary', SUMMARY_COLUMNS, summaryRows(timesheets));
+    addSheet('Daily', DAILY_COLUMNS, dailyRows(timesheets));
+
+    const info = workbook.addWorksheet('Period');
+    info.addRows([
+      ['frequency', period.frequency],
+      ['start_date', period.startDate],
+      ['end_date', period.endDate],
+      ['status', period.status],
+      ['locked_at', period.lockedAt ? new Date(period.lockedAt).toISOString() : null]
+    ]);
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  // The generic payroll document; see PAYROLL_EXPORT.md for the schema
+  toJson(period, timesheets) {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      generatedAt: new Date().toISOString(),
+      period: {
+        id: period.id,
+        frequency: period.frequency,
+        startDate: period.startDate,
+        endDate: period.endDate,
+        status: period.status,
+        lockedAt: period.lockedAt || null,
+        lockedBy: period.lockedBy || null
+      },
+      employees: timesheets.map(timesheet => ({
+        ...timesheet.employee,
+        timezone: timesheet.timezone,
+        overtimeRule: timesheet.overtimeRule,
+        totals: timesheet.totals,
+        days: timesheet.days
+      }))
+    };
+  }
+}
+
+module.exports = new PayrollExport();
@@ -0,0 +1,181 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const { DEFAULT_THRESHOLDS: LIVENESS_THRESHOLDS } = require('./passiveLivenessAnalyzer');
+const { QUALITY_THRESHOLDS } = require('./faceQualityAnalyzer');
+
+const envFloat = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Built-in values used when no global, department or user setting provides one
+const DEFAULT_SETTINGS = {
+  matchThreshold: envFloat('FACE_MATCH_THRESHOLD', 0.8),
+  livenessThreshold: LIVENESS_THRESHOLDS.overall,
+  qualityThreshold: QUALITY_THRESHOLDS.minScore
+};
+
+const COLUMNS = {
+  matchThreshold: 'match_threshold',
+  livenessThreshold: 'liveness_threshold',
+  qualityThreshold: 'quality_threshold'
+};
+
+// Other server instances can change settings too, so cached rows expire
+const CACHE_TTL_MS = (parseInt(process.env.RECOGNITION_SETTINGS_CACHE_SECONDS) || 60) * 1000;
+
+function toValues(row) {
+  const values = {};
+  for (const [name, column] of Object.entries(COLUMNS)) {
+    values[name] = row && row[column] != null ? parseFloat(row[column]) : null;
+  }
+  return values;
+}
+
+class RecognitionSettings {
+  constructor() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  getDefaults() {
+    return DEFAULT_SETTINGS;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  async load() {
+    if (this.cache && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const rows = await db('recognition_settings').select('*');
+    const cache = { global: null, departments: new Map(), users: new Map() };
+
+    for (const row of rows) {
+      if (row.scope === 'global') {
+        cache.global = row;
+      } else if (row.scope === 'department') {
+        cache.departments.set(row.department, row);
+      } else {
+        cache.users.set(row.user_id, row);
+      }
+    }
+
+    this.cache = cache;
+    this.cachedAt = Date.now();
+    return cache;
+  }
+
+  /**
+   * Resolve each threshold from the most specific scope that sets it.
+   * Returns the values plus, per threshold, the scope it came from.
+   */
+  async getEffective(user) {
+    const cache = await this.load();
+    const layers = [
+      ['user', cache.users.get(user.id)],
+      ['department', user.department ? cache.departments.get(user.department) : null],
+      ['global', cache.global]
+    ];
+
+    const effective = {};
+    const sources = {};
+    for (const name of Object.keys(COLUMNS)) {
+      const layer = layers.find(([, row]) => row && row[COLUMNS[name]] != null);
+      effective[name] = layer ? parseFloat(layer[1][COLUMNS[name]]) : DEFAULT_SETTINGS[name];
+      sources[name] = layer ? layer[0] : 'default';
+    }
+
+    return { ...effective, sources };
+  }
+
+  async getEffectiveForUserId(userId) {
+    const user = await db('users').where('id', userId).select('id', 'department').first();
+    return this.getEffective(user || { id: userId, department: null });
+  }
+
+  // Settings for callers that do not know the user yet, e.g. kiosk liveness before identification
+  async getGlobal() {
+    return this.getEffective({ id: null, department: null });
+  }
+
+  async list() {
+    const cache = await this.load();
+
+    return {
+      defaults: DEFAULT_SETTINGS,
+      global: toValues(cache.global),
+      departments: Array.from(cache.departments.values()).map(row => ({
+        department: row.department,
+        ...toValues(row),
+        updatedBy: row.updated_by,
+        updatedAt: row.updated_at
+      })),
+      users: Array.from(cache.users.values()).map(row => ({
+        userId: row.user_id,
+        ...toValues(row),
+        updatedBy: row.updated_by,
+        updatedAt: row.updated_at
+      }))
+    };
+  }
+
+  /**
+   * Create or replace the settings row for one scope. values holds matchThreshold,
+   * livenessThreshold and qualityThreshold; omitted or null ones inherit.
+   * Returns { previous, current } in API form for audit logging.
+   */
+  async set(scope, target, values, adminId) {
+    const where = this.scopeWhere(scope, target);
+    const existing = await db('recognition_settings').where(where).first();
+
+    const row = { updated_by: adminId, updated_at: new Date() };
+    for (const [name, column] of Object.entries(COLUMNS)) {
+      row[column] = values[name] != null ? values[name] : null;
+    }
+
+    if (existing) {
+      await db('recognition_settings').where('id', existing.id).update(row);
+    } else {
+      await db('recognition_settings').insert({ ...where, ...row });
+    }
+
+    this.invalidate();
+    logger.info(`Recognition settings for ${scope}${target ? ` ${target}` : ''} updated by ${adminId}`);
+
+    return { previous: existing ? toValues(existing) : null, current: toValues(row) };
+  }
+
+  // Remove a department or user override so it inherits again; returns the removed values
+  async remove(scope, target) {
+    const where = this.scopeWhere(scope, target);
+    const existing = await db('recognition_settings').where(where).first();
+
+    if (!existing) {
+      return null;
+    }
+
+    await db('recognition_settings').where('id', existing.id).del();
+    this.invalidate();
+
+    return toValues(existing);
+  }
+
+  scopeWhere(scope, target) {
+    switch (scope) {
+      case 'global':
+        return { scope, department: null, user_id: null };
+      case 'department':
+        return { scope, department: target, user_id: null };
+      case 'user':
+        return { scope, department: null, user_id: target };
+      default:
+        throw new Error(`Unknown recognition settings scope "${scope}"`);
+    }
+  }
+}
+
+module.exports = new RecognitionSettings();
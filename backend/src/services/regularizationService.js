@@ -0,0 +1,198 @@
+const db = require('../config/database');
+const workTimeService = require('./workTimeService');
+const timezone = require('../utils/timezone');
+const { parseJsonColumn } = require('../utils/jsonColumn');
+
+// How many days back an employee may ask for a work day to be corrected
+const MAX_REGULARIZATION_AGE_DAYS = parseInt(process.env.MAX_REGULARIZATION_AGE_DAYS) || 30;
+const MAX_CORRECTIONS = 6;
+
+const REASONS = ['missing_punch', 'wrong_time', 'forgot_phone', 'other'];
+const PUNCH_TYPES = ['check_in', 'check_out', 'break_start', 'break_end'];
+
+// Punches a correction may replace; rejected and already superseded ones are not counted anyway
+const REPLACEABLE_STATUSES = ['pending', 'approved', 'flagged'];
+
+// A new punch this close to a counted one of the same type is taken as a duplicate
+const DUPLICATE_PUNCH_MS = 60 * 1000;
+
+class RegularizationService {
+  getReasons() {
+    return REASONS;
+  }
+
+  getPunchTypes() {
+    return PUNCH_TYPES;
+  }
+
+  getMaxAgeDays() {
+    return MAX_REGULARIZATION_AGE_DAYS;
+  }
+
+  getCorrections(request) {
+    return parseJsonColumn(request.corrections) || [];
+  }
+
+  /**
+   * Returns an error message if a request's corrections cannot be applied to the user's
+   * work day, or null. Punches must be in the past and within a day of the work date in
+   * the employee's zone, so overnight shifts can be corrected. A replaced punch must be
+   * the employee's own, of the same type, still counted and not claimed by another
+   * pending request.
+   */
+  async validateCorrections(userId, workDate, corrections, excludeRequestId = null) {
+    if (!Array.isArray(corrections) || corrections.length === 0 || corrections.length > MAX_CORRECTIONS) {
+      return `A request must list between 1 and ${MAX_CORRECTIONS} punches`;
+    }
+
+    const userZone = await workTimeService.getTimezone(userId);
+    const now = new Date();
+
+    for (const correction of corrections) {
+      if (!correction || !PUNCH_TYPES.includes(correction.type)) {
+        return `Punch type must be one of ${PUNCH_TYPES.join(', ')}`;
+      }
+      const timestamp = new Date(correction.timestamp);
+      if (!correction.timestamp || isNaN(timestamp.getTime())) {
+        return 'Each punch needs a valid timestamp';
+      }
+      if (timestamp > now) {
+        return 'Punches cannot be in the future';
+      }
+      if (Math.abs(timezone.daysBetween(workDate, timezone.formatDate(timestamp, userZone))) > 1) {
+        return `Punches must be within a day of ${workDate}`;
+      }
+      if (correction.breakType !== undefined && correction.breakType !== null &&
+        (typeof correction.breakType !== 'string' || correction.breakType.length > 50)) {
+        return 'Break type must be a name of at most 50 characters';
+      }
+    }
+
+    const replacedIds = corrections.map(correction => correction.replacesRecordId).filter(Boolean);
+    if (new Set(replacedIds).size !== replacedIds.length) {
+      return 'A punch can only be replaced once';
+    }
+
+    if (replacedIds.length > 0) {
+      const replaced = await db('attendance_records')
+        .whereIn('id', replacedIds)
+        .where('user_id', userId)
+        .whereIn('status', REPLACEABLE_STATUSES)
+        .select('id', 'type');
+      const byId = new Map(replaced.map(record => [record.id, record]));
+
+      for (const correction of corrections.filter(item => item.replacesRecordId)) {
+        const original = byId.get(correction.replacesRecordId);
+        if (!original) {
+          return 'A replaced punch does not exist or can no longer be corrected';
+        }
+        if (original.type !== correction.type) {
+          return 'A punch can only be replaced by one of the same type';
+        }
+      }
+
+      let pending = db('attendance_regularizations')
+        .where('user_id', userId)
+        .where('status', 'pending')
+        .select('id', 'corrections');
+      if (excludeRequestId) {
+        pending = pending.whereNot('id', excludeRequestId);
+      }
+      const claimed = new Set((await pending).flatMap(request =>
+        this.getCorrections(request).map(correction => correction.replacesRecordId).filter(Boolean)
+      ));
+      if (replacedIds.some(id => claimed.has(id))) {
+        return 'Another pending request already corrects one of these punches';
+      }
+    }
+
+    // Added punches must not repeat one already counted
+    const added = corrections.filter(correction => !correction.replacesRecordId);
+    if (added.length > 0) {
+      const times = added.map(correction => new Date(correction.timestamp).getTime());
+      const existing = await db('attendance_records')
+        .where('user_id', userId)
+        .where('status', 'approved')
+        .whereBetween('timestamp', [
+          new Date(Math.min(...times) - DUPLICATE_PUNCH_MS),
+          new Date(Math.max(...times) + DUPLICATE_PUNCH_MS)
+        ])
+        .select('type', 'timestamp');
+
+      const duplicate = added.find(correction => existing.some(record =>
+        record.type === correction.type &&
+        Math.abs(new Date(record.timestamp) - new Date(correction.timestamp)) < DUPLICATE_PUNCH_MS
+      ));
+      if (duplicate) {
+        return `A ${duplicate.type.replace('_', '-')} is already recorded at that time`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Approve a pending request: each correction becomes an approved punch linked to the
+   * request, and any punch it replaces is marked superseded with its recorded data left
+   * as it was. Returns { error } when a replaced punch changed since the request was made
+   * or someone else decided first, else { request, records }.
+   */
+  async approve(request, approverId, note) {
+    const corrections = this.getCorrections(request);
+    const userZone = await workTimeService.getTimezone(request.user_id);
+
+    return db.transaction(async trx => {
+      const replacedIds = corrections.map(correction => correction.replacesRecordId).filter(Boolean);
+      const replaced = replacedIds.length > 0
+        ? await trx('attendance_records')
+          .whereIn('id', replacedIds)
+          .where('user_id', request.user_id)
+          .whereIn('status', REPLACEABLE_STATUSES)
+          .forUpdate()
+        : [];
+      if (replaced.length !== replacedIds.length) {
+        return { error: 'A punch this request replaces has changed since it was made' };
+      }
+
+      const [approved] = await trx('attendance_regularizations')
+        .where('id', request.id)
+        .where('status', 'pending')
+        .update({ status: 'approved', decided_by: approverId, decided_at: new Date(), decision_note: note, updated_at: new Date() })
+        .returning('*');
+      if (!approved) {
+        return { error: 'Regularization request has already been decided' };
+      }
+
+      const records = [];
+      for (const correction of corrections) {
+        const original = replaced.find(record => record.id === correction.replacesRecordId);
+
+        const [record] = await trx('attendance_records')
+          .insert({
+            user_id: request.user_id,
+            type: correction.type,
+            timestamp: new Date(correction.timestamp),
+            break_type: correction.type.startsWith('break_') ? correction.breakType || (original && original.break_type) || null : null,
+            work_site_id: original ? original.work_site_id : null,
+            timezone: original ? original.timezone || userZone : userZone,
+            status: 'approved',
+            approved_by: approverId,
+            approved_at: new Date(),
+            regularization_id: request.id
+          })
+          .returning('*');
+        records.push(record);
+
+        if (original) {
+          await trx('attendance_records')
+            .where('id', original.id)
+            .update({ status: 'superseded', superseded_by: record.id, updated_at: new Date() });
+        }
+      }
+
+      return { request: approved, records, replaced };
+    });
+  }
+}
+
+module.exports = new RegularizationService();
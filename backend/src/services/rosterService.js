@@ -0,0 +1,125 @@
+const db = require('../config/database');
+const timezone = require('../utils/timezone');
+const { parseJsonColumn } = require('../utils/jsonColumn');
+
+// Longest rotation cycle a roster may describe
+const MAX_PATTERN_DAYS = 56;
+
+// Shift in the shape work schedules use, so work-day and lateness calculations take either
+function toShift(template) {
+  return {
+    templateId: template.id,
+    name: template.name,
+    start_time: template.start_time,
+    end_time: template.end_time,
+    timezone: template.timezone,
+    break_policies: parseJsonColumn(template.break_policies) || [],
+    workSiteId: template.work_site_id
+  };
+}
+
+class RosterService {
+  getMaxPatternDays() {
+    return MAX_PATTERN_DAYS;
+  }
+
+  /**
+   * Returns an error message for a malformed rotation pattern, or null if it is usable.
+   * Every non-null entry must name an existing shift template.
+   */
+  async validatePattern(pattern) {
+    if (!Array.isArray(pattern) || pattern.length === 0 || pattern.length > MAX_PATTERN_DAYS) {
+      return `Pattern must list between 1 and ${MAX_PATTERN_DAYS} days`;
+    }
+    if (pattern.some(entry => entry !== null && typeof entry !== 'string')) {
+      return 'Each pattern day must be a shift template ID or null for a day off';
+    }
+
+    const templateIds = [...new Set(pattern.filter(Boolean))];
+    if (templateIds.length === 0) {
+      return 'Pattern must include at least one shift';
+    }
+
+    const templates = await db('shift_templates').whereIn('id', templateIds).select('id');
+    if (templates.length !== templateIds.length) {
+      return 'Pattern refers to a shift template that does not exist';
+    }
+
+    return null;
+  }
+
+  // Pattern entry for a date: the cycle starts on the roster's anchor date, shifted by the assignment's offset
+  patternEntry(pattern, anchorDate, offsetDays, date) {
+    const length = pattern.length;
+    const index = ((timezone.daysBetween(anchorDate, date) + offsetDays) % length + length) % length;
+    return pattern[index];
+  }
+
+  /**
+   * Shifts a user's rosters give them from one YYYY-MM-DD date to another inclusive, as a
+   * Map of date to shift, or to null for a rostered day off. Dates no roster covers are
+   * left out so callers can fall back to the work schedule. A roster assigned to the user
+   * directly beats one assigned to their department; among equals the most recent wins.
+   */
+  async getRosteredShifts(userId, fromDate, toDate) {
+    const user = await db('users').where('id', userId).select('id', 'department').first();
+    if (!user) {
+      return new Map();
+    }
+
+    const assignments = await db('roster_assignments')
+      .join('rosters', 'roster_assignments.roster_id', 'rosters.id')
+      .where('rosters.is_active', true)
+      .where(function() {
+        this.where('roster_assignments.user_id', userId);
+        if (user.department) {
+          this.orWhere('roster_assignments.department', user.department);
+        }
+      })
+      .where('roster_assignments.effective_from', '<=', toDate)
+      .where(function() {
+        this.whereNull('roster_assignments.effective_to').orWhere('roster_assignments.effective_to', '>=', fromDate);
+      })
+      .select(
+        'roster_assignments.*',
+        'rosters.pattern',
+        'rosters.anchor_date'
+      );
+
+    const shifts = new Map();
+    if (assignments.length === 0) {
+      return shifts;
+    }
+
+    const candidates = assignments
+      .map(assignment => ({
+        ...assignment,
+        pattern: parseJsonColumn(assignment.pattern) || [],
+        anchorDate: timezone.fromDateColumn(assignment.anchor_date),
+        from: timezone.fromDateColumn(assignment.effective_from),
+        to: timezone.fromDateColumn(assignment.effective_to)
+      }))
+      .filter(assignment => assignment.pattern.length > 0)
+      // Direct assignments first, then the most recently effective
+      .sort((a, b) => (a.user_id ? 0 : 1) - (b.user_id ? 0 : 1) || b.from.localeCompare(a.from));
+
+    const templateIds = [...new Set(candidates.flatMap(assignment => assignment.pattern.filter(Boolean)))];
+    const templates = new Map(
+      (await db('shift_templates').whereIn('id', templateIds).select('*'))
+        .map(template => [template.id, toShift(template)])
+    );
+
+    for (let date = fromDate; date <= toDate; date = timezone.addDays(date, 1)) {
+      const assignment = candidates.find(candidate => candidate.from <= date && (!candidate.to || candidate.to >= date));
+      if (!assignment) continue;
+
+      const templateId = this.patternEntry(assignment.pattern, assignment.anchorDate, assignment.offset_days, date);
+      const shift = templateId ? templates.get(templateId) : null;
+      shifts.set(date, shift ? { ...shift, rosterId: assignment.roster_id } : null);
+    }
+
+    return shifts;
+  }
+}
+
+module.exports = new RosterService();
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+const LEGACY_KEY_ID = 'legacy';
+
+// Encrypted templates are stored as "<keyId>:<iv>:<authTag>:<ciphertext>" (base64 parts);
+// rows written before key versioning are bare hex from crypto.createCipher
+const SEPARATOR = ':';
+
+function parseKey(keyId, encoded) {
+  const key = /^[0-9a-f]{64}$/i.test(encoded)
+    ? Buffer.from(encoded, 'hex')
+    : Buffer.from(encoded, 'base64');
+
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`Face template key "${keyId}" must be ${KEY_LENGTH} bytes (64 hex characters or base64)`);
+  }
+
+  return key;
+}
+
+// OpenSSL EVP_BytesToKey (MD5, one round) as used by the removed crypto.createCipher
+function deriveLegacyKeyAndIv(password) {
+  const keyAndIv = Buffer.alloc(48);
+  let previous = Buffer.alloc(0);
+  let offset = 0;
+
+  while (offset < keyAndIv.length) {
+    previous = crypto.createHash('md5').update(Buffer.concat([previous, Buffer.from(password, 'binary')])).digest();
+    offset += previous.copy(keyAndIv, offset);
+  }
+
+  return { key: keyAndIv.subarray(0, 32), iv: keyAndIv.subarray(32, 48) };
+}
+
+class TemplateKeyring {
+  constructor() {
+    this.keys = null;
+    this.activeKeyId = null;
+  }
+
+  /**
+   * Load keys from FACE_TEMPLATE_KEYS ("v2:<key>,v1:<key>") and the key used for new
+   * writes from FACE_TEMPLATE_ACTIVE_KEY. Older keys stay listed until every row has
+   * been re-encrypted, so reads keep working during a rotation.
+   */
+  load() {
+    const keys = new Map();
+
+    for (const entry of (process.env.FACE_TEMPLATE_KEYS || '').split(',')) {
+      const trimmed = entry.trim();
+      if (!trimmed) continue;
+
+      const separatorIndex = trimmed.indexOf(SEPARATOR);
+      if (separatorIndex <= 0) {
+        throw new Error('FACE_TEMPLATE_KEYS entries must look like "<keyId>:<key>"');
+      }
+
+      const keyId = trimmed.slice(0, separatorIndex);
+      if (keyId === LEGACY_KEY_ID) {
+        throw new Error(`"${LEGACY_KEY_ID}" is reserved for templates written before key versioning`);
+      }
+
+      keys.set(keyId, parseKey(keyId, trimmed.slice(separatorIndex + 1)));
+    }
+
+    const activeKeyId = process.env.FACE_TEMPLATE_ACTIVE_KEY || Array.from(keys.keys())[0];
+
+    if (!activeKeyId || !keys.has(activeKeyId)) {
+      throw new Error('FACE_TEMPLATE_ACTIVE_KEY must name one of the keys in FACE_TEMPLATE_KEYS');
+    }
+
+    this.keys = keys;
+    this.activeKeyId = activeKeyId;
+    return this;
+  }
+
+  ensureLoaded() {
+    if (!this.keys) {
+      this.load();
+    }
+  }
+
+  getActiveKeyId() {
+    this.ensureLoaded();
+    return this.activeKeyId;
+  }
+
+  getKeyId(encoded) {
+    const separatorIndex = encoded.indexOf(SEPARATOR);
+    return separatorIndex === -1 ? LEGACY_KEY_ID : encoded.slice(0, separatorIndex);
+  }
+
+  needsReencryption(encoded) {
+    return this.getKeyId(encoded) !== this.getActiveKeyId();
+  }
+
+  encrypt(plaintext) {
+    this.ensureLoaded();
+
+    const keyId = this.activeKeyId;
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(keyId), iv);
+    // Binding the key id stops a row from being relabelled with another key version
+    cipher.setAAD(Buffer.from(keyId, 'utf8'));
+
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+
+    return [keyId, iv.toString('base64'), authTag.toString('base64'), ciphertext.toString('base64')].join(SEPARATOR);
+  }
+
+  decrypt(encoded) {
+    this.ensureLoaded();
+
+    const keyId = this.getKeyId(encoded);
+    if (keyId === LEGACY_KEY_ID) {
+      return this.decryptLegacy(encoded);
+    }
+
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Face template key "${keyId}" is not configured`);
+    }
+
+    const [, iv, authTag, ciphertext] = encoded.split(SEPARATOR);
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(keyId, 'utf8'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  decryptLegacy(encoded) {
+    if (!process.env.ENCRYPTION_KEY) {
+      throw new Error('ENCRYPTION_KEY is required to read templates written before key versioning');
+    }
+
+    const { key, iv } = deriveLegacyKeyAndIv(process.env.ENCRYPTION_KEY);
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+
+    return decipher.update(encoded, 'hex', 'utf8') + decipher.final('utf8');
+  }
+}
+
+module.exports = new TemplateKeyring();
@@ -0,0 +1,173 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const faceRecognitionService = require('./faceRecognitionService');
+const templateKeyring = require('./templateKeyring');
+
+const BATCH_SIZE = 100;
+// Failures kept on the job row; the count keeps going past this
+const MAX_RECORDED_FAILURES = 100;
+// A running job that has not reported progress for this long was interrupted by a restart
+const STALE_JOB_MS = 5 * 60 * 1000;
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+class TemplateReencryptionJob {
+  // Templates whose face_encoding is not prefixed with the given key id
+  staleTemplates(keyId) {
+    return db('face_templates')
+      .whereNot('face_encoding', 'like', `${escapeLike(keyId)}:%`);
+  }
+
+  async getJob(jobId) {
+    return db('template_reencryption_jobs').where('id', jobId).first();
+  }
+
+  async getLatestJob() {
+    return db('template_reencryption_jobs').orderBy('started_at', 'desc').first();
+  }
+
+  async markInterruptedJobs() {
+    await db('template_reencryption_jobs')
+      .where('status', 'running')
+      .where('updated_at', '<', new Date(Date.now() - STALE_JOB_MS))
+      .update({
+        status: 'failed',
+        error: 'Job was interrupted before it finished; start a new job to resume',
+        completed_at: new Date(),
+        updated_at: new Date()
+      });
+  }
+
+  /**
+   * Create a job row and start re-encrypting in the background. Returns null when
+   * another job is already running. Reads keep working throughout because every key
+   * listed in FACE_TEMPLATE_KEYS stays usable for decryption.
+   */
+  async start(adminId) {
+    await this.markInterruptedJobs();
+
+    const targetKeyId = templateKeyring.getActiveKeyId();
+    const [{ count }] = await this.staleTemplates(targetKeyId).count('id as count');
+
+    let job;
+    try {
+      [job] = await db('template_reencryption_jobs')
+        .insert({
+          target_key_id: targetKeyId,
+          total_templates: parseInt(count),
+          started_by: adminId
+        })
+        .returning('*');
+    } catch (error) {
+      // Partial unique index on running jobs
+      if (error.code === '23505') {
+        return null;
+      }
+      throw error;
+    }
+
+    this.run(job).catch(error => {
+      logger.error(`Template re-encryption job ${job.id} crashed:`, error);
+    });
+
+    return job;
+  }
+
+  async run(job) {
+    const failures = [];
+    let processed = 0;
+    let failed = 0;
+    let lastId = null;
+
+    try {
+      while (true) {
+        const query = this.staleTemplates(job.target_key_id)
+          .select('id', 'face_encoding')
+          .orderBy('id')
+          .limit(BATCH_SIZE);
+
+        if (lastId) {
+          query.where('id', '>', lastId);
+        }
+
+        const templates = await query;
+        if (templates.length === 0) {
+          break;
+        }
+
+        for (const template of templates) {
+          try {
+            const features = faceRecognitionService.decryptFaceTemplate(template.face_encoding);
+
+            // Only replace the exact ciphertext that was read, so a concurrent change wins
+            await db('face_templates')
+              .where({ id: template.id, face_encoding: template.face_encoding })
+              .update({
+                face_encoding: faceRecognitionService.encryptFaceTemplate(features),
+                updated_at: new Date()
+              });
+
+            processed++;
+          } catch (error) {
+            failed++;
+            if (failures.length < MAX_RECORDED_FAILURES) {
+              failures.push({ templateId: template.id, error: error.message });
+            }
+          }
+        }
+
+        lastId = templates[templates.length - 1].id;
+
+        await db('template_reencryption_jobs')
+          .where('id', job.id)
+          .update({
+            processed_count: processed,
+            failed_count: failed,
+            failures: JSON.stringify(failures),
+            updated_at: new Date()
+          });
+      }
+
+      await db('template_reencryption_jobs')
+        .where('id', job.id)
+        .update({
+          status: 'completed',
+          completed_at: new Date(),
+          updated_at: new Date()
+        });
+
+      await db('audit_logs').insert({
+        user_id: job.started_by,
+        action: 'face_templates_reencrypted',
+        resource_type: 'template_reencryption_job',
+        resource_id: job.id,
+        new_values: {
+          target_key_id: job.target_key_id,
+          processed_count: processed,
+          failed_count: failed
+        },
+        severity: failed > 0 ? 'high' : 'medium'
+      });
+
+      logger.info(`Template re-encryption job ${job.id} finished: ${processed} re-encrypted, ${failed} failed`);
+    } catch (error) {
+      await db('template_reencryption_jobs')
+        .where('id', job.id)
+        .update({
+          status: 'failed',
+          processed_count: processed,
+          failed_count: failed,
+          failures: JSON.stringify(failures),
+          error: error.message,
+          completed_at: new Date(),
+          updated_at: new Date()
+        });
+
+      throw error;
+    }
+  }
+}
+
+module.exports = new TemplateReencryptionJob();
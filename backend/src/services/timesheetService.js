@@ -0,0 +1,325 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+const { parseJsonColumn } = require('../utils/jsonColumn');
+const workTimeService = require('./workTimeService');
+const overtimeService = require('./overtimeService');
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Day weekly periods start on, 0 for Sunday
+const WEEK_START = [0, 1, 2, 3, 4, 5, 6].includes(parseInt(process.env.TIMESHEET_WEEK_START)) ? parseInt(process.env.TIMESHEET_WEEK_START) : 1;
+// Bi-weekly periods run in 14-day steps from this date
+const BIWEEKLY_ANCHOR = DATE_PATTERN.test(process.env.TIMESHEET_BIWEEKLY_ANCHOR || '') ? process.env.TIMESHEET_BIWEEKLY_ANCHOR : '2024-01-01';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function formatPeriod(row) {
+  return {
+    id: row.id,
+    frequency: row.frequency,
+    startDate: timezone.fromDateColumn(row.start_date),
+    endDate: timezone.fromDateColumn(row.end_date),
+    status: row.status,
+    lockedBy: row.locked_by,
+    lockedAt: row.locked_at,
+    lockNote: row.lock_note,
+    reopenedBy: row.reopened_by,
+    reopenedAt: row.reopened_at,
+    reopenReason: row.reopen_reason
+  };
+}
+
+class TimesheetService {
+  getFrequencies() {
+    return FREQUENCIES;
+  }
+
+  // The period of a frequency containing a YYYY-MM-DD date, as { frequency, startDate, endDate }
+  periodFor(frequency, date) {
+    let startDate;
+    let endDate;
+
+    switch (frequency) {
+      case 'weekly':
+        startDate = timezone.addDays(date, -((timezone.weekday(date) - WEEK_START + 7) % 7));
+        endDate = timezone.addDays(startDate, 6);
+        break;
+      case 'biweekly': {
+        const offset = timezone.daysBetween(BIWEEKLY_ANCHOR, date);
+        startDate = timezone.addDays(BIWEEKLY_ANCHOR, offset - (((offset % 14) + 14) % 14));
+        endDate = timezone.addDays(startDate, 13);
+        break;
+      }
+      case 'monthly': {
+        const [year, month] = date.split('-').map(Number);
+        startDate = `${date.slice(0, 7)}-01`;
+        endDate = timezone.addDays(month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`, -1);
+        break;
+      }
+      default:
+        throw new Error(`Unknown timesheet frequency "${frequency}"`);
+    }
+
+    return { frequency, startDate, endDate };
+  }
+
+  async findPeriod(frequency, startDate) {
+    return db('timesheet_periods').where({ frequency, start_date: startDate }).first();
+  }
+
+  async listPeriods({ frequency, status, limit = 50 } = {}) {
+    let query = db('timesheet_periods').orderBy('start_date', 'desc').limit(limit);
+
+    if (frequency) {
+      query = query.where('frequency', frequency);
+    }
+    if (status) {
+      query = query.where('status', status);
+    }
+
+    return (await query).map(formatPeriod);
+  }
+
+  /**
+   * The locked period overlapping a YYYY-MM-DD date range, if any. Attendance that
+   * would change a locked timesheet is refused until the period is reopened.
+   */
+  async getLockedPeriod(fromDate, toDate = fromDate) {
+    const row = await db('timesheet_periods')
+      .where('status', 'locked')
+      .where('start_date', '<=', toDate)
+      .where('end_date', '>=', fromDate)
+      .orderBy('start_date')
+      .first();
+
+    return row ? formatPeriod(row) : null;
+  }
+
+  lockedMessage(period) {
+    return `Timesheets from ${period.startDate} to ${period.endDate} are locked for payroll; the period must be reopened first`;
+  }
+
+  /**
+   * One employee's timesheet from one YYYY-MM-DD date to another: a row for every date
+   * with the expected shift, holiday and leave, the hours worked net of unpaid breaks and
+   * their split into regular and overtime, plus totals. Pass rules from
+   * overtimeService.load() to build many timesheets against one read.
+   */
+  async build(user, startDate, endDate, rules = null) {
+    const overtime = await overtimeService.calculate(user.id, startDate, endDate, rules);
+    const { period } = overtime;
+    const workDays = new Map(period.days.map(day => [day.date, day]));
+    const overtimeDays = new Map(overtime.days.map(day => [day.date, day]));
+    const absent = new Set(workTimeService.absentDates(period));
+
+    const days = period.expected
+      .filter(entry => entry.date >= startDate)
+      .map(entry => {
+        const day = workDays.get(entry.date);
+        const split = overtimeDays.get(entry.date);
+
+        return {
+          date: entry.date,
+          expected: Boolean(entry.shift),
+          shiftName: entry.shift ? entry.shift.name || entry.shift.schedule_name || null : null,
+          holiday: entry.holiday ? entry.holiday.name : null,
+          leaveType: entry.leave ? entry.leave.type : null,
+          leaveDays: entry.leave ? entry.leave.portion : 0,
+          paidLeave: entry.leave ? Boolean(entry.leave.isPaid) : null,
+          firstCheckIn: day ? timezone.toLocalISOString(day.checkIn.timestamp, day.timezone) : null,
+          lastCheckOut: day && day.checkOut ? timezone.toLocalISOString(day.checkOut.timestamp, day.timezone) : null,
+          sessions: day ? day.completedSessions : 0,
+          workedHours: day ? round(day.workedHours) : 0,
+          paidBreakHours: day ? round(day.paidBreakHours) : 0,
+          unpaidBreakHours: day ? round(day.unpaidBreakHours) : 0,
+          regularHours: split ? split.regularHours : 0,
+          overtimeHours: split ? split.overtimeHours : 0,
+          approvedOvertimeHours: split ? split.approvedOvertimeHours : 0,
+          overtimeCategory: split && split.overtimeHours > 0 ? split.category : null,
+          overtimeMultiplier: split && split.overtimeHours > 0 ? split.multiplier : null,
+          weightedOvertimeHours: split ? split.weightedOvertimeHours : 0,
+          present: Boolean(day) && day.completedSessions > 0,
+          absent: absent.has(entry.date),
+          lateArrival: Boolean(day) && day.lateArrival,
+          earlyDeparture: Boolean(day) && day.earlyDeparture,
+          incomplete: Boolean(day) && day.incomplete
+        };
+      });
+
+    const count = (filter) => days.filter(filter).length;
+    const sum = (field, filter = () => true) => round(days.filter(filter).reduce((total, day) => total + day[field], 0));
+
+    return {
+      employee: {
+        userId: user.id,
+        employeeId: user.employee_id,
+        name: `${user.first_name} ${user.last_name}`,
+        department: user.department,
+        position: user.position
+      },
+      timezone: period.timezone,
+      overtimeRule: overtime.rule,
+      startDate,
+      endDate,
+      days,
+      totals: {
+        expectedDays: count(day => day.expected),
+        presentDays: count(day => day.present),
+        absentDays: count(day => day.absent),
+        holidays: count(day => day.holiday),
+        paidLeaveDays: sum('leaveDays', day => day.paidLeave),
+        unpaidLeaveDays: sum('leaveDays', day => day.paidLeave === false),
+        lateArrivals: count(day => day.lateArrival),
+        earlyDepartures: count(day => day.earlyDeparture),
+        incompleteDays: count(day => day.incomplete),
+        paidBreakHours: sum('paidBreakHours'),
+        unpaidBreakHours: sum('unpaidBreakHours'),
+        ...overtime.totals,
+        // Hours to pay at the base rate: regular hours plus the overtime that may be paid
+        payableHours: round(overtime.totals.regularHours + overtime.totals.approvedOvertimeHours)
+      }
+    };
+  }
+
+  /**
+   * Employees a period's timesheets cover: everyone active, plus anyone with approved
+   * attendance in the period, so employees who left partway through are still paid.
+   */
+  async getEmployees(startDate, endDate, { department, userId } = {}) {
+    const from = timezone.zonedTime(timezone.addDays(startDate, -1), 0);
+    const to = timezone.zonedTime(timezone.addDays(endDate, 2), 0);
+
+    let query = db('users')
+      .where(function() {
+        this.where('users.status', 'active').orWhereExists(
+          db('attendance_records')
+            .whereRaw('attendance_records.user_id = users.id')
+            .where('attendance_records.status', 'approved')
+            .whereBetween('attendance_records.timestamp', [from, to])
+        );
+      })
+      .select('id', 'employee_id', 'first_name', 'last_name', 'department', 'position')
+      .orderBy('last_name')
+      .orderBy('first_name');
+
+    if (department) {
+      query = query.where('users.department', department);
+    }
+    if (userId) {
+      query = query.where('users.id', userId);
+    }
+
+    return query;
+  }
+
+  /**
+   * Timesheets for the period of a frequency containing a date. Locked periods are read
+   * from the snapshot taken when they were locked; open ones are computed from attendance.
+   * Returns { period, timesheets } where period.status is 'open' for periods never locked.
+   */
+  async getTimesheets(frequency, date, filters = {}) {
+    const bounds = this.periodFor(frequency, date);
+    const row = await this.findPeriod(frequency, bounds.startDate);
+
+    if (row && row.status === 'locked') {
+      const entries = await db('timesheet_entries').where('period_id', row.id).select('user_id', 'timesheet');
+      const timesheets = entries
+        .map(entry => parseJsonColumn(entry.timesheet))
+        .filter(timesheet => !filters.department || timesheet.employee.department === filters.department)
+        .filter(timesheet => !filters.userId || timesheet.employee.userId === filters.userId)
+        .sort((a, b) => a.employee.name.localeCompare(b.employee.name));
+
+      return { period: formatPeriod(row), timesheets };
+    }
+
+    const [employees, rules] = await Promise.all([
+      this.getEmployees(bounds.startDate, bounds.endDate, filters),
+      overtimeService.load()
+    ]);
+    const timesheets = await Promise.all(employees.map(user => this.build(user, bounds.startDate, bounds.endDate, rules)));
+
+    return {
+      period: row ? formatPeriod(row) : { id: null, ...bounds, status: 'open' },
+      timesheets
+    };
+  }
+
+  /**
+   * Approve and lock a period: every employee's timesheet is computed once more and
+   * stored, and later reads and exports use that copy. Returns { period, count }, or
+   * { error } when the period is already locked.
+   */
+  async lock(frequency, startDate, adminId, note = null) {
+    const bounds = this.periodFor(frequency, startDate);
+    const existing = await this.findPeriod(frequency, bounds.startDate);
+    if (existing && existing.status === 'locked') {
+      return { error: 'Timesheet period is already locked' };
+    }
+
+    const [employees, rules] = await Promise.all([
+      this.getEmployees(bounds.startDate, bounds.endDate),
+      overtimeService.load()
+    ]);
+    const timesheets = await Promise.all(employees.map(user => this.build(user, bounds.startDate, bounds.endDate, rules)));
+
+    const period = await db.transaction(async trx => {
+      const values = { status: 'locked', locked_by: adminId, locked_at: new Date(), lock_note: note, updated_at: new Date() };
+      let row;
+
+      if (existing) {
+        [row] = await trx('timesheet_periods')
+          .where('id', existing.id)
+          .where('status', 'open')
+          .update(values)
+          .returning('*');
+      } else {
+        [row] = await trx('timesheet_periods')
+          .insert({ frequency, start_date: bounds.startDate, end_date: bounds.endDate, ...values })
+          .onConflict(['frequency', 'start_date'])
+          .ignore()
+          .returning('*');
+      }
+      // Another admin locked it first
+      if (!row) {
+        return null;
+      }
+
+      await trx('timesheet_entries').where('period_id', row.id).del();
+      if (timesheets.length > 0) {
+        await trx('timesheet_entries').insert(timesheets.map(timesheet => ({
+          period_id: row.id,
+          user_id: timesheet.employee.userId,
+          timesheet: JSON.stringify(timesheet)
+        })));
+      }
+
+      return row;
+    });
+
+    if (!period) {
+      return { error: 'Timesheet period is already locked' };
+    }
+
+    logger.info(`Timesheet period ${frequency} ${bounds.startDate} locked with ${timesheets.length} timesheets by ${adminId}`);
+
+    return { period: formatPeriod(period), count: timesheets.length };
+  }
+
+  /**
+   * Reopen a locked period so attendance in it can be corrected; it has to be locked
+   * again before its numbers are final. The stored timesheets are kept until then.
+   * Returns the period, or null when it is not locked.
+   */
+  async reopen(periodId, adminId, reason) {
+    const [period] = await db('timesheet_periods')
+      .where('id', periodId)
+      .where('status', 'locked')
+      .update({ status: 'open', reopened_by: adminId, reopened_at: new Date(), reopen_reason: reason, updated_at: new Date() })
+      .returning('*');
+
+    return period ? formatPeriod(period) : null;
+  }
+}
+
+module.exports = new TimesheetService();
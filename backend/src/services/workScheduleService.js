@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const workTimeService = require('./workTimeService');
+const timezone = require('../utils/timezone');
+
+// Columns a new version copies from the one it replaces unless the change sets them
+const VERSIONED_COLUMNS = [
+  'user_id',
+  'schedule_name',
+  'start_time',
+  'end_time',
+  'working_days',
+  'latitude',
+  'longitude',
+  'location_radius',
+  'location_name',
+  'timezone',
+  'break_policies',
+  'effective_to'
+];
+const JSON_COLUMNS = ['working_days', 'break_policies'];
+
+class WorkScheduleService {
+  // Today in the employee's zone, the default date changes apply from
+  async today(userId) {
+    return timezone.formatDate(new Date(), await workTimeService.getTimezone(userId));
+  }
+
+  // upcoming, current or ended relative to a YYYY-MM-DD date; inactive schedules never apply
+  getStatus(schedule, today) {
+    const from = timezone.fromDateColumn(schedule.effective_from);
+    const to = timezone.fromDateColumn(schedule.effective_to);
+
+    if (!schedule.is_active) return 'inactive';
+    if (from && from > today) return 'upcoming';
+    if (to && to < today) return 'ended';
+    return 'current';
+  }
+
+  /**
+   * The user's active schedules whose effective dates overlap from..to, both YYYY-MM-DD.
+   * A null from or to is open-ended, as are the effective_from/effective_to columns.
+   */
+  async findOverlaps(userId, from, to, excludeId = null, trx = db) {
+    let query = trx('work_schedules')
+      .where('user_id', userId)
+      .where('is_active', true);
+
+    if (excludeId) {
+      query = query.whereNot('id', excludeId);
+    }
+    if (to) {
+      query = query.where(function() {
+        this.whereNull('effective_from').orWhere('effective_from', '<=', to);
+      });
+    }
+    if (from) {
+      query = query.where(function() {
+        this.whereNull('effective_to').orWhere('effective_to', '>=', from);
+      });
+    }
+
+    return query.select('id', 'schedule_name', 'effective_from', 'effective_to', 'version');
+  }
+
+  // Whether any approved punch falls within the schedule's effective dates in the employee's zone
+  async hasAttendance(schedule) {
+    const zone = await workTimeService.getTimezone(schedule.user_id);
+    const from = timezone.fromDateColumn(schedule.effective_from);
+    const to = timezone.fromDateColumn(schedule.effective_to);
+
+    let query = db('attendance_records')
+      .where('user_id', schedule.user_id)
+      .where('status', 'approved');
+    if (from) {
+      query = query.where('timestamp', '>=', timezone.zonedTime(from, 0, zone));
+    }
+    if (to) {
+      query = query.where('timestamp', '<', timezone.zonedTime(timezone.addDays(to, 1), 0, zone));
+    }
+
+    return Boolean(await query.first('id'));
+  }
+
+  // Returns { conflicts } when the new schedule would overlap another, else { schedule }
+  async create(columns, adminId) {
+    return db.transaction(async trx => {
+      const conflicts = await this.findOverlaps(columns.user_id, columns.effective_from, columns.effective_to, null, trx);
+      if (conflicts.length > 0) {
+        return { conflicts };
+      }
+
+      const [schedule] = await trx('work_schedules')
+        .insert({ ...columns, series_id: crypto.randomUUID(), version: 1, created_by: adminId })
+        .returning('*');
+      return { schedule };
+    });
+  }
+
+  /**
+   * Apply changed columns from a YYYY-MM-DD date. A schedule that has not started by then
+   * is edited in place and moved to start on that date. Otherwise the current version is
+   * ended the day before and a new version starts on it, so earlier attendance is still
+   * read against the old times. Returns { error }, { conflicts } or
+   * { schedule, previous, versioned } where previous is the ended version, if any.
+   */
+  async update(schedule, changes, applyFrom, adminId) {
+    const from = timezone.fromDateColumn(schedule.effective_from);
+    const to = timezone.fromDateColumn(schedule.effective_to);
+    const newTo = changes.effective_to !== undefined ? changes.effective_to : to;
+
+    if (!schedule.is_active) {
+      return { error: 'Inactive schedules cannot be changed' };
+    }
+    if (to && to < applyFrom) {
+      return { error: 'The schedule ends before the change would apply; create a new schedule instead' };
+    }
+    if (newTo && newTo < applyFrom) {
+      return { error: 'Effective to must not be before the date the change applies from' };
+    }
+
+    const inPlace = from !== null && from >= applyFrom;
+
+    return db.transaction(async trx => {
+      const conflicts = await this.findOverlaps(schedule.user_id, applyFrom, newTo, schedule.id, trx);
+      if (conflicts.length > 0) {
+        return { conflicts };
+      }
+
+      if (inPlace) {
+        const [updated] = await trx('work_schedules')
+          .where('id', schedule.id)
+          .update({ ...changes, effective_from: applyFrom, updated_at: new Date() })
+          .returning('*');
+        return { schedule: updated, previous: null, versioned: false };
+      }
+
+      const [previous] = await trx('work_schedules')
+        .where('id', schedule.id)
+        .update({ effective_to: timezone.addDays(applyFrom, -1), updated_at: new Date() })
+        .returning('*');
+
+      const copied = {};
+      for (const column of VERSIONED_COLUMNS) {
+        const value = schedule[column];
+        copied[column] = JSON_COLUMNS.includes(column) && value != null && typeof value !== 'string'
+          ? JSON.stringify(value)
+          : value;
+      }
+
+      const [created] = await trx('work_schedules')
+        .insert({
+          ...copied,
+          ...changes,
+          effective_from: applyFrom,
+          effective_to: newTo,
+          series_id: schedule.series_id || schedule.id,
+          version: (schedule.version || 1) + 1,
+          created_by: adminId
+        })
+        .returning('*');
+
+      return { schedule: created, previous, versioned: true };
+    });
+  }
+
+  /**
+   * End a schedule after a YYYY-MM-DD date. It keeps applying to attendance up to that
+   * date; a schedule that would not have started by then is switched off altogether.
+   * Returns { error } or { schedule }.
+   */
+  async deactivate(schedule, effectiveTo) {
+    const from = timezone.fromDateColumn(schedule.effective_from);
+    const to = timezone.fromDateColumn(schedule.effective_to);
+
+    if (!schedule.is_active) {
+      return { error: 'Work schedule is already inactive' };
+    }
+    if (to && to <= effectiveTo) {
+      return { error: 'Work schedule already ends on or before that date' };
+    }
+
+    const updates = from && from > effectiveTo
+      ? { is_active: false }
+      : { effective_to: effectiveTo };
+
+    const [updated] = await db('work_schedules')
+      .where('id', schedule.id)
+      .update({ ...updates, updated_at: new Date() })
+      .returning('*');
+    return { schedule: updated };
+  }
+
+  /**
+   * Delete a schedule version. When it directly followed the previous version, that
+   * version is extended over the deleted dates, undoing the change. Callers check
+   * hasAttendance first; versions that attendance was read against are ended instead.
+   */
+  async remove(schedule) {
+    return db.transaction(async trx => {
+      await trx('work_schedules').where('id', schedule.id).del();
+
+      const from = timezone.fromDateColumn(schedule.effective_from);
+      if (!schedule.series_id || !from || (schedule.version || 1) <= 1) {
+        return { restored: null };
+      }
+
+      const predecessor = await trx('work_schedules')
+        .where('series_id', schedule.series_id)
+        .where('version', schedule.version - 1)
+        .where('is_active', true)
+        .first();
+      if (!predecessor || timezone.fromDateColumn(predecessor.effective_to) !== timezone.addDays(from, -1)) {
+        return { restored: null };
+      }
+
+      const [restored] = await trx('work_schedules')
+        .where('id', predecessor.id)
+        .update({ effective_to: timezone.fromDateColumn(schedule.effective_to), updated_at: new Date() })
+        .returning('*');
+      return { restored };
+    });
+  }
+
+  // Every version in the schedule's series, oldest first
+  async getVersions(schedule) {
+    return db('work_schedules')
+      .where('series_id', schedule.series_id || schedule.id)
+      .orderBy('version', 'asc');
+  }
+}
+
+module.exports = new WorkScheduleService();
@@ -0,0 +1,600 @@
+const db = require('../config/database');
+const geofenceService = require('./geofenceService');
+const holidayService = require('./holidayService');
+const rosterService = require('./rosterService');
+const timezone = require('../utils/timezone');
+const { parseJsonColumn } = require('../utils/jsonColumn');
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const MINUTES_PER_DAY = 24 * 60;
+// A check-in open longer than this is taken as a missed check-out rather than one long session
+const MAX_SESSION_MS = (parseFloat(process.env.MAX_SESSION_HOURS) || 16) * MS_PER_HOUR;
+// Shift assumed for users without a roster or work schedule, Monday to Friday
+const DEFAULT_SHIFT = { name: 'Default', start_time: '09:00', end_time: '17:00', timezone: null, break_policies: [] };
+const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+// Applied to break types the schedule has no policy for
+const DEFAULT_BREAK_POLICY = { type: null, paid: false, maxMinutes: null };
+const DEFAULT_BREAK_TYPE = 'break';
+// Punches that open and close sessions: flagged and pending ones count until an admin rejects
+// them, so a flagged check-in can still be checked out, but only approved ones are paid
+const SESSION_STATUSES = ['approved', 'flagged', 'pending'];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Query dates arrive as YYYY-MM-DD strings, which new Date() would read as UTC midnight
+function toDateString(value, zone) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  return timezone.formatDate(value, zone);
+}
+
+// Shift times are written in the schedule's zone, falling back to the employee's
+function zoneFor(schedule, userZone) {
+  return (schedule && schedule.timezone) || userZone;
+}
+
+// Shift start and end as minutes past midnight, with its length; an end at or before the start runs overnight
+function getShift(schedule) {
+  const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  };
+  const { start_time: startTime, end_time: endTime } = schedule || DEFAULT_SHIFT;
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+
+  return { start, end, duration: (end - start + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY };
+}
+
+class WorkTimeService {
+  getMaxSessionHours() {
+    return MAX_SESSION_MS / MS_PER_HOUR;
+  }
+
+  getDefaultBreakType() {
+    return DEFAULT_BREAK_TYPE;
+  }
+
+  // Returns an error message for malformed break policies, or null if they are usable
+  validateBreakPolicies(policies) {
+    if (!Array.isArray(policies)) {
+      return 'Break policies must be an array';
+    }
+
+    const types = new Set();
+    for (const policy of policies) {
+      if (!policy || typeof policy.type !== 'string' || !policy.type.trim() || policy.type.length > 50) {
+        return 'Every break policy needs a type of up to 50 characters';
+      }
+      if (types.has(policy.type)) {
+        return `Break type "${policy.type}" has more than one policy`;
+      }
+      types.add(policy.type);
+
+      if (typeof policy.paid !== 'boolean') {
+        return `Break policy "${policy.type}" must say whether it is paid`;
+      }
+      if (policy.maxMinutes != null && (!Number.isInteger(policy.maxMinutes) || policy.maxMinutes < 1 || policy.maxMinutes > 480)) {
+        return `Break policy "${policy.type}" max duration must be between 1 and 480 minutes`;
+      }
+    }
+
+    return null;
+  }
+
+  // Break policies of the shift the user is working now, from their roster or work schedule
+  async getBreakPolicies(userId, timestamp = new Date()) {
+    const { shift, schedule } = await this.getShiftAt(userId, timestamp);
+    if (shift) return shift.break_policies;
+    return schedule ? schedule.break_policies : [];
+  }
+
+  /**
+   * The employee's own zone: set on the user, else taken from an assigned work site,
+   * else DEFAULT_TIMEZONE. A schedule's zone overrides it for that schedule's shifts.
+   */
+  async getTimezone(userId) {
+    const user = await db('users').where('id', userId).select('timezone').first();
+    if (user && user.timezone) {
+      return user.timezone;
+    }
+
+    const sites = await geofenceService.getSitesForUser(userId);
+    const site = sites.find(candidate => candidate.timezone);
+    return site ? site.timezone : timezone.DEFAULT_TIMEZONE;
+  }
+
+  resolveBreakPolicy(policies, breakType) {
+    return policies.find(policy => policy.type === breakType) || { ...DEFAULT_BREAK_POLICY, type: breakType };
+  }
+
+  /**
+   * Split one break into paid and unpaid minutes. Time beyond a paid break's maxMinutes
+   * is unpaid; unpaid breaks are unpaid in full. exceededMinutes reports overruns either way.
+   */
+  measureBreak(start, end, policy) {
+    const minutes = Math.max(0, (new Date(end) - new Date(start)) / MS_PER_MINUTE);
+    const limit = policy.maxMinutes != null ? policy.maxMinutes : Infinity;
+    const paidMinutes = policy.paid ? Math.min(minutes, limit) : 0;
+
+    return {
+      type: policy.type,
+      start,
+      end,
+      minutes: round(minutes, 1),
+      paid: policy.paid,
+      paidMinutes: round(paidMinutes, 1),
+      unpaidMinutes: round(minutes - paidMinutes, 1),
+      maxMinutes: policy.maxMinutes,
+      exceededMinutes: round(Math.max(0, minutes - limit), 1)
+    };
+  }
+
+  // Active schedules of every effective period, so past punches are read against the schedule they fell under
+  async getSchedules(userId) {
+    const schedules = await db('work_schedules')
+      .where('user_id', userId)
+      .where('is_active', true)
+      .select('id', 'schedule_name', 'start_time', 'end_time', 'timezone', 'working_days', 'break_policies', 'effective_from', 'effective_to')
+      .orderBy('effective_from', 'asc');
+
+    return schedules.map(schedule => ({
+      ...schedule,
+      break_policies: parseJsonColumn(schedule.break_policies) || []
+    }));
+  }
+
+  // Effective dates are compared with the punch's local date in the employee's zone
+  scheduleFor(schedules, timestamp, userZone = timezone.DEFAULT_TIMEZONE) {
+    return this.scheduleOn(schedules, timezone.formatDate(timestamp, userZone));
+  }
+
+  scheduleOn(schedules, date) {
+    return schedules.find(schedule =>
+      (!schedule.effective_from || timezone.fromDateColumn(schedule.effective_from) <= date) &&
+      (!schedule.effective_to || timezone.fromDateColumn(schedule.effective_to) >= date)
+    ) || null;
+  }
+
+  /**
+   * The work day a punch belongs to, as YYYY-MM-DD. Days roll over halfway through the
+   * gap between the shift's end and the next shift's start, so a night shift's early
+   * arrivals and after-midnight punches all land on the date the shift starts. Without
+   * a schedule the default 09:00-17:00 shift applies, which rolls over at 01:00. Times
+   * are read in the schedule's zone, or the employee's when the schedule has none.
+   */
+  workDayFor(timestamp, schedule, userZone = timezone.DEFAULT_TIMEZONE) {
+    const shift = getShift(schedule);
+    const zone = zoneFor(schedule, userZone);
+    const local = timezone.localParts(timestamp, zone);
+    const minuteOfDay = local.hour * 60 + local.minute;
+    const rollover = (shift.end + (MINUTES_PER_DAY - shift.duration) / 2) % MINUTES_PER_DAY;
+
+    let dayOffset = minuteOfDay < rollover ? -1 : 0;
+    // Shifts starting before the rollover (e.g. 00:30) begin on the day after the window opens
+    if (shift.start < rollover) {
+      dayOffset += 1;
+    }
+
+    return timezone.addDays(timezone.formatDate(timestamp, zone), dayOffset);
+  }
+
+  // Scheduled start and end of the shift on a work day; the end falls on the next date for overnight shifts
+  shiftBounds(workDate, schedule, userZone = timezone.DEFAULT_TIMEZONE) {
+    const shift = getShift(schedule);
+    const zone = zoneFor(schedule, userZone);
+    const endDate = shift.start + shift.duration >= MINUTES_PER_DAY ? timezone.addDays(workDate, 1) : workDate;
+
+    return {
+      start: timezone.zonedTime(workDate, shift.start, zone),
+      end: timezone.zonedTime(endDate, shift.end, zone)
+    };
+  }
+
+  /**
+   * The shift expected of a user on each date from one YYYY-MM-DD date to another, as a
+   * Map of date to { source, shift } where shift is null on a day off. Holidays on the
+   * user's calendars are days off whatever else applies; then rosters come first, dates
+   * no roster covers use the work schedule's times and working days, and users with
+   * neither get the default Monday to Friday shift.
+   */
+  async getExpectedShifts(userId, fromDate, toDate, schedules = null) {
+    const [holidays, rostered, userSchedules] = await Promise.all([
+      holidayService.getHolidays(userId, fromDate, toDate),
+      rosterService.getRosteredShifts(userId, fromDate, toDate),
+      schedules || this.getSchedules(userId)
+    ]);
+    const expected = new Map();
+
+    for (let date = fromDate; date <= toDate; date = timezone.addDays(date, 1)) {
+      if (holidays.has(date)) {
+        expected.set(date, { source: 'holiday', shift: null, holiday: holidays.get(date) });
+        continue;
+      }
+      if (rostered.has(date)) {
+        expected.set(date, { source: 'roster', shift: rostered.get(date) });
+        continue;
+      }
+
+      const schedule = this.scheduleOn(userSchedules, date);
+      const workingDays = schedule ? parseJsonColumn(schedule.working_days) || [] : DEFAULT_WORKING_DAYS;
+      const day = timezone.weekday(date);
+      // Sunday may be stored as 0 or 7
+      const working = workingDays.includes(day) || (day === 0 && workingDays.includes(7));
+
+      let shift = null;
+      if (working) {
+        shift = schedule
+          ? {
+            scheduleId: schedule.id,
+            name: schedule.schedule_name,
+            start_time: schedule.start_time,
+            end_time: schedule.end_time,
+            timezone: schedule.timezone,
+            break_policies: schedule.break_policies,
+            workSiteId: null
+          }
+          : DEFAULT_SHIFT;
+      }
+      expected.set(date, { source: schedule ? 'schedule' : 'default', shift });
+    }
+
+    return expected;
+  }
+
+  /**
+   * The expected shift a punch belongs to, as its work date, or null when none is close.
+   * A punch matches a shift from the day before to the day after its local date when it
+   * falls within the shift or within half the gap to the neighbouring shifts, the same
+   * rule workDayFor uses for fixed schedules.
+   */
+  matchWorkDay(timestamp, expectedShifts, userZone = timezone.DEFAULT_TIMEZONE) {
+    const time = new Date(timestamp).getTime();
+    const localDate = timezone.formatDate(timestamp, userZone);
+    let best = null;
+
+    for (const offset of [-1, 0, 1]) {
+      const date = timezone.addDays(localDate, offset);
+      const entry = expectedShifts.get(date);
+      if (!entry || !entry.shift) continue;
+
+      const bounds = this.shiftBounds(date, entry.shift, userZone);
+      const distance = Math.max(bounds.start - time, time - bounds.end, 0);
+      const allowed = (MINUTES_PER_DAY - getShift(entry.shift).duration) / 2 * MS_PER_MINUTE;
+
+      if (distance <= allowed && (!best || distance < best.distance)) {
+        best = { date, distance };
+      }
+    }
+
+    return best ? best.date : null;
+  }
+
+  // The work day and expected shift for a moment, falling back to the work schedule's rollover
+  async getShiftAt(userId, timestamp = new Date()) {
+    const [schedules, userZone] = await Promise.all([this.getSchedules(userId), this.getTimezone(userId)]);
+    const localDate = timezone.formatDate(timestamp, userZone);
+    const expected = await this.getExpectedShifts(userId, timezone.addDays(localDate, -1), timezone.addDays(localDate, 1), schedules);
+    const schedule = this.scheduleFor(schedules, timestamp, userZone);
+    const workDate = this.matchWorkDay(timestamp, expected, userZone) || this.workDayFor(timestamp, schedule, userZone);
+    const entry = expected.get(workDate);
+
+    return { workDate, shift: entry ? entry.shift : null, schedule, timezone: userZone };
+  }
+
+  /**
+   * Pair punches, sorted by timestamp, into check-in/check-out sessions regardless
+   * of calendar date. Break punches attach to the session they fall in. A check-in left
+   * open longer than MAX_SESSION_HOURS is treated as a missed check-out: it stays an open
+   * session and a later check-out does not close it.
+   */
+  buildSessions(records) {
+    const sessions = [];
+    let open = null;
+
+    for (const record of records) {
+      if (record.type === 'check_in') {
+        if (open) sessions.push(open);
+        open = { checkIn: record, checkOut: null, breakRecords: [] };
+      } else if (record.type === 'check_out') {
+        if (open && new Date(record.timestamp) - new Date(open.checkIn.timestamp) <= MAX_SESSION_MS) {
+          open.checkOut = record;
+        }
+        if (open) sessions.push(open);
+        open = null;
+      } else if (open && (record.type === 'break_start' || record.type === 'break_end')) {
+        open.breakRecords.push(record);
+      }
+    }
+    if (open) sessions.push(open);
+
+    return sessions;
+  }
+
+  getSessionStatuses() {
+    return SESSION_STATUSES;
+  }
+
+  // The user's latest check-in or check-out that has not been rejected
+  async getLastPunch(userId, now = new Date()) {
+    return db('attendance_records')
+      .where('user_id', userId)
+      .whereIn('status', SESSION_STATUSES)
+      .whereIn('type', ['check_in', 'check_out'])
+      .where('timestamp', '<=', now)
+      .orderBy('timestamp', 'desc')
+      .first();
+  }
+
+  /**
+   * The user's session in progress: their latest check-in that has not been rejected, if it
+   * has no check-out and is within MAX_SESSION_HOURS. Returns { checkIn, breakRecords,
+   * openBreak } or null.
+   */
+  async getOpenSession(userId, now = new Date()) {
+    const lastPunch = await this.getLastPunch(userId, now);
+
+    if (!lastPunch || lastPunch.type !== 'check_in' || now - new Date(lastPunch.timestamp) > MAX_SESSION_MS) {
+      return null;
+    }
+
+    const breakRecords = await db('attendance_records')
+      .where('user_id', userId)
+      .whereIn('status', SESSION_STATUSES)
+      .whereIn('type', ['break_start', 'break_end'])
+      .where('timestamp', '>=', lastPunch.timestamp)
+      .orderBy('timestamp', 'asc');
+
+    const lastBreak = breakRecords[breakRecords.length - 1];
+
+    return {
+      checkIn: lastPunch,
+      breakRecords,
+      openBreak: lastBreak && lastBreak.type === 'break_start' ? lastBreak : null
+    };
+  }
+
+  /**
+   * Worked time for one session. Breaks are paired start-to-end and clipped to the
+   * check-in/check-out span; a break still open at check-out ends there. Returns zero
+   * hours until the session has a check-out.
+   */
+  summarizeSession(session, policies = []) {
+    const { checkIn, checkOut } = session;
+    const summary = {
+      checkIn,
+      checkOut,
+      grossHours: 0,
+      paidBreakHours: 0,
+      unpaidBreakHours: 0,
+      workedHours: 0,
+      breaks: []
+    };
+
+    if (!checkOut) {
+      return summary;
+    }
+
+    const sessionStart = new Date(checkIn.timestamp);
+    const sessionEnd = new Date(checkOut.timestamp);
+    let openBreak = null;
+
+    const closeBreak = (endTimestamp) => {
+      const start = new Date(Math.max(new Date(openBreak.timestamp), sessionStart));
+      const end = new Date(Math.min(new Date(endTimestamp), sessionEnd));
+      if (end > start) {
+        const breakType = openBreak.break_type || DEFAULT_BREAK_TYPE;
+        summary.breaks.push(this.measureBreak(start, end, this.resolveBreakPolicy(policies, breakType)));
+      }
+      openBreak = null;
+    };
+
+    for (const record of session.breakRecords) {
+      if (record.type === 'break_start' && !openBreak) {
+        openBreak = record;
+      } else if (record.type === 'break_end' && openBreak) {
+        closeBreak(record.timestamp);
+      }
+    }
+    if (openBreak) {
+      closeBreak(sessionEnd);
+    }
+
+    const paidBreakMinutes = summary.breaks.reduce((sum, item) => sum + item.paidMinutes, 0);
+    const unpaidBreakMinutes = summary.breaks.reduce((sum, item) => sum + item.unpaidMinutes, 0);
+    const grossHours = (sessionEnd - sessionStart) / MS_PER_HOUR;
+
+    summary.grossHours = grossHours;
+    summary.paidBreakHours = paidBreakMinutes / 60;
+    summary.unpaidBreakHours = unpaidBreakMinutes / 60;
+    summary.workedHours = Math.max(0, grossHours - summary.unpaidBreakHours);
+
+    return summary;
+  }
+
+  /**
+   * Group sessions into work days by the work day of their check-in, so a session is
+   * never split across dates. expectedShifts (from getExpectedShifts) places sessions on
+   * rostered shifts; without an entry the work schedule decides. Hours total the completed
+   * sessions; lateArrival and earlyDeparture compare the first check-in and last check-out
+   * with the expected shift and are never set on a day off.
+   */
+  summarizeWorkDays(records, schedules = [], userZone = timezone.DEFAULT_TIMEZONE, expectedShifts = new Map()) {
+    const days = new Map();
+
+    for (const session of this.buildSessions(records)) {
+      const timestamp = session.checkIn.timestamp;
+      const schedule = this.scheduleFor(schedules, timestamp, userZone);
+      const date = this.matchWorkDay(timestamp, expectedShifts, userZone) || this.workDayFor(timestamp, schedule, userZone);
+
+      if (!days.has(date)) {
+        const entry = expectedShifts.get(date);
+        days.set(date, {
+          date,
+          schedule,
+          source: entry ? entry.source : null,
+          holiday: entry ? entry.holiday || null : null,
+          // Without an expected-shift entry the schedule (or the default shift) applies
+          shift: entry ? entry.shift : schedule || DEFAULT_SHIFT,
+          sessions: []
+        });
+      }
+      const day = days.get(date);
+      day.sessions.push(this.summarizeSession(session, day.shift ? day.shift.break_policies || [] : []));
+    }
+
+    return [...days.values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(({ date, schedule, source, holiday, shift, sessions }) => {
+        const completed = sessions.filter(session => session.checkOut);
+        const lastSession = sessions[sessions.length - 1];
+        const bounds = shift ? this.shiftBounds(date, shift, userZone) : null;
+        const checkIn = sessions[0].checkIn;
+        const checkOut = lastSession.checkOut;
+        const total = (field) => completed.reduce((sum, session) => sum + session[field], 0);
+
+        return {
+          date,
+          timezone: zoneFor(shift || schedule, userZone),
+          scheduleId: schedule ? schedule.id : null,
+          scheduled: Boolean(shift),
+          shiftSource: source,
+          shiftName: shift ? shift.name || shift.schedule_name || null : null,
+          holiday: holiday ? holiday.name : null,
+          workSiteId: shift ? shift.workSiteId || null : null,
+          shiftStart: bounds ? bounds.start : null,
+          shiftEnd: bounds ? bounds.end : null,
+          checkIn,
+          checkOut,
+          sessions,
+          completedSessions: completed.length,
+          grossHours: total('grossHours'),
+          paidBreakHours: total('paidBreakHours'),
+          unpaidBreakHours: total('unpaidBreakHours'),
+          workedHours: total('workedHours'),
+          breaks: completed.flatMap(session => session.breaks),
+          lateArrival: Boolean(bounds) && new Date(checkIn.timestamp) > bounds.start,
+          earlyDeparture: Boolean(bounds) && Boolean(checkOut) && new Date(checkOut.timestamp) < bounds.end
+        };
+      });
+  }
+
+  /**
+   * A user's attendance from one date to another inclusive, given as YYYY-MM-DD strings or
+   * Dates (read in the employee's zone). Punches are loaded with a margin either side so
+   * that sessions crossing the range edges are paired whole. Returns { timezone, days,
+   * expected } where expected lists each date's expected shift, null on days off, with
+   * the holiday on holidays and any approved leave. A day is incomplete while a session
+   * the end-of-day job flagged still has no check-out.
+   */
+  async getPeriod(userId, from, to) {
+    const userZone = await this.getTimezone(userId);
+    const fromDate = toDateString(from, userZone);
+    const toDate = toDateString(to, userZone);
+    const margin = MS_PER_DAY + MAX_SESSION_MS;
+
+    const [schedules, leaveDays, flagged, records] = await Promise.all([
+      this.getSchedules(userId),
+      this.getLeaveDays(userId, fromDate, toDate),
+      db('open_session_resolutions')
+        .where('user_id', userId)
+        .whereNot('action', 'auto_check_out')
+        .whereBetween('work_date', [timezone.addDays(fromDate, -1), timezone.addDays(toDate, 1)])
+        .pluck('check_in_record_id'),
+      db('attendance_records')
+        .where('user_id', userId)
+        .where('status', 'approved')
+        .whereBetween('timestamp', [
+          new Date(timezone.zonedTime(fromDate, 0, userZone).getTime() - margin),
+          new Date(timezone.zonedTime(toDate, 0, userZone).getTime() + MS_PER_DAY + margin)
+        ])
+        .orderBy('timestamp', 'asc')
+    ]);
+
+    // A day either side so sessions near the range edges can match their shifts
+    const expectedShifts = await this.getExpectedShifts(userId, timezone.addDays(fromDate, -1), timezone.addDays(toDate, 1), schedules);
+    const inRange = (date) => date >= fromDate && date <= toDate;
+
+    return {
+      timezone: userZone,
+      days: this.summarizeWorkDays(records, schedules, userZone, expectedShifts)
+        .filter(day => inRange(day.date))
+        .map(day => ({
+          ...day,
+          incomplete: day.sessions.some(session => !session.checkOut && flagged.includes(session.checkIn.id))
+        })),
+      expected: [...expectedShifts.entries()]
+        .filter(([date]) => inRange(date))
+        .map(([date, entry]) => ({
+          date,
+          source: entry.source,
+          shift: entry.shift,
+          holiday: entry.holiday || null,
+          // Leave only applies to days the employee was expected to work
+          leave: entry.shift ? leaveDays.get(date) || null : null
+        }))
+    };
+  }
+
+  /**
+   * Approved leave from one YYYY-MM-DD date to another, as a Map of date to
+   * { requestId, type, name, isPaid, halfDay, portion } where portion is 0.5 for half days.
+   */
+  async getLeaveDays(userId, fromDate, toDate) {
+    const requests = await db('leave_requests')
+      .join('leave_types', 'leave_requests.leave_type_id', 'leave_types.id')
+      .where('leave_requests.user_id', userId)
+      .where('leave_requests.status', 'approved')
+      .where('leave_requests.start_date', '<=', toDate)
+      .where('leave_requests.end_date', '>=', fromDate)
+      .select('leave_requests.*', 'leave_types.code', 'leave_types.name as leave_type_name', 'leave_types.is_paid');
+
+    const leaveDays = new Map();
+    for (const request of requests) {
+      const start = timezone.fromDateColumn(request.start_date);
+      const end = timezone.fromDateColumn(request.end_date);
+
+      for (let date = start > fromDate ? start : fromDate; date <= end && date <= toDate; date = timezone.addDays(date, 1)) {
+        leaveDays.set(date, {
+          requestId: request.id,
+          type: request.code,
+          name: request.leave_type_name,
+          isPaid: request.is_paid,
+          halfDay: request.half_day,
+          portion: request.half_day ? 0.5 : 1
+        });
+      }
+    }
+
+    return leaveDays;
+  }
+
+  async getWorkDays(userId, from, to) {
+    return (await this.getPeriod(userId, from, to)).days;
+  }
+
+  /**
+   * Dates in a period the user was expected to work but has no completed session, up to
+   * and including today in their zone. Full days of approved leave are excused; a half
+   * day of leave still expects the other half to be worked.
+   */
+  absentDates(period) {
+    const today = timezone.formatDate(new Date(), period.timezone);
+    const present = new Set(period.days.filter(day => day.completedSessions > 0).map(day => day.date));
+
+    return period.expected
+      .filter(entry => entry.shift && entry.date <= today && !present.has(entry.date))
+      .filter(entry => !entry.leave || entry.leave.portion < 1)
+      .map(entry => entry.date);
+  }
+
+  // Days of approved leave taken on expected work days in a period, half days counting 0.5
+  leaveDayCount(period) {
+    return period.expected.reduce((sum, entry) => sum + (entry.leave ? entry.leave.portion : 0), 0);
+  }
+}
+
+module.exports = new WorkTimeService();
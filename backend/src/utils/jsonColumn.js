@@ -0,0 +1,15 @@
+// JSON columns come back parsed from Postgres but as strings from other drivers.
+// Empty and unparseable values read as null so callers can fall back to a default.
+function parseJsonColumn(value) {
+  if (!value) return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  parseJsonColumn
+};
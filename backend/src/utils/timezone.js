@@ -0,0 +1,152 @@
+// IANA timezone helpers built on Intl, so no timezone database has to ship with the app
+
+// Zone for users, sites and schedules that do not set one
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const pad = (value) => String(value).padStart(2, '0');
+
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a zone; weekday is 0 for Sunday as with Date#getDay
+function localParts(date, timezone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const part of getFormatter(timezone).formatToParts(new Date(date))) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+// Offset of the zone from UTC at an instant, in minutes (330 for Asia/Kolkata)
+function offsetMinutes(date, timezone = DEFAULT_TIMEZONE) {
+  const instant = new Date(date);
+  const parts = localParts(instant, timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+// Local calendar date of an instant as YYYY-MM-DD
+function formatDate(date, timezone = DEFAULT_TIMEZONE) {
+  const parts = localParts(date, timezone);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+// YYYY-MM-DD moved by a number of days
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return `${shifted.getUTCFullYear()}-${pad(shifted.getUTCMonth() + 1)}-${pad(shifted.getUTCDate())}`;
+}
+
+// Whole days from one YYYY-MM-DD date to another, negative when `to` is earlier
+function daysBetween(from, to) {
+  const toUtc = (date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(to) - toUtc(from)) / (24 * 60 * 60 * 1000));
+}
+
+// Day of the week of a YYYY-MM-DD date, 0 for Sunday
+function weekday(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// Date columns are parsed to the server's local midnight, so they are read back in that zone
+function fromDateColumn(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value.slice(0, 10);
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+/**
+ * The instant a wall-clock time occurs in a zone: minutes past midnight on a YYYY-MM-DD
+ * date. A wall time that a DST change skips or repeats resolves to an instant within
+ * an hour of it, which is close enough for shift boundaries.
+ */
+function zonedTime(date, minutes, timezone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Correct the guess twice so instants next to a DST change settle on the right offset
+  let instant = wallClock - offsetMinutes(wallClock, timezone) * 60000;
+  instant = wallClock - offsetMinutes(instant, timezone) * 60000;
+  return new Date(instant);
+}
+
+/**
+ * Instants bounding whole local days for a query: from the start of `from` to the end
+ * of `to` in the zone. YYYY-MM-DD strings are days; other values are used as instants.
+ */
+function localDayRange(from, to, timezone = DEFAULT_TIMEZONE) {
+  const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+  return [
+    isDate(from) ? zonedTime(from, 0, timezone) : new Date(from),
+    isDate(to) ? new Date(zonedTime(addDays(to, 1), 0, timezone).getTime() - 1) : new Date(to)
+  ];
+}
+
+// ISO 8601 with the zone's offset, e.g. 2026-10-19T09:05:00+05:30
+function toLocalISOString(date, timezone = DEFAULT_TIMEZONE) {
+  if (!date) return null;
+
+  const parts = localParts(date, timezone);
+  const offset = offsetMinutes(date, timezone);
+  const sign = offset < 0 ? '-' : '+';
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  localParts,
+  offsetMinutes,
+  formatDate,
+  addDays,
+  daysBetween,
+  weekday,
+  fromDateColumn,
+  zonedTime,
+  localDayRange,
+  toLocalISOString
+};
@@ -80,6 +80,7 @@ const AttendanceHistoryScreen = ({ navigation }) => {
     <AttendanceCard
       attendance={item}
       onPress={() => navigation.navigate('AttendanceDetail', { attendance: item })}
+      onLongPress={() => navigation.navigate('Regularization', { record: item })}
     />
   );
 
@@ -111,7 +112,12 @@ const AttendanceHistoryScreen = ({ navigation }) => {
           <Text style={styles.backButtonText}>← Back</Text>
         </TouchableOpacity>
         <Text style={styles.headerTitle}>Attendance History</Text>
-        <View style={styles.placeholder} />
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.navigate('Regularization')}
+        >
+          <Text style={styles.backButtonText}>Correct</Text>
+        </TouchableOpacity>
       </View>
 
       <FlatList
@@ -167,9 +173,6 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
   },
-  placeholder: {
-    width: 60,
-  },
   listContainer: {
     padding: 15,
     flexGrow: 1,
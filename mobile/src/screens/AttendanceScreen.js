@@ -19,13 +19,26 @@ import DeviceInfo from 'react-native-device-info';
 import NetInfo from '@react-native-community/netinfo';
 import Toast from 'react-native-toast-message';
 import { useAuthStore } from '../store/authStore';
-import { useAttendanceStore } from '../store/attendanceStore';
+import { useAttendanceStore, OFFLINE_PHOTO_KEY } from '../store/attendanceStore';
 import { attendanceAPI } from '../services/api';
 import { saveOfflineAttendance } from '../services/offlineService';
 import { checkLocationPermission, getCurrentLocation } from '../services/locationService';
+import { startLocationHistory, getLocationSignals } from '../services/locationSignals';
 import LoadingSpinner from '../components/LoadingSpinner';
 import FaceDetectionOverlay from '../components/FaceDetectionOverlay';
 
+// On-screen instructions for each server-issued liveness challenge step
+const CHALLENGE_PROMPTS = {
+  blink: 'Blink your eyes',
+  turn_left: 'Turn your head to the left',
+  turn_right: 'Turn your head to the right',
+  smile: 'Smile',
+};
+const FRAMES_PER_CHALLENGE_STEP = 3;
+const CHALLENGE_FRAME_INTERVAL_MS = 300;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 const AttendanceScreen = ({ navigation }) => {
   const { user, token } = useAuthStore();
   const { todayAttendance, setTodayAttendance } = useAttendanceStore();
@@ -36,6 +49,7 @@ const AttendanceScreen = ({ navigation }) => {
   const [faceDetected, setFaceDetected] = useState(false);
   const [faceBox, setFaceBox] = useState(null);
   const [isCapturing, setIsCapturing] = useState(false);
+  const [challengePrompt, setChallengePrompt] = useState(null);
 
   const devices = useCameraDevices();
   const device = devices.back;
@@ -46,6 +60,13 @@ const AttendanceScreen = ({ navigation }) => {
     loadTodayAttendance();
   }, []);
 
+  useEffect(() => {
+    if (!locationPermission) {
+      return undefined;
+    }
+    return startLocationHistory();
+  }, [locationPermission]);
+
   const checkPermissions = async () => {
     try {
       // Check camera permission
@@ -142,6 +163,7 @@ const AttendanceScreen = ({ navigation }) => {
         accuracy: location.accuracy,
         locationAddress: location.address,
         deviceInfo: JSON.stringify(deviceInfo),
+        locationSignals: await getLocationSignals(location),
       };
 
       if (isOnline) {
@@ -164,8 +186,36 @@ const AttendanceScreen = ({ navigation }) => {
     }
   };
 
+  // Walk the user through the challenge steps, capturing a short burst of frames for each
+  const captureChallengeFrames = async (challenge) => {
+    const frames = [];
+
+    // Neutral frame the server measures head turns and smiles against
+    setChallengePrompt('Look straight at the camera');
+    frames.push(await captureCameraPhoto());
+
+    for (const step of challenge.steps) {
+      setChallengePrompt(CHALLENGE_PROMPTS[step]);
+      for (let i = 0; i < FRAMES_PER_CHALLENGE_STEP && frames.length < challenge.maxFrames; i++) {
+        await wait(CHALLENGE_FRAME_INTERVAL_MS);
+        frames.push(await captureCameraPhoto());
+      }
+    }
+
+    setChallengePrompt(null);
+    return frames;
+  };
+
   const markAttendanceOnline = async (attendanceData) => {
     try {
+      const challengeResponse = await attendanceAPI.getLivenessChallenge();
+      if (!challengeResponse.success) {
+        throw new Error(challengeResponse.message || 'Failed to start liveness check');
+      }
+      const challenge = challengeResponse.data;
+
+      const challengeFrames = await captureChallengeFrames(challenge);
+
       // Capture photo from camera
       const photoUri = await captureCameraPhoto();
       if (!photoUri) {
@@ -184,9 +234,18 @@ const AttendanceScreen = ({ navigation }) => {
       formData.append('accuracy', attendanceData.accuracy?.toString() || '');
       formData.append('locationAddress', attendanceData.locationAddress || '');
       formData.append('deviceInfo', attendanceData.deviceInfo);
+      formData.append('locationSignals', JSON.stringify(attendanceData.locationSignals));
+      formData.append('challengeNonce', challenge.nonce);
+      challengeFrames.forEach((frameUri, index) => {
+        formData.append('challengeFrames', {
+          uri: frameUri,
+          type: 'image/jpeg',
+          name: `frame_${index}.jpg`,
+        });
+      });
 
       // Determine attendance type
-      const attendanceType = todayAttendance.checkIn ? 'check_out' : 'check_in';
+      const attendanceType = getNextPunchType();
       
       const response = await attendanceAPI.markAttendance(attendanceType, formData);
       
@@ -206,7 +265,12 @@ const AttendanceScreen = ({ navigation }) => {
         throw new Error(response.message || 'Attendance marking failed');
       }
     } catch (error) {
-      // If online fails, try offline
+      setChallengePrompt(null);
+      // Only an unreachable server falls back to the offline queue; a punch the server
+      // refused, e.g. a failed liveness challenge or face mismatch, must not be queued
+      if (!error.isNetworkError) {
+        throw error;
+      }
       await markAttendanceOffline(attendanceData);
     }
   };
@@ -221,12 +285,15 @@ const AttendanceScreen = ({ navigation }) => {
 
       // Encrypt photo for offline storage
       const photoData = await RNFS.readFile(photoUri, 'base64');
-      const encryptedPhoto = CryptoJS.AES.encrypt(photoData, 'attendance_key').toString();
+      const encryptedPhoto = CryptoJS.AES.encrypt(photoData, OFFLINE_PHOTO_KEY).toString();
 
+      const localId = Date.now().toString();
       const offlineAttendance = {
-        id: Date.now().toString(),
+        id: localId,
+        // Lets the server recognise retried uploads of the same punch
+        idempotencyKey: `${user.id}-${localId}-${Math.random().toString(36).slice(2, 10)}`,
         userId: user.id,
-        type: todayAttendance.checkIn ? 'check_out' : 'check_in',
+        type: getNextPunchType(),
         timestamp: new Date().toISOString(),
         latitude: attendanceData.latitude,
         longitude: attendanceData.longitude,
@@ -234,6 +301,7 @@ const AttendanceScreen = ({ navigation }) => {
         locationAddress: attendanceData.locationAddress,
         photoData: encryptedPhoto,
         deviceInfo: attendanceData.deviceInfo,
+        locationSignals: attendanceData.locationSignals,
         isOffline: true,
         synced: false,
       };
@@ -252,28 +320,67 @@ const AttendanceScreen = ({ navigation }) => {
     }
   };
 
+  const toggleBreak = async () => {
+    const onBreak = todayAttendance.status === 'on_break';
+    setIsLoading(true);
+
+    try {
+      const location = await getCurrentLocation();
+
+      const formData = new FormData();
+      if (location) {
+        formData.append('latitude', location.latitude.toString());
+        formData.append('longitude', location.longitude.toString());
+        formData.append('accuracy', location.accuracy?.toString() || '');
+      }
+
+      const response = onBreak
+        ? await attendanceAPI.endBreak(formData)
+        : await attendanceAPI.startBreak(formData);
+
+      Toast.show({
+        type: 'success',
+        text1: onBreak ? 'Break Ended' : 'Break Started',
+        text2: response.message,
+      });
+
+      loadTodayAttendance();
+    } catch (error) {
+      Toast.show({
+        type: 'error',
+        text1: onBreak ? 'Could Not End Break' : 'Could Not Start Break',
+        text2: error.message || 'Please try again',
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const captureCameraPhoto = async () => {
     // This would integrate with the camera to capture a photo
     // For now, return a placeholder
     return 'file://placeholder.jpg';
   };
 
-  const getAttendanceButtonText = () => {
-    if (todayAttendance.checkIn && todayAttendance.checkOut) {
-      return 'Attendance Complete';
-    } else if (todayAttendance.checkIn) {
-      return 'Check Out';
-    } else {
-      return 'Check In';
-    }
+  // A day can hold several sessions, so after checking out the next punch is another check-in
+  const isSessionOpen = () => {
+    return todayAttendance.status === 'checked_in' || todayAttendance.status === 'on_break';
   };
 
-  const isAttendanceComplete = () => {
-    return todayAttendance.checkIn && todayAttendance.checkOut;
+  const getNextPunchType = () => {
+    return isSessionOpen() ? 'check_out' : 'check_in';
+  };
+
+  const getAttendanceButtonText = () => {
+    return isSessionOpen() ? 'Check Out' : 'Check In';
   };
 
   const canMarkAttendance = () => {
-    return cameraPermission && locationPermission && !isAttendanceComplete() && !isLoading;
+    return cameraPermission && locationPermission && !isLoading;
+  };
+
+  const canTakeBreak = () => {
+    return isOnline && isSessionOpen() && !isLoading;
   };
 
   if (!device) {
@@ -321,6 +428,12 @@ const AttendanceScreen = ({ navigation }) => {
           faceBox={faceBox}
           isCapturing={isCapturing}
         />
+
+        {challengePrompt && (
+          <View style={styles.challengePromptContainer}>
+            <Text style={styles.challengePromptText}>{challengePrompt}</Text>
+          </View>
+        )}
       </View>
 
       <View style={styles.controlsContainer}>
@@ -353,6 +466,21 @@ const AttendanceScreen = ({ navigation }) => {
           </Text>
         </TouchableOpacity>
 
+        {isSessionOpen() && (
+          <TouchableOpacity
+            style={[
+              styles.breakButton,
+              !canTakeBreak() && styles.attendanceButtonDisabled
+            ]}
+            onPress={toggleBreak}
+            disabled={!canTakeBreak()}
+          >
+            <Text style={styles.attendanceButtonText}>
+              {todayAttendance.status === 'on_break' ? 'End Break' : 'Start Break'}
+            </Text>
+          </TouchableOpacity>
+        )}
+
         <View style={styles.todayStatusContainer}>
           <Text style={styles.todayStatusTitle}>Today's Status:</Text>
           <View style={styles.statusRow}>
@@ -434,6 +562,22 @@ const styles = StyleSheet.create({
   camera: {
     flex: 1,
   },
+  challengePromptContainer: {
+    position: 'absolute',
+    top: 20,
+    left: 20,
+    right: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 10,
+    alignItems: 'center',
+  },
+  challengePromptText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
   controlsContainer: {
     backgroundColor: '#1a1a1a',
     padding: 20,
@@ -463,6 +607,13 @@ const styles = StyleSheet.create({
   attendanceButtonDisabled: {
     backgroundColor: '#757575',
   },
+  breakButton: {
+    backgroundColor: '#FF9800',
+    paddingVertical: 12,
+    borderRadius: 25,
+    alignItems: 'center',
+    marginBottom: 20,
+  },
   attendanceButtonText: {
     color: '#fff',
     fontSize: 18,
@@ -0,0 +1,383 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  Platform,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { Camera, useCameraDevices } from 'react-native-vision-camera';
+import { request, PERMISSIONS, RESULTS } from 'react-native-permissions';
+import Toast from 'react-native-toast-message';
+import { faceRecognitionAPI } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+// On-screen instructions for each pose the server asks for
+const POSE_PROMPTS = {
+  frontal: 'Look straight at the camera',
+  left: 'Turn your head slightly to the left',
+  right: 'Turn your head slightly to the right',
+};
+
+const FaceEnrollmentScreen = ({ navigation }) => {
+  const cameraRef = useRef(null);
+  const sessionRef = useRef(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [cameraPermission, setCameraPermission] = useState(false);
+  const [session, setSession] = useState(null);
+  const [latestSession, setLatestSession] = useState(null);
+  const [rejectionReasons, setRejectionReasons] = useState([]);
+
+  const devices = useCameraDevices();
+  const device = devices.front;
+
+  useEffect(() => {
+    checkPermissions();
+    loadEnrollmentStatus();
+
+    // Leaving mid-enrollment cancels the session so it does not linger until it expires
+    return () => {
+      const openSession = sessionRef.current;
+      if (openSession && openSession.status === 'open') {
+        faceRecognitionAPI.cancelEnrollmentSession(openSession.id).catch(() => {});
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    sessionRef.current = session;
+  }, [session]);
+
+  const checkPermissions = async () => {
+    const cameraStatus = await request(
+      Platform.OS === 'ios'
+        ? PERMISSIONS.IOS.CAMERA
+        : PERMISSIONS.ANDROID.CAMERA
+    );
+    setCameraPermission(cameraStatus === RESULTS.GRANTED);
+
+    if (cameraStatus !== RESULTS.GRANTED) {
+      Alert.alert(
+        'Camera Permission Required',
+        'Please grant camera permission to enroll your face',
+        [{ text: 'OK' }]
+      );
+    }
+  };
+
+  const loadEnrollmentStatus = async () => {
+    try {
+      const response = await faceRecognitionAPI.getEnrollmentStatus();
+      if (response.success) {
+        setLatestSession(response.data.latestSession);
+      }
+    } catch (error) {
+      console.error('Failed to load enrollment status:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const startEnrollment = async () => {
+    try {
+      setIsLoading(true);
+      setRejectionReasons([]);
+
+      const response = await faceRecognitionAPI.startEnrollmentSession();
+      setSession(response.data.session);
+    } catch (error) {
+      Toast.show({
+        type: 'error',
+        text1: 'Enrollment Failed',
+        text2: error.message,
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const captureCurrentPose = async () => {
+    try {
+      setIsLoading(true);
+
+      const photo = await cameraRef.current.takePhoto();
+
+      const formData = new FormData();
+      formData.append('faceImage', {
+        uri: `file://${photo.path}`,
+        type: 'image/jpeg',
+        name: 'enrollment.jpg',
+      });
+      formData.append('pose', session.nextPose);
+
+      const response = await faceRecognitionAPI.submitEnrollmentCapture(session.id, formData);
+      setSession(response.data.session);
+
+      if (response.success) {
+        setRejectionReasons([]);
+      } else {
+        setRejectionReasons(response.details.reasons);
+      }
+    } catch (error) {
+      Toast.show({
+        type: 'error',
+        text1: 'Capture Failed',
+        text2: error.message,
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const submitEnrollment = async () => {
+    try {
+      setIsLoading(true);
+
+      const response = await faceRecognitionAPI.completeEnrollmentSession(session.id);
+      setSession(null);
+      setLatestSession(response.data.session || { status: 'completed' });
+
+      Toast.show({
+        type: 'success',
+        text1: 'Enrollment Submitted',
+        text2: response.message,
+      });
+    } catch (error) {
+      Toast.show({
+        type: 'error',
+        text1: 'Enrollment Failed',
+        text2: error.message,
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderStatus = () => {
+    if (latestSession?.status === 'pending_review') {
+      return (
+        <View style={styles.statusCard}>
+          <Text style={styles.statusTitle}>Waiting for Approval</Text>
+          <Text style={styles.statusText}>
+            Your face enrollment was submitted and is waiting for an administrator to review it.
+            You can use face attendance once it is approved.
+          </Text>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.statusCard}>
+        {latestSession?.status === 'rejected' && (
+          <>
+            <Text style={styles.statusTitle}>Enrollment Rejected</Text>
+            <Text style={styles.statusText}>
+              {latestSession.reviewNotes || 'Your previous enrollment was not approved.'}
+            </Text>
+          </>
+        )}
+        {latestSession?.status === 'completed' && (
+          <>
+            <Text style={styles.statusTitle}>Enrolled</Text>
+            <Text style={styles.statusText}>
+              Your face is enrolled. Enrolling again replaces your primary template after approval.
+            </Text>
+          </>
+        )}
+        <Text style={styles.statusText}>
+          You will be asked to take a few photos while looking straight ahead and turning slightly
+          to each side. Use good lighting and remove sunglasses or masks.
+        </Text>
+        <TouchableOpacity
+          style={[styles.primaryButton, !cameraPermission && styles.primaryButtonDisabled]}
+          onPress={startEnrollment}
+          disabled={!cameraPermission}
+        >
+          <Text style={styles.primaryButtonText}>Start Enrollment</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderCapture = () => (
+    <>
+      <View style={styles.cameraContainer}>
+        <Camera
+          ref={cameraRef}
+          style={styles.camera}
+          device={device}
+          isActive={true}
+          photo={true}
+        />
+
+        {session.nextPose && (
+          <View style={styles.promptContainer}>
+            <Text style={styles.promptText}>{POSE_PROMPTS[session.nextPose]}</Text>
+          </View>
+        )}
+      </View>
+
+      <View style={styles.controlsContainer}>
+        <Text style={styles.progressText}>
+          {session.acceptedCount} of {session.minCaptures} photos accepted
+          {session.missingPoses.length > 0 ? ` • still needed: ${session.missingPoses.join(', ')}` : ''}
+        </Text>
+
+        {rejectionReasons.map(reason => (
+          <Text key={reason} style={styles.reasonText}>• {reason}</Text>
+        ))}
+
+        {session.readyToComplete ? (
+          <TouchableOpacity style={styles.primaryButton} onPress={submitEnrollment}>
+            <Text style={styles.primaryButtonText}>Submit for Review</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity style={styles.primaryButton} onPress={captureCurrentPose}>
+            <Text style={styles.primaryButtonText}>Take Photo</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </>
+  );
+
+  if (!device) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.errorText}>Camera not available</Text>
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#000" />
+
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Face Enrollment</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {session ? renderCapture() : renderStatus()}
+
+      <LoadingSpinner visible={isLoading} />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    backgroundColor: '#1a1a1a',
+  },
+  backButton: {
+    padding: 8,
+  },
+  backButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  headerTitle: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  headerSpacer: {
+    width: 60,
+  },
+  cameraContainer: {
+    flex: 1,
+    position: 'relative',
+  },
+  camera: {
+    flex: 1,
+  },
+  promptContainer: {
+    position: 'absolute',
+    top: 20,
+    left: 20,
+    right: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 10,
+    alignItems: 'center',
+  },
+  promptText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  controlsContainer: {
+    backgroundColor: '#1a1a1a',
+    padding: 20,
+  },
+  progressText: {
+    color: '#fff',
+    fontSize: 14,
+    marginBottom: 10,
+  },
+  reasonText: {
+    color: '#FF9800',
+    fontSize: 14,
+    marginBottom: 4,
+  },
+  statusCard: {
+    backgroundColor: '#1a1a1a',
+    margin: 20,
+    padding: 20,
+    borderRadius: 10,
+  },
+  statusTitle: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  statusText: {
+    color: '#ccc',
+    fontSize: 14,
+    marginBottom: 15,
+  },
+  primaryButton: {
+    backgroundColor: '#4CAF50',
+    paddingVertical: 15,
+    paddingHorizontal: 30,
+    borderRadius: 25,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#757575',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  errorText: {
+    color: '#fff',
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 50,
+  },
+});
+
+export default FaceEnrollmentScreen;
@@ -172,6 +172,12 @@ const ProfileScreen = ({ navigation }) => {
             icon="face-outline"
             onPress={() => navigation.navigate('FaceTemplates')}
           />
+          
+          <ActionButton
+            title="Enroll My Face"
+            icon="camera-outline"
+            onPress={() => navigation.navigate('FaceEnrollment')}
+          />
         </View>
 
         <View style={styles.supportContainer}>
@@ -0,0 +1,398 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Alert,
+} from 'react-native';
+import { regularizationAPI } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const REASONS = [
+  { value: 'missing_punch', label: 'Missing punch' },
+  { value: 'wrong_time', label: 'Wrong time' },
+  { value: 'forgot_phone', label: 'Forgot phone' },
+  { value: 'other', label: 'Other' },
+];
+
+const PUNCH_TYPES = [
+  { value: 'check_in', label: 'Check-in' },
+  { value: 'check_out', label: 'Check-out' },
+  { value: 'break_start', label: 'Break start' },
+  { value: 'break_end', label: 'Break end' },
+];
+
+const STATUS_COLORS = {
+  pending: '#FF9800',
+  approved: '#4CAF50',
+  rejected: '#F44336',
+  cancelled: '#9E9E9E',
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const todayString = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+// Opened from the history with { record } to fix that punch's time, or empty to add a missing one
+const RegularizationScreen = ({ navigation, route }) => {
+  const record = route?.params?.record;
+  const [workDate, setWorkDate] = useState(record ? record.localTimestamp.slice(0, 10) : todayString());
+  const [reason, setReason] = useState(record ? 'wrong_time' : 'missing_punch');
+  const [punchType, setPunchType] = useState(record ? record.type : 'check_out');
+  const [punchDate, setPunchDate] = useState(record ? record.localTimestamp.slice(0, 10) : todayString());
+  const [punchTime, setPunchTime] = useState('');
+  const [justification, setJustification] = useState('');
+  const [requests, setRequests] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    loadRequests();
+  }, []);
+
+  const loadRequests = async () => {
+    try {
+      const response = await regularizationAPI.getRequests();
+      if (response.success) {
+        setRequests(response.data.requests);
+      }
+    } catch (error) {
+      console.error('Load correction requests failed:', error);
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!DATE_PATTERN.test(workDate) || !DATE_PATTERN.test(punchDate)) {
+      Alert.alert('Invalid date', 'Enter dates as YYYY-MM-DD');
+      return;
+    }
+    if (!TIME_PATTERN.test(punchTime)) {
+      Alert.alert('Invalid time', 'Enter the punch time as HH:MM, e.g. 18:30');
+      return;
+    }
+    if (!justification.trim()) {
+      Alert.alert('Justification required', 'Explain why the punch needs correcting');
+      return;
+    }
+
+    // The time is read on the phone's clock, which is the employee's local time
+    const timestamp = new Date(`${punchDate}T${punchTime}:00`);
+
+    try {
+      setIsLoading(true);
+      const response = await regularizationAPI.submitRequest({
+        workDate,
+        reason,
+        justification: justification.trim(),
+        corrections: [{
+          type: punchType,
+          timestamp: timestamp.toISOString(),
+          replacesRecordId: record && record.type === punchType ? record.id : null,
+        }],
+      });
+
+      if (response.success) {
+        Alert.alert('Request Submitted', 'Your manager will review the correction');
+        setPunchTime('');
+        setJustification('');
+        loadRequests();
+      } else {
+        Alert.alert('Error', response.message || 'Failed to submit correction request');
+      }
+    } catch (error) {
+      console.error('Submit correction request failed:', error);
+      Alert.alert('Error', error.message || 'Failed to submit correction request');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCancel = (request) => {
+    Alert.alert(
+      'Cancel Request',
+      `Withdraw the correction for ${request.workDate}?`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Withdraw',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await regularizationAPI.cancelRequest(request.id);
+              loadRequests();
+            } catch (error) {
+              Alert.alert('Error', error.message);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderOptions = (options, selected, onSelect) => (
+    <View style={styles.options}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.value}
+          style={[styles.option, selected === option.value && styles.optionSelected]}
+          onPress={() => onSelect(option.value)}
+        >
+          <Text style={[styles.optionText, selected === option.value && styles.optionTextSelected]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Correct Attendance</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.card}>
+          <Text style={styles.label}>Work day</Text>
+          <TextInput
+            style={styles.input}
+            value={workDate}
+            onChangeText={setWorkDate}
+            placeholder="YYYY-MM-DD"
+          />
+
+          <Text style={styles.label}>Reason</Text>
+          {renderOptions(REASONS, reason, setReason)}
+
+          <Text style={styles.label}>Punch</Text>
+          {renderOptions(PUNCH_TYPES, punchType, setPunchType)}
+          {record && record.type === punchType && (
+            <Text style={styles.hint}>Replaces the punch recorded at {record.localTimestamp.slice(11, 16)}</Text>
+          )}
+
+          <View style={styles.row}>
+            <TextInput
+              style={[styles.input, styles.rowInput]}
+              value={punchDate}
+              onChangeText={setPunchDate}
+              placeholder="YYYY-MM-DD"
+            />
+            <TextInput
+              style={[styles.input, styles.rowInput]}
+              value={punchTime}
+              onChangeText={setPunchTime}
+              placeholder="HH:MM"
+              keyboardType="numbers-and-punctuation"
+            />
+          </View>
+
+          <Text style={styles.label}>Justification</Text>
+          <TextInput
+            style={[styles.input, styles.multiline]}
+            value={justification}
+            onChangeText={setJustification}
+            placeholder="e.g. Left my phone at home and signed the visitor register at 09:10"
+            multiline
+            maxLength={1000}
+          />
+
+          <TouchableOpacity style={styles.submitButton} onPress={handleSubmit} disabled={isLoading}>
+            <Text style={styles.submitButtonText}>Submit Request</Text>
+          </TouchableOpacity>
+        </View>
+
+        <Text style={styles.sectionTitle}>My Requests</Text>
+        {requests.length === 0 && (
+          <Text style={styles.emptyText}>No correction requests yet</Text>
+        )}
+        {requests.map(request => (
+          <View key={request.id} style={styles.requestCard}>
+            <View style={styles.requestHeader}>
+              <Text style={styles.requestDate}>{request.workDate}</Text>
+              <Text style={[styles.status, { color: STATUS_COLORS[request.status] }]}>
+                {request.status.toUpperCase()}
+              </Text>
+            </View>
+            <Text style={styles.requestText}>
+              {(REASONS.find(item => item.value === request.reason) || {}).label}: {request.justification}
+            </Text>
+            {request.decisionNote ? (
+              <Text style={styles.hint}>Note: {request.decisionNote}</Text>
+            ) : null}
+            {request.status === 'pending' && (
+              <TouchableOpacity onPress={() => handleCancel(request)}>
+                <Text style={styles.cancelText}>Withdraw</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        ))}
+      </ScrollView>
+
+      <LoadingSpinner visible={isLoading} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  backButton: {
+    padding: 8,
+  },
+  backButtonText: {
+    color: '#4CAF50',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  headerTitle: {
+    color: '#333',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  placeholder: {
+    width: 60,
+  },
+  content: {
+    padding: 15,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 20,
+  },
+  label: {
+    color: '#333',
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#333',
+  },
+  multiline: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  row: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  rowInput: {
+    flex: 1,
+    marginRight: 8,
+  },
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  optionSelected: {
+    backgroundColor: '#4CAF50',
+  },
+  optionText: {
+    color: '#4CAF50',
+    fontSize: 13,
+  },
+  optionTextSelected: {
+    color: '#fff',
+  },
+  hint: {
+    color: '#666',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  submitButton: {
+    backgroundColor: '#4CAF50',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  submitButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  sectionTitle: {
+    color: '#333',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  emptyText: {
+    color: '#999',
+    fontSize: 14,
+  },
+  requestCard: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 10,
+  },
+  requestHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  requestDate: {
+    color: '#333',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  status: {
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  requestText: {
+    color: '#555',
+    fontSize: 14,
+  },
+  cancelText: {
+    color: '#F44336',
+    fontSize: 14,
+    marginTop: 8,
+  },
+});
+
+export default RegularizationScreen;
@@ -73,6 +73,14 @@ const isOnline = async () => {
   return netInfo.isConnected;
 };
 
+// The server's message, with isNetworkError set when no response arrived at all, so callers
+// can tell an unreachable server from a request it refused
+const withNetworkFlag = (error, fallbackMessage) => {
+  const wrapped = new Error(error.response?.data?.message || fallbackMessage);
+  wrapped.isNetworkError = !error.response;
+  return wrapped;
+};
+
 // API Services
 export const authAPI = {
   login: async (email, password) => {
@@ -174,7 +182,43 @@ export const attendanceAPI = {
       });
       return response.data;
     } catch (error) {
-      throw new Error(error.response?.data?.message || 'Attendance marking failed');
+      throw withNetworkFlag(error, 'Attendance marking failed');
+    }
+  },
+
+  // Break punches take the same multipart fields as check-in; the face image is optional
+  startBreak: async (formData) => {
+    try {
+      const response = await apiClient.post('/attendance/break-start', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to start break');
+    }
+  },
+
+  endBreak: async (formData) => {
+    try {
+      const response = await apiClient.post('/attendance/break-end', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to end break');
+    }
+  },
+
+  getLivenessChallenge: async () => {
+    try {
+      const response = await apiClient.post('/attendance/liveness-challenge');
+      return response.data;
+    } catch (error) {
+      throw withNetworkFlag(error, 'Failed to get liveness challenge');
     }
   },
 
@@ -210,6 +254,38 @@ export const attendanceAPI = {
   },
 };
 
+// Corrections to a work day's punches, e.g. a forgotten check-out, decided by a manager or admin
+export const regularizationAPI = {
+  getRequests: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/regularizations', {
+        params,
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to get correction requests');
+    }
+  },
+
+  submitRequest: async (request) => {
+    try {
+      const response = await apiClient.post('/regularizations', request);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to submit correction request');
+    }
+  },
+
+  cancelRequest: async (requestId) => {
+    try {
+      const response = await apiClient.post(`/regularizations/${requestId}/cancel`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to cancel correction request');
+    }
+  },
+};
+
 export const faceRecognitionAPI = {
   registerFace: async (userId, formData) => {
     try {
@@ -255,6 +331,59 @@ export const faceRecognitionAPI = {
       throw new Error(error.response?.data?.message || 'Failed to delete face template');
     }
   },
+
+  getEnrollmentStatus: async () => {
+    try {
+      const response = await apiClient.get('/face-recognition/enrollment-status');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to get enrollment status');
+    }
+  },
+
+  startEnrollmentSession: async () => {
+    try {
+      const response = await apiClient.post('/face-recognition/enrollment-sessions');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to start face enrollment');
+    }
+  },
+
+  submitEnrollmentCapture: async (sessionId, formData) => {
+    try {
+      const response = await apiClient.post(`/face-recognition/enrollment-sessions/${sessionId}/captures`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+      return response.data;
+    } catch (error) {
+      // A rejected capture is a normal outcome; the caller shows the reasons and retries
+      if (error.response?.data?.details?.reasons) {
+        return error.response.data;
+      }
+      throw new Error(error.response?.data?.message || 'Failed to submit capture');
+    }
+  },
+
+  completeEnrollmentSession: async (sessionId) => {
+    try {
+      const response = await apiClient.post(`/face-recognition/enrollment-sessions/${sessionId}/complete`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to complete face enrollment');
+    }
+  },
+
+  cancelEnrollmentSession: async (sessionId) => {
+    try {
+      const response = await apiClient.delete(`/face-recognition/enrollment-sessions/${sessionId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to cancel face enrollment');
+    }
+  },
 };
 
 export const adminAPI = {
@@ -0,0 +1,69 @@
+import { Platform } from 'react-native';
+import Geolocation from 'react-native-geolocation-service';
+import DeviceInfo from 'react-native-device-info';
+import JailMonkey from 'jail-monkey';
+
+// Recent fixes sent with each punch so the server can spot jumps a spoofed position leaves behind
+const MAX_HISTORY_POINTS = 20;
+const MAX_HISTORY_AGE_MS = 60 * 60 * 1000;
+
+let history = [];
+let watchId = null;
+
+const recordFix = (position) => {
+  const now = Date.now();
+
+  history = [
+    ...history.filter(point => now - new Date(point.timestamp).getTime() <= MAX_HISTORY_AGE_MS),
+    {
+      latitude: position.coords.latitude,
+      longitude: position.coords.longitude,
+      accuracy: position.coords.accuracy,
+      timestamp: new Date(position.timestamp).toISOString(),
+      // Android sets this when the fix came from a mock location provider
+      mocked: position.mocked === true,
+    },
+  ].slice(-MAX_HISTORY_POINTS);
+};
+
+// Keep collecting fixes while the attendance screen is open; returns a stop function
+export const startLocationHistory = () => {
+  if (watchId === null) {
+    watchId = Geolocation.watchPosition(
+      recordFix,
+      (error) => console.warn('Location history update failed:', error.message),
+      {
+        enableHighAccuracy: true,
+        distanceFilter: 0,
+        interval: 10000,
+        fastestInterval: 5000,
+        showLocationDialog: false,
+      }
+    );
+  }
+
+  return () => {
+    if (watchId !== null) {
+      Geolocation.clearWatch(watchId);
+      watchId = null;
+    }
+  };
+};
+
+/**
+ * Device-side spoofing signals for a punch. Developer options only exist on Android;
+ * elsewhere, or when the check fails, developerMode is null and the server treats it as unknown.
+ */
+export const getLocationSignals = async (location) => {
+  const isEmulator = await DeviceInfo.isEmulator().catch(() => false);
+  const developerMode = Platform.OS === 'android'
+    ? await JailMonkey.isDevelopmentSettingsMode().catch(() => null)
+    : null;
+
+  return {
+    mocked: location?.mocked === true || history.some(point => point.mocked),
+    emulator: isEmulator,
+    developerMode,
+    history: [...history],
+  };
+};
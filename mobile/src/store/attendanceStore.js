@@ -1,14 +1,46 @@
 import { create } from 'zustand';
 import { persist, createJSONStorage } from 'zustand/middleware';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import RNFS from 'react-native-fs';
+import CryptoJS from 'react-native-crypto-js';
 import { attendanceAPI } from '../services/api';
 
+// Key used to encrypt face photos while they wait in the offline queue
+export const OFFLINE_PHOTO_KEY = 'attendance_key';
+
+// Keep each sync request well under the API's 10MB body limit
+const OFFLINE_SYNC_BATCH_SIZE = 5;
+
+// Records queued before idempotency keys existed fall back to a key derived from their local id
+const getIdempotencyKey = (record) => record.idempotencyKey || `${record.userId}-${record.id}`;
+
+const buildSyncPayload = async (record) => {
+  const faceImage = record.photoData
+    ? CryptoJS.AES.decrypt(record.photoData, OFFLINE_PHOTO_KEY).toString(CryptoJS.enc.Utf8)
+    : await RNFS.readFile(record.photoUri, 'base64');
+
+  return {
+    idempotencyKey: getIdempotencyKey(record),
+    clientId: record.id,
+    type: record.type,
+    timestamp: record.timestamp,
+    latitude: record.latitude,
+    longitude: record.longitude,
+    accuracy: record.accuracy,
+    locationAddress: record.locationAddress,
+    deviceInfo: record.deviceInfo,
+    locationSignals: record.locationSignals,
+    faceImage,
+  };
+};
+
 const useAttendanceStore = create(
   persist(
     (set, get) => ({
       todayAttendance: {
         checkIn: null,
         checkOut: null,
+        sessions: [],
         status: 'not_checked_in',
       },
       attendanceHistory: [],
@@ -112,46 +144,42 @@ const useAttendanceStore = create(
         const results = [];
         
         try {
-          for (const record of offlineRecords) {
-            try {
-              const formData = new FormData();
-              formData.append('faceImage', {
-                uri: record.photoUri,
-                type: 'image/jpeg',
-                name: 'face.jpg',
-              });
-              formData.append('latitude', record.latitude.toString());
-              formData.append('longitude', record.longitude.toString());
-              formData.append('accuracy', record.accuracy?.toString() || '');
-              formData.append('locationAddress', record.locationAddress || '');
-              formData.append('deviceInfo', record.deviceInfo);
-
-              const response = await attendanceAPI.markAttendance(record.type, formData);
-              
-              if (response.success) {
-                results.push({ id: record.id, success: true });
-                get().removeOfflineRecord(record.id);
-              } else {
-                results.push({ id: record.id, success: false, error: response.message });
-              }
-            } catch (error) {
-              results.push({ id: record.id, success: false, error: error.message });
+          for (let i = 0; i < offlineRecords.length; i += OFFLINE_SYNC_BATCH_SIZE) {
+            const batch = offlineRecords.slice(i, i + OFFLINE_SYNC_BATCH_SIZE);
+            const payload = await Promise.all(batch.map(buildSyncPayload));
+
+            const response = await attendanceAPI.syncOfflineAttendance(payload);
+            if (!response.success) {
+              throw new Error(response.message || 'Offline sync failed');
             }
+
+            response.data.results.forEach((result) => {
+              results.push(result);
+
+              // Only transient server failures stay queued; everything else has a final outcome
+              if (!result.retryable) {
+                const record = batch.find(r => getIdempotencyKey(r) === result.idempotencyKey);
+                if (record) {
+                  get().removeOfflineRecord(record.id);
+                }
+              }
+            });
           }
 
           set({ isLoading: false });
           
-          const successCount = results.filter(r => r.success).length;
-          const totalCount = results.length;
+          const acceptedCount = results.filter(r => r.status === 'accepted').length;
+          const flaggedCount = results.filter(r => r.status === 'flagged').length;
+          const rejectedCount = results.filter(r => r.status === 'rejected').length;
           
           return { 
             success: true, 
-            message: `Synced ${successCount}/${totalCount} records`,
+            message: `Synced ${acceptedCount + flaggedCount}/${results.length} records (${flaggedCount} flagged for review, ${rejectedCount} rejected)`,
             results 
           };
         } catch (error) {
           set({ isLoading: false });
-          return { success: false, message: error.message };
+          return { success: false, message: error.message, results };
         }
       },
 